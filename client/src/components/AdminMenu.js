@@ -18,6 +18,12 @@ const AdminMenu = () => {
           >
             Create Product
           </NavLink>
+          <NavLink
+            to="/dashboard/admin/coupons"
+            className="list-group-item list-group-item-action"
+          >
+            Coupons
+          </NavLink>
           <NavLink
             to="/dashboard/admin/products"
             className="list-group-item list-group-item-action"
@@ -30,6 +36,18 @@ const AdminMenu = () => {
           >
             Orders
           </NavLink>
+          <NavLink
+            to="/dashboard/admin/returns"
+            className="list-group-item list-group-item-action"
+          >
+            Returns
+          </NavLink>
+          <NavLink
+            to="/dashboard/admin/reviews"
+            className="list-group-item list-group-item-action"
+          >
+            Reviews
+          </NavLink>
           <NavLink
             to="/dashboard/admin/users"
             className="list-group-item list-group-item-action"
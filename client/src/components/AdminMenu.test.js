@@ -28,6 +28,10 @@ test("renders AdminMenu component", () => {
     "href",
     "/dashboard/admin/create-product"
   );
+  expect(screen.getByText("Coupons").closest("a")).toHaveAttribute(
+    "href",
+    "/dashboard/admin/coupons"
+  );
   expect(screen.getByText("Products").closest("a")).toHaveAttribute(
     "href",
     "/dashboard/admin/products"
@@ -36,4 +40,12 @@ test("renders AdminMenu component", () => {
     "href",
     "/dashboard/admin/orders"
   );
+  expect(screen.getByText("Returns").closest("a")).toHaveAttribute(
+    "href",
+    "/dashboard/admin/returns"
+  );
+  expect(screen.getByText("Reviews").closest("a")).toHaveAttribute(
+    "href",
+    "/dashboard/admin/reviews"
+  );
 });
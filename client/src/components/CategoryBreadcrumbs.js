@@ -0,0 +1,41 @@
+import React from "react";
+import { Link } from "react-router-dom";
+
+//Home, the categories above the category and the category itself, then the
+//product when one is given; the last one is the page being shown. Nothing
+//is shown until the category is loaded
+const CategoryBreadcrumbs = ({ category, product }) => {
+  if (!category?._id) return null;
+  const trail = [...(category.ancestors || []), category];
+  return (
+    <nav aria-label="breadcrumb">
+      <ol className="breadcrumb">
+        <li className="breadcrumb-item">
+          <Link to="/">Home</Link>
+        </li>
+        {trail.map((c, index) =>
+          !product && index === trail.length - 1 ? (
+            <li
+              key={c._id || index}
+              className="breadcrumb-item active"
+              aria-current="page"
+            >
+              {c.name}
+            </li>
+          ) : (
+            <li key={c._id || index} className="breadcrumb-item">
+              <Link to={`/category/${c.slug}`}>{c.name}</Link>
+            </li>
+          )
+        )}
+        {product && (
+          <li className="breadcrumb-item active" aria-current="page">
+            {product.name}
+          </li>
+        )}
+      </ol>
+    </nav>
+  );
+};
+
+export default CategoryBreadcrumbs;
@@ -0,0 +1,55 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import { MemoryRouter } from "react-router-dom";
+import CategoryBreadcrumbs from "./CategoryBreadcrumbs";
+
+const fiction = {
+  _id: "f",
+  name: "Fiction",
+  slug: "fiction",
+  ancestors: [{ _id: "b", name: "Books", slug: "books" }],
+};
+
+const renderCrumbs = (props) =>
+  render(
+    <MemoryRouter>
+      <CategoryBreadcrumbs {...props} />
+    </MemoryRouter>
+  );
+
+describe("CategoryBreadcrumbs", () => {
+  it("links the categories above the category being shown", () => {
+    renderCrumbs({ category: fiction });
+
+    expect(screen.getByText("Home")).toHaveAttribute("href", "/");
+    expect(screen.getByText("Books")).toHaveAttribute(
+      "href",
+      "/category/books"
+    );
+    expect(screen.getByText("Fiction")).toHaveAttribute("aria-current", "page");
+    expect(screen.getByText("Fiction")).not.toHaveAttribute("href");
+  });
+
+  it("links the category of the product being shown", () => {
+    renderCrumbs({ category: fiction, product: { name: "Dune" } });
+
+    expect(screen.getByText("Fiction")).toHaveAttribute(
+      "href",
+      "/category/fiction"
+    );
+    expect(screen.getByText("Dune")).toHaveAttribute("aria-current", "page");
+  });
+
+  it("shows a top level category without ancestors", () => {
+    renderCrumbs({ category: { _id: "b", name: "Books", slug: "books" } });
+
+    expect(screen.getAllByRole("listitem")).toHaveLength(2);
+  });
+
+  it("renders nothing without a category", () => {
+    const { container } = renderCrumbs({});
+
+    expect(container).toBeEmptyDOMElement();
+  });
+});
@@ -0,0 +1,47 @@
+import React, { useEffect, useRef, useState } from "react";
+
+// stands in for the braintree drop-in when the server runs the fake payment
+// provider; the nonces are the ones helpers/fakeProvider.js understands
+const FAKE_CARDS = [
+  { label: "Test card that is approved", nonce: "fake-valid-nonce" },
+  {
+    label: "Test card that is declined",
+    nonce: "fake-processor-declined-visa-nonce",
+  },
+];
+
+const FakeDropIn = ({ onInstance }) => {
+  const [nonce, setNonce] = useState(FAKE_CARDS[0].nonce);
+  const selected = useRef(nonce);
+  selected.current = nonce;
+
+  //same shape as the braintree drop-in instance
+  useEffect(() => {
+    onInstance({
+      requestPaymentMethod: async () => ({ nonce: selected.current }),
+    });
+    //eslint-disable-next-line
+  }, []);
+
+  return (
+    <div className="mb-3">
+      <label htmlFor="fake-card" className="form-label">
+        Offline payment, no money is taken
+      </label>
+      <select
+        id="fake-card"
+        className="form-select"
+        value={nonce}
+        onChange={(e) => setNonce(e.target.value)}
+      >
+        {FAKE_CARDS.map((card) => (
+          <option key={card.nonce} value={card.nonce}>
+            {card.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+};
+
+export default FakeDropIn;
@@ -0,0 +1,32 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import FakeDropIn from "./FakeDropIn";
+
+describe("FakeDropIn", () => {
+  it("hands out an instance that approves by default", async () => {
+    const onInstance = jest.fn();
+    render(<FakeDropIn onInstance={onInstance} />);
+
+    expect(onInstance).toHaveBeenCalledTimes(1);
+    const instance = onInstance.mock.calls[0][0];
+    expect(await instance.requestPaymentMethod()).toEqual({
+      nonce: "fake-valid-nonce",
+    });
+  });
+
+  it("hands out the nonce of the chosen test card", async () => {
+    const onInstance = jest.fn();
+    render(<FakeDropIn onInstance={onInstance} />);
+
+    fireEvent.change(
+      screen.getByLabelText("Offline payment, no money is taken"),
+      { target: { value: "fake-processor-declined-visa-nonce" } }
+    );
+
+    const instance = onInstance.mock.calls[0][0];
+    expect(await instance.requestPaymentMethod()).toEqual({
+      nonce: "fake-processor-declined-visa-nonce",
+    });
+  });
+});
@@ -1,6 +1,15 @@
 import React from "react";
 
-const CategoryForm = ({ handleSubmit, value, setValue }) => {
+//the parent select is only shown when setParent is given; parents are the
+//categories that may be picked, each with the depth it sits at
+const CategoryForm = ({
+  handleSubmit,
+  value,
+  setValue,
+  parent,
+  setParent,
+  parents = [],
+}) => {
   return (
     <>
       <form onSubmit={handleSubmit}>
@@ -13,6 +22,23 @@ const CategoryForm = ({ handleSubmit, value, setValue }) => {
             onChange={(e) => setValue(e.target.value)}
           />
         </div>
+        {setParent && (
+          <div className="mb-3">
+            <select
+              className="form-select"
+              aria-label="Parent category"
+              value={parent || ""}
+              onChange={(e) => setParent(e.target.value)}
+            >
+              <option value="">No parent category</option>
+              {parents.map((c) => (
+                <option key={c._id} value={c._id}>
+                  {"\u00a0\u00a0".repeat(c.depth || 0) + c.name}
+                </option>
+              ))}
+            </select>
+          </div>
+        )}
 
         <button type="submit" className="btn btn-primary">
           Submit
@@ -22,4 +48,4 @@ const CategoryForm = ({ handleSubmit, value, setValue }) => {
   );
 };
 
-export default CategoryForm;
\ No newline at end of file
+export default CategoryForm;
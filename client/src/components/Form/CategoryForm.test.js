@@ -108,3 +108,38 @@ test("calls handleSubmit on form submission with empty input", () => {
   fireEvent.submit(button.closest("form"));
   expect(handleSubmit).toHaveBeenCalled();
 });
+
+test("renders no parent select without setParent", () => {
+  render(
+    <CategoryForm handleSubmit={jest.fn()} value="" setValue={jest.fn()} />
+  );
+
+  expect(screen.queryByLabelText("Parent category")).not.toBeInTheDocument();
+});
+
+test("lets a parent category be picked", () => {
+  const setParent = jest.fn();
+
+  render(
+    <CategoryForm
+      handleSubmit={jest.fn()}
+      value=""
+      setValue={jest.fn()}
+      parent="b"
+      setParent={setParent}
+      parents={[
+        { _id: "b", name: "Books", depth: 0 },
+        { _id: "f", name: "Fiction", depth: 1 },
+      ]}
+    />
+  );
+
+  const select = screen.getByLabelText("Parent category");
+  expect(select).toHaveValue("b");
+  expect(
+    screen.getAllByRole("option").map((option) => option.textContent)
+  ).toEqual(["No parent category", "Books", "\u00a0\u00a0Fiction"]);
+
+  fireEvent.change(select, { target: { value: "f" } });
+  expect(setParent).toHaveBeenCalledWith("f");
+});
@@ -0,0 +1,45 @@
+import React, { useState } from "react";
+
+//code entry on the cart page, or the applied code with a way to drop it.
+//onApply resolves to true once the code is accepted
+const CouponCodeForm = ({ applied, onApply, onRemove }) => {
+  const [code, setCode] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!code.trim()) return;
+    if (await onApply(code.trim())) setCode("");
+  };
+
+  if (applied) {
+    return (
+      <p className="coupon-applied">
+        Coupon {applied}{" "}
+        <button
+          type="button"
+          className="btn btn-link btn-sm p-0"
+          onClick={onRemove}
+        >
+          Remove coupon
+        </button>
+      </p>
+    );
+  }
+
+  return (
+    <form className="d-flex gap-2 mb-2" onSubmit={handleSubmit}>
+      <input
+        type="text"
+        className="form-control w-auto"
+        placeholder="Coupon code"
+        value={code}
+        onChange={(e) => setCode(e.target.value)}
+      />
+      <button type="submit" className="btn btn-outline-primary">
+        Apply
+      </button>
+    </form>
+  );
+};
+
+export default CouponCodeForm;
@@ -0,0 +1,50 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import CouponCodeForm from "./CouponCodeForm";
+
+describe("CouponCodeForm", () => {
+  it("applies the typed code and clears it once accepted", async () => {
+    const onApply = jest.fn().mockResolvedValue(true);
+    render(<CouponCodeForm onApply={onApply} />);
+
+    const input = screen.getByPlaceholderText("Coupon code");
+    fireEvent.change(input, { target: { value: " save10 " } });
+    fireEvent.click(screen.getByText("Apply"));
+
+    expect(onApply).toHaveBeenCalledWith("save10");
+    await waitFor(() => expect(input).toHaveValue(""));
+  });
+
+  it("keeps a code that was refused", async () => {
+    const onApply = jest.fn().mockResolvedValue(false);
+    render(<CouponCodeForm onApply={onApply} />);
+
+    const input = screen.getByPlaceholderText("Coupon code");
+    fireEvent.change(input, { target: { value: "OLD" } });
+    fireEvent.click(screen.getByText("Apply"));
+
+    await waitFor(() => expect(onApply).toHaveBeenCalled());
+    expect(input).toHaveValue("OLD");
+  });
+
+  it("does nothing without a code", () => {
+    const onApply = jest.fn();
+    render(<CouponCodeForm onApply={onApply} />);
+
+    fireEvent.click(screen.getByText("Apply"));
+
+    expect(onApply).not.toHaveBeenCalled();
+  });
+
+  it("shows the applied code with a way to remove it", () => {
+    const onRemove = jest.fn();
+    render(<CouponCodeForm applied="SAVE10" onRemove={onRemove} />);
+
+    expect(screen.getByText(/Coupon SAVE10/)).toBeInTheDocument();
+    expect(screen.queryByPlaceholderText("Coupon code")).not.toBeInTheDocument();
+    fireEvent.click(screen.getByText("Remove coupon"));
+
+    expect(onRemove).toHaveBeenCalled();
+  });
+});
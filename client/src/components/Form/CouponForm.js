@@ -0,0 +1,179 @@
+import React, { useState } from "react";
+
+// form values are kept as strings, the server parses and checks them
+const toValues = (coupon) => ({
+  code: coupon?.code || "",
+  type: coupon?.type || "percentage",
+  value: coupon?.value ?? "",
+  minOrder: coupon?.minOrder || "",
+  expiresAt: coupon?.expiresAt ? coupon.expiresAt.substring(0, 10) : "",
+  maxUses: coupon?.maxUses ?? "",
+  maxUsesPerUser: coupon?.maxUsesPerUser ?? "",
+  categories: (coupon?.categories || []).map((c) => c._id || c),
+  products: (coupon?.products || []).map((p) => p._id || p),
+  active: coupon?.active ?? true,
+});
+
+const selectedValues = (e) =>
+  Array.from(e.target.selectedOptions, (option) => option.value);
+
+//create or edit a coupon; onSubmit resolves to true once saved, which
+//clears the form
+const CouponForm = ({ coupon, categories, products, onSubmit, onCancel }) => {
+  const [values, setValues] = useState(toValues(coupon));
+
+  const set = (field) => (e) =>
+    setValues({ ...values, [field]: e.target.value });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (await onSubmit(values)) setValues(toValues());
+  };
+
+  return (
+    <form onSubmit={handleSubmit}>
+      <div className="row g-2 mb-2">
+        <div className="col-md-4">
+          <input
+            type="text"
+            className="form-control"
+            placeholder="Code"
+            value={values.code}
+            onChange={set("code")}
+          />
+        </div>
+        <div className="col-md-4">
+          <select
+            className="form-select"
+            aria-label="Discount type"
+            value={values.type}
+            onChange={set("type")}
+          >
+            <option value="percentage">Percent off</option>
+            <option value="fixed">Amount off</option>
+          </select>
+        </div>
+        <div className="col-md-4">
+          <input
+            type="number"
+            className="form-control"
+            placeholder={values.type === "percentage" ? "Percent" : "Amount"}
+            min="0"
+            step="0.01"
+            value={values.value}
+            onChange={set("value")}
+          />
+        </div>
+        <div className="col-md-4">
+          <input
+            type="number"
+            className="form-control"
+            placeholder="Minimum order (optional)"
+            min="0"
+            step="0.01"
+            value={values.minOrder}
+            onChange={set("minOrder")}
+          />
+        </div>
+        <div className="col-md-4">
+          <input
+            type="number"
+            className="form-control"
+            placeholder="Total uses (optional)"
+            min="1"
+            value={values.maxUses}
+            onChange={set("maxUses")}
+          />
+        </div>
+        <div className="col-md-4">
+          <input
+            type="number"
+            className="form-control"
+            placeholder="Uses per customer (optional)"
+            min="1"
+            value={values.maxUsesPerUser}
+            onChange={set("maxUsesPerUser")}
+          />
+        </div>
+        <div className="col-md-4">
+          <label htmlFor="coupon-expires" className="form-label">
+            Expires
+          </label>
+          <input
+            id="coupon-expires"
+            type="date"
+            className="form-control"
+            value={values.expiresAt}
+            onChange={set("expiresAt")}
+          />
+        </div>
+        <div className="col-md-4">
+          <label htmlFor="coupon-categories" className="form-label">
+            Only these categories
+          </label>
+          <select
+            id="coupon-categories"
+            className="form-select"
+            multiple
+            value={values.categories}
+            onChange={(e) =>
+              setValues({ ...values, categories: selectedValues(e) })
+            }
+          >
+            {categories?.map((c) => (
+              <option key={c._id} value={c._id}>
+                {c.name}
+              </option>
+            ))}
+          </select>
+        </div>
+        <div className="col-md-4">
+          <label htmlFor="coupon-products" className="form-label">
+            Only these products
+          </label>
+          <select
+            id="coupon-products"
+            className="form-select"
+            multiple
+            value={values.products}
+            onChange={(e) =>
+              setValues({ ...values, products: selectedValues(e) })
+            }
+          >
+            {products?.map((p) => (
+              <option key={p._id} value={p._id}>
+                {p.name}
+              </option>
+            ))}
+          </select>
+        </div>
+      </div>
+      <div className="form-check mb-2">
+        <input
+          id="coupon-active"
+          type="checkbox"
+          className="form-check-input"
+          checked={values.active}
+          onChange={(e) => setValues({ ...values, active: e.target.checked })}
+        />
+        <label htmlFor="coupon-active" className="form-check-label">
+          Active
+        </label>
+      </div>
+      <button type="submit" className="btn btn-primary">
+        {coupon ? "Update Coupon" : "Create Coupon"}
+      </button>
+      {onCancel && (
+        <button
+          type="button"
+          className="btn btn-secondary ms-2"
+          onClick={onCancel}
+        >
+          Cancel
+        </button>
+      )}
+    </form>
+  );
+};
+
+export default CouponForm;
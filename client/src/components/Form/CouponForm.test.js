@@ -0,0 +1,114 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import CouponForm from "./CouponForm";
+
+const categories = [
+  { _id: "c1", name: "Book" },
+  { _id: "c2", name: "Clothing" },
+];
+const products = [{ _id: "p1", name: "Novel" }];
+
+const select = (label, values) => {
+  const list = screen.getByLabelText(label);
+  Array.from(list.options).forEach((option) => {
+    option.selected = values.includes(option.value);
+  });
+  fireEvent.change(list);
+};
+
+describe("CouponForm", () => {
+  it("submits a new coupon and clears the form once saved", async () => {
+    const onSubmit = jest.fn().mockResolvedValue(true);
+    render(
+      <CouponForm
+        categories={categories}
+        products={products}
+        onSubmit={onSubmit}
+      />
+    );
+
+    fireEvent.change(screen.getByPlaceholderText("Code"), {
+      target: { value: "BOOKS5" },
+    });
+    fireEvent.change(screen.getByLabelText("Discount type"), {
+      target: { value: "fixed" },
+    });
+    fireEvent.change(screen.getByPlaceholderText("Amount"), {
+      target: { value: "5" },
+    });
+    fireEvent.change(screen.getByPlaceholderText("Minimum order (optional)"), {
+      target: { value: "20" },
+    });
+    fireEvent.change(screen.getByPlaceholderText("Total uses (optional)"), {
+      target: { value: "50" },
+    });
+    fireEvent.change(
+      screen.getByPlaceholderText("Uses per customer (optional)"),
+      { target: { value: "1" } }
+    );
+    fireEvent.change(screen.getByLabelText("Expires"), {
+      target: { value: "2026-12-31" },
+    });
+    select("Only these categories", ["c1"]);
+    select("Only these products", ["p1"]);
+    fireEvent.click(screen.getByLabelText("Active"));
+    fireEvent.click(screen.getByText("Create Coupon"));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      code: "BOOKS5",
+      type: "fixed",
+      value: "5",
+      minOrder: "20",
+      expiresAt: "2026-12-31",
+      maxUses: "50",
+      maxUsesPerUser: "1",
+      categories: ["c1"],
+      products: ["p1"],
+      active: false,
+    });
+    await waitFor(() =>
+      expect(screen.getByPlaceholderText("Code")).toHaveValue("")
+    );
+    expect(screen.getByLabelText("Active")).toBeChecked();
+  });
+
+  it("starts from the coupon being edited", () => {
+    const onSubmit = jest.fn().mockResolvedValue(false);
+    const onCancel = jest.fn();
+    render(
+      <CouponForm
+        coupon={{
+          _id: "k1",
+          code: "SAVE10",
+          type: "percentage",
+          value: 10,
+          minOrder: 0,
+          expiresAt: "2026-12-31T00:00:00.000Z",
+          categories: [{ _id: "c2", name: "Clothing" }],
+          products: [],
+          active: true,
+        }}
+        categories={categories}
+        products={products}
+        onSubmit={onSubmit}
+        onCancel={onCancel}
+      />
+    );
+
+    expect(screen.getByPlaceholderText("Code")).toHaveValue("SAVE10");
+    expect(screen.getByPlaceholderText("Percent")).toHaveValue(10);
+    expect(screen.getByLabelText("Expires")).toHaveValue("2026-12-31");
+    fireEvent.click(screen.getByText("Update Coupon"));
+
+    expect(onSubmit).toHaveBeenCalledWith(
+      expect.objectContaining({
+        code: "SAVE10",
+        categories: ["c2"],
+        maxUses: "",
+      })
+    );
+    fireEvent.click(screen.getByText("Cancel"));
+    expect(onCancel).toHaveBeenCalled();
+  });
+});
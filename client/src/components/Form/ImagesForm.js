@@ -0,0 +1,146 @@
+import React from "react";
+
+// editable rows for the gallery of a stored product; new rows hold the
+// picked file and a preview url
+const toImageRows = (product) =>
+  (product?.images || []).map((image, index) => ({
+    _id: image._id,
+    url: `/api/v1/product/product-photo/${product._id}/${index}`,
+    primary: Boolean(image.primary),
+  }));
+
+// add the gallery to the product form data: the order as json, with new
+// files sent as image<n> and named in the list by their field
+const appendImages = (productData, rows) => {
+  let uploads = 0;
+  const order = rows.map((row) => {
+    if (!row._id) {
+      const upload = `image${uploads++}`;
+      productData.append(upload, row.file);
+      return { upload, primary: row.primary };
+    }
+    return { _id: row._id, primary: row.primary };
+  });
+  productData.append("images", JSON.stringify(order));
+};
+
+// move the row at index by offset places
+const move = (rows, index, offset) => {
+  const next = [...rows];
+  const [row] = next.splice(index, 1);
+  next.splice(index + offset, 0, row);
+  return next;
+};
+
+//gallery of a product in the admin forms: upload, reorder, pick the primary
+//photo and delete. `current` is shown while the gallery is empty
+const ImagesForm = ({ images, onChange, current }) => {
+  const upload = (e) => {
+    const added = Array.from(e.target.files || [], (file) => ({
+      file,
+      url: URL.createObjectURL(file),
+      primary: false,
+    }));
+    const rows = [...images, ...added];
+    //the first photo of an empty gallery becomes its primary one
+    if (rows.length && !rows.some((row) => row.primary)) {
+      rows[0] = { ...rows[0], primary: true };
+    }
+    onChange(rows);
+    e.target.value = "";
+  };
+
+  const makePrimary = (index) =>
+    onChange(images.map((row, i) => ({ ...row, primary: i === index })));
+
+  const remove = (index) => {
+    const rows = images.filter((_, i) => i !== index);
+    if (images[index].primary && rows.length) {
+      rows[0] = { ...rows[0], primary: true };
+    }
+    onChange(rows);
+  };
+
+  return (
+    <div className="mb-3">
+      <label className="btn btn-outline-secondary col-md-12">
+        Upload Photo
+        <input
+          type="file"
+          name="images"
+          accept="image/*"
+          multiple
+          onChange={upload}
+          hidden
+        />
+      </label>
+      {!images.length && current && (
+        <div className="text-center mt-2">
+          <img
+            src={current}
+            alt="product_photo"
+            height={"200px"}
+            className="img img-responsive"
+          />
+        </div>
+      )}
+      <div className="d-flex flex-wrap gap-2 mt-2">
+        {images.map((row, index) => (
+          <div
+            className="card p-1 text-center"
+            key={row._id || `new-${index}`}
+          >
+            <img
+              src={row.url}
+              alt={`product_photo ${index + 1}`}
+              height={"120px"}
+              className="img img-responsive"
+            />
+            {row.primary ? (
+              <span className="badge bg-success my-1">Primary</span>
+            ) : (
+              <button
+                type="button"
+                className="btn btn-link btn-sm"
+                onClick={() => makePrimary(index)}
+              >
+                Make primary
+              </button>
+            )}
+            <div className="btn-group btn-group-sm">
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                aria-label={`Move photo ${index + 1} earlier`}
+                disabled={index === 0}
+                onClick={() => onChange(move(images, index, -1))}
+              >
+                &larr;
+              </button>
+              <button
+                type="button"
+                className="btn btn-outline-secondary"
+                aria-label={`Move photo ${index + 1} later`}
+                disabled={index === images.length - 1}
+                onClick={() => onChange(move(images, index, 1))}
+              >
+                &rarr;
+              </button>
+              <button
+                type="button"
+                className="btn btn-outline-danger"
+                aria-label={`Delete photo ${index + 1}`}
+                onClick={() => remove(index)}
+              >
+                X
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export { toImageRows, appendImages };
+export default ImagesForm;
@@ -0,0 +1,104 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import ImagesForm, { appendImages, toImageRows } from "./ImagesForm";
+
+global.URL.createObjectURL = jest.fn((file) => `blob:${file.name}`);
+
+const rows = toImageRows({
+  _id: "p1",
+  images: [
+    { _id: "img1", contentType: "image/png", primary: true },
+    { _id: "img2", contentType: "image/png" },
+  ],
+});
+
+describe("ImagesForm", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("turns the stored gallery into rows with their photo urls", () => {
+    expect(rows).toEqual([
+      { _id: "img1", url: "/api/v1/product/product-photo/p1/0", primary: true },
+      {
+        _id: "img2",
+        url: "/api/v1/product/product-photo/p1/1",
+        primary: false,
+      },
+    ]);
+    expect(toImageRows({ _id: "p2" })).toEqual([]);
+  });
+
+  it("sends the order as json and new files as image<n>", () => {
+    const file = new File(["photo"], "side.png", { type: "image/png" });
+    const productData = new FormData();
+
+    appendImages(productData, [
+      rows[1],
+      { file, url: "blob:side.png", primary: false },
+      rows[0],
+    ]);
+
+    expect(JSON.parse(productData.get("images"))).toEqual([
+      { _id: "img2", primary: false },
+      { upload: "image0", primary: false },
+      { _id: "img1", primary: true },
+    ]);
+    expect(productData.get("image0")).toEqual(file);
+  });
+
+  it("adds uploads, making the first photo of an empty gallery primary", () => {
+    const onChange = jest.fn();
+    const front = new File(["a"], "front.png", { type: "image/png" });
+    const back = new File(["b"], "back.png", { type: "image/png" });
+    render(<ImagesForm images={[]} onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText("Upload Photo"), {
+      target: { files: [front, back] },
+    });
+
+    expect(onChange).toHaveBeenCalledWith([
+      { file: front, url: "blob:front.png", primary: true },
+      { file: back, url: "blob:back.png", primary: false },
+    ]);
+  });
+
+  it("reorders photos and picks the primary one", () => {
+    const onChange = jest.fn();
+    render(<ImagesForm images={rows} onChange={onChange} />);
+
+    expect(screen.getByText("Primary")).toBeInTheDocument();
+    expect(screen.getByLabelText("Move photo 1 earlier")).toBeDisabled();
+    expect(screen.getByLabelText("Move photo 2 later")).toBeDisabled();
+
+    fireEvent.click(screen.getByLabelText("Move photo 1 later"));
+    expect(onChange).toHaveBeenLastCalledWith([rows[1], rows[0]]);
+
+    fireEvent.click(screen.getByText("Make primary"));
+    expect(onChange).toHaveBeenLastCalledWith([
+      { ...rows[0], primary: false },
+      { ...rows[1], primary: true },
+    ]);
+  });
+
+  it("passes the primary mark on when the primary photo is deleted", () => {
+    const onChange = jest.fn();
+    render(<ImagesForm images={rows} onChange={onChange} />);
+
+    fireEvent.click(screen.getByLabelText("Delete photo 1"));
+
+    expect(onChange).toHaveBeenCalledWith([{ ...rows[1], primary: true }]);
+  });
+
+  it("shows the current photo while the gallery is empty", () => {
+    render(
+      <ImagesForm images={[]} onChange={jest.fn()} current="/current.png" />
+    );
+
+    expect(screen.getByAltText("product_photo")).toHaveAttribute(
+      "src",
+      "/current.png"
+    );
+  });
+});
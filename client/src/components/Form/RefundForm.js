@@ -0,0 +1,43 @@
+import React, { useState } from "react";
+
+// amount left empty refunds everything that is left
+const RefundForm = ({ max, onSubmit }) => {
+  const [amount, setAmount] = useState("");
+  const [note, setNote] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const done = await onSubmit({ amount, note });
+    if (done) {
+      setAmount("");
+      setNote("");
+    }
+  };
+
+  return (
+    <form className="d-flex gap-2 justify-content-end" onSubmit={handleSubmit}>
+      <input
+        type="number"
+        className="form-control w-auto"
+        placeholder={`Up to ${max}`}
+        min="0.01"
+        max={max}
+        step="0.01"
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+      />
+      <input
+        type="text"
+        className="form-control w-auto"
+        placeholder="Refund note (optional)"
+        value={note}
+        onChange={(e) => setNote(e.target.value)}
+      />
+      <button type="submit" className="btn btn-outline-danger">
+        Refund
+      </button>
+    </form>
+  );
+};
+
+export default RefundForm;
@@ -0,0 +1,36 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import RefundForm from "./RefundForm";
+
+describe("RefundForm", () => {
+  it("submits the amount and note and clears them once refunded", async () => {
+    const onSubmit = jest.fn().mockResolvedValue(true);
+    render(<RefundForm max={40} onSubmit={onSubmit} />);
+
+    const amount = screen.getByPlaceholderText("Up to 40");
+    const note = screen.getByPlaceholderText("Refund note (optional)");
+    fireEvent.change(amount, { target: { value: "12.5" } });
+    fireEvent.change(note, { target: { value: "Damaged box" } });
+    fireEvent.click(screen.getByText("Refund"));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      amount: "12.5",
+      note: "Damaged box",
+    });
+    await waitFor(() => expect(amount).toHaveValue(null));
+    expect(note).toHaveValue("");
+  });
+
+  it("keeps what was typed when the refund fails", async () => {
+    const onSubmit = jest.fn().mockResolvedValue(false);
+    render(<RefundForm max={40} onSubmit={onSubmit} />);
+
+    const amount = screen.getByPlaceholderText("Up to 40");
+    fireEvent.change(amount, { target: { value: "30" } });
+    fireEvent.click(screen.getByText("Refund"));
+
+    await waitFor(() => expect(onSubmit).toHaveBeenCalled());
+    expect(amount).toHaveValue(30);
+  });
+});
@@ -0,0 +1,55 @@
+import React, { useState } from "react";
+
+//starts from the buyer's earlier review so saving again replaces it
+const ReviewForm = ({ review, onSubmit }) => {
+  const [rating, setRating] = useState(review?.rating || 5);
+  const [title, setTitle] = useState(review?.title || "");
+  const [body, setBody] = useState(review?.body || "");
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ rating: Number(rating), title, body });
+  };
+
+  return (
+    <form className="review-form" onSubmit={handleSubmit}>
+      <div className="mb-2">
+        <label htmlFor="review-rating" className="form-label">
+          Rating
+        </label>
+        <select
+          id="review-rating"
+          className="form-select w-auto"
+          value={rating}
+          onChange={(e) => setRating(e.target.value)}
+        >
+          {[5, 4, 3, 2, 1].map((n) => (
+            <option key={n} value={n}>
+              {n} {n === 1 ? "star" : "stars"}
+            </option>
+          ))}
+        </select>
+      </div>
+      <input
+        type="text"
+        className="form-control mb-2"
+        placeholder="Review title"
+        maxLength={100}
+        value={title}
+        onChange={(e) => setTitle(e.target.value)}
+      />
+      <textarea
+        className="form-control mb-2"
+        placeholder="What did you think?"
+        maxLength={2000}
+        value={body}
+        onChange={(e) => setBody(e.target.value)}
+      />
+      <button type="submit" className="btn btn-primary">
+        {review ? "Update Review" : "Submit Review"}
+      </button>
+    </form>
+  );
+};
+
+export default ReviewForm;
@@ -0,0 +1,48 @@
+import React from "react";
+import { render, screen, fireEvent } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import ReviewForm from "./ReviewForm";
+
+describe("ReviewForm", () => {
+  it("submits the rating, title and review", () => {
+    const onSubmit = jest.fn();
+    render(<ReviewForm onSubmit={onSubmit} />);
+
+    fireEvent.change(screen.getByLabelText("Rating"), {
+      target: { value: "3" },
+    });
+    fireEvent.change(screen.getByPlaceholderText("Review title"), {
+      target: { value: "Decent" },
+    });
+    fireEvent.change(screen.getByPlaceholderText("What did you think?"), {
+      target: { value: "Does the job" },
+    });
+    fireEvent.click(screen.getByText("Submit Review"));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      rating: 3,
+      title: "Decent",
+      body: "Does the job",
+    });
+  });
+
+  it("starts from an earlier review", () => {
+    const onSubmit = jest.fn();
+    render(
+      <ReviewForm
+        review={{ rating: 2, title: "Meh", body: "Broke quickly" }}
+        onSubmit={onSubmit}
+      />
+    );
+
+    expect(screen.getByLabelText("Rating")).toHaveValue("2");
+    expect(screen.getByPlaceholderText("Review title")).toHaveValue("Meh");
+    fireEvent.click(screen.getByText("Update Review"));
+
+    expect(onSubmit).toHaveBeenCalledWith({
+      rating: 2,
+      title: "Meh",
+      body: "Broke quickly",
+    });
+  });
+});
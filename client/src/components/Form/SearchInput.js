@@ -1,40 +1,195 @@
-import React from "react";
+import React, { useEffect, useState } from "react";
 import { useSearch } from "../../context/search";
-import axios from "axios";
+import { catalogParams } from "../../helpers/catalogHelper";
+import {
+  fetchSuggestions,
+  recentSearches,
+  saveRecentSearch,
+} from "../../helpers/searchHelper";
 import { useNavigate } from "react-router-dom";
+
+// how long typing has to pause before suggestions are fetched
+const SUGGEST_DELAY = 250;
+
+const noSuggestions = { products: [], categories: [] };
+
+// the options of the dropdown in the order they are shown, each with the
+// heading it sits under
+const suggestionOptions = (suggestions, recent) => [
+  ...suggestions.products.map((product) => ({
+    group: "Products",
+    label: product.name,
+    thumbnail: product.thumbnail,
+    to: `/product/${product.slug}`,
+  })),
+  ...suggestions.categories.map((category) => ({
+    group: "Categories",
+    label: category.name,
+    to: `/category/${category.slug}`,
+  })),
+  ...recent.map((keyword) => ({ group: "Recent searches", label: keyword })),
+];
+
 const SearchInput = () => {
   const [values, setValues] = useSearch();
   const navigate = useNavigate();
+  const [open, setOpen] = useState(false);
+  const [suggestions, setSuggestions] = useState(noSuggestions);
+  const [recent, setRecent] = useState(recentSearches);
+  const [active, setActive] = useState(-1);
+
+  const text = (values.keyword || "").trim();
 
-  const handleSubmit = async (e) => {
+  //fetch suggestions once typing pauses; the answer to older text is dropped
+  useEffect(() => {
+    if (!open || text.length < 2) {
+      setSuggestions(noSuggestions);
+      return;
+    }
+    let current = true;
+    const timer = setTimeout(async () => {
+      try {
+        const found = await fetchSuggestions(text);
+        if (current) setSuggestions(found);
+      } catch (error) {
+        console.log(error);
+      }
+    }, SUGGEST_DELAY);
+    return () => {
+      current = false;
+      clearTimeout(timer);
+    };
+  }, [open, text]);
+
+  const options = suggestionOptions(
+    suggestions,
+    recent.filter((keyword) =>
+      keyword.toLowerCase().startsWith(text.toLowerCase())
+    )
+  );
+  const expanded = open && options.length > 0;
+
+  const close = () => {
+    setOpen(false);
+    setActive(-1);
+  };
+
+  //the search page fetches the matches of the search in its url
+  const search = (keyword) => {
+    if (!keyword.trim()) return;
+    close();
+    setRecent(saveRecentSearch(keyword));
+    setValues({ ...values, keyword });
+    navigate(`/search?${catalogParams({ keyword: keyword.trim() })}`);
+  };
+
+  const choose = (option) => {
+    if (!option.to) return search(option.label);
+    close();
+    navigate(option.to);
+  };
+
+  const handleSubmit = (e) => {
     e.preventDefault();
-    try {
-      const { data } = await axios.get(
-        `/api/v1/product/search/${values.keyword}`
-      );
-      setValues({ ...values, results: data });
-      navigate("/search");
-    } catch (error) {
-      console.log(error);
+    if (expanded && options[active]) return choose(options[active]);
+    search(values.keyword);
+  };
+
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowUp": {
+        e.preventDefault();
+        if (!expanded) return setOpen(true);
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        setActive((active + step + options.length + 1) % (options.length + 1));
+        break;
+      }
+      case "Escape":
+        close();
+        break;
+      default:
     }
   };
+
+  //wraps past the last option back to the text box, shown as -1
+  const activeOption = active < options.length ? active : -1;
+
   return (
-    <div>
+    <div className="position-relative">
       <form className="d-flex" role="search" onSubmit={handleSubmit}>
         <input
           className="form-control me-2"
           type="search"
           placeholder="Search"
           aria-label="Search"
+          role="combobox"
+          aria-autocomplete="list"
+          aria-expanded={expanded}
+          aria-controls="search-suggestions"
+          aria-activedescendant={
+            expanded && activeOption >= 0
+              ? `search-suggestion-${activeOption}`
+              : undefined
+          }
+          autoComplete="off"
           value={values.keyword}
-          onChange={(e) => setValues({ ...values, keyword: e.target.value })}
+          onChange={(e) => {
+            setValues({ ...values, keyword: e.target.value });
+            setOpen(true);
+            setActive(-1);
+          }}
+          onFocus={() => setOpen(true)}
+          onBlur={close}
+          onKeyDown={handleKeyDown}
         />
         <button className="btn btn-outline-success" type="submit">
           Search
         </button>
       </form>
+      {expanded && (
+        <ul
+          className="dropdown-menu show w-100"
+          id="search-suggestions"
+          role="listbox"
+          aria-label="Search suggestions"
+        >
+          {options.map((option, index) => (
+            <React.Fragment key={`${option.group}-${option.label}-${index}`}>
+              {option.group !== options[index - 1]?.group && (
+                <li role="presentation">
+                  <h6 className="dropdown-header">{option.group}</h6>
+                </li>
+              )}
+              <li
+                id={`search-suggestion-${index}`}
+                role="option"
+                aria-selected={index === activeOption}
+                className={`dropdown-item d-flex align-items-center ${
+                  index === activeOption ? "active" : ""
+                }`}
+                //keeps the focus in the text box so its blur does not close
+                //the list before the click lands
+                onMouseDown={(e) => e.preventDefault()}
+                onClick={() => choose(option)}
+              >
+                {option.thumbnail && (
+                  <img
+                    src={option.thumbnail}
+                    alt=""
+                    height="32"
+                    width="32"
+                    className="me-2"
+                  />
+                )}
+                {option.label}
+              </li>
+            </React.Fragment>
+          ))}
+        </ul>
+      )}
     </div>
   );
 };
 
-export default SearchInput;
\ No newline at end of file
+export default SearchInput;
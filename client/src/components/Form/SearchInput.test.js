@@ -1,6 +1,6 @@
 /** @jest-environment jsdom */
 import React from "react";
-import {  render, screen, fireEvent, waitFor } from "@testing-library/react";
+import {  render, screen, fireEvent, act } from "@testing-library/react";
 import axios from "axios";
 import "@testing-library/jest-dom/extend-expect";
 import SearchInput from "./SearchInput";
@@ -20,6 +20,7 @@ describe('SearchInput Component', () => {
     
     beforeEach(() => {
         jest.clearAllMocks();
+        localStorage.clear();
         useNavigate.mockReturnValue(mockNavigate);
         useSearch.mockReturnValue([{ keyword: '', results: [] }, jest.fn()]);
     });
@@ -45,73 +46,152 @@ describe('SearchInput Component', () => {
         expect(setValues).toHaveBeenCalledWith({ ...values, keyword: 'test product' });
     });
   
-    test('form submission fetches search results and navigates to search page', async () => {
-        const valuesWithKeyword = {
-            "keyword": "no",
-            "results": [
-                {
-                    "_id": "66db427fdb0119d9234b27f9",
-                    "name": "Novel",
-                    "slug": "novel",
-                    "description": "A bestselling novel",
-                    "price": 14.99,
-                    "category": "66db427fdb0119d9234b27ef",
-                    "quantity": 200,
-                    "shipping": true,
-                    "createdAt": "2024-09-06T17:57:19.992Z",
-                    "updatedAt": "2024-09-06T17:57:19.992Z",
-                    "__v": 0
-                }
-            ]
-        }
+    test('form submission opens the search page for the keyword', () => {
+        const values = { keyword: 'novel ', results: [] };
         const setValues = jest.fn();
-        useSearch.mockReturnValue([valuesWithKeyword, setValues]);
-        
-        const mockSearchResults = [
-            {
-                "_id": "66db427fdb0119d9234b27f9",
-                "name": "Novel",
-                "slug": "novel",
-                "description": "A bestselling novel",
-                "price": 14.99,
-                "category": "66db427fdb0119d9234b27ef",
-                "quantity": 200,
-                "shipping": true,
-                "createdAt": "2024-09-06T17:57:19.992Z",
-                "updatedAt": "2024-09-06T17:57:19.992Z",
-                "__v": 0
-            }
-        ]
-        axios.get.mockResolvedValueOnce({ data: mockSearchResults });
+        useSearch.mockReturnValue([values, setValues]);
         render(<SearchInput />);
-        
-        const searchForm = screen.getByRole('search');
-        fireEvent.submit(searchForm);
-        
-        await waitFor(() => expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/no'));
-        await waitFor(() => {
-            expect(setValues).toHaveBeenCalledWith({ 
-            ...valuesWithKeyword, 
-            results: mockSearchResults 
-            });
-        });
-        await waitFor(() => expect(mockNavigate).toHaveBeenCalledWith('/search'));
+
+        fireEvent.submit(screen.getByRole('search'));
+
+        expect(mockNavigate).toHaveBeenCalledWith('/search?keyword=novel');
+        expect(setValues).toHaveBeenCalledWith({ ...values, keyword: 'novel ' });
+        expect(axios.get).not.toHaveBeenCalled();
     });
-  
-    test('handles API error during search', async () => {
-        const valuesWithKeyword = { keyword: 'error', results: [] };
-        const setValues = jest.fn();
-        useSearch.mockReturnValue([valuesWithKeyword, setValues]);
-        const consoleLogSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
-        const mockError = new Error('API error');
-        axios.get.mockRejectedValueOnce(mockError);
-        
+
+    test('sends symbols in the search as part of the keyword', () => {
+        useSearch.mockReturnValue([{ keyword: 'c++ / c#', results: [] }, jest.fn()]);
         render(<SearchInput />);
-        
-        const searchForm = screen.getByRole('search');
-        fireEvent.submit(searchForm);
-        await waitFor(() => expect(axios.get).toHaveBeenCalledWith('/api/v1/product/search/error'));
-        await waitFor(() => expect(consoleLogSpy).toHaveBeenCalledWith(mockError));
-        consoleLogSpy.mockRestore();
+
+        fireEvent.submit(screen.getByRole('search'));
+
+        expect(mockNavigate).toHaveBeenCalledWith('/search?keyword=c%2B%2B+%2F+c%23');
+    });
+
+    test('does not search for blank keywords', () => {
+        useSearch.mockReturnValue([{ keyword: '   ', results: [] }, jest.fn()]);
+        render(<SearchInput />);
+
+        fireEvent.submit(screen.getByRole('search'));
+
+        expect(axios.get).not.toHaveBeenCalled();
+        expect(mockNavigate).not.toHaveBeenCalled();
+    });
+  
+    describe('suggestions', () => {
+        const suggestions = {
+            products: [{ name: 'Novel', slug: 'novel', thumbnail: '/api/v1/product/product-photo/p1?w=100' }],
+            categories: [{ name: 'Non-fiction', slug: 'non-fiction' }],
+        };
+
+        beforeEach(() => {
+            jest.useFakeTimers();
+            useSearch.mockReturnValue([{ keyword: 'no', results: [] }, jest.fn()]);
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        // focus the box and let the typing pause pass
+        const openSuggestions = async () => {
+            axios.get.mockResolvedValueOnce({ data: { success: true, ...suggestions } });
+            render(<SearchInput />);
+            fireEvent.focus(screen.getByRole('combobox'));
+            await act(async () => {
+                jest.advanceTimersByTime(250);
+            });
+            return screen.getByRole('combobox');
+        };
+
+        test('fetches suggestions once typing pauses and lists them by kind', async () => {
+            localStorage.setItem('recentSearches', JSON.stringify(['notebook', 'laptop']));
+            const input = await openSuggestions();
+
+            expect(axios.get).toHaveBeenCalledTimes(1);
+            expect(axios.get).toHaveBeenCalledWith('/api/v1/product/suggest?q=no');
+            expect(input).toHaveAttribute('aria-expanded', 'true');
+            expect(screen.getAllByRole('option').map((o) => o.textContent))
+                .toEqual(['Novel', 'Non-fiction', 'notebook']);
+            expect(screen.getByText('Products')).toBeInTheDocument();
+            expect(screen.getByText('Categories')).toBeInTheDocument();
+            expect(screen.getByText('Recent searches')).toBeInTheDocument();
+            expect(screen.getByRole('option', { name: 'Novel' }).querySelector('img'))
+                .toHaveAttribute('src', suggestions.products[0].thumbnail);
+        });
+
+        test('does not fetch before the pause or for one letter', async () => {
+            render(<SearchInput />);
+            fireEvent.focus(screen.getByRole('combobox'));
+            act(() => {
+                jest.advanceTimersByTime(200);
+            });
+            expect(axios.get).not.toHaveBeenCalled();
+
+            useSearch.mockReturnValue([{ keyword: 'n', results: [] }, jest.fn()]);
+            render(<SearchInput />);
+            fireEvent.focus(screen.getAllByRole('combobox')[1]);
+            act(() => {
+                jest.advanceTimersByTime(1000);
+            });
+            expect(axios.get).toHaveBeenCalledTimes(1);
+        });
+
+        test('moves through the options with the arrow keys and opens the chosen one', async () => {
+            const input = await openSuggestions();
+
+            fireEvent.keyDown(input, { key: 'ArrowDown' });
+            fireEvent.keyDown(input, { key: 'ArrowDown' });
+            expect(input).toHaveAttribute('aria-activedescendant', 'search-suggestion-1');
+            expect(screen.getByRole('option', { name: 'Non-fiction' }))
+                .toHaveAttribute('aria-selected', 'true');
+            fireEvent.keyDown(input, { key: 'ArrowUp' });
+            expect(input).toHaveAttribute('aria-activedescendant', 'search-suggestion-0');
+
+            fireEvent.submit(screen.getByRole('search'));
+
+            expect(mockNavigate).toHaveBeenCalledWith('/product/novel');
+            expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+        });
+
+        test('wraps from the first option back to the text box', async () => {
+            const input = await openSuggestions();
+
+            fireEvent.keyDown(input, { key: 'ArrowDown' });
+            fireEvent.keyDown(input, { key: 'ArrowUp' });
+
+            expect(input).not.toHaveAttribute('aria-activedescendant');
+        });
+
+        test('opens a category when it is clicked', async () => {
+            await openSuggestions();
+
+            fireEvent.click(screen.getByRole('option', { name: 'Non-fiction' }));
+
+            expect(mockNavigate).toHaveBeenCalledWith('/category/non-fiction');
+        });
+
+        test('closes the list on escape', async () => {
+            const input = await openSuggestions();
+
+            fireEvent.keyDown(input, { key: 'Escape' });
+
+            expect(input).toHaveAttribute('aria-expanded', 'false');
+            expect(screen.queryByRole('listbox')).not.toBeInTheDocument();
+        });
+
+        test('runs a recent search and keeps it on top', () => {
+            localStorage.setItem('recentSearches', JSON.stringify(['laptop', 'novel']));
+            const setValues = jest.fn();
+            useSearch.mockReturnValue([{ keyword: '', results: [] }, setValues]);
+            render(<SearchInput />);
+
+            fireEvent.focus(screen.getByRole('combobox'));
+            fireEvent.click(screen.getByRole('option', { name: 'novel' }));
+
+            expect(mockNavigate).toHaveBeenCalledWith('/search?keyword=novel');
+            expect(setValues).toHaveBeenCalledWith(expect.objectContaining({ keyword: 'novel' }));
+            expect(JSON.parse(localStorage.getItem('recentSearches'))).toEqual(['novel', 'laptop']);
+        });
     });
-  });
\ No newline at end of file
+  });
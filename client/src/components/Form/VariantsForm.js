@@ -0,0 +1,142 @@
+import React from "react";
+
+// editable rows for the variants of a product; the chosen photo file is sent
+// alongside and hasPhoto tells whether a stored variant already has one
+const toVariantRows = (variants) =>
+  (variants || []).map((v) => ({
+    _id: v._id,
+    sku: v.sku || "",
+    size: v.size || "",
+    colour: v.colour || "",
+    price: v.price ?? "",
+    quantity: v.quantity ?? "",
+    photo: null,
+    hasPhoto: Boolean(v.photo?.contentType),
+  }));
+
+// with variants the product stock is the sum of theirs
+const variantStock = (rows) =>
+  rows.reduce((sum, row) => sum + (Number(row.quantity) || 0), 0);
+
+// add the rows to the product form data: the list as json and each new photo
+// as variantPhoto<row index>
+const appendVariants = (productData, rows) => {
+  productData.append(
+    "variants",
+    JSON.stringify(rows.map(({ photo, hasPhoto, ...variant }) => variant))
+  );
+  rows.forEach(
+    (row, index) =>
+      row.photo && productData.append(`variantPhoto${index}`, row.photo)
+  );
+};
+
+const emptyRow = {
+  sku: "",
+  size: "",
+  colour: "",
+  price: "",
+  quantity: "",
+  photo: null,
+  hasPhoto: false,
+};
+
+//variants of a product, each with its own sku, stock and optional price and
+//photo
+const VariantsForm = ({ variants, onChange }) => {
+  const change = (index, field, value) =>
+    onChange(
+      variants.map((row, i) => (i === index ? { ...row, [field]: value } : row))
+    );
+
+  return (
+    <div className="mb-3">
+      <h5>Variants</h5>
+      {variants.map((row, index) => (
+        <div className="row g-2 mb-2" key={row._id || index}>
+          <div className="col-md-2">
+            <input
+              type="text"
+              className="form-control"
+              placeholder="SKU"
+              value={row.sku}
+              onChange={(e) => change(index, "sku", e.target.value)}
+            />
+          </div>
+          <div className="col-md-2">
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Size"
+              value={row.size}
+              onChange={(e) => change(index, "size", e.target.value)}
+            />
+          </div>
+          <div className="col-md-2">
+            <input
+              type="text"
+              className="form-control"
+              placeholder="Colour"
+              value={row.colour}
+              onChange={(e) => change(index, "colour", e.target.value)}
+            />
+          </div>
+          <div className="col-md-2">
+            <input
+              type="number"
+              className="form-control"
+              placeholder="Price (optional)"
+              value={row.price}
+              onChange={(e) => change(index, "price", e.target.value)}
+            />
+          </div>
+          <div className="col-md-1">
+            <input
+              type="number"
+              className="form-control"
+              placeholder="Stock"
+              value={row.quantity}
+              onChange={(e) => change(index, "quantity", e.target.value)}
+            />
+          </div>
+          <div className="col-md-2">
+            <label className="btn btn-outline-secondary w-100 text-truncate">
+              {row.photo
+                ? row.photo.name
+                : row.hasPhoto
+                ? "Change Photo"
+                : "Add Photo"}
+              <input
+                type="file"
+                accept="image/*"
+                aria-label={`Photo of variant ${index + 1}`}
+                onChange={(e) => change(index, "photo", e.target.files[0])}
+                hidden
+              />
+            </label>
+          </div>
+          <div className="col-md-1">
+            <button
+              type="button"
+              className="btn btn-outline-danger"
+              aria-label={`Remove variant ${index + 1}`}
+              onClick={() => onChange(variants.filter((_, i) => i !== index))}
+            >
+              X
+            </button>
+          </div>
+        </div>
+      ))}
+      <button
+        type="button"
+        className="btn btn-outline-primary"
+        onClick={() => onChange([...variants, emptyRow])}
+      >
+        Add Variant
+      </button>
+    </div>
+  );
+};
+
+export { toVariantRows, variantStock, appendVariants };
+export default VariantsForm;
@@ -0,0 +1,113 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import VariantsForm, {
+  appendVariants,
+  toVariantRows,
+  variantStock,
+} from "./VariantsForm";
+
+const rows = toVariantRows([
+  {
+    _id: "v1",
+    sku: "HD-M",
+    size: "M",
+    quantity: 4,
+    photo: { contentType: "image/png" },
+  },
+  { _id: "v2", sku: "HD-XL", size: "XL", price: 35, quantity: 3 },
+]);
+
+describe("VariantsForm", () => {
+  it("turns stored variants into editable rows", () => {
+    expect(rows).toEqual([
+      {
+        _id: "v1",
+        sku: "HD-M",
+        size: "M",
+        colour: "",
+        price: "",
+        quantity: 4,
+        photo: null,
+        hasPhoto: true,
+      },
+      {
+        _id: "v2",
+        sku: "HD-XL",
+        size: "XL",
+        colour: "",
+        price: 35,
+        quantity: 3,
+        photo: null,
+        hasPhoto: false,
+      },
+    ]);
+    expect(variantStock(rows)).toBe(7);
+  });
+
+  it("sends the rows as json and new photos as files", () => {
+    const file = new File(["photo"], "xl.png", { type: "image/png" });
+    const productData = new FormData();
+
+    appendVariants(productData, [rows[0], { ...rows[1], photo: file }]);
+
+    expect(JSON.parse(productData.get("variants"))).toEqual([
+      { _id: "v1", sku: "HD-M", size: "M", colour: "", price: "", quantity: 4 },
+      {
+        _id: "v2",
+        sku: "HD-XL",
+        size: "XL",
+        colour: "",
+        price: 35,
+        quantity: 3,
+      },
+    ]);
+    expect(productData.get("variantPhoto0")).toBeNull();
+    expect(productData.get("variantPhoto1")).toEqual(file);
+  });
+
+  it("edits a field of one row", () => {
+    const onChange = jest.fn();
+    render(<VariantsForm variants={rows} onChange={onChange} />);
+
+    fireEvent.change(screen.getAllByPlaceholderText("Stock")[1], {
+      target: { value: "9" },
+    });
+
+    expect(onChange).toHaveBeenCalledWith([
+      rows[0],
+      { ...rows[1], quantity: "9" },
+    ]);
+    expect(screen.getByText("Change Photo")).toBeInTheDocument();
+    expect(screen.getByText("Add Photo")).toBeInTheDocument();
+  });
+
+  it("adds and removes rows", () => {
+    const onChange = jest.fn();
+    render(<VariantsForm variants={rows} onChange={onChange} />);
+
+    fireEvent.click(screen.getByRole("button", { name: "Remove variant 1" }));
+    expect(onChange).toHaveBeenLastCalledWith([rows[1]]);
+
+    fireEvent.click(screen.getByText("Add Variant"));
+    expect(onChange).toHaveBeenLastCalledWith([
+      ...rows,
+      expect.objectContaining({ sku: "", quantity: "", photo: null }),
+    ]);
+  });
+
+  it("keeps the photo picked for a row", () => {
+    const onChange = jest.fn();
+    const file = new File(["photo"], "m.png", { type: "image/png" });
+    render(<VariantsForm variants={rows} onChange={onChange} />);
+
+    fireEvent.change(screen.getByLabelText("Photo of variant 1"), {
+      target: { files: [file] },
+    });
+
+    expect(onChange).toHaveBeenCalledWith([
+      { ...rows[0], photo: file },
+      rows[1],
+    ]);
+  });
+});
@@ -5,12 +5,31 @@ import toast from "react-hot-toast";
 import SearchInput from "./Form/SearchInput";
 import useCategory from "../hooks/useCategory";
 import { useCart } from "../context/cart";
+import { cartUnits } from "../helpers/cartHelper";
+import { categoryTree } from "../helpers/categoryHelper";
 import { Badge } from "antd";
 import "../styles/Header.css";
+
+//a category of the menu with its subcategories nested under it
+const CategoryItem = ({ category }) => (
+  <li>
+    <Link className="dropdown-item" to={`/category/${category.slug}`}>
+      {category.name}
+    </Link>
+    {category.children.length > 0 && (
+      <ul className="dropdown-submenu">
+        {category.children.map((c, index) => (
+          <CategoryItem key={c._id || index} category={c} />
+        ))}
+      </ul>
+    )}
+  </li>
+);
+
 const Header = () => {
   const [auth, setAuth] = useAuth();
   const [cart] = useCart();
-  const categories = useCategory();
+  const categories = categoryTree(useCategory());
   const handleLogout = async (e) => {
     e.preventDefault();
     setAuth({
@@ -61,15 +80,8 @@ const Header = () => {
                       All Categories
                     </Link>
                   </li>
-                  {categories?.map((c, index) => (
-                    <li key={c.slug || index}>
-                      <Link
-                        className="dropdown-item"
-                        to={`/category/${c.slug}`}
-                      >
-                        {c.name}
-                      </Link>
-                    </li>
+                  {categories.map((c, index) => (
+                    <CategoryItem key={c._id || index} category={c} />
                   ))}
                 </ul>
               </li>
@@ -124,7 +136,7 @@ const Header = () => {
                 </>
               )}
               <li className="nav-item">
-                <Badge count={cart?.length} showZero>
+                <Badge count={cartUnits(cart)} showZero>
                   <NavLink to="/cart" className="nav-link">
                     Cart
                   </NavLink>
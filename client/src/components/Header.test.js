@@ -1,6 +1,6 @@
 /** @jest-environment jsdom */
 import React from "react";
-import { fireEvent, render, screen, act } from "@testing-library/react";
+import { fireEvent, render, screen, act, within } from "@testing-library/react";
 import "@testing-library/jest-dom/extend-expect";
 import Header from "./Header";
 import { useAuth } from "../context/auth";
@@ -75,6 +75,20 @@ describe("Header component", () => {
         expect(screen.getByText("Cart")).toBeInTheDocument();
     });
 
+    test("cart badge counts units across cart lines", () => {
+        const auth = { user: null, token: "" };
+        useAuth.mockReturnValue([auth, jest.fn()]);
+        const cart = [
+            { productId: "1", quantity: 2, product: { name: "Novel", price: 14.99 } },
+            { productId: "2", quantity: 3, product: { name: "NUS T-shirt", price: 4.99 } },
+        ];
+        useCart.mockReturnValue([cart]);
+        useCategory.mockReturnValue([]);
+        render(<Header />);
+
+        expect(screen.getByText("5")).toBeInTheDocument();
+    });
+
     test("handleLogout function works correctly", async () => {
         const auth = { user: { name: "Test User"}, token: "testToken" };
         const setAuth = jest.fn();
@@ -100,6 +114,20 @@ describe("Header component", () => {
         expect(await Storage.prototype.removeItem).toHaveBeenCalledWith("auth");
         expect(await toast.success).toHaveBeenCalledWith("Logout Successfully");
     });
-});
 
+    test("nests subcategories under their category", () => {
+        useAuth.mockReturnValue([{ user: null, token: "" }, jest.fn()]);
+        useCart.mockReturnValue([[]]);
+        useCategory.mockReturnValue([
+            { _id: "b", name: "Books", slug: "books", parentCategory: null },
+            { _id: "f", name: "Fiction", slug: "fiction", parentCategory: "b" },
+            { _id: "t", name: "Toys", slug: "toys", parentCategory: null },
+        ]);
+        render(<Header />);
 
+        const books = screen.getByText("Books").closest("li");
+        expect(within(books).getByText("Fiction")).toHaveAttribute("href", "/category/fiction");
+        expect(within(books).queryByText("Toys")).not.toBeInTheDocument();
+        expect(screen.getByText("Toys")).toHaveAttribute("href", "/category/toys");
+    });
+});
@@ -0,0 +1,26 @@
+import React from "react";
+import moment from "moment";
+import { statusLabel } from "../helpers/orderHelper";
+
+// status changes of an order, oldest first; admins also see who made them
+const OrderTimeline = ({ history, showActor = false }) => {
+  if (!history?.length) return null;
+  return (
+    <ul className="list-unstyled border-start border-2 ps-3 ms-3 mb-3">
+      {history.map((entry, i) => (
+        <li key={entry._id || i} className="mb-1">
+          <strong>{statusLabel(entry.to)}</strong>
+          <span className="text-muted ms-2">
+            {moment(entry.changedAt).format("D MMM YYYY, h:mm a")}
+          </span>
+          {showActor && entry.changedBy?.name && (
+            <span className="text-muted"> by {entry.changedBy.name}</span>
+          )}
+          {entry.note && <div className="small">{entry.note}</div>}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+export default OrderTimeline;
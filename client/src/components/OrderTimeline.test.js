@@ -0,0 +1,47 @@
+/** @jest-environment jsdom */
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import OrderTimeline from "./OrderTimeline";
+
+const history = [
+  {
+    _id: "h1",
+    to: "pending",
+    changedBy: { name: "Buyer" },
+    changedAt: "2025-02-09T13:53:54.339Z",
+  },
+  {
+    _id: "h2",
+    from: "pending",
+    to: "processing",
+    changedBy: { name: "Admin" },
+    note: "Packed and ready",
+    changedAt: "2025-02-10T09:00:00.000Z",
+  },
+];
+
+describe("OrderTimeline component", () => {
+  it("renders nothing without history", () => {
+    const { container } = render(<OrderTimeline history={[]} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("renders each status change in order", () => {
+    render(<OrderTimeline history={history} />);
+
+    const items = screen.getAllByRole("listitem");
+    expect(items).toHaveLength(2);
+    expect(items[0]).toHaveTextContent("Pending");
+    expect(items[1]).toHaveTextContent("Processing");
+    expect(screen.getByText("Packed and ready")).toBeInTheDocument();
+    expect(screen.queryByText(/by Admin/)).not.toBeInTheDocument();
+  });
+
+  it("shows who made each change when asked", () => {
+    render(<OrderTimeline history={history} showActor />);
+
+    expect(screen.getByText("by Admin")).toBeInTheDocument();
+    expect(screen.getByText("by Buyer")).toBeInTheDocument();
+  });
+});
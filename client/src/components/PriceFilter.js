@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from "react";
+import { Slider } from "antd";
+
+const dollars = (value) => `$${value}`;
+
+//price range slider over the prices the catalog has, with a bar per price
+//band showing how many products fall in it. An end left at the edge of the
+//range is no limit and is passed on as undefined
+const PriceFilter = ({ price, minPrice, maxPrice, onChange }) => {
+  const low = Math.floor(price.min ?? 0);
+  const high = Math.ceil(price.max ?? 0);
+  const clamp = (value, fallback) =>
+    value === undefined ? fallback : Math.min(Math.max(value, low), high);
+  const from = clamp(minPrice, low);
+  const to = clamp(maxPrice, high);
+  //the range while a handle is being dragged, before the filters change
+  const [range, setRange] = useState([from, to]);
+
+  useEffect(() => {
+    setRange([from, to]);
+  }, [from, to]);
+
+  if (price.min === null) {
+    return <p className="text-center text-muted">No prices to filter by</p>;
+  }
+
+  const tallest = Math.max(...price.buckets.map((bucket) => bucket.count), 1);
+
+  return (
+    <div className="price-filter px-3">
+      <div className="price-histogram d-flex align-items-end">
+        {price.buckets.map((bucket) => (
+          <div
+            key={bucket.min}
+            className={`flex-fill ${
+              bucket.max > range[0] && bucket.min <= range[1] ? "in-range" : ""
+            }`}
+            style={{ height: `${(bucket.count / tallest) * 100}%` }}
+            title={`${dollars(bucket.min)} to ${dollars(bucket.max)}: ${
+              bucket.count
+            }`}
+          />
+        ))}
+      </div>
+      <Slider
+        range
+        min={low}
+        max={high}
+        value={range}
+        disabled={low === high}
+        tooltip={{ formatter: dollars }}
+        ariaLabelForHandle={["Lowest price", "Highest price"]}
+        onChange={setRange}
+        onChangeComplete={([min, max]) =>
+          onChange({
+            minPrice: min > low ? min : undefined,
+            maxPrice: max < high ? max : undefined,
+          })
+        }
+      />
+      <div className="d-flex justify-content-between text-muted">
+        <span>{dollars(range[0])}</span>
+        <span>{dollars(range[1])}</span>
+      </div>
+    </div>
+  );
+};
+
+export default PriceFilter;
@@ -0,0 +1,105 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import PriceFilter from "./PriceFilter";
+
+const price = {
+  min: 4.5,
+  max: 29,
+  buckets: [
+    { min: 0, max: 10, count: 4 },
+    { min: 10, max: 20, count: 0 },
+    { min: 20, max: 30, count: 2 },
+  ],
+};
+
+describe("PriceFilter", () => {
+  it("spans the prices of the catalog without a chosen range", () => {
+    render(<PriceFilter price={price} onChange={jest.fn()} />);
+
+    expect(screen.getByLabelText("Lowest price")).toHaveAttribute(
+      "aria-valuenow",
+      "4"
+    );
+    expect(screen.getByLabelText("Highest price")).toHaveAttribute(
+      "aria-valuenow",
+      "29"
+    );
+    expect(screen.getByText("$4")).toBeInTheDocument();
+    expect(screen.getByText("$29")).toBeInTheDocument();
+  });
+
+  it("draws a bar per price band as tall as its count", () => {
+    render(<PriceFilter price={price} maxPrice={15} onChange={jest.fn()} />);
+
+    const bars = [
+      screen.getByTitle("$0 to $10: 4"),
+      screen.getByTitle("$10 to $20: 0"),
+      screen.getByTitle("$20 to $30: 2"),
+    ];
+    expect(bars[0]).toHaveStyle({ height: "100%" });
+    expect(bars[2]).toHaveStyle({ height: "50%" });
+    expect(bars.map((bar) => bar.classList.contains("in-range"))).toEqual([
+      true,
+      true,
+      false,
+    ]);
+  });
+
+  it("keeps a chosen range inside the prices of the catalog", () => {
+    render(
+      <PriceFilter
+        price={price}
+        minPrice={10}
+        maxPrice={500}
+        onChange={jest.fn()}
+      />
+    );
+
+    expect(screen.getByLabelText("Lowest price")).toHaveAttribute(
+      "aria-valuenow",
+      "10"
+    );
+    expect(screen.getByLabelText("Highest price")).toHaveAttribute(
+      "aria-valuenow",
+      "29"
+    );
+  });
+
+  it("passes on the range once a handle is moved", () => {
+    const onChange = jest.fn();
+    render(<PriceFilter price={price} maxPrice={20} onChange={onChange} />);
+
+    const handle = screen.getByLabelText("Lowest price");
+    fireEvent.keyDown(handle, { key: "ArrowRight", keyCode: 39 });
+    fireEvent.keyUp(handle, { key: "ArrowRight", keyCode: 39 });
+
+    expect(onChange).toHaveBeenCalledWith({ minPrice: 5, maxPrice: 20 });
+  });
+
+  it("drops the limit of a handle moved back to the edge", () => {
+    const onChange = jest.fn();
+    render(<PriceFilter price={price} maxPrice={28} onChange={onChange} />);
+
+    const handle = screen.getByLabelText("Highest price");
+    fireEvent.keyDown(handle, { key: "ArrowRight", keyCode: 39 });
+    fireEvent.keyUp(handle, { key: "ArrowRight", keyCode: 39 });
+
+    expect(onChange).toHaveBeenCalledWith({
+      minPrice: undefined,
+      maxPrice: undefined,
+    });
+  });
+
+  it("says so when no product has a price to filter by", () => {
+    render(
+      <PriceFilter
+        price={{ min: null, max: null, buckets: [] }}
+        onChange={jest.fn()}
+      />
+    );
+
+    expect(screen.getByText("No prices to filter by")).toBeInTheDocument();
+    expect(screen.queryByRole("slider")).not.toBeInTheDocument();
+  });
+});
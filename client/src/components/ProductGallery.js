@@ -0,0 +1,100 @@
+import React, { useEffect, useState } from "react";
+import {
+  galleryPhoto,
+  productPhoto,
+  variantPhoto,
+} from "../helpers/photoHelper";
+
+// every photo of a product as a function from width to url, the chosen
+// variant's own photo first; a product without a gallery shows its single
+// photo
+const galleryPhotos = (product, variant) => {
+  const photos = (product.images || []).map(
+    (_, index) => (width) => galleryPhoto(product, index, width)
+  );
+  if (!photos.length) photos.push((width) => productPhoto(product, width));
+  if (variant?.photo?.contentType) {
+    photos.unshift((width) => variantPhoto(product, variant, width));
+  }
+  return photos;
+};
+
+// the photo to open on: the variant's own photo, else the primary image
+const startIndex = (product, variant) => {
+  if (variant?.photo?.contentType) return 0;
+  return Math.max(
+    (product.images || []).findIndex((image) => image.primary),
+    0
+  );
+};
+
+//main photo with thumbnails underneath; clicking the main photo zooms it
+//in around the pointer
+const ProductGallery = ({ product, variant }) => {
+  const photos = galleryPhotos(product, variant);
+  const start = startIndex(product, variant);
+  const [selected, setSelected] = useState(start);
+  const [zoomed, setZoomed] = useState(false);
+  const [origin, setOrigin] = useState("center");
+
+  //back to the first photo when another product or variant is shown
+  useEffect(() => {
+    setSelected(start);
+    setZoomed(false);
+  }, [product._id, variant?._id, start]);
+
+  const follow = (e) => {
+    const box = e.currentTarget.getBoundingClientRect();
+    if (!box.width || !box.height) return;
+    const x = ((e.clientX - box.left) / box.width) * 100;
+    const y = ((e.clientY - box.top) / box.height) * 100;
+    setOrigin(`${x}% ${y}%`);
+  };
+
+  const current = photos[selected] ? selected : 0;
+
+  return (
+    <div className="product-gallery">
+      <button
+        type="button"
+        className={`product-gallery-main ${zoomed ? "zoomed" : ""}`}
+        aria-label={zoomed ? "Zoom out" : "Zoom in"}
+        onClick={() => setZoomed(!zoomed)}
+        onMouseMove={follow}
+        onMouseLeave={() => setZoomed(false)}
+      >
+        <img
+          src={photos[current](600)}
+          alt={product.name}
+          style={{
+            transform: zoomed ? "scale(2)" : "none",
+            transformOrigin: origin,
+          }}
+        />
+      </button>
+      {photos.length > 1 && (
+        <div className="product-gallery-thumbs d-flex flex-wrap mt-2">
+          {photos.map((photo, index) => (
+            <button
+              type="button"
+              key={photo()}
+              className={`btn p-0 me-2 mb-2 ${
+                index === current ? "border-dark" : ""
+              }`}
+              aria-label={`Show photo ${index + 1}`}
+              aria-pressed={index === current}
+              onClick={() => {
+                setSelected(index);
+                setZoomed(false);
+              }}
+            >
+              <img src={photo(100)} alt="" height="60" width="60" />
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ProductGallery;
@@ -0,0 +1,73 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import ProductGallery from "./ProductGallery";
+
+const product = {
+  _id: "p1",
+  name: "Hoodie",
+  images: [
+    { _id: "img1", contentType: "image/png" },
+    { _id: "img2", contentType: "image/png", primary: true },
+  ],
+};
+const variant = { _id: "v1", sku: "HD-M", photo: { contentType: "image/png" } };
+
+const mainPhoto = () => screen.getByAltText("Hoodie");
+
+describe("ProductGallery", () => {
+  it("opens on the primary image with a thumbnail for every photo", () => {
+    render(<ProductGallery product={product} />);
+
+    expect(mainPhoto()).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-photo/p1/1?w=600"
+    );
+    expect(screen.getByLabelText("Show photo 2")).toHaveAttribute(
+      "aria-pressed",
+      "true"
+    );
+    expect(
+      screen.getByLabelText("Show photo 2").querySelector("img")
+    ).toHaveAttribute("src", "/api/v1/product/product-photo/p1/1?w=100");
+
+    fireEvent.click(screen.getByLabelText("Show photo 1"));
+
+    expect(mainPhoto()).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-photo/p1/0?w=600"
+    );
+  });
+
+  it("shows the single photo of a product without a gallery", () => {
+    render(<ProductGallery product={{ _id: "p2", name: "Hoodie" }} />);
+
+    expect(mainPhoto()).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-photo/p2?w=600"
+    );
+    expect(screen.queryByLabelText("Show photo 1")).not.toBeInTheDocument();
+  });
+
+  it("switches to the photo of the chosen variant", () => {
+    const { rerender } = render(<ProductGallery product={product} />);
+
+    rerender(<ProductGallery product={product} variant={variant} />);
+
+    expect(mainPhoto()).toHaveAttribute(
+      "src",
+      "/api/v1/product/variant-photo/p1/v1?w=600"
+    );
+    expect(screen.getByLabelText("Show photo 3")).toBeInTheDocument();
+  });
+
+  it("zooms in and out when the main photo is clicked", () => {
+    render(<ProductGallery product={product} />);
+
+    fireEvent.click(screen.getByLabelText("Zoom in"));
+    expect(mainPhoto()).toHaveStyle({ transform: "scale(2)" });
+
+    fireEvent.click(screen.getByLabelText("Zoom out"));
+    expect(mainPhoto()).toHaveStyle({ transform: "none" });
+  });
+});
@@ -0,0 +1,88 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import { useAuth } from "../context/auth";
+import ReviewForm from "./Form/ReviewForm";
+import StarRating from "./StarRating";
+
+//reviews of a product, plus the form for buyers who received it
+const ProductReviews = ({ productId, onRatingChange }) => {
+  const [auth] = useAuth();
+  const [reviews, setReviews] = useState([]);
+  const [mine, setMine] = useState({ canReview: false, review: null });
+
+  const getReviews = async () => {
+    try {
+      const { data } = await axios.get(
+        `/api/v1/product/${productId}/reviews`
+      );
+      setReviews(data?.reviews);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  const getMine = async () => {
+    try {
+      const { data } = await axios.get(
+        `/api/v1/product/${productId}/reviews/mine`
+      );
+      setMine({ canReview: data?.canReview, review: data?.review });
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (!productId) return;
+    getReviews();
+    if (auth?.token) getMine();
+    //eslint-disable-next-line
+  }, [productId, auth?.token]);
+
+  const handleSubmit = async (review) => {
+    try {
+      const { data } = await axios.post(
+        `/api/v1/product/${productId}/reviews`,
+        review
+      );
+      toast.success(data.message);
+      setMine({ canReview: true, review: data.review });
+      onRatingChange?.(data.rating);
+      getReviews();
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Could not save review");
+    }
+  };
+
+  return (
+    <div className="row container product-reviews">
+      <h4>Reviews</h4>
+      {mine.canReview && (
+        <div className="mb-3">
+          <h6>{mine.review ? "Your review" : "Write a review"}</h6>
+          <ReviewForm
+            key={mine.review?._id || "new"}
+            review={mine.review}
+            onSubmit={handleSubmit}
+          />
+        </div>
+      )}
+      {!reviews?.length && <p>No reviews yet</p>}
+      {reviews?.map((r) => (
+        <div className="border p-3 mb-2" key={r._id}>
+          <StarRating value={r.rating} />
+          <h6 className="mt-1">{r.title}</h6>
+          <p className="mb-1">{r.body}</p>
+          <small className="text-muted">
+            {r.user?.name} {moment(r.createdAt).fromNow()}
+          </small>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default ProductReviews;
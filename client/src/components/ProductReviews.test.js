@@ -0,0 +1,162 @@
+import React from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import ProductReviews from "./ProductReviews";
+import { useAuth } from "../context/auth";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+jest.mock("../context/auth", () => ({
+  useAuth: jest.fn(),
+}));
+
+const PRODUCT_ID = "66db427fdb0119d9234b27f9";
+
+const review = {
+  _id: "r1",
+  rating: 4,
+  title: "Great read",
+  body: "Could not put it down",
+  user: { name: "Test Buyer" },
+  createdAt: new Date().toISOString(),
+};
+
+//answers the list and the signed in user's own review
+const mockReviews = ({ reviews = [review], mine } = {}) => {
+  axios.get.mockImplementation((url) =>
+    Promise.resolve({
+      data: url.endsWith("/mine")
+        ? { success: true, review: null, canReview: false, ...mine }
+        : { success: true, reviews },
+    })
+  );
+};
+
+describe("ProductReviews", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    useAuth.mockReturnValue([{ token: "", user: null }, jest.fn()]);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("lists the reviews of the product", async () => {
+    mockReviews();
+
+    render(<ProductReviews productId={PRODUCT_ID} />);
+
+    expect(await screen.findByText("Great read")).toBeInTheDocument();
+    expect(screen.getByText("Could not put it down")).toBeInTheDocument();
+    expect(screen.getByText(/Test Buyer/)).toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledWith(
+      `/api/v1/product/${PRODUCT_ID}/reviews`
+    );
+    //signed out users are not asked for their review
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    expect(screen.queryByText("Write a review")).not.toBeInTheDocument();
+  });
+
+  it("says when there are no reviews", async () => {
+    mockReviews({ reviews: [] });
+
+    render(<ProductReviews productId={PRODUCT_ID} />);
+
+    expect(await screen.findByText("No reviews yet")).toBeInTheDocument();
+  });
+
+  it("waits for the product before loading", () => {
+    render(<ProductReviews />);
+
+    expect(axios.get).not.toHaveBeenCalled();
+  });
+
+  it("hides the form from users who cannot review", async () => {
+    useAuth.mockReturnValue([{ token: "token" }, jest.fn()]);
+    mockReviews();
+
+    render(<ProductReviews productId={PRODUCT_ID} />);
+
+    await waitFor(() =>
+      expect(axios.get).toHaveBeenCalledWith(
+        `/api/v1/product/${PRODUCT_ID}/reviews/mine`
+      )
+    );
+    expect(screen.queryByText("Submit Review")).not.toBeInTheDocument();
+  });
+
+  it("lets a buyer who received the product post a review", async () => {
+    useAuth.mockReturnValue([{ token: "token" }, jest.fn()]);
+    mockReviews({ reviews: [], mine: { canReview: true } });
+    const saved = { ...review, _id: "r2", title: "Lovely" };
+    const rating = { average: 4, count: 1 };
+    axios.post.mockResolvedValue({
+      data: { success: true, message: "Review Saved", review: saved, rating },
+    });
+    const onRatingChange = jest.fn();
+
+    render(
+      <ProductReviews productId={PRODUCT_ID} onRatingChange={onRatingChange} />
+    );
+
+    expect(await screen.findByText("Write a review")).toBeInTheDocument();
+    fireEvent.change(screen.getByLabelText("Rating"), {
+      target: { value: "4" },
+    });
+    fireEvent.change(screen.getByPlaceholderText("Review title"), {
+      target: { value: "Lovely" },
+    });
+    fireEvent.change(screen.getByPlaceholderText("What did you think?"), {
+      target: { value: "Could not put it down" },
+    });
+    fireEvent.click(screen.getByText("Submit Review"));
+
+    await waitFor(() =>
+      expect(axios.post).toHaveBeenCalledWith(
+        `/api/v1/product/${PRODUCT_ID}/reviews`,
+        { rating: 4, title: "Lovely", body: "Could not put it down" }
+      )
+    );
+    expect(toast.success).toHaveBeenCalledWith("Review Saved");
+    expect(onRatingChange).toHaveBeenCalledWith(rating);
+    expect(await screen.findByText("Your review")).toBeInTheDocument();
+    expect(screen.getByText("Update Review")).toBeInTheDocument();
+  });
+
+  it("shows the server message when saving fails", async () => {
+    useAuth.mockReturnValue([{ token: "token" }, jest.fn()]);
+    mockReviews({ mine: { canReview: true, review } });
+    axios.post.mockRejectedValue({
+      response: {
+        data: {
+          message: "Only buyers who have received this product can review it",
+        },
+      },
+    });
+
+    render(<ProductReviews productId={PRODUCT_ID} />);
+
+    fireEvent.click(await screen.findByText("Update Review"));
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith(
+        "Only buyers who have received this product can review it"
+      )
+    );
+  });
+
+  it("logs errors while loading reviews", async () => {
+    useAuth.mockReturnValue([{ token: "token" }, jest.fn()]);
+    const error = new Error("Network Error");
+    axios.get.mockRejectedValue(error);
+
+    render(<ProductReviews productId={PRODUCT_ID} />);
+
+    await waitFor(() => expect(console.log).toHaveBeenCalledTimes(2));
+    expect(console.log).toHaveBeenCalledWith(error);
+  });
+});
@@ -0,0 +1,23 @@
+import React from "react";
+import { AiFillStar, AiOutlineStar } from "react-icons/ai";
+
+//rating out of five as stars, with the number of reviews when given.
+//Ratings start at 1 so a missing or 0 value means nothing to show
+const StarRating = ({ value, count }) => {
+  if (!value) return null;
+  const filled = Math.round(value);
+  return (
+    <div className="star-rating text-warning" title={`${value} out of 5`}>
+      {[1, 2, 3, 4, 5].map((n) =>
+        n <= filled ? <AiFillStar key={n} /> : <AiOutlineStar key={n} />
+      )}
+      {count !== undefined && (
+        <span className="text-muted ms-1">
+          {value} ({count})
+        </span>
+      )}
+    </div>
+  );
+};
+
+export default StarRating;
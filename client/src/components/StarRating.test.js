@@ -0,0 +1,31 @@
+import React from "react";
+import { render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import StarRating from "./StarRating";
+
+describe("StarRating", () => {
+  it("shows the average and the number of reviews", () => {
+    const { container } = render(<StarRating value={4.3} count={12} />);
+
+    expect(screen.getByText("4.3 (12)")).toBeInTheDocument();
+    expect(screen.getByTitle("4.3 out of 5")).toBeInTheDocument();
+    expect(container.querySelectorAll("svg")).toHaveLength(5);
+  });
+
+  it("shows only the stars of a single review", () => {
+    render(<StarRating value={2} />);
+
+    expect(screen.getByTitle("2 out of 5")).toBeInTheDocument();
+    expect(screen.queryByText(/\(/)).not.toBeInTheDocument();
+  });
+
+  it("renders nothing for products without reviews", () => {
+    const { container } = render(<StarRating value={0} count={0} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("renders nothing when the product has no rating yet", () => {
+    const { container } = render(<StarRating />);
+    expect(container).toBeEmptyDOMElement();
+  });
+});
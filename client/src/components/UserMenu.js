@@ -17,6 +17,12 @@ const UserMenu = () => {
             className="list-group-item list-group-item-action"
           >
             Orders
+          </NavLink>
+          <NavLink
+            to="/dashboard/user/wishlist"
+            className="list-group-item list-group-item-action"
+          >
+            Wishlist
           </NavLink>         
         </div>
       </div>
@@ -46,4 +46,11 @@ describe("Navigation links", () => {
     expect(screen.getByRole('link', { name: /orders/i }))
       .toHaveAttribute('href', '/dashboard/user/orders');
   });
-});
\ No newline at end of file
+
+  test("wishlist navigation links point to correct routes", () => {
+    renderUserMenu();
+
+    expect(screen.getByRole('link', { name: /wishlist/i }))
+      .toHaveAttribute('href', '/dashboard/user/wishlist');
+  });
+});
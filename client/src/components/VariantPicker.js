@@ -0,0 +1,33 @@
+import React from "react";
+import { variantLabel } from "../helpers/cartHelper";
+
+//buttons to pick one variant of a product; sold out variants stay visible
+const VariantPicker = ({ variants, value, onChange }) => {
+  if (!variants?.length) return null;
+
+  return (
+    <div className="variant-picker mb-2" role="group" aria-label="Options">
+      {variants.map((v) => {
+        const soldOut = v.quantity < 1;
+        return (
+          <button
+            type="button"
+            key={v._id}
+            className={`btn btn-sm me-1 mb-1 ${
+              v._id === value ? "btn-dark" : "btn-outline-dark"
+            }`}
+            aria-pressed={v._id === value}
+            disabled={soldOut}
+            title={soldOut ? "Sold out" : `SKU ${v.sku}`}
+            onClick={() => onChange(v._id)}
+          >
+            {variantLabel(v)}
+            {soldOut && " (sold out)"}
+          </button>
+        );
+      })}
+    </div>
+  );
+};
+
+export default VariantPicker;
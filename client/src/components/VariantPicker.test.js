@@ -0,0 +1,48 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import VariantPicker from "./VariantPicker";
+
+const variants = [
+  { _id: "v1", sku: "SH-M", size: "M", colour: "Red", quantity: 2 },
+  { _id: "v2", sku: "SH-L", size: "L", quantity: 0 },
+  { _id: "v3", sku: "SH-XL", quantity: 5 },
+];
+
+describe("VariantPicker", () => {
+  it("renders nothing for a product without variants", () => {
+    const { container } = render(
+      <VariantPicker variants={[]} onChange={jest.fn()} />
+    );
+
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  it("names each variant by its options or sku", () => {
+    render(<VariantPicker variants={variants} onChange={jest.fn()} />);
+
+    expect(screen.getByRole("button", { name: "M / Red" })).toBeEnabled();
+    expect(screen.getByRole("button", { name: "SH-XL" })).toBeEnabled();
+  });
+
+  it("marks the chosen variant and reports a new choice", () => {
+    const onChange = jest.fn();
+    render(
+      <VariantPicker variants={variants} value="v1" onChange={onChange} />
+    );
+
+    expect(screen.getByRole("button", { name: "M / Red" })).toHaveAttribute(
+      "aria-pressed",
+      "true"
+    );
+    fireEvent.click(screen.getByRole("button", { name: "SH-XL" }));
+
+    expect(onChange).toHaveBeenCalledWith("v3");
+  });
+
+  it("does not let a sold out variant be picked", () => {
+    render(<VariantPicker variants={variants} onChange={jest.fn()} />);
+
+    expect(screen.getByRole("button", { name: "L (sold out)" })).toBeDisabled();
+  });
+});
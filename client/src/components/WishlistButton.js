@@ -0,0 +1,25 @@
+import React from "react";
+import { AiFillHeart, AiOutlineHeart } from "react-icons/ai";
+import { inWishlist, useWishlist } from "../context/wishlist";
+
+//heart that saves a product to the wishlist or takes it out again
+const WishlistButton = ({ product }) => {
+  const [wishlist, addToWishlist, removeFromWishlist] = useWishlist();
+  const saved = inWishlist(wishlist, product._id);
+
+  return (
+    <button
+      type="button"
+      className="btn btn-link text-danger p-0 wishlist-toggle"
+      aria-label={saved ? "Remove from wishlist" : "Add to wishlist"}
+      aria-pressed={saved}
+      onClick={() =>
+        saved ? removeFromWishlist(product._id) : addToWishlist(product)
+      }
+    >
+      {saved ? <AiFillHeart size={22} /> : <AiOutlineHeart size={22} />}
+    </button>
+  );
+};
+
+export default WishlistButton;
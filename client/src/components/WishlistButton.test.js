@@ -0,0 +1,51 @@
+import React from "react";
+import { fireEvent, render, screen } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import WishlistButton from "./WishlistButton";
+import { useWishlist } from "../context/wishlist";
+
+jest.mock("../context/wishlist", () => ({
+  ...jest.requireActual("../context/wishlist"),
+  useWishlist: jest.fn(),
+}));
+
+const product = { _id: "p1", name: "Novel" };
+
+describe("WishlistButton", () => {
+  const addToWishlist = jest.fn();
+  const removeFromWishlist = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("saves a product that is not in the wishlist", () => {
+    useWishlist.mockReturnValue([[], addToWishlist, removeFromWishlist]);
+    render(<WishlistButton product={product} />);
+
+    const button = screen.getByRole("button", { name: "Add to wishlist" });
+    expect(button).toHaveAttribute("aria-pressed", "false");
+    fireEvent.click(button);
+
+    expect(addToWishlist).toHaveBeenCalledWith(product);
+    expect(removeFromWishlist).not.toHaveBeenCalled();
+  });
+
+  it("takes a saved product out of the wishlist", () => {
+    useWishlist.mockReturnValue([
+      [{ _id: "p1" }],
+      addToWishlist,
+      removeFromWishlist,
+    ]);
+    render(<WishlistButton product={product} />);
+
+    const button = screen.getByRole("button", {
+      name: "Remove from wishlist",
+    });
+    expect(button).toHaveAttribute("aria-pressed", "true");
+    fireEvent.click(button);
+
+    expect(removeFromWishlist).toHaveBeenCalledWith("p1");
+    expect(addToWishlist).not.toHaveBeenCalled();
+  });
+});
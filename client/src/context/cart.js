@@ -1,16 +1,114 @@
-import { useState, useContext, createContext, useEffect } from "react";
+import axios from "axios";
+import { useState, useContext, createContext, useEffect, useRef } from "react";
+import { useAuth } from "./auth";
+import {
+  fromCartItems,
+  lineKey,
+  normalizeCart,
+} from "../helpers/cartHelper";
 
 const CartContext = createContext();
+
+// quantity of each line in a cart, by lineKey
+const quantities = (cart) =>
+  Object.fromEntries(cart.map((line) => [lineKey(line), line.quantity]));
+
+// url of a server cart line; a variant line is picked by the variant query
+const itemUrl = (key) => {
+  const [productId, variantId] = key.split(":");
+  return variantId
+    ? `/api/v1/cart/items/${productId}?variant=${variantId}`
+    : `/api/v1/cart/items/${productId}`;
+};
+
 const CartProvider = ({ children }) => {
+  const [auth] = useAuth();
   const [cart, setCart] = useState([]);
+  const signedIn = useRef(false);
+  //the server cart sync running now; each change waits for the one before
+  //it, so quick edits reach the server in the order they were made
+  const syncing = useRef(Promise.resolve());
 
   useEffect(() => {
     let existingCartItem = localStorage.getItem("cart");
-    if (existingCartItem) setCart(JSON.parse(existingCartItem));
+    if (existingCartItem) setCart(normalizeCart(JSON.parse(existingCartItem)));
   }, []);
 
+  //load the server cart once signed in, drop the local copy on logout
+  useEffect(() => {
+    if (auth?.token) {
+      signedIn.current = true;
+      getServerCart();
+    } else if (signedIn.current) {
+      signedIn.current = false;
+      setCart([]);
+      localStorage.removeItem("cart");
+    }
+    //eslint-disable-next-line
+  }, [auth?.token]);
+
+  const getServerCart = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/cart");
+      if (data?.success) {
+        const serverCart = fromCartItems(data.cart);
+        setCart(serverCart);
+        localStorage.setItem("cart", JSON.stringify(serverCart));
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  //push quantity changes to the server cart
+  const syncServerCart = async (previous, next) => {
+    try {
+      if (!next.length) {
+        if (previous.length) await axios.delete("/api/v1/cart");
+        return;
+      }
+      const before = quantities(previous);
+      const after = quantities(next);
+      const ids = new Set([...Object.keys(before), ...Object.keys(after)]);
+      for (const id of ids) {
+        if (before[id] === after[id]) continue;
+        if (!after[id]) {
+          await axios.delete(itemUrl(id));
+        } else if (!before[id]) {
+          const [productId, variantId] = id.split(":");
+          await axios.post("/api/v1/cart/items", {
+            productId,
+            ...(variantId && { variantId }),
+            quantity: after[id],
+          });
+        } else {
+          await axios.put(itemUrl(id), {
+            quantity: after[id],
+          });
+        }
+      }
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  const updateCart = (next) => {
+    if (auth?.token) {
+      const previous = cart;
+      syncing.current = syncing.current.then(() =>
+        syncServerCart(previous, next)
+      );
+    }
+    setCart(next);
+    if (next.length) {
+      localStorage.setItem("cart", JSON.stringify(next));
+    } else {
+      localStorage.removeItem("cart");
+    }
+  };
+
   return (
-    <CartContext.Provider value={[cart, setCart]}>
+    <CartContext.Provider value={[cart, updateCart]}>
       {children}
     </CartContext.Provider>
   );
@@ -19,4 +117,4 @@ const CartProvider = ({ children }) => {
 // custom hook
 const useCart = () => useContext(CartContext);
 
-export { useCart, CartProvider };
\ No newline at end of file
+export { useCart, CartProvider };
@@ -7,9 +7,14 @@ import {
   act,
 } from "@testing-library/react";
 import "@testing-library/jest-dom/extend-expect";
+import axios from "axios";
+import { AuthProvider } from "./auth";
 import { CartProvider, useCart } from "./cart";
+import { addToCart, cartTotal, removeFromCart } from "../helpers/cartHelper";
 import { BrowserRouter } from "react-router-dom";
 
+jest.mock("axios");
+
 // Mock localStorage
 const localStorageMock = (() => {
   let store = {};
@@ -56,6 +61,23 @@ const sampleCartItems = [
   },
 ];
 
+// A product sold in sizes, each with its own stock
+const sizedProduct = {
+  _id: "product3",
+  name: "Test Shirt",
+  description: "This is a test shirt",
+  price: 20,
+  quantity: 5,
+  variants: [{ _id: "variant1", sku: "SHIRT-M", size: "M", quantity: 5 }],
+};
+
+// The same products as cart lines, with the units in the cart
+const sampleCartLines = sampleCartItems.map((product) => ({
+  productId: product._id,
+  quantity: product.quantity,
+  product,
+}));
+
 // Create test components that use the cart context
 const CartDisplay = () => {
   const [cart] = useCart();
@@ -64,16 +86,13 @@ const CartDisplay = () => {
       <h2>Cart Items</h2>
       <p data-testid="cart-count">Items in cart: {cart.length}</p>
       <ul>
-        {cart.map((item) => (
-          <li key={item._id} data-testid={`cart-item-${item._id}`}>
-            {item.name} - ${item.price} x {item.quantity}
+        {cart.map((line) => (
+          <li key={line.productId} data-testid={`cart-item-${line.productId}`}>
+            {line.product.name} - ${line.product.price} x {line.quantity}
           </li>
         ))}
       </ul>
-      <p data-testid="cart-total">
-        Total: $
-        {cart.reduce((sum, item) => sum + item.price * item.quantity, 0)}
-      </p>
+      <p data-testid="cart-total">Total: ${cartTotal(cart)}</p>
     </div>
   );
 };
@@ -81,36 +100,12 @@ const CartDisplay = () => {
 const CartActions = () => {
   const [cart, setCart] = useCart();
 
-  const addProduct = (product) => {
-    // Check if product already exists in cart
-    const existingProduct = cart.find((item) => item._id === product._id);
-    if (existingProduct) {
-      // Update quantity
-      const updatedCart = cart.map((item) =>
-        item._id === product._id
-          ? { ...item, quantity: item.quantity + 1 }
-          : item
-      );
-      setCart(updatedCart);
-      localStorage.setItem("cart", JSON.stringify(updatedCart));
-    } else {
-      // Add new product
-      const newCart = [...cart, { ...product, quantity: 1 }];
-      setCart(newCart);
-      localStorage.setItem("cart", JSON.stringify(newCart));
-    }
-  };
+  const addProduct = (product) => setCart(addToCart(cart, product));
 
-  const removeProduct = (productId) => {
-    const updatedCart = cart.filter((item) => item._id !== productId);
-    setCart(updatedCart);
-    localStorage.setItem("cart", JSON.stringify(updatedCart));
-  };
+  const removeProduct = (productId) =>
+    setCart(removeFromCart(cart, productId));
 
-  const clearCart = () => {
-    setCart([]);
-    localStorage.removeItem("cart");
-  };
+  const clearCart = () => setCart([]);
 
   return (
     <div>
@@ -138,6 +133,14 @@ const CartActions = () => {
       >
         Remove Product 2
       </button>
+      <button
+        data-testid="add-variant"
+        onClick={() =>
+          setCart(addToCart(cart, sizedProduct, 1, sizedProduct.variants[0]))
+        }
+      >
+        Add Shirt M
+      </button>
       <button data-testid="clear-cart" onClick={clearCart}>
         Clear Cart
       </button>
@@ -149,10 +152,12 @@ const CartActions = () => {
 const TestApp = () => {
   return (
     <BrowserRouter>
-      <CartProvider>
-        <CartDisplay />
-        <CartActions />
-      </CartProvider>
+      <AuthProvider>
+        <CartProvider>
+          <CartDisplay />
+          <CartActions />
+        </CartProvider>
+      </AuthProvider>
     </BrowserRouter>
   );
 };
@@ -178,7 +183,7 @@ describe("Cart Context and Functionality", () => {
 
   test("loads existing cart items from localStorage on mount", async () => {
     // Arrange
-    localStorage.getItem.mockReturnValueOnce(JSON.stringify(sampleCartItems));
+    localStorage.getItem.mockReturnValueOnce(JSON.stringify(sampleCartLines));
 
     // Act
     render(<TestApp />);
@@ -192,6 +197,25 @@ describe("Cart Context and Functionality", () => {
     expect(screen.getByTestId("cart-item-product2")).toBeInTheDocument();
   });
 
+  test("converts a saved cart of repeated products into lines", async () => {
+    // Arrange
+    localStorage.getItem.mockReturnValueOnce(
+      JSON.stringify([sampleCartItems[0], sampleCartItems[1], sampleCartItems[0]])
+    );
+
+    // Act
+    render(<TestApp />);
+
+    // Assert
+    expect(screen.getByTestId("cart-count")).toHaveTextContent(
+      "Items in cart: 2"
+    );
+    expect(screen.getByTestId("cart-item-product1")).toHaveTextContent(
+      "Test Product 1 - $100 x 2"
+    );
+    expect(screen.getByTestId("cart-total")).toHaveTextContent("Total: $400");
+  });
+
   test("adds a new product to the cart", async () => {
     // Arrange
     render(<TestApp />);
@@ -245,7 +269,7 @@ describe("Cart Context and Functionality", () => {
 
   test("removes a product from the cart", async () => {
     // Arrange
-    localStorage.getItem.mockReturnValueOnce(JSON.stringify(sampleCartItems));
+    localStorage.getItem.mockReturnValueOnce(JSON.stringify(sampleCartLines));
     render(<TestApp />);
 
     // Initial state check
@@ -267,7 +291,7 @@ describe("Cart Context and Functionality", () => {
 
   test("clears the entire cart", async () => {
     // Arrange
-    localStorage.getItem.mockReturnValueOnce(JSON.stringify(sampleCartItems));
+    localStorage.getItem.mockReturnValueOnce(JSON.stringify(sampleCartLines));
     render(<TestApp />);
 
     // Initial state check
@@ -333,8 +357,7 @@ describe("Cart Context and Functionality", () => {
         <button
           data-testid="nested-add"
           onClick={() => {
-            const newCart = [...cart, { ...sampleCartItems[0], quantity: 1 }];
-            setCart(newCart);
+            setCart(addToCart(cart, sampleCartItems[0]));
           }}
         >
           Add from nested
@@ -355,10 +378,12 @@ describe("Cart Context and Functionality", () => {
     // Act
     render(
       <BrowserRouter>
-        <CartProvider>
-          <CartDisplay />
-          <DeepNesting />
-        </CartProvider>
+        <AuthProvider>
+          <CartProvider>
+            <CartDisplay />
+            <DeepNesting />
+          </CartProvider>
+        </AuthProvider>
       </BrowserRouter>
     );
 
@@ -377,3 +402,198 @@ describe("Cart Context and Functionality", () => {
     expect(screen.getByTestId("cart-item-product1")).toBeInTheDocument();
   });
 });
+
+describe("Cart Context with a signed in user", () => {
+  const auth = { user: { _id: "user1", name: "Tester" }, token: "token" };
+
+  beforeEach(() => {
+    localStorage.clear();
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    localStorage.setItem("auth", JSON.stringify(auth));
+  });
+
+  afterEach(() => {
+    global.console.log.mockRestore();
+  });
+
+  test("loads the server cart after sign in", async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        success: true,
+        cart: [
+          { product: sampleCartItems[0], quantity: 2 },
+          { product: sampleCartItems[1], quantity: 1 },
+        ],
+      },
+    });
+
+    render(<TestApp />);
+
+    await waitFor(() =>
+      expect(screen.getByTestId("cart-count")).toHaveTextContent(
+        "Items in cart: 2"
+      )
+    );
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/cart");
+    expect(screen.getByTestId("cart-total")).toHaveTextContent("Total: $400");
+    expect(localStorage.setItem).toHaveBeenCalledWith(
+      "cart",
+      JSON.stringify(sampleCartLines)
+    );
+  });
+
+  test("pushes new items to the server cart", async () => {
+    axios.get.mockResolvedValueOnce({ data: { success: true, cart: [] } });
+    render(<TestApp />);
+    await waitFor(() => expect(axios.get).toHaveBeenCalled());
+
+    fireEvent.click(screen.getByTestId("add-product-1"));
+
+    await waitFor(() =>
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/cart/items", {
+        productId: "product1",
+        quantity: 1,
+      })
+    );
+  });
+
+  test("updates the quantity of a line in the server cart", async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        success: true,
+        cart: [{ product: sampleCartItems[0], quantity: 2 }],
+      },
+    });
+    render(<TestApp />);
+    await waitFor(() =>
+      expect(screen.getByTestId("cart-item-product1")).toHaveTextContent(
+        "Test Product 1 - $100 x 2"
+      )
+    );
+
+    fireEvent.click(screen.getByTestId("add-product-1"));
+
+    await waitFor(() =>
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/cart/items/product1", {
+        quantity: 3,
+      })
+    );
+  });
+
+  test("sends quick quantity changes one after the other", async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        success: true,
+        cart: [{ product: sampleCartItems[0], quantity: 2 }],
+      },
+    });
+    let finishFirst;
+    axios.put
+      .mockImplementationOnce(
+        () => new Promise((resolve) => (finishFirst = resolve))
+      )
+      .mockResolvedValueOnce({ data: { success: true } });
+    render(<TestApp />);
+    await waitFor(() =>
+      expect(screen.getByTestId("cart-item-product1")).toHaveTextContent(
+        "Test Product 1 - $100 x 2"
+      )
+    );
+
+    fireEvent.click(screen.getByTestId("add-product-1"));
+    fireEvent.click(screen.getByTestId("add-product-1"));
+
+    await waitFor(() => expect(axios.put).toHaveBeenCalledTimes(1));
+    expect(axios.put).toHaveBeenCalledWith("/api/v1/cart/items/product1", {
+      quantity: 3,
+    });
+    await act(async () => finishFirst({ data: { success: true } }));
+    await waitFor(() => expect(axios.put).toHaveBeenCalledTimes(2));
+    expect(axios.put).toHaveBeenLastCalledWith("/api/v1/cart/items/product1", {
+      quantity: 4,
+    });
+  });
+
+  test("removes items from the server cart", async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        success: true,
+        cart: [
+          { product: sampleCartItems[0], quantity: 2 },
+          { product: sampleCartItems[1], quantity: 1 },
+        ],
+      },
+    });
+    render(<TestApp />);
+    await waitFor(() =>
+      expect(screen.getByTestId("cart-count")).toHaveTextContent(
+        "Items in cart: 2"
+      )
+    );
+
+    fireEvent.click(screen.getByTestId("remove-product-1"));
+
+    await waitFor(() =>
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/cart/items/product1")
+    );
+  });
+
+  test("sends the variant of a line to the server cart", async () => {
+    axios.get.mockResolvedValueOnce({ data: { success: true, cart: [] } });
+    render(<TestApp />);
+    await waitFor(() => expect(axios.get).toHaveBeenCalled());
+
+    fireEvent.click(screen.getByTestId("add-variant"));
+
+    await waitFor(() =>
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/cart/items", {
+        productId: "product3",
+        variantId: "variant1",
+        quantity: 1,
+      })
+    );
+
+    fireEvent.click(screen.getByTestId("add-variant"));
+
+    await waitFor(() =>
+      expect(axios.put).toHaveBeenCalledWith(
+        "/api/v1/cart/items/product3?variant=variant1",
+        { quantity: 2 }
+      )
+    );
+  });
+
+  test("clears the server cart", async () => {
+    axios.get.mockResolvedValueOnce({
+      data: {
+        success: true,
+        cart: [{ product: sampleCartItems[0], quantity: 2 }],
+      },
+    });
+    render(<TestApp />);
+    await waitFor(() =>
+      expect(screen.getByTestId("cart-count")).toHaveTextContent(
+        "Items in cart: 1"
+      )
+    );
+
+    fireEvent.click(screen.getByTestId("clear-cart"));
+
+    await waitFor(() =>
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/cart")
+    );
+  });
+
+  test("keeps the local cart when the server cart cannot be loaded", async () => {
+    localStorage.setItem("cart", JSON.stringify(sampleCartLines));
+    axios.get.mockRejectedValueOnce(new Error("Network Error"));
+
+    render(<TestApp />);
+
+    await waitFor(() => expect(console.log).toHaveBeenCalled());
+    expect(screen.getByTestId("cart-count")).toHaveTextContent(
+      "Items in cart: 2"
+    );
+  });
+});
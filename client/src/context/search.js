@@ -2,9 +2,16 @@ import { useState, useContext, createContext } from "react";
 
 const SearchContext = createContext();
 const SearchProvider = ({ children }) => {
+  //keyword is what the search box holds, query and sort the search the
+  //results are from, one page of them at a time
   const [auth, setAuth] = useState({
     keyword: "",
+    query: "",
+    sort: "relevance",
     results: [],
+    total: 0,
+    page: 1,
+    pages: 0,
   });
 
   return (
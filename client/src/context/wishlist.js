@@ -0,0 +1,81 @@
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useState, useContext, createContext, useEffect } from "react";
+import { useAuth } from "./auth";
+
+// outside a provider nothing can be saved
+const WishlistContext = createContext([
+  [],
+  async () => false,
+  async () => false,
+]);
+
+//wishlist of the signed in user, kept on the server only. The add and
+//remove functions resolve to true once the server has the change
+const WishlistProvider = ({ children }) => {
+  const [auth] = useAuth();
+  const [wishlist, setWishlist] = useState([]);
+
+  useEffect(() => {
+    if (auth?.token) {
+      getWishlist();
+    } else {
+      setWishlist([]);
+    }
+    //eslint-disable-next-line
+  }, [auth?.token]);
+
+  const getWishlist = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/auth/wishlist");
+      if (data?.success) setWishlist(data.wishlist);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  const changeWishlist = async (request) => {
+    try {
+      const { data } = await request();
+      setWishlist(data.wishlist);
+      toast.success(data.message);
+      return true;
+    } catch (error) {
+      console.log(error);
+      toast.error(
+        error.response?.data?.message || "Could not update wishlist"
+      );
+      return false;
+    }
+  };
+
+  const addToWishlist = async (product) => {
+    if (!auth?.token) {
+      toast.error("Please login to save items to your wishlist");
+      return false;
+    }
+    return changeWishlist(() =>
+      axios.post("/api/v1/auth/wishlist", { productId: product._id })
+    );
+  };
+
+  const removeFromWishlist = (productId) =>
+    changeWishlist(() => axios.delete(`/api/v1/auth/wishlist/${productId}`));
+
+  return (
+    <WishlistContext.Provider
+      value={[wishlist, addToWishlist, removeFromWishlist]}
+    >
+      {children}
+    </WishlistContext.Provider>
+  );
+};
+
+// custom hook
+const useWishlist = () => useContext(WishlistContext);
+
+// whether a product is in the wishlist
+const inWishlist = (wishlist, productId) =>
+  (wishlist || []).some((product) => product._id === productId);
+
+export { useWishlist, WishlistProvider, inWishlist };
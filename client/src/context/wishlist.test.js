@@ -0,0 +1,166 @@
+import React from "react";
+import { render, screen, fireEvent, waitFor } from "@testing-library/react";
+import "@testing-library/jest-dom/extend-expect";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { useAuth } from "./auth";
+import { WishlistProvider, inWishlist, useWishlist } from "./wishlist";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+jest.mock("./auth", () => ({
+  useAuth: jest.fn(),
+}));
+
+const novel = { _id: "p1", name: "Novel" };
+const laptop = { _id: "p2", name: "Laptop" };
+
+//shows the wishlist and exposes the add and remove functions as buttons
+const TestComponent = () => {
+  const [wishlist, addToWishlist, removeFromWishlist] = useWishlist();
+  const [result, setResult] = React.useState("");
+  return (
+    <div>
+      <div data-testid="wishlist">
+        {wishlist.map((p) => p.name).join(",")}
+      </div>
+      <div data-testid="result">{result}</div>
+      <button onClick={async () => setResult(String(await addToWishlist(laptop)))}>
+        add
+      </button>
+      <button
+        onClick={async () => setResult(String(await removeFromWishlist("p1")))}
+      >
+        remove
+      </button>
+    </div>
+  );
+};
+
+const renderWishlist = () =>
+  render(
+    <WishlistProvider>
+      <TestComponent />
+    </WishlistProvider>
+  );
+
+describe("Wishlist Context", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    useAuth.mockReturnValue([{ token: "token" }, jest.fn()]);
+    axios.get.mockResolvedValue({
+      data: { success: true, wishlist: [novel] },
+    });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it("loads the wishlist of a signed in user", async () => {
+    renderWishlist();
+
+    await waitFor(() =>
+      expect(screen.getByTestId("wishlist")).toHaveTextContent("Novel")
+    );
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/wishlist");
+  });
+
+  it("adds a product and keeps the server copy", async () => {
+    axios.post.mockResolvedValue({
+      data: {
+        success: true,
+        message: "Saved to Wishlist",
+        wishlist: [novel, laptop],
+      },
+    });
+    renderWishlist();
+
+    fireEvent.click(screen.getByText("add"));
+
+    await waitFor(() =>
+      expect(screen.getByTestId("result")).toHaveTextContent("true")
+    );
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/wishlist", {
+      productId: "p2",
+    });
+    expect(screen.getByTestId("wishlist")).toHaveTextContent("Novel,Laptop");
+    expect(toast.success).toHaveBeenCalledWith("Saved to Wishlist");
+  });
+
+  it("removes a product", async () => {
+    axios.delete.mockResolvedValue({
+      data: { success: true, message: "Removed from Wishlist", wishlist: [] },
+    });
+    renderWishlist();
+    await waitFor(() =>
+      expect(screen.getByTestId("wishlist")).toHaveTextContent("Novel")
+    );
+
+    fireEvent.click(screen.getByText("remove"));
+
+    await waitFor(() =>
+      expect(screen.getByTestId("wishlist")).toHaveTextContent("")
+    );
+    expect(axios.delete).toHaveBeenCalledWith("/api/v1/auth/wishlist/p1");
+    expect(screen.getByTestId("result")).toHaveTextContent("true");
+  });
+
+  it("shows the server message when a change fails", async () => {
+    axios.post.mockRejectedValue({
+      response: { data: { message: "Product not found" } },
+    });
+    renderWishlist();
+
+    fireEvent.click(screen.getByText("add"));
+
+    await waitFor(() =>
+      expect(screen.getByTestId("result")).toHaveTextContent("false")
+    );
+    expect(toast.error).toHaveBeenCalledWith("Product not found");
+  });
+
+  it("asks guests to login instead of saving", async () => {
+    useAuth.mockReturnValue([{ token: "" }, jest.fn()]);
+    renderWishlist();
+
+    fireEvent.click(screen.getByText("add"));
+
+    await waitFor(() =>
+      expect(screen.getByTestId("result")).toHaveTextContent("false")
+    );
+    expect(axios.get).not.toHaveBeenCalled();
+    expect(axios.post).not.toHaveBeenCalled();
+    expect(toast.error).toHaveBeenCalledWith(
+      "Please login to save items to your wishlist"
+    );
+  });
+
+  it("logs errors while loading the wishlist", async () => {
+    const error = new Error("Network Error");
+    axios.get.mockRejectedValue(error);
+
+    renderWishlist();
+
+    await waitFor(() => expect(console.log).toHaveBeenCalledWith(error));
+    expect(screen.getByTestId("wishlist")).toHaveTextContent("");
+  });
+
+  it("saves nothing outside a provider", async () => {
+    render(<TestComponent />);
+
+    fireEvent.click(screen.getByText("add"));
+
+    await waitFor(() =>
+      expect(screen.getByTestId("result")).toHaveTextContent("false")
+    );
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it("tells whether a product is saved", () => {
+    expect(inWishlist([novel], "p1")).toBe(true);
+    expect(inWishlist([novel], "p2")).toBe(false);
+    expect(inWishlist(undefined, "p1")).toBe(false);
+  });
+});
@@ -0,0 +1,175 @@
+import { productPhoto, variantPhoto } from "./photoHelper";
+
+// cart lines are { productId, quantity, product } where product holds the
+// details shown in the cart page (never the photo). Lines of a product with
+// variants also have the chosen variantId and variant details
+
+const productDetails = (product) => {
+  const { photo, ...details } = product;
+  return details;
+};
+
+// a product with variants is bought as one of them, picked on its page
+const hasVariants = (product) => Boolean(product?.variants?.length);
+
+// "M / Red" style name of a variant, falling back to its sku
+const variantLabel = (variant) =>
+  [variant.size, variant.colour].filter(Boolean).join(" / ") || variant.sku;
+
+// identifies a cart line: the product id, plus the variant id if any
+const lineKey = (line) =>
+  line.variantId ? `${line.productId}:${line.variantId}` : line.productId;
+
+// carts saved before line items were a list of products, one per unit
+const normalizeCart = (list) => {
+  if (!Array.isArray(list)) return [];
+  return list.reduce((cart, entry) => {
+    if (!entry) return cart;
+    if (entry.productId) return [...cart, entry];
+    return addToCart(cart, entry);
+  }, []);
+};
+
+const addToCart = (cart, product, quantity = 1, variant) => {
+  const lines = cart || [];
+  const added = {
+    productId: product._id,
+    ...(variant && { variantId: variant._id }),
+    quantity,
+    product: productDetails(product),
+    ...(variant && { variant }),
+  };
+  const key = lineKey(added);
+  if (lines.some((line) => lineKey(line) === key)) {
+    return lines.map((line) =>
+      lineKey(line) === key
+        ? { ...line, quantity: line.quantity + quantity }
+        : line
+    );
+  }
+  return [...lines, added];
+};
+
+// lines are picked by lineKey, which is the product id for plain products
+const updateQuantity = (cart, key, quantity) => {
+  if (quantity < 1) return removeFromCart(cart, key);
+  return (cart || []).map((line) =>
+    lineKey(line) === key ? { ...line, quantity } : line
+  );
+};
+
+const removeFromCart = (cart, key) =>
+  (cart || []).filter((line) => lineKey(line) !== key);
+
+// stock is only known once the product has been loaded from the api
+const outOfStock = (product) =>
+  typeof product?.quantity === "number" && product.quantity < 1;
+
+// units left of what a line holds, the variant's when it has one
+const lineStock = (line) => (line.variant || line.product)?.quantity;
+
+// the chosen variant's photo when it has its own, else the product's
+const linePhoto = (line, width) => {
+  const product = {
+    _id: line.productId,
+    photosUpdatedAt: line.product?.photosUpdatedAt,
+  };
+  return line.variant?.photo?.contentType
+    ? variantPhoto(product, { _id: line.variantId }, width)
+    : productPhoto(product, width);
+};
+
+// a variant without its own price sells at the product price
+const linePrice = (line) =>
+  typeof line.variant?.price === "number"
+    ? line.variant.price
+    : line.product?.price || 0;
+
+// number of units, used by the header badge
+const cartUnits = (cart) =>
+  (cart || []).reduce((units, line) => units + line.quantity, 0);
+
+const lineTotal = (line) => linePrice(line) * line.quantity;
+
+const cartTotal = (cart) =>
+  (cart || []).reduce((total, line) => total + lineTotal(line), 0);
+
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+// what checkout will charge for the cart, kept in step with priceOrder in
+// helpers/pricingHelper.js on the server. pricing is the { shippingFee,
+// taxRate } of /api/v1/product/pricing; shipping is added once when any line
+// needs it and tax is charged on the discounted subtotal
+const checkoutTotals = (cart, pricing = {}, discount = 0) => {
+  const { shippingFee = 0, taxRate = 0 } = pricing;
+  const lines = cart || [];
+  const subtotal = roundPrice(
+    lines.reduce((sum, line) => sum + roundPrice(lineTotal(line)), 0)
+  );
+  const shipping = lines.some((line) => line.product?.shipping)
+    ? shippingFee
+    : 0;
+  const discounted = roundPrice(Math.min(Math.max(discount, 0), subtotal));
+  const tax = roundPrice((subtotal - discounted) * taxRate);
+  return {
+    subtotal,
+    shipping,
+    tax,
+    discount: discounted,
+    total: roundPrice(subtotal - discounted + shipping + tax),
+  };
+};
+
+// lines as sent to the cart api
+const toCartItems = (cart) =>
+  normalizeCart(cart).map(({ productId, variantId, quantity }) => ({
+    productId,
+    ...(variantId && { variantId }),
+    quantity,
+  }));
+
+// lines as returned by the cart api; lines whose variant has since been
+// removed are dropped
+const fromCartItems = (items) =>
+  (items || []).reduce((cart, item) => {
+    if (!item.product) return cart;
+    const variant = item.product.variants?.find((v) => v._id === item.variant);
+    if (item.variant && !variant) return cart;
+    return [
+      ...cart,
+      {
+        productId: item.product._id,
+        ...(variant && { variantId: variant._id }),
+        quantity: item.quantity,
+        product: productDetails(item.product),
+        ...(variant && { variant }),
+      },
+    ];
+  }, []);
+
+// idempotency key for one checkout attempt, so a retried payment is not
+// charged twice
+const newCheckoutKey = () =>
+  window.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+
+export {
+  hasVariants,
+  variantLabel,
+  lineKey,
+  normalizeCart,
+  addToCart,
+  updateQuantity,
+  removeFromCart,
+  outOfStock,
+  lineStock,
+  linePhoto,
+  linePrice,
+  cartUnits,
+  lineTotal,
+  cartTotal,
+  checkoutTotals,
+  toCartItems,
+  fromCartItems,
+  newCheckoutKey,
+};
@@ -0,0 +1,281 @@
+import {
+  addToCart,
+  cartTotal,
+  cartUnits,
+  checkoutTotals,
+  fromCartItems,
+  hasVariants,
+  lineKey,
+  linePhoto,
+  linePrice,
+  lineStock,
+  lineTotal,
+  newCheckoutKey,
+  normalizeCart,
+  outOfStock,
+  removeFromCart,
+  toCartItems,
+  updateQuantity,
+  variantLabel,
+} from "./cartHelper";
+
+const novel = {
+  _id: "1",
+  name: "Novel",
+  description: "A bestselling novel",
+  price: 14.99,
+  quantity: 200,
+};
+
+const shirt = {
+  _id: "2",
+  name: "NUS T-shirt",
+  description: "Plain NUS T-shirt for sale",
+  price: 4.99,
+  quantity: 50,
+};
+
+const hoodie = {
+  _id: "3",
+  name: "Hoodie",
+  description: "Warm hoodie",
+  price: 30,
+  quantity: 7,
+  variants: [
+    { _id: "v1", sku: "HD-M", size: "M", colour: "Grey", quantity: 4 },
+    {
+      _id: "v2",
+      sku: "HD-XL",
+      size: "XL",
+      price: 35,
+      quantity: 3,
+      photo: { contentType: "image/png" },
+    },
+  ],
+};
+const [medium, extraLarge] = hoodie.variants;
+
+describe("cartHelper", () => {
+  describe("addToCart", () => {
+    it("should add a new line for a product", () => {
+      expect(addToCart([], novel)).toEqual([
+        { productId: "1", quantity: 1, product: novel },
+      ]);
+    });
+
+    it("should increase the quantity of an existing line", () => {
+      const cart = addToCart(addToCart([], novel), novel, 2);
+
+      expect(cart).toEqual([{ productId: "1", quantity: 3, product: novel }]);
+    });
+
+    it("should not keep the photo of the product", () => {
+      const cart = addToCart([], { ...novel, photo: { data: "bytes" } });
+
+      expect(cart[0].product).toEqual(novel);
+    });
+
+    it("should not change the original cart", () => {
+      const cart = addToCart([], novel);
+      addToCart(cart, shirt);
+
+      expect(cart).toHaveLength(1);
+    });
+  });
+
+  describe("updateQuantity", () => {
+    it("should set the quantity of a line", () => {
+      const cart = addToCart(addToCart([], novel), shirt);
+
+      expect(updateQuantity(cart, "2", 4)).toEqual([
+        { productId: "1", quantity: 1, product: novel },
+        { productId: "2", quantity: 4, product: shirt },
+      ]);
+    });
+
+    it("should remove the line when the quantity drops to zero", () => {
+      const cart = addToCart(addToCart([], novel), shirt);
+
+      expect(updateQuantity(cart, "1", 0)).toEqual([
+        { productId: "2", quantity: 1, product: shirt },
+      ]);
+    });
+  });
+
+  describe("removeFromCart", () => {
+    it("should remove the line of a product", () => {
+      const cart = addToCart(addToCart([], novel), shirt);
+
+      expect(removeFromCart(cart, "1")).toEqual([
+        { productId: "2", quantity: 1, product: shirt },
+      ]);
+    });
+  });
+
+  describe("totals", () => {
+    const cart = addToCart(addToCart([], novel, 2), shirt, 3);
+
+    it("should count units across lines", () => {
+      expect(cartUnits(cart)).toBe(5);
+      expect(cartUnits(null)).toBe(0);
+    });
+
+    it("should price a line by its quantity", () => {
+      expect(lineTotal(cart[1])).toBeCloseTo(14.97);
+    });
+
+    it("should total every line", () => {
+      expect(cartTotal(cart)).toBeCloseTo(44.95);
+      expect(cartTotal([])).toBe(0);
+    });
+
+    it("should add shipping and tax the way checkout does", () => {
+      const shipped = addToCart(cart, { ...novel, _id: "3", shipping: true });
+      const pricing = { shippingFee: 5, taxRate: 0.09 };
+
+      expect(checkoutTotals(shipped, pricing, 10)).toEqual({
+        subtotal: 59.94,
+        shipping: 5,
+        tax: 4.49,
+        discount: 10,
+        total: 59.43,
+      });
+      expect(checkoutTotals(cart, pricing)).toEqual({
+        subtotal: 44.95,
+        shipping: 0,
+        tax: 4.05,
+        discount: 0,
+        total: 49,
+      });
+      expect(checkoutTotals([], undefined, 5).total).toBe(0);
+    });
+  });
+
+  describe("normalizeCart", () => {
+    it("should turn a list of products into lines", () => {
+      expect(normalizeCart([novel, shirt, novel])).toEqual([
+        { productId: "1", quantity: 2, product: novel },
+        { productId: "2", quantity: 1, product: shirt },
+      ]);
+    });
+
+    it("should keep carts that are already lines", () => {
+      const cart = addToCart([], novel);
+
+      expect(normalizeCart(cart)).toEqual(cart);
+    });
+
+    it("should return an empty cart for anything else", () => {
+      expect(normalizeCart(null)).toEqual([]);
+      expect(normalizeCart({})).toEqual([]);
+    });
+  });
+
+  describe("cart api lines", () => {
+    it("should send only product ids and quantities", () => {
+      const cart = addToCart([], novel, 2);
+
+      expect(toCartItems(cart)).toEqual([{ productId: "1", quantity: 2 }]);
+      expect(toCartItems([novel, novel])).toEqual([
+        { productId: "1", quantity: 2 },
+      ]);
+    });
+
+    it("should read populated lines and skip deleted products", () => {
+      expect(
+        fromCartItems([
+          { _id: "line1", product: novel, quantity: 2 },
+          { _id: "line2", product: null, quantity: 1 },
+        ])
+      ).toEqual([{ productId: "1", quantity: 2, product: novel }]);
+      expect(fromCartItems(undefined)).toEqual([]);
+    });
+  });
+
+  describe("variants", () => {
+    it("should keep a line per variant of a product", () => {
+      const cart = addToCart(
+        addToCart(addToCart([], hoodie, 1, medium), hoodie, 2, extraLarge),
+        hoodie,
+        1,
+        medium
+      );
+
+      expect(cart.map(lineKey)).toEqual(["3:v1", "3:v2"]);
+      expect(cart.map((line) => line.quantity)).toEqual([2, 2]);
+      expect(cart[1]).toMatchObject({ variantId: "v2", variant: extraLarge });
+    });
+
+    it("should change and remove lines by their key", () => {
+      const cart = addToCart(
+        addToCart([], hoodie, 1, medium),
+        hoodie,
+        1,
+        extraLarge
+      );
+
+      expect(updateQuantity(cart, "3:v2", 3)[1].quantity).toBe(3);
+      expect(removeFromCart(cart, "3:v1").map(lineKey)).toEqual(["3:v2"]);
+    });
+
+    it("should price, stock and picture a line by its variant", () => {
+      const [m, xl] = addToCart(
+        addToCart([], hoodie, 1, medium),
+        hoodie,
+        2,
+        extraLarge
+      );
+
+      expect(linePrice(m)).toBe(30);
+      expect(linePrice(xl)).toBe(35);
+      expect(lineTotal(xl)).toBe(70);
+      expect(lineStock(m)).toBe(4);
+      expect(linePhoto(m)).toBe("/api/v1/product/product-photo/3");
+      expect(linePhoto(xl)).toBe("/api/v1/product/variant-photo/3/v2");
+    });
+
+    it("should name variants and tell which products have them", () => {
+      expect(variantLabel(medium)).toBe("M / Grey");
+      expect(variantLabel({ sku: "HD-S" })).toBe("HD-S");
+      expect(hasVariants(hoodie)).toBe(true);
+      expect(hasVariants(novel)).toBe(false);
+    });
+
+    it("should carry the variant to and from the cart api", () => {
+      const cart = addToCart([], hoodie, 1, medium);
+
+      expect(toCartItems(cart)).toEqual([
+        { productId: "3", variantId: "v1", quantity: 1 },
+      ]);
+      expect(
+        fromCartItems([
+          { product: hoodie, variant: "v1", quantity: 1 },
+          { product: hoodie, variant: "removed", quantity: 1 },
+        ])
+      ).toEqual(cart);
+    });
+  });
+
+  describe("outOfStock", () => {
+    it("should flag products with no stock left", () => {
+      expect(outOfStock({ ...novel, quantity: 0 })).toBe(true);
+      expect(outOfStock(novel)).toBe(false);
+    });
+
+    it("should not flag products whose stock is unknown", () => {
+      expect(outOfStock({ _id: "1", name: "Novel" })).toBe(false);
+      expect(outOfStock(undefined)).toBe(false);
+    });
+  });
+
+  describe("newCheckoutKey", () => {
+    it("should make a different key for each attempt", () => {
+      const first = newCheckoutKey();
+      const second = newCheckoutKey();
+
+      expect(first).toEqual(expect.any(String));
+      expect(first.length).toBeLessThanOrEqual(100);
+      expect(second).not.toBe(first);
+    });
+  });
+});
@@ -0,0 +1,48 @@
+// orders the product lists offer, by their ?sort= value
+const SORT_OPTIONS = [
+  { value: "newest", label: "Newest" },
+  { value: "price-asc", label: "Price: low to high" },
+  { value: "price-desc", label: "Price: high to low" },
+  { value: "name", label: "Name" },
+  { value: "rating", label: "Top rated" },
+];
+
+const priceParam = (value) => {
+  if (value === null || value.trim() === "") return undefined;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : undefined;
+};
+
+// what a catalog url asks for: ?keyword=, a ?category= per ticked category,
+// ?minPrice= and ?maxPrice=, ?inStock=true, ?shipping=true, ?sort= and
+// ?page=; anything missing or broken is left at its default
+const readCatalogParams = (searchParams, defaultSort = "newest") => {
+  const page = Number(searchParams.get("page"));
+  return {
+    keyword: searchParams.get("keyword") || "",
+    categories: searchParams.getAll("category"),
+    minPrice: priceParam(searchParams.get("minPrice")),
+    maxPrice: priceParam(searchParams.get("maxPrice")),
+    inStock: searchParams.get("inStock") === "true",
+    shipping: searchParams.get("shipping") === "true",
+    sort: searchParams.get("sort") || defaultSort,
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+  };
+};
+
+// the query string for a catalog state, without what is at its default so
+// shared links stay short
+const catalogParams = (state, defaultSort = "newest") => {
+  const params = new URLSearchParams();
+  if (state.keyword) params.set("keyword", state.keyword);
+  (state.categories || []).forEach((id) => params.append("category", id));
+  if (state.minPrice !== undefined) params.set("minPrice", state.minPrice);
+  if (state.maxPrice !== undefined) params.set("maxPrice", state.maxPrice);
+  if (state.inStock) params.set("inStock", "true");
+  if (state.shipping) params.set("shipping", "true");
+  if (state.sort && state.sort !== defaultSort) params.set("sort", state.sort);
+  if (state.page > 1) params.set("page", state.page);
+  return params;
+};
+
+export { SORT_OPTIONS, readCatalogParams, catalogParams };
@@ -0,0 +1,66 @@
+import { catalogParams, readCatalogParams } from "./catalogHelper";
+
+describe("catalogHelper", () => {
+  it("should read the catalog state from the query string", () => {
+    const params = new URLSearchParams(
+      "keyword=blue+pen&category=c1&category=c2&minPrice=20&maxPrice=39.5" +
+        "&inStock=true&shipping=true&sort=price-asc&page=3"
+    );
+
+    expect(readCatalogParams(params)).toEqual({
+      keyword: "blue pen",
+      categories: ["c1", "c2"],
+      minPrice: 20,
+      maxPrice: 39.5,
+      inStock: true,
+      shipping: true,
+      sort: "price-asc",
+      page: 3,
+    });
+  });
+
+  it("should fall back to the defaults for missing or broken values", () => {
+    const params = new URLSearchParams(
+      "minPrice=cheap&maxPrice=-1&inStock=1&page=0"
+    );
+
+    expect(readCatalogParams(params, "relevance")).toEqual({
+      keyword: "",
+      categories: [],
+      minPrice: undefined,
+      maxPrice: undefined,
+      inStock: false,
+      shipping: false,
+      sort: "relevance",
+      page: 1,
+    });
+    expect(readCatalogParams(new URLSearchParams("page=1.5")).page).toBe(1);
+  });
+
+  it("should write the state back as it was read", () => {
+    const query =
+      "keyword=c%2B%2B&category=c1&category=c2&minPrice=0&maxPrice=19" +
+      "&inStock=true&sort=name&page=2";
+
+    expect(
+      catalogParams(readCatalogParams(new URLSearchParams(query))).toString()
+    ).toBe(query);
+  });
+
+  it("should leave out what is at its default", () => {
+    expect(
+      catalogParams({
+        keyword: "",
+        categories: [],
+        sort: "newest",
+        page: 1,
+      }).toString()
+    ).toBe("");
+    expect(
+      catalogParams(
+        { keyword: "pen", sort: "relevance" },
+        "relevance"
+      ).toString()
+    ).toBe("keyword=pen");
+  });
+});
@@ -0,0 +1,25 @@
+// the flat category list of the api as a tree, each category with its
+// children and siblings in the order the api lists them. A category whose
+// parent is not in the list is put at the top
+const categoryTree = (categories = []) => {
+  const ids = new Set(categories.map((c) => c._id));
+  const parentOf = (c) =>
+    c.parentCategory && ids.has(c.parentCategory) ? c.parentCategory : null;
+  const childrenOf = (id) =>
+    categories
+      .filter((c) => parentOf(c) === id)
+      .map((c) => ({ ...c, children: childrenOf(c._id) }));
+  return childrenOf(null);
+};
+
+// the categories of a tree in the order they are shown, each with how deep
+// it sits
+const flattenTree = (tree, depth = 0) =>
+  tree.flatMap((c) => [{ ...c, depth }, ...flattenTree(c.children, depth + 1)]);
+
+// whether the category is the one with this id or sits somewhere under it
+const isWithin = (category, id) =>
+  category._id === id ||
+  (category.ancestors || []).some((ancestor) => ancestor._id === id);
+
+export { categoryTree, flattenTree, isWithin };
@@ -0,0 +1,66 @@
+import { categoryTree, flattenTree, isWithin } from "./categoryHelper";
+
+const books = { _id: "b", name: "Books", parentCategory: null, ancestors: [] };
+const toys = { _id: "t", name: "Toys", parentCategory: null, ancestors: [] };
+const fiction = {
+  _id: "f",
+  name: "Fiction",
+  parentCategory: "b",
+  ancestors: [{ _id: "b", name: "Books", slug: "books" }],
+};
+const crime = {
+  _id: "c",
+  name: "Crime",
+  parentCategory: "f",
+  ancestors: [
+    { _id: "b", name: "Books", slug: "books" },
+    { _id: "f", name: "Fiction", slug: "fiction" },
+  ],
+};
+
+describe("categoryHelper", () => {
+  describe("categoryTree", () => {
+    it("should put each category under its parent in list order", () => {
+      expect(categoryTree([crime, books, toys, fiction])).toEqual([
+        {
+          ...books,
+          children: [{ ...fiction, children: [{ ...crime, children: [] }] }],
+        },
+        { ...toys, children: [] },
+      ]);
+    });
+
+    it("should put categories whose parent is missing at the top", () => {
+      expect(categoryTree([fiction, toys])).toEqual([
+        { ...fiction, children: [] },
+        { ...toys, children: [] },
+      ]);
+    });
+
+    it("should give an empty tree without categories", () => {
+      expect(categoryTree()).toEqual([]);
+    });
+  });
+
+  describe("flattenTree", () => {
+    it("should list the categories in display order with their depth", () => {
+      const flat = flattenTree(categoryTree([toys, crime, books, fiction]));
+
+      expect(flat.map((c) => [c.name, c.depth])).toEqual([
+        ["Toys", 0],
+        ["Books", 0],
+        ["Fiction", 1],
+        ["Crime", 2],
+      ]);
+    });
+  });
+
+  describe("isWithin", () => {
+    it("should find the category itself and those under it", () => {
+      expect(isWithin(crime, "c")).toBe(true);
+      expect(isWithin(crime, "b")).toBe(true);
+      expect(isWithin(fiction, "c")).toBe(false);
+      expect(isWithin({ _id: "x" }, "b")).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// order lifecycle, kept in step with helpers/orderStatusHelper.js on the server
+const ORDER_STATUS_LABELS = {
+  pending: "Pending",
+  processing: "Processing",
+  shipped: "Shipped",
+  delivered: "Delivered",
+  returned: "Returned",
+  cancelled: "Cancelled",
+  refunded: "Refunded",
+  payment_failed: "Payment failed",
+};
+
+const ORDER_TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: ["returned", "refunded"],
+  returned: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+  payment_failed: [],
+};
+
+const RETURN_STATUS_LABELS = {
+  requested: "Return requested",
+  approved: "Return approved",
+  denied: "Return denied",
+  closed: "Return closed",
+};
+
+const statusLabel = (status) => ORDER_STATUS_LABELS[status] || status;
+
+const nextStatuses = (status) => ORDER_TRANSITIONS[status] || [];
+
+// buyers may cancel until the order ships
+const canCancel = (order) => nextStatuses(order?.status).includes("cancelled");
+
+// one return request per delivered order
+const canRequestReturn = (order) =>
+  order?.status === "delivered" && !order?.returnRequest;
+
+// refunded is reached through a refund, never picked from the status list
+const adminStatuses = (status) =>
+  nextStatuses(status).filter((s) => s !== "refunded");
+
+// what is left to give back, in step with helpers/refundHelper.js
+const refundableAmount = (order) =>
+  Math.round(((order?.total || 0) - (order?.refundedTotal || 0)) * 100) / 100;
+
+const canRefund = (order) =>
+  nextStatuses(order?.status).includes("refunded") &&
+  Boolean(order?.payment?.transaction?.id) &&
+  refundableAmount(order) > 0;
+
+const returnLabel = (returnRequest) =>
+  RETURN_STATUS_LABELS[returnRequest?.status] || "";
+
+export {
+  ORDER_STATUS_LABELS,
+  statusLabel,
+  nextStatuses,
+  adminStatuses,
+  refundableAmount,
+  canRefund,
+  canCancel,
+  canRequestReturn,
+  returnLabel,
+};
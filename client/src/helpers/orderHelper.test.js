@@ -0,0 +1,78 @@
+import {
+  adminStatuses,
+  canCancel,
+  canRefund,
+  canRequestReturn,
+  nextStatuses,
+  refundableAmount,
+  returnLabel,
+  statusLabel,
+} from "./orderHelper";
+
+describe("orderHelper", () => {
+  it("should label known statuses", () => {
+    expect(statusLabel("pending")).toBe("Pending");
+    expect(statusLabel("delivered")).toBe("Delivered");
+    expect(statusLabel("payment_failed")).toBe("Payment failed");
+  });
+
+  it("should show unknown statuses as they are", () => {
+    expect(statusLabel("on hold")).toBe("on hold");
+  });
+
+  it("should list the statuses an order can move to", () => {
+    expect(nextStatuses("pending")).toEqual(["processing", "cancelled"]);
+    expect(nextStatuses("shipped")).toEqual(["delivered"]);
+    expect(nextStatuses("refunded")).toEqual([]);
+    expect(nextStatuses("payment_failed")).toEqual([]);
+    expect(nextStatuses(undefined)).toEqual([]);
+  });
+
+  it("should leave refunded out of the admin status list", () => {
+    expect(adminStatuses("delivered")).toEqual(["returned"]);
+    expect(adminStatuses("cancelled")).toEqual([]);
+    expect(adminStatuses("pending")).toEqual(["processing", "cancelled"]);
+  });
+
+  it("should work out what is left to refund", () => {
+    expect(refundableAmount({ total: 40, refundedTotal: 12.3 })).toBe(27.7);
+    expect(refundableAmount({ total: 40 })).toBe(40);
+    expect(refundableAmount(undefined)).toBe(0);
+  });
+
+  it("should allow refunds of paid orders that are finished", () => {
+    const paid = { total: 40, payment: { transaction: { id: "txn-1" } } };
+    expect(canRefund({ ...paid, status: "cancelled" })).toBe(true);
+    expect(canRefund({ ...paid, status: "shipped" })).toBe(false);
+    expect(canRefund({ ...paid, status: "returned", refundedTotal: 40 })).toBe(
+      false
+    );
+    expect(canRefund({ total: 40, status: "cancelled", payment: {} })).toBe(
+      false
+    );
+  });
+
+  it("should let buyers cancel only before shipping", () => {
+    expect(canCancel({ status: "pending" })).toBe(true);
+    expect(canCancel({ status: "processing" })).toBe(true);
+    expect(canCancel({ status: "shipped" })).toBe(false);
+    expect(canCancel({ status: "cancelled" })).toBe(false);
+  });
+
+  it("should allow one return request per delivered order", () => {
+    expect(canRequestReturn({ status: "delivered" })).toBe(true);
+    expect(canRequestReturn({ status: "shipped" })).toBe(false);
+    expect(
+      canRequestReturn({
+        status: "delivered",
+        returnRequest: { status: "denied" },
+      })
+    ).toBe(false);
+  });
+
+  it("should label return requests", () => {
+    expect(returnLabel({ status: "requested" })).toBe("Return requested");
+    expect(returnLabel({ status: "closed" })).toBe("Return closed");
+    expect(returnLabel(undefined)).toBe("");
+  });
+});
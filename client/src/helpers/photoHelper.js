@@ -0,0 +1,35 @@
+// urls of product photos, kept in step with helpers/photoHelper.js on the
+// server. A width asks for a smaller copy and must be one of PHOTO_WIDTHS.
+// When the product's photos last changed (photosUpdatedAt) goes in the url as
+// its version, so the browser can keep the photo until a new one is uploaded
+const PHOTO_WIDTHS = [100, 300, 600, 1200];
+
+const photoUrl = (path, product, width) => {
+  const query = new URLSearchParams();
+  if (width) query.set("w", width);
+  const version = Date.parse(product?.photosUpdatedAt);
+  if (!Number.isNaN(version)) query.set("v", version);
+  const search = query.toString();
+  return search ? `${path}?${search}` : path;
+};
+
+// the product's main photo, the primary image of its gallery if it has one
+const productPhoto = (product, width) =>
+  photoUrl(`/api/v1/product/product-photo/${product._id}`, product, width);
+
+// the image at `index` of the product's gallery
+const galleryPhoto = (product, index, width) =>
+  photoUrl(
+    `/api/v1/product/product-photo/${product._id}/${index}`,
+    product,
+    width
+  );
+
+const variantPhoto = (product, variant, width) =>
+  photoUrl(
+    `/api/v1/product/variant-photo/${product._id}/${variant._id}`,
+    product,
+    width
+  );
+
+export { PHOTO_WIDTHS, productPhoto, galleryPhoto, variantPhoto };
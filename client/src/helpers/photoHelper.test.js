@@ -0,0 +1,30 @@
+import { galleryPhoto, productPhoto, variantPhoto } from "./photoHelper";
+
+describe("photoHelper", () => {
+  const product = {
+    _id: "p1",
+    photosUpdatedAt: "2024-03-01T10:00:00.000Z",
+    updatedAt: "2024-05-01T10:00:00.000Z",
+  };
+
+  it("should ask for the width and version of the photos", () => {
+    expect(productPhoto(product, 300)).toBe(
+      "/api/v1/product/product-photo/p1?w=300&v=1709287200000"
+    );
+    expect(galleryPhoto(product, 2, 100)).toBe(
+      "/api/v1/product/product-photo/p1/2?w=100&v=1709287200000"
+    );
+    expect(variantPhoto(product, { _id: "v1" })).toBe(
+      "/api/v1/product/variant-photo/p1/v1?v=1709287200000"
+    );
+  });
+
+  it("should leave out what is not known", () => {
+    expect(productPhoto({ _id: "p2" })).toBe(
+      "/api/v1/product/product-photo/p2"
+    );
+    expect(productPhoto({ _id: "p2", photosUpdatedAt: "soon" }, 600)).toBe(
+      "/api/v1/product/product-photo/p2?w=600"
+    );
+  });
+});
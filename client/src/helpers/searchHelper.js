@@ -0,0 +1,52 @@
+import axios from "axios";
+
+// one page of matches for a search, as the fields of the search context:
+// the search they belong to, the products and where the page is. Matches
+// come best first unless another sort is asked for
+const searchProducts = async (keyword, page = 1, sort = "relevance") => {
+  const { data } = await axios.get(
+    `/api/v1/product/search/${encodeURIComponent(keyword)}?page=${page}` +
+      (sort === "relevance" ? "" : `&sort=${sort}`)
+  );
+  return {
+    query: keyword,
+    sort,
+    results: data.products,
+    total: data.total,
+    page: data.page,
+    pages: data.pages,
+  };
+};
+
+// products and categories whose names have a word starting with the text
+const fetchSuggestions = async (text) => {
+  const { data } = await axios.get(
+    `/api/v1/product/suggest?q=${encodeURIComponent(text)}`
+  );
+  return { products: data.products, categories: data.categories };
+};
+
+// the last few searches run in this browser, newest first
+const RECENT_SEARCHES = 5;
+
+const recentSearches = () => {
+  try {
+    const list = JSON.parse(localStorage.getItem("recentSearches"));
+    return Array.isArray(list) ? list.filter((k) => typeof k === "string") : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+// put a search at the top of the recent ones, once, and return the list
+const saveRecentSearch = (keyword) => {
+  const text = keyword.trim();
+  const list = [
+    text,
+    ...recentSearches().filter((k) => k.toLowerCase() !== text.toLowerCase()),
+  ].slice(0, RECENT_SEARCHES);
+  localStorage.setItem("recentSearches", JSON.stringify(list));
+  return list;
+};
+
+export { searchProducts, fetchSuggestions, recentSearches, saveRecentSearch };
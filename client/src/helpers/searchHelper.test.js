@@ -0,0 +1,92 @@
+import axios from "axios";
+import {
+  fetchSuggestions,
+  recentSearches,
+  saveRecentSearch,
+  searchProducts,
+} from "./searchHelper";
+
+jest.mock("axios");
+
+describe("searchHelper", () => {
+  beforeEach(() => {
+    localStorage.clear();
+  });
+
+  it("should fetch a page of the search as search context fields", async () => {
+    const products = [{ _id: "p1", name: "Novel" }];
+    axios.get.mockResolvedValueOnce({
+      data: { success: true, products, total: 13, page: 2, pages: 2 },
+    });
+
+    const found = await searchProducts("50% off", 2);
+
+    expect(axios.get).toHaveBeenCalledWith(
+      "/api/v1/product/search/50%25%20off?page=2"
+    );
+    expect(found).toEqual({
+      query: "50% off",
+      sort: "relevance",
+      results: products,
+      total: 13,
+      page: 2,
+      pages: 2,
+    });
+  });
+
+  it("should ask for another order of the matches", async () => {
+    axios.get.mockResolvedValueOnce({
+      data: { success: true, products: [], total: 0, page: 1, pages: 0 },
+    });
+
+    const found = await searchProducts("pen", 1, "price-asc");
+
+    expect(axios.get).toHaveBeenCalledWith(
+      "/api/v1/product/search/pen?page=1&sort=price-asc"
+    );
+    expect(found.sort).toBe("price-asc");
+  });
+
+  it("should fetch suggestions for the typed text", async () => {
+    const products = [{ name: "Novel", slug: "novel", thumbnail: "/t" }];
+    const categories = [{ name: "Books", slug: "books" }];
+    axios.get.mockResolvedValueOnce({
+      data: { success: true, products, categories },
+    });
+
+    const suggestions = await fetchSuggestions("c# &");
+
+    expect(axios.get).toHaveBeenCalledWith(
+      "/api/v1/product/suggest?q=c%23%20%26"
+    );
+    expect(suggestions).toEqual({ products, categories });
+  });
+
+  it("should keep the last five searches, newest first, without repeats", () => {
+    ["one", "two", "three", "four", "five"].forEach(saveRecentSearch);
+
+    expect(saveRecentSearch(" Two ")).toEqual([
+      "Two",
+      "five",
+      "four",
+      "three",
+      "one",
+    ]);
+    expect(saveRecentSearch("six")).toEqual([
+      "six",
+      "Two",
+      "five",
+      "four",
+      "three",
+    ]);
+    expect(recentSearches()).toEqual(["six", "Two", "five", "four", "three"]);
+  });
+
+  it("should have no recent searches when none are stored or they are broken", () => {
+    expect(recentSearches()).toEqual([]);
+    localStorage.setItem("recentSearches", "{");
+    expect(recentSearches()).toEqual([]);
+    localStorage.setItem("recentSearches", JSON.stringify({ a: 1 }));
+    expect(recentSearches()).toEqual([]);
+  });
+});
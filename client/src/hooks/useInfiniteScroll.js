@@ -0,0 +1,28 @@
+import { useEffect, useRef } from "react";
+
+//calls loadMore whenever the element given the returned ref scrolls near the
+//viewport and there is more to load. The observer is made again once a load
+//is done, so a page too short to fill the screen keeps loading. Without
+//IntersectionObserver the page's load more button is all there is
+export default function useInfiniteScroll(loadMore, { hasMore, loading }) {
+  const ref = useRef(null);
+  const latest = useRef(loadMore);
+  latest.current = loadMore;
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!hasMore || loading || !element || !window.IntersectionObserver) {
+      return;
+    }
+    const observer = new window.IntersectionObserver(
+      (entries) => {
+        if (entries.some((entry) => entry.isIntersecting)) latest.current();
+      },
+      { rootMargin: "200px" }
+    );
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [hasMore, loading]);
+
+  return ref;
+}
@@ -0,0 +1,72 @@
+import React from "react";
+import { render } from "@testing-library/react";
+import useInfiniteScroll from "./useInfiniteScroll";
+
+// a list end that loads more when it comes into view
+const ListEnd = ({ loadMore, hasMore = true, loading = false }) => {
+  const ref = useInfiniteScroll(loadMore, { hasMore, loading });
+  return <div ref={ref} data-testid="list-end" />;
+};
+
+describe("useInfiniteScroll test", () => {
+  let observers;
+
+  beforeEach(() => {
+    observers = [];
+    window.IntersectionObserver = jest.fn(function (callback, options) {
+      this.callback = callback;
+      this.options = options;
+      this.observe = jest.fn();
+      this.disconnect = jest.fn();
+      observers.push(this);
+    });
+  });
+
+  afterEach(() => {
+    delete window.IntersectionObserver;
+  });
+
+  it("loads more when the list end comes into view", () => {
+    const loadMore = jest.fn();
+    const { getByTestId } = render(<ListEnd loadMore={loadMore} />);
+
+    const [observer] = observers;
+    expect(observer.observe).toHaveBeenCalledWith(getByTestId("list-end"));
+    expect(observer.options).toEqual({ rootMargin: "200px" });
+    observer.callback([{ isIntersecting: false }]);
+    expect(loadMore).not.toHaveBeenCalled();
+    observer.callback([{ isIntersecting: true }]);
+    expect(loadMore).toHaveBeenCalledTimes(1);
+  });
+
+  it("does not watch while loading or when there is no more", () => {
+    const loadMore = jest.fn();
+    const { rerender } = render(<ListEnd loadMore={loadMore} loading />);
+    expect(observers).toHaveLength(0);
+
+    rerender(<ListEnd loadMore={loadMore} />);
+    expect(observers).toHaveLength(1);
+
+    rerender(<ListEnd loadMore={loadMore} hasMore={false} />);
+    expect(observers[0].disconnect).toHaveBeenCalled();
+    expect(observers).toHaveLength(1);
+  });
+
+  it("calls the latest loadMore it was given", () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    const { rerender } = render(<ListEnd loadMore={first} />);
+    rerender(<ListEnd loadMore={second} />);
+
+    observers[0].callback([{ isIntersecting: true }]);
+
+    expect(first).not.toHaveBeenCalled();
+    expect(second).toHaveBeenCalled();
+  });
+
+  it("leaves loading to the page without IntersectionObserver", () => {
+    delete window.IntersectionObserver;
+
+    expect(() => render(<ListEnd loadMore={jest.fn()} />)).not.toThrow();
+  });
+});
@@ -328,7 +328,7 @@ describe("Category-Product Integration", () => {
     // Then set up the mock with a more specific implementation
     axios.get.mockImplementation((url) => {
       
-      if (url === "/api/v1/product/get-product") { 
+      if (url === "/api/v1/product/products") { 
         return Promise.resolve({
           data: { 
             success: true, 
@@ -434,7 +434,7 @@ describe("Category-Product Integration", () => {
     // Reset and set up specific mock for this test
     axios.get.mockReset();
     axios.get.mockImplementation((url) => {
-      if (url.includes("/api/v1/product/get-product") && !url.includes("/api/v1/product/get-product/")) {
+      if (url === "/api/v1/product/products") {
         return Promise.resolve({
           data: { success: true, products: electronicProducts }
         });
@@ -652,7 +652,7 @@ describe("Category-Product Integration", () => {
     // Mock products list API to include our new product
     axios.get.mockImplementation((url) => {
       
-      if (url === "/api/v1/product/get-product") {
+      if (url === "/api/v1/product/products") {
         return Promise.resolve({
           data: { success: true, products: [lifecycleProduct] }
         });
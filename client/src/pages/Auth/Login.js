@@ -5,6 +5,7 @@ import { useNavigate, useLocation } from "react-router-dom";
 import toast from "react-hot-toast";
 import "../../styles/AuthStyles.css";
 import { useAuth } from "../../context/auth";
+import { toCartItems } from "../../helpers/cartHelper";
 
 const Login = () => {
   const [email, setEmail] = useState("");
@@ -16,6 +17,21 @@ const Login = () => {
   const location = useLocation();
   
 
+  // move the cart built before login into the user's server cart
+  const mergeGuestCart = async (token) => {
+    try {
+      const guestCart = JSON.parse(localStorage.getItem("cart") || "[]");
+      if (!guestCart.length) return;
+      await axios.post(
+        "/api/v1/cart/merge",
+        { items: toCartItems(guestCart) },
+        { headers: { Authorization: token } }
+      );
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
   // form function
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -25,6 +41,7 @@ const Login = () => {
         password,
       });
       if (res && res.data.success) {
+        await mergeGuestCart(res.data.token);
         toast.success(res.data && res.data.message, {
             duration: 5000,
             icon: "🙏",
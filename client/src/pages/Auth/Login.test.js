@@ -161,6 +161,51 @@ describe("Login Component", () => {
     });
   });
 
+  it("should merge the guest cart into the server cart on login", async () => {
+    localStorage.getItem.mockReturnValueOnce(
+      JSON.stringify([{ _id: "p1" }, { _id: "p2" }, { _id: "p1" }])
+    );
+    axios.post
+      .mockResolvedValueOnce({
+        data: {
+          success: true,
+          user: { id: 1, name: "John Doe", email: "test@example.com" },
+          token: "mockToken",
+        },
+      })
+      .mockResolvedValueOnce({ data: { success: true } });
+
+    const { getByPlaceholderText, getByText } = render(
+      <MemoryRouter initialEntries={["/login"]}>
+        <Routes>
+          <Route path="/login" element={<Login />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    fireEvent.change(getByPlaceholderText("Enter Your Email"), {
+      target: { value: "test@example.com" },
+    });
+    fireEvent.change(getByPlaceholderText("Enter Your Password"), {
+      target: { value: "password123" },
+    });
+    fireEvent.click(getByText("LOGIN"));
+
+    await waitFor(() =>
+      expect(axios.post).toHaveBeenCalledWith(
+        "/api/v1/cart/merge",
+        {
+          items: [
+            { productId: "p1", quantity: 2 },
+            { productId: "p2", quantity: 1 },
+          ],
+        },
+        { headers: { Authorization: "mockToken" } }
+      )
+    );
+    expect(mockNavigate).toHaveBeenCalledWith("/");
+  });
+
   it("should display error message on failed login", async () => {
     axios.post.mockRejectedValueOnce({ message: "Invalid credentials" });
 
@@ -52,10 +52,13 @@ describe("Cart Page Integration Tests", () => {
     jest.spyOn(global.console, "log");
     localStorage.setItem("auth", JSON.stringify({ user, token }));
     axios.get.mockImplementation((url) => {
-      if (url === "/api/v1/product/product-list/1") {
+      if (url === "/api/v1/product/products?") {
         return Promise.resolve({
           data: {
             products: cart,
+            total: 1,
+            page: 1,
+            pages: 1,
             success: true,
           },
         });
@@ -76,14 +79,6 @@ describe("Cart Page Integration Tests", () => {
           },
         });
       }
-      if (url === "/api/v1/product/product-count") {
-        return Promise.resolve({
-          data: {
-            total: 1,
-            success: true,
-          },
-        });
-      }
       return Promise.resolve({ data: {} });
     });
   });
@@ -131,7 +126,7 @@ describe("Cart Page Integration Tests", () => {
     expect(novelImage).toBeInTheDocument();
     expect(novelImage).toHaveAttribute(
       "src",
-      "/api/v1/product/product-photo/1"
+      "/api/v1/product/product-photo/1?w=300"
     );
   });
 });
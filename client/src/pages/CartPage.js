@@ -1,30 +1,62 @@
 import axios from "axios";
 import DropIn from "braintree-web-drop-in-react";
-import React, { useEffect, useState } from "react";
+import React, { useEffect, useRef, useState } from "react";
 import toast from "react-hot-toast";
 import { AiFillWarning } from "react-icons/ai";
 import { useNavigate } from "react-router-dom";
+import FakeDropIn from "../components/FakeDropIn";
+import CouponCodeForm from "../components/Form/CouponCodeForm";
 import { useAuth } from "../context/auth";
 import { useCart } from "../context/cart";
+import { useWishlist } from "../context/wishlist";
+import {
+  cartUnits,
+  checkoutTotals,
+  lineKey,
+  linePhoto,
+  linePrice,
+  lineStock,
+  lineTotal,
+  newCheckoutKey,
+  removeFromCart,
+  toCartItems,
+  updateQuantity,
+  variantLabel,
+} from "../helpers/cartHelper";
 import "../styles/CartStyles.css";
 import Layout from "./../components/Layout";
 
 const CartPage = () => {
   const [auth, setAuth] = useAuth();
   const [cart, setCart] = useCart();
+  const [, addToWishlist] = useWishlist();
   const [clientToken, setClientToken] = useState("");
+  const [provider, setProvider] = useState("");
   const [instance, setInstance] = useState("");
   const [loading, setLoading] = useState(false);
+  //applied coupon as { code, discount }, the server prices it again at payment
+  const [coupon, setCoupon] = useState(null);
+  //shipping fee and tax rate checkout charges
+  const [pricing, setPricing] = useState({});
+  const checkoutKey = useRef(null);
   const navigate = useNavigate();
 
-  //total price
-  const totalPrice = () => {
+  //a changed cart is a new checkout attempt, and may change the discount
+  useEffect(() => {
+    checkoutKey.current = null;
+    if (!coupon) return;
+    if (cart?.length) {
+      applyCoupon(coupon.code, true);
+    } else {
+      setCoupon(null);
+    }
+    //eslint-disable-next-line
+  }, [cart]);
+
+  //format price
+  const formatPrice = (amount) => {
     try {
-      let total = 0;
-      cart?.forEach((item) => {
-        total = total + item.price;
-      });
-      return total.toLocaleString("en-US", {
+      return amount.toLocaleString("en-US", {
         style: "currency",
         currency: "USD",
       });
@@ -32,13 +64,43 @@ const CartPage = () => {
       console.log(error);
     }
   };
+  //what checkout will charge, less the coupon discount
+  const totals = checkoutTotals(cart, pricing, coupon?.discount);
+  //check a code against the cart; quiet rechecks only speak up on failure
+  const applyCoupon = async (code, quiet = false) => {
+    try {
+      const { data } = await axios.post("/api/v1/coupon/apply", {
+        code,
+        cart: toCartItems(cart),
+      });
+      setCoupon({ code: data.coupon.code, discount: data.discount });
+      if (!quiet) toast.success(data.message);
+      return true;
+    } catch (error) {
+      console.log(error);
+      setCoupon(null);
+      toast.error(error.response?.data?.message || "Could not apply coupon");
+      return false;
+    }
+  };
   //detele item
-  const removeCartItem = (index) => {
+  const removeCartItem = (line) => {
+    try {
+      setCart(removeFromCart(cart, lineKey(line)));
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  //move a line to the wishlist, it stays in the cart if that fails
+  const saveForLater = async (line) => {
+    if (await addToWishlist({ _id: line.productId })) {
+      setCart(removeFromCart(cart, lineKey(line)));
+    }
+  };
+  //change quantity, dropping the line at zero
+  const changeQuantity = (line, quantity) => {
     try {
-      let myCart = [...cart];
-      myCart.splice(index, 1);
-      setCart(myCart);
-      localStorage.setItem("cart", JSON.stringify(myCart));
+      setCart(updateQuantity(cart, lineKey(line), quantity));
     } catch (error) {
       console.log(error);
     }
@@ -49,6 +111,7 @@ const CartPage = () => {
     try {
       const { data } = await axios.get("/api/v1/product/braintree/token");
       setClientToken(data?.clientToken);
+      setProvider(data?.provider);
     } catch (error) {
       console.log(error);
     }
@@ -57,22 +120,48 @@ const CartPage = () => {
     getToken();
   }, [auth?.token]);
 
+  //get shipping fee and tax rate
+  const getPricing = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/product/pricing");
+      setPricing(data);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+  useEffect(() => {
+    getPricing();
+  }, []);
+
   //handle payments
   const handlePayment = async () => {
     try {
       setLoading(true);
+      //retries of this attempt reuse the key, so the server charges once
+      checkoutKey.current = checkoutKey.current || newCheckoutKey();
       const { nonce } = await instance.requestPaymentMethod();
       const { data } = await axios.post("/api/v1/product/braintree/payment", {
         nonce,
-        cart,
+        cart: toCartItems(cart),
+        idempotencyKey: checkoutKey.current,
+        couponCode: coupon?.code,
       });
       setLoading(false);
-      localStorage.removeItem("cart");
       setCart([]);
       navigate("/dashboard/user/orders");
       toast.success("Payment Completed Successfully ");
     } catch (error) {
       console.log(error);
+      const { errors, message } = error.response?.data || {};
+      if (errors?.length) {
+        //one message per line that ran out of stock
+        errors.forEach((e) => toast.error(e.message));
+      } else {
+        //declined cards say why; the cart stays for another try
+        toast.error(message || "Payment failed, please try again");
+      }
+      //a declined card cannot be charged again, the buyer picks it anew
+      instance?.clearSelectedPaymentMethod?.();
       setLoading(false);
     }
   };
@@ -87,7 +176,7 @@ const CartPage = () => {
                 : `Hello ${auth?.token && auth?.user?.name}`}
               <p className="text-center">
                 {cart?.length
-                  ? `You Have ${cart.length} items in your cart ${
+                  ? `You Have ${cartUnits(cart)} items in your cart ${
                       auth?.token ? "" : "please login to checkout !"
                     }`
                   : " Your Cart Is Empty"}
@@ -98,29 +187,59 @@ const CartPage = () => {
         <div className="container ">
           <div className="row ">
             <div className="col-md-7  p-0 m-0">
-              {cart?.map((p, i) => (
-                <div className="row card flex-row" key={i}>
+              {cart?.map((line) => (
+                <div className="row card flex-row" key={lineKey(line)}>
                   <div className="col-md-4">
                     <img
-                      src={`/api/v1/product/product-photo/${p._id}`}
+                      src={linePhoto(line, 300)}
                       className="card-img-top"
-                      alt={p.name}
+                      alt={line.product.name}
                       width="100%"
                       height={"130px"}
                     />
                   </div>
                   <div className="col-md-4">
-                    <p>{p.name}</p>
-                    <p>{p.description.substring(0, 30)}</p>
-                    <p>Price : {p.price}</p>
+                    <p>{line.product.name}</p>
+                    {line.variant && (
+                      <p>
+                        {variantLabel(line.variant)} (SKU {line.variant.sku})
+                      </p>
+                    )}
+                    <p>{line.product.description.substring(0, 30)}</p>
+                    <p>Price : {linePrice(line)}</p>
+                    <div className="cart-quantity">
+                      <button
+                        className="btn btn-outline-secondary btn-sm"
+                        aria-label={`Decrease quantity of ${line.product.name}`}
+                        onClick={() => changeQuantity(line, line.quantity - 1)}
+                      >
+                        -
+                      </button>
+                      <span>{line.quantity}</span>
+                      <button
+                        className="btn btn-outline-secondary btn-sm"
+                        aria-label={`Increase quantity of ${line.product.name}`}
+                        disabled={line.quantity >= lineStock(line)}
+                        onClick={() => changeQuantity(line, line.quantity + 1)}
+                      >
+                        +
+                      </button>
+                    </div>
+                    <p>Subtotal : {formatPrice(lineTotal(line))}</p>
                   </div>
                   <div className="col-md-4 cart-remove-btn">
                     <button
                       className="btn btn-danger"
-                      onClick={() => removeCartItem(i)}
+                      onClick={() => removeCartItem(line)}
                     >
                       Remove
                     </button>
+                    <button
+                      className="btn btn-outline-secondary ms-1"
+                      onClick={() => saveForLater(line)}
+                    >
+                      Save for later
+                    </button>
                   </div>
                 </div>
               ))}
@@ -129,7 +248,19 @@ const CartPage = () => {
               <h2>Cart Summary</h2>
               <p>Total | Checkout | Payment</p>
               <hr />
-              <h4>Total : {totalPrice()} </h4>
+              {auth?.token && !!cart?.length && (
+                <CouponCodeForm
+                  applied={coupon?.code}
+                  onApply={applyCoupon}
+                  onRemove={() => setCoupon(null)}
+                />
+              )}
+              {coupon && <h5>Discount : -{formatPrice(totals.discount)}</h5>}
+              {totals.shipping > 0 && (
+                <h5>Shipping : {formatPrice(totals.shipping)}</h5>
+              )}
+              {totals.tax > 0 && <h5>Tax : {formatPrice(totals.tax)}</h5>}
+              <h4>Total : {formatPrice(totals.total)} </h4>
               {auth?.user?.address ? (
                 <>
                   <div className="mb-3">
@@ -171,15 +302,21 @@ const CartPage = () => {
                   ""
                 ) : (
                   <>
-                    <DropIn
-                      options={{
-                        authorization: clientToken,
-                        paypal: {
-                          flow: "vault",
-                        },
-                      }}
-                      onInstance={(instance) => setInstance(instance)}
-                    />
+                    {provider === "fake" ? (
+                      <FakeDropIn
+                        onInstance={(instance) => setInstance(instance)}
+                      />
+                    ) : (
+                      <DropIn
+                        options={{
+                          authorization: clientToken,
+                          paypal: {
+                            flow: "vault",
+                          },
+                        }}
+                        onInstance={(instance) => setInstance(instance)}
+                      />
+                    )}
 
                     <button
                       className="btn btn-primary"
@@ -8,6 +8,7 @@ import toast from "react-hot-toast";
 import { MemoryRouter, Route, Routes } from "react-router-dom";
 import { useAuth } from "../context/auth";
 import { useCart } from "../context/cart";
+import { useWishlist } from "../context/wishlist";
 import CartPage from "./CartPage";
 
 jest.mock("axios");
@@ -49,24 +50,40 @@ jest.mock("../context/cart", () => ({
   useCart: jest.fn(() => [null, jest.fn()]),
 }));
 
+jest.mock("../context/wishlist", () => ({
+  useWishlist: jest.fn(() => [[], jest.fn(), jest.fn()]),
+}));
+
 const cartDetails = [
   {
-    _id: "1",
-    name: "Novel",
-    description: "A bestselling novel",
-    price: 14.99,
+    productId: "1",
+    quantity: 1,
+    product: {
+      _id: "1",
+      name: "Novel",
+      description: "A bestselling novel",
+      price: 14.99,
+    },
   },
   {
-    _id: "2",
-    name: "NUS T-shirt",
-    description: "Plain NUS T-shirt for sale",
-    price: 4.99,
+    productId: "2",
+    quantity: 1,
+    product: {
+      _id: "2",
+      name: "NUS T-shirt",
+      description: "Plain NUS T-shirt for sale",
+      price: 4.99,
+    },
   },
   {
-    _id: "3",
-    name: "The Law of Contract in Singapore",
-    description: "A bestselling book in Singapor",
-    price: 54.99,
+    productId: "3",
+    quantity: 1,
+    product: {
+      _id: "3",
+      name: "The Law of Contract in Singapore",
+      description: "A bestselling book in Singapor",
+      price: 54.99,
+    },
   },
 ];
 
@@ -229,6 +246,201 @@ describe("CartPage Component - User is Logged In", () => {
     expect(cart).toStrictEqual(cartDetails.slice(1));
   });
 
+  it("should move a line to the wishlist with save for later", async () => {
+    const setCartMock = jest.fn();
+    const addToWishlist = jest.fn().mockResolvedValue(true);
+    useCart.mockReturnValue([cartDetails, setCartMock]);
+    useWishlist.mockReturnValue([[], addToWishlist, jest.fn()]);
+
+    const { getAllByText } = render(
+      <MemoryRouter initialEntries={["/cart"]}>
+        <Routes>
+          <Route path="/cart" element={<CartPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    fireEvent.click(getAllByText("Save for later")[1]);
+
+    await waitFor(() => {
+      expect(setCartMock).toHaveBeenCalledWith([
+        cartDetails[0],
+        cartDetails[2],
+      ]);
+    });
+    expect(addToWishlist).toHaveBeenCalledWith({ _id: "2" });
+  });
+
+  it("should keep a line in the cart when saving it for later fails", async () => {
+    const setCartMock = jest.fn();
+    const addToWishlist = jest.fn().mockResolvedValue(false);
+    useCart.mockReturnValue([cartDetails, setCartMock]);
+    useWishlist.mockReturnValue([[], addToWishlist, jest.fn()]);
+
+    const { getAllByText } = render(
+      <MemoryRouter initialEntries={["/cart"]}>
+        <Routes>
+          <Route path="/cart" element={<CartPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    fireEvent.click(getAllByText("Save for later")[0]);
+
+    await waitFor(() => {
+      expect(addToWishlist).toHaveBeenCalledWith({ _id: "1" });
+    });
+    expect(setCartMock).not.toHaveBeenCalled();
+  });
+
+  it("should add shipping and tax to the total", async () => {
+    axios.get.mockImplementation(async (url) =>
+      url === "/api/v1/product/pricing"
+        ? { data: { success: true, shippingFee: 5, taxRate: 0.09 } }
+        : { data: { clientToken: "mocked-braintree-token" } }
+    );
+    useCart.mockReturnValue([
+      [
+        {
+          ...cartDetails[0],
+          product: { ...cartDetails[0].product, shipping: true },
+        },
+        ...cartDetails.slice(1),
+      ],
+      jest.fn(),
+    ]);
+
+    const { findByText, getByText } = render(
+      <MemoryRouter initialEntries={["/cart"]}>
+        <Routes>
+          <Route path="/cart" element={<CartPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    expect(await findByText("Total : $86.72")).toBeInTheDocument();
+    expect(getByText("Shipping : $5.00")).toBeInTheDocument();
+    expect(getByText("Tax : $6.75")).toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/product/pricing");
+  });
+
+  it("should show the quantity and subtotal of each line", async () => {
+    useCart.mockReturnValue([
+      [{ ...cartDetails[0], quantity: 3 }, cartDetails[1]],
+      jest.fn(),
+    ]);
+
+    const { getByText } = render(
+      <MemoryRouter initialEntries={["/cart"]}>
+        <Routes>
+          <Route path="/cart" element={<CartPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    expect(getByText("You Have 4 items in your cart")).toBeInTheDocument();
+    expect(getByText("3")).toBeInTheDocument();
+    expect(getByText("Subtotal : $44.97")).toBeInTheDocument();
+    expect(getByText("Subtotal : $4.99")).toBeInTheDocument();
+    expect(getByText("Total : $49.96")).toBeInTheDocument();
+
+    await waitFor(() => {
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/braintree/token");
+    });
+  });
+
+  it("should change the quantity of a line", async () => {
+    const setCart = jest.fn();
+    useCart.mockReturnValue([
+      [{ ...cartDetails[0], quantity: 2 }, cartDetails[1]],
+      setCart,
+    ]);
+
+    const { getByLabelText } = render(
+      <MemoryRouter initialEntries={["/cart"]}>
+        <Routes>
+          <Route path="/cart" element={<CartPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    fireEvent.click(getByLabelText("Increase quantity of Novel"));
+    expect(setCart).toHaveBeenLastCalledWith([
+      { ...cartDetails[0], quantity: 3 },
+      cartDetails[1],
+    ]);
+
+    fireEvent.click(getByLabelText("Decrease quantity of Novel"));
+    expect(setCart).toHaveBeenLastCalledWith([
+      { ...cartDetails[0], quantity: 1 },
+      cartDetails[1],
+    ]);
+
+    fireEvent.click(getByLabelText("Decrease quantity of NUS T-shirt"));
+    expect(setCart).toHaveBeenLastCalledWith([
+      { ...cartDetails[0], quantity: 2 },
+    ]);
+
+    await waitFor(() => {
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/braintree/token");
+    });
+  });
+
+  it("should show and change lines of a product's variants apart", async () => {
+    const setCart = jest.fn();
+    const hoodie = {
+      _id: "h1",
+      name: "Hoodie",
+      description: "A warm hoodie",
+      price: 30,
+      quantity: 5,
+    };
+    const medium = { _id: "v1", sku: "HD-M", size: "M", quantity: 4 };
+    const large = { _id: "v2", sku: "HD-L", size: "L", price: 35, quantity: 1 };
+    const lines = [
+      {
+        productId: "h1",
+        variantId: "v1",
+        quantity: 1,
+        product: hoodie,
+        variant: medium,
+      },
+      {
+        productId: "h1",
+        variantId: "v2",
+        quantity: 1,
+        product: hoodie,
+        variant: large,
+      },
+    ];
+    useCart.mockReturnValue([lines, setCart]);
+
+    const { getByText, getAllByLabelText } = render(
+      <MemoryRouter initialEntries={["/cart"]}>
+        <Routes>
+          <Route path="/cart" element={<CartPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    expect(getByText("M (SKU HD-M)")).toBeInTheDocument();
+    expect(getByText("L (SKU HD-L)")).toBeInTheDocument();
+    expect(getByText("Price : 35")).toBeInTheDocument();
+    expect(getByText("Total : $65.00")).toBeInTheDocument();
+
+    const increase = getAllByLabelText("Increase quantity of Hoodie");
+    expect(increase[1]).toBeDisabled();
+    fireEvent.click(increase[0]);
+    expect(setCart).toHaveBeenLastCalledWith([
+      { ...lines[0], quantity: 2 },
+      lines[1],
+    ]);
+
+    await waitFor(() => {
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/braintree/token");
+    });
+  });
+
   it("should navigate to profile page when 'Update Address' button is clicked", async () => {
     useCart.mockReturnValue([cartDetails, jest.fn()]);
 
@@ -351,12 +563,15 @@ describe("CartPage Component - User is Logged In", () => {
         "/api/v1/product/braintree/payment",
         {
           nonce: "fake-nonce",
-          cart: cartDetails,
+          cart: cartDetails.map(({ productId, quantity }) => ({
+            productId,
+            quantity,
+          })),
+          idempotencyKey: expect.any(String),
         }
       );
     });
 
-    expect(localStorage.removeItem).toHaveBeenCalledWith("cart");
     expect(setCart).toHaveBeenCalledWith([]);
     await waitFor(() => {
       expect(toast.success).toHaveBeenCalledWith(
@@ -393,6 +608,295 @@ describe("CartPage Component - User is Logged In", () => {
       expect(console.log).toHaveBeenCalledWith(new Error("Payment Error"));
     });
   });
+
+  it("should keep the cart and show why a payment was declined", async () => {
+    const setCart = jest.fn();
+    useCart.mockReturnValue([cartDetails, setCart]);
+    const declined = new Error("Request failed with status code 402");
+    declined.response = {
+      status: 402,
+      data: { success: false, message: "Do Not Honor" },
+    };
+    axios.post.mockRejectedValue(declined);
+    const mockInstance = {
+      requestPaymentMethod: jest.fn().mockResolvedValue({ nonce: "nonce" }),
+      clearSelectedPaymentMethod: jest.fn(),
+    };
+    DropIn.mockImplementation(({ onInstance }) => {
+      useEffect(() => {
+        onInstance(mockInstance);
+      }, [onInstance]);
+      return <div>Mocked DropIn Component</div>;
+    });
+
+    const { queryByText } = render(
+      <MemoryRouter initialEntries={["/cart"]}>
+        <Routes>
+          <Route path="/cart" element={<CartPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    await waitFor(() => {
+      expect(queryByText("Make Payment")).toBeEnabled();
+    });
+    act(() => {
+      fireEvent.click(queryByText("Make Payment"));
+    });
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith("Do Not Honor");
+    });
+    expect(mockInstance.clearSelectedPaymentMethod).toHaveBeenCalled();
+    expect(toast.success).not.toHaveBeenCalled();
+    expect(mockNavigate).not.toHaveBeenCalled();
+    expect(setCart).not.toHaveBeenCalled();
+    await waitFor(() => {
+      expect(queryByText("Make Payment")).toBeEnabled();
+    });
+  });
+
+  it("should show a general message when a payment fails without one", async () => {
+    useCart.mockReturnValue([cartDetails, jest.fn()]);
+    axios.post.mockRejectedValue(new Error("Network Error"));
+
+    const { queryByText } = render(
+      <MemoryRouter initialEntries={["/cart"]}>
+        <Routes>
+          <Route path="/cart" element={<CartPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    await waitFor(() => {
+      expect(queryByText("Make Payment")).toBeEnabled();
+    });
+    act(() => {
+      fireEvent.click(queryByText("Make Payment"));
+    });
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith(
+        "Payment failed, please try again"
+      );
+    });
+    expect(mockNavigate).not.toHaveBeenCalled();
+  });
+
+  it("should retry a failed payment with the same idempotency key", async () => {
+    useCart.mockReturnValue([cartDetails, jest.fn()]);
+    axios.post
+      .mockRejectedValueOnce(new Error("Network Error"))
+      .mockResolvedValueOnce({ data: { ok: true } });
+
+    const { queryByText } = render(
+      <MemoryRouter initialEntries={["/cart"]}>
+        <Routes>
+          <Route path="/cart" element={<CartPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    await waitFor(() => {
+      expect(queryByText("Make Payment")).toBeEnabled();
+    });
+    act(() => {
+      fireEvent.click(queryByText("Make Payment"));
+    });
+    await waitFor(() => {
+      expect(queryByText("Make Payment")).toBeEnabled();
+    });
+    act(() => {
+      fireEvent.click(queryByText("Make Payment"));
+    });
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledTimes(2);
+    });
+    const [first, second] = axios.post.mock.calls.map(([, body]) => body);
+    expect(first.idempotencyKey).toEqual(expect.any(String));
+    expect(second.idempotencyKey).toBe(first.idempotencyKey);
+  });
+
+  describe("coupons", () => {
+    const cartItems = cartDetails.map(({ productId, quantity }) => ({
+      productId,
+      quantity,
+    }));
+    const renderCart = () =>
+      render(
+        <MemoryRouter initialEntries={["/cart"]}>
+          <Routes>
+            <Route path="/cart" element={<CartPage />} />
+          </Routes>
+        </MemoryRouter>
+      );
+    const applyCode = (getByPlaceholderText, getByText, code) => {
+      fireEvent.change(getByPlaceholderText("Coupon code"), {
+        target: { value: code },
+      });
+      fireEvent.click(getByText("Apply"));
+    };
+
+    beforeEach(() => {
+      useCart.mockReturnValue([cartDetails, jest.fn()]);
+      axios.post.mockImplementation((url) =>
+        url === "/api/v1/coupon/apply"
+          ? Promise.resolve({
+              data: {
+                success: true,
+                message: "Coupon Applied",
+                coupon: { code: "SAVE10", type: "percentage", value: 10 },
+                discount: 7.5,
+              },
+            })
+          : Promise.resolve({ data: { ok: true } })
+      );
+    });
+
+    it("should take an applied coupon off the total", async () => {
+      const { getByPlaceholderText, getByText, findByText } = renderCart();
+
+      expect(getByText("Total : $74.97")).toBeInTheDocument();
+      applyCode(getByPlaceholderText, getByText, "save10");
+
+      expect(await findByText("Discount : -$7.50")).toBeInTheDocument();
+      expect(getByText("Total : $67.47")).toBeInTheDocument();
+      expect(getByText(/Coupon SAVE10/)).toBeInTheDocument();
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/coupon/apply", {
+        code: "save10",
+        cart: cartItems,
+      });
+      expect(toast.success).toHaveBeenCalledWith("Coupon Applied");
+    });
+
+    it("should explain why a coupon was refused", async () => {
+      axios.post.mockRejectedValue({
+        response: { data: { message: "Coupon has expired" } },
+      });
+      const { getByPlaceholderText, getByText, queryByText } = renderCart();
+
+      applyCode(getByPlaceholderText, getByText, "OLD");
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith("Coupon has expired");
+      });
+      expect(queryByText(/Discount :/)).not.toBeInTheDocument();
+      expect(getByText("Total : $74.97")).toBeInTheDocument();
+    });
+
+    it("should go back to the full total when the coupon is removed", async () => {
+      const { getByPlaceholderText, getByText, findByText, queryByText } =
+        renderCart();
+
+      applyCode(getByPlaceholderText, getByText, "save10");
+      fireEvent.click(await findByText("Remove coupon"));
+
+      expect(queryByText(/Discount :/)).not.toBeInTheDocument();
+      expect(getByText("Total : $74.97")).toBeInTheDocument();
+    });
+
+    it("should check the coupon again when the cart changes", async () => {
+      const { getByPlaceholderText, getByText, findByText, rerender } =
+        renderCart();
+      applyCode(getByPlaceholderText, getByText, "save10");
+      await findByText("Discount : -$7.50");
+
+      axios.post.mockRejectedValue({
+        response: {
+          data: {
+            message: "Order must be at least $50.00 to use this coupon",
+          },
+        },
+      });
+      useCart.mockReturnValue([cartDetails.slice(0, 1), jest.fn()]);
+      rerender(
+        <MemoryRouter initialEntries={["/cart"]}>
+          <Routes>
+            <Route path="/cart" element={<CartPage />} />
+          </Routes>
+        </MemoryRouter>
+      );
+
+      await waitFor(() => {
+        expect(toast.error).toHaveBeenCalledWith(
+          "Order must be at least $50.00 to use this coupon"
+        );
+      });
+      expect(axios.post).toHaveBeenLastCalledWith("/api/v1/coupon/apply", {
+        code: "SAVE10",
+        cart: cartItems.slice(0, 1),
+      });
+      expect(getByText("Total : $14.99")).toBeInTheDocument();
+    });
+
+    it("should send the coupon code with the payment", async () => {
+      const mockInstance = {
+        requestPaymentMethod: jest
+          .fn()
+          .mockResolvedValue({ nonce: "fake-nonce" }),
+      };
+      DropIn.mockImplementation(({ onInstance }) => {
+        useEffect(() => {
+          onInstance(mockInstance);
+        }, [onInstance]);
+        return <div>Mocked DropIn Component</div>;
+      });
+      const { getByPlaceholderText, getByText, findByText } = renderCart();
+      applyCode(getByPlaceholderText, getByText, "save10");
+      await findByText("Discount : -$7.50");
+
+      await waitFor(() => {
+        expect(getByText("Make Payment")).toBeEnabled();
+      });
+      fireEvent.click(getByText("Make Payment"));
+
+      await waitFor(() => {
+        expect(axios.post).toHaveBeenCalledWith(
+          "/api/v1/product/braintree/payment",
+          expect.objectContaining({ couponCode: "SAVE10" })
+        );
+      });
+    });
+  });
+
+  it("should show an error for each line without enough stock", async () => {
+    const setCart = jest.fn();
+    useCart.mockReturnValue([cartDetails, setCart]);
+    const stockError = new Error("Request failed with status code 409");
+    stockError.response = {
+      data: {
+        success: false,
+        errors: [
+          { productId: "1", message: "Only 1 of Novel left in stock" },
+          { productId: "2", message: "NUS T-shirt is out of stock" },
+        ],
+      },
+    };
+    axios.post.mockRejectedValue(stockError);
+
+    const { queryByText } = render(
+      <MemoryRouter initialEntries={["/cart"]}>
+        <Routes>
+          <Route path="/cart" element={<CartPage />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+    await waitFor(() => {
+      expect(queryByText("Make Payment")).toBeEnabled();
+    });
+
+    act(() => {
+      fireEvent.click(queryByText("Make Payment"));
+    });
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith("Only 1 of Novel left in stock");
+    });
+    expect(toast.error).toHaveBeenCalledWith("NUS T-shirt is out of stock");
+    expect(setCart).not.toHaveBeenCalled();
+  });
 });
 
 describe("CartPage Component - User is NOT Logged In", () => {
@@ -35,12 +35,16 @@ jest.mock("braintree-web-drop-in-react", () => ({
 
 const cart = [
   {
-    _id: "1",
-    name: "Novel",
-    description: "A bestselling novel",
-    price: 14.99,
-    category: "1",
-    slug: "novel",
+    productId: "1",
+    quantity: 1,
+    product: {
+      _id: "1",
+      name: "Novel",
+      description: "A bestselling novel",
+      price: 14.99,
+      category: "1",
+      slug: "novel",
+    },
   },
 ];
 
@@ -159,7 +163,9 @@ describe("Cart Page Payment Integration Tests", () => {
 
     const paymentButton = screen.getByText("Make Payment");
     expect(paymentButton).toBeInTheDocument();
-    expect(paymentButton).not.toBeDisabled();
+    await waitFor(() => {
+      expect(paymentButton).not.toBeDisabled();
+    });
 
     await act(async () => {
       fireEvent.click(paymentButton);
@@ -170,7 +176,8 @@ describe("Cart Page Payment Integration Tests", () => {
         "/api/v1/product/braintree/payment",
         {
           nonce: "fake-payment-nonce-123",
-          cart: cart,
+          cart: [{ productId: "1", quantity: 1 }],
+          idempotencyKey: expect.any(String),
         }
       );
     });
@@ -237,4 +244,54 @@ describe("Cart Page Payment Integration Tests", () => {
     // Verify navigation to profile page
     expect(mockNavigate).toHaveBeenCalledWith("/dashboard/user/profile");
   });
-});
\ No newline at end of file
+
+  it("should pay offline through the fake provider", async () => {
+    const get = axios.get.getMockImplementation();
+    axios.get.mockImplementation((url) =>
+      url === "/api/v1/product/braintree/token"
+        ? Promise.resolve({
+            data: { clientToken: "fake-client-token", provider: "fake" },
+          })
+        : get(url)
+    );
+
+    await act(async () => {
+      render(
+        <AuthProvider>
+          <CartProvider>
+            <MemoryRouter initialEntries={["/cart"]}>
+              <Routes>
+                <Route path="/cart" element={<CartPage />} />
+              </Routes>
+            </MemoryRouter>
+          </CartProvider>
+        </AuthProvider>
+      );
+    });
+
+    expect(
+      await screen.findByLabelText("Offline payment, no money is taken")
+    ).toBeInTheDocument();
+    expect(screen.queryByTestId("dropin-container")).not.toBeInTheDocument();
+
+    const paymentButton = screen.getByText("Make Payment");
+    await waitFor(() => {
+      expect(paymentButton).not.toBeDisabled();
+    });
+    await act(async () => {
+      fireEvent.click(paymentButton);
+    });
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith(
+        "/api/v1/product/braintree/payment",
+        {
+          nonce: "fake-valid-nonce",
+          cart: [{ productId: "1", quantity: 1 }],
+          idempotencyKey: expect.any(String),
+        }
+      );
+    });
+    expect(mockNavigate).toHaveBeenCalledWith("/dashboard/user/orders");
+  });
+});
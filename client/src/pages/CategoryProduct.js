@@ -1,13 +1,19 @@
 import React, { useState, useEffect } from "react";
 import Layout from "../components/Layout";
-import { useParams, useNavigate } from "react-router-dom";
+import CategoryBreadcrumbs from "../components/CategoryBreadcrumbs";
+import StarRating from "../components/StarRating";
+import WishlistButton from "../components/WishlistButton";
+import { Link, useParams, useNavigate } from "react-router-dom";
 import "../styles/CategoryProductStyles.css";
 import axios from "axios";
+import { outOfStock } from "../helpers/cartHelper";
+import { productPhoto } from "../helpers/photoHelper";
 const CategoryProduct = () => {
   const params = useParams();
   const navigate = useNavigate();
   const [products, setProducts] = useState([]);
   const [category, setCategory] = useState([]);
+  const [subcategories, setSubcategories] = useState([]);
 
   useEffect(() => {
     if (params?.slug) getPrductsByCat();
@@ -19,6 +25,7 @@ const CategoryProduct = () => {
       );
       setProducts(data?.products);
       setCategory(data?.category);
+      setSubcategories(data?.subcategories || []);
     } catch (error) {
       console.log(error);
     }
@@ -27,7 +34,21 @@ const CategoryProduct = () => {
   return (
     <Layout>
       <div className="container mt-3 category">
+        <CategoryBreadcrumbs category={category} />
         <h4 className="text-center">Category - {category?.name}</h4>
+        {subcategories.length > 0 && (
+          <div className="d-flex flex-wrap justify-content-center mb-2">
+            {subcategories.map((c) => (
+              <Link
+                key={c._id}
+                to={`/category/${c.slug}`}
+                className="btn btn-outline-secondary btn-sm m-1"
+              >
+                {c.name}
+              </Link>
+            ))}
+          </div>
+        )}
         <h6 className="text-center">{products?.length} result found </h6>
         <div className="row">
           <div className="col-md-9 offset-1">
@@ -35,13 +56,15 @@ const CategoryProduct = () => {
               {products?.map((p) => (
                 <div className="card m-2" key={p._id}>
                   <img
-                    src={`/api/v1/product/product-photo/${p._id}`}
+                    src={productPhoto(p, 300)}
                     className="card-img-top"
                     alt={p.name}
                   />
                   <div className="card-body">
                     <div className="card-name-price">
-                      <h5 className="card-title">{p.name}</h5>
+                      <h5 className="card-title">
+                        {p.name} <WishlistButton product={p} />
+                      </h5>
                       <h5 className="card-title card-price">
                         {p.price.toLocaleString("en-US", {
                           style: "currency",
@@ -49,9 +72,16 @@ const CategoryProduct = () => {
                         })}
                       </h5>
                     </div>
+                    <StarRating
+                      value={p.rating?.average}
+                      count={p.rating?.count}
+                    />
                     <p className="card-text ">
                       {p.description.substring(0, 60)}...
                     </p>
+                    {outOfStock(p) && (
+                      <p className="card-text text-danger">Out of stock</p>
+                    )}
                     <div className="card-name-price">
                       <button
                         className="btn btn-info ms-1"
@@ -77,6 +77,34 @@ jest.mock("../context/auth", () => ({
       expect(getByText("$999.99")).toBeInTheDocument();
     });
 
+    it("shows the path to the category and its subcategories", async () => {
+      axios.get.mockResolvedValueOnce({
+        data: {
+          category: {
+            _id: "c2",
+            name: "Laptops",
+            slug: "laptops",
+            ancestors: [{ _id: "c1", name: "Electronics", slug: "electronics" }],
+          },
+          subcategories: [{ _id: "c3", name: "Gaming", slug: "gaming" }],
+          products: [],
+        },
+      });
+
+      const { findByText, getByText } = render(
+        <MemoryRouter initialEntries={["/category/laptops"]}>
+          <Routes>
+            <Route path="/category/:slug" element={<CategoryProduct />} />
+          </Routes>
+        </MemoryRouter>
+      );
+
+      expect(await findByText("Gaming")).toHaveAttribute("href", "/category/gaming");
+      expect(getByText("Electronics")).toHaveAttribute("href", "/category/electronics");
+      expect(getByText("Laptops")).toHaveAttribute("aria-current", "page");
+      expect(getByText("Category - Laptops")).toBeInTheDocument();
+    });
+
     it("should navigate to product page on selecting 'More Details'", async () => {
         axios.get.mockResolvedValueOnce({
           data: {
@@ -1,24 +1,52 @@
-import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
-import { Checkbox, Radio } from "antd";
-import { Prices } from "../components/Prices";
+import React, { useState, useEffect, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Checkbox } from "antd";
 import { useCart } from "../context/cart";
+import { addToCart, hasVariants, outOfStock } from "../helpers/cartHelper";
+import {
+  SORT_OPTIONS,
+  catalogParams,
+  readCatalogParams,
+} from "../helpers/catalogHelper";
+import { categoryTree, flattenTree } from "../helpers/categoryHelper";
+import { productPhoto } from "../helpers/photoHelper";
 import axios from "axios";
 import toast from "react-hot-toast";
 import Layout from "./../components/Layout";
+import PriceFilter from "../components/PriceFilter";
+import StarRating from "../components/StarRating";
+import WishlistButton from "../components/WishlistButton";
+import useInfiniteScroll from "../hooks/useInfiniteScroll";
 import { AiOutlineReload } from "react-icons/ai";
 import "../styles/Homepages.css";
 
+const noFacets = {
+  categories: [],
+  price: { min: null, max: null, buckets: [] },
+};
+
 const HomePage = () => {
   const navigate = useNavigate();
   const [cart, setCart] = useCart();
   const [products, setProducts] = useState([]);
   const [categories, setCategories] = useState([]);
-  const [checked, setChecked] = useState([]);
-  const [radio, setRadio] = useState([]);
-  const [total, setTotal] = useState(0);
-  const [page, setPage] = useState(1);
+  const [facets, setFacets] = useState(noFacets);
+  const [nextCursor, setNextCursor] = useState(null);
   const [loading, setLoading] = useState(false);
+  //filters, sort and page live in the url so a reload or a shared link
+  //shows the same products
+  const [searchParams, setSearchParams] = useSearchParams();
+  const filters = readCatalogParams(searchParams);
+  const { categories: checked, minPrice, maxPrice, sort, page } = filters;
+  //the url without its page: the list shown, however far it is loaded
+  const listKey = catalogParams({ ...filters, page: 1 }).toString();
+  const shownList = useRef(listKey);
+  //the filters without their sort, which the facets do not depend on
+  const facetKey = catalogParams({
+    ...filters,
+    sort: "newest",
+    page: 1,
+  }).toString();
 
   //get all cat
   const getAllCategory = async () => {
@@ -34,78 +62,97 @@ const HomePage = () => {
 
   useEffect(() => {
     getAllCategory();
-    getTotal();
   }, []);
-  //get products
+  //the catalog api url for the filters, after a cursor when there is one
+  const productsUrl = (cursor) => {
+    const params = catalogParams({ ...filters, page: 1 });
+    if (cursor) params.set("cursor", cursor);
+    return `/api/v1/product/products?${params}`;
+  };
+
+  //get the filtered products, as many pages as the url says were loaded;
+  //a list the filters have moved on from is dropped
   const getAllProducts = async () => {
+    shownList.current = listKey;
     try {
       setLoading(true);
-      const { data } = await axios.get(`/api/v1/product/product-list/${page}`);
+      let list = [];
+      let cursor = null;
+      for (let n = 0; n < page && (n === 0 || cursor); n++) {
+        const { data } = await axios.get(productsUrl(cursor));
+        list = [...list, ...data.products];
+        cursor = data.nextCursor;
+      }
+      if (shownList.current !== listKey) return;
       setLoading(false);
-      setProducts(data.products);
+      setProducts(list);
+      setNextCursor(cursor);
     } catch (error) {
       setLoading(false);
       console.log(error);
     }
   };
 
-  //getTOtal COunt
-  const getTotal = async () => {
-    try {
-      const { data } = await axios.get("/api/v1/product/product-count");
-      setTotal(data?.total);
-    } catch (error) {
-      console.log(error);
-    }
-  };
+  //change the filters or sort in the url; a new list starts at its first page
+  const updateFilters = (changes) =>
+    setSearchParams(catalogParams({ ...filters, page: 1, ...changes }));
 
-  useEffect(() => {
-    if (page === 1) return;
-    loadMore();
-  }, [page]);
-  //load more
+  //load more, after the cursor of the last page; the url counts the pages
+  //so a reload shows as many
   const loadMore = async () => {
+    if (loading || !nextCursor) return;
     try {
       setLoading(true);
-      const { data } = await axios.get(`/api/v1/product/product-list/${page}`);
+      const { data } = await axios.get(productsUrl(nextCursor));
+      if (shownList.current !== listKey) return;
       setLoading(false);
-      setProducts([...products, ...data?.products]);
+      setProducts([...products, ...data.products]);
+      setNextCursor(data.nextCursor);
+      setSearchParams(catalogParams({ ...filters, page: page + 1 }), {
+        replace: true,
+      });
     } catch (error) {
-      console.log(error);
       setLoading(false);
+      console.log(error);
     }
   };
+  const listEnd = useInfiniteScroll(loadMore, {
+    hasMore: Boolean(nextCursor),
+    loading,
+  });
 
   // filter by cat
   const handleFilter = (value, id) => {
-    let all = [...checked];
-    if (value) {
-      all.push(id);
-    } else {
-      all = all.filter((c) => c !== id);
-    }
-    setChecked(all);
+    updateFilters({
+      categories: value ? [...checked, id] : checked.filter((c) => c !== id),
+    });
   };
+
   useEffect(() => {
-    if (!checked.length || !radio.length) getAllProducts();
-  }, [checked.length, radio.length]);
+    getAllProducts();
+  }, [listKey]);
 
+  //category counts and price range of the filtered catalog
   useEffect(() => {
-    if (checked.length || radio.length) filterProduct();
-  }, [checked, radio]);
+    let current = true;
+    const getFacets = async () => {
+      try {
+        const { data } = await axios.get(
+          `/api/v1/product/products/facets?${facetKey}`
+        );
+        if (current && data?.success) setFacets(data);
+      } catch (error) {
+        console.log(error);
+      }
+    };
+    getFacets();
+    return () => {
+      current = false;
+    };
+  }, [facetKey]);
 
-  //get filterd product
-  const filterProduct = async () => {
-    try {
-      const { data } = await axios.post("/api/v1/product/product-filters", {
-        checked,
-        radio,
-      });
-      setProducts(data?.products);
-    } catch (error) {
-      console.log(error);
-    }
-  };
+  const categoryCount = (id) =>
+    facets.categories.find((c) => c._id === id)?.count || 0;
   return (
     <Layout title={"ALL Products - Best offers "}>
       {/* banner image */}
@@ -120,30 +167,54 @@ const HomePage = () => {
         <div className="col-md-3 filters">
           <h4 className="text-center">Filter By Category</h4>
           <div className="d-flex flex-column">
-            {categories?.map((c) => (
+            {flattenTree(categoryTree(categories)).map((c) => (
               <Checkbox
                 key={c._id}
+                style={{ marginLeft: `${c.depth * 1.25}rem` }}
+                checked={checked.includes(c._id)}
                 onChange={(e) => handleFilter(e.target.checked, c._id)}
               >
-                {c.name}
+                {c.name}{" "}
+                <span className="text-muted">({categoryCount(c._id)})</span>
               </Checkbox>
             ))}
           </div>
           {/* price filter */}
           <h4 className="text-center mt-4">Filter By Price</h4>
+          <PriceFilter
+            price={facets.price}
+            minPrice={minPrice}
+            maxPrice={maxPrice}
+            onChange={updateFilters}
+          />
+          {/* availability filter */}
+          <h4 className="text-center mt-4">Availability</h4>
           <div className="d-flex flex-column">
-            <Radio.Group onChange={(e) => setRadio(e.target.value)}>
-              {Prices?.map((p) => (
-                <div key={p._id}>
-                  <Radio value={p.array}>{p.name}</Radio>
-                </div>
-              ))}
-            </Radio.Group>
+            <Checkbox
+              checked={filters.inStock}
+              onChange={(e) => updateFilters({ inStock: e.target.checked })}
+            >
+              In stock only
+            </Checkbox>
+            <Checkbox
+              checked={filters.shipping}
+              onChange={(e) => updateFilters({ shipping: e.target.checked })}
+            >
+              Shipping available
+            </Checkbox>
           </div>
-          <div className="d-flex flex-column">
+          <div className="d-flex flex-column mt-3">
             <button
               className="btn btn-danger"
-              onClick={() => window.location.reload()}
+              onClick={() =>
+                updateFilters({
+                  categories: [],
+                  minPrice: undefined,
+                  maxPrice: undefined,
+                  inStock: false,
+                  shipping: false,
+                })
+              }
             >
               RESET FILTERS
             </button>
@@ -151,17 +222,33 @@ const HomePage = () => {
         </div>
         <div className="col-md-9 ">
           <h1 className="text-center">All Products</h1>
+          <div className="d-flex justify-content-end">
+            <select
+              className="form-select w-auto"
+              aria-label="Sort products"
+              value={sort}
+              onChange={(e) => updateFilters({ sort: e.target.value })}
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
           <div className="d-flex flex-wrap">
             {products?.map((p) => (
               <div className="card m-2" key={p._id}>
                 <img
-                  src={`/api/v1/product/product-photo/${p._id}`}
+                  src={productPhoto(p, 300)}
                   className="card-img-top"
                   alt={p.name}
                 />
                 <div className="card-body">
                   <div className="card-name-price">
-                    <h5 className="card-title">{p.name}</h5>
+                    <h5 className="card-title">
+                      {p.name} <WishlistButton product={p} />
+                    </h5>
                     <h5 className="card-title card-price">
                       {p.price.toLocaleString("en-US", {
                         style: "currency",
@@ -169,6 +256,10 @@ const HomePage = () => {
                       })}
                     </h5>
                   </div>
+                  <StarRating
+                    value={p.rating?.average}
+                    count={p.rating?.count}
+                  />
                   <p className="card-text ">
                     {p.description.substring(0, 60)}...
                   </p>
@@ -179,31 +270,37 @@ const HomePage = () => {
                     >
                       More Details
                     </button>
-                    <button
-                      className="btn btn-dark ms-1"
-                      onClick={() => {
-                        setCart([...cart, p]);
-                        localStorage.setItem(
-                          "cart",
-                          JSON.stringify([...cart, p])
-                        );
-                        toast.success("Item Added to cart");
-                      }}
-                    >
-                      ADD TO CART
-                    </button>
+                    {hasVariants(p) ? (
+                      <button
+                        className="btn btn-dark ms-1"
+                        onClick={() => navigate(`/product/${p.slug}`)}
+                      >
+                        Choose Options
+                      </button>
+                    ) : (
+                      <button
+                        className="btn btn-dark ms-1"
+                        disabled={outOfStock(p)}
+                        onClick={() => {
+                          setCart(addToCart(cart, p));
+                          toast.success("Item Added to cart");
+                        }}
+                      >
+                        {outOfStock(p) ? "Out of stock" : "ADD TO CART"}
+                      </button>
+                    )}
                   </div>
                 </div>
               </div>
             ))}
           </div>
-          <div className="m-2 p-3">
-            {products && products.length < total && (
+          <div className="m-2 p-3" ref={listEnd}>
+            {nextCursor && (
               <button
                 className="btn loadmore"
                 onClick={(e) => {
                   e.preventDefault();
-                  setPage(page + 1);
+                  loadMore();
                 }}
               >
                 {loading ? (
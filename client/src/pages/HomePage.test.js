@@ -9,7 +9,13 @@ import {
 import axios from "axios";
 import React, { useEffect } from "react";
 import toast from "react-hot-toast";
-import { MemoryRouter, Route, Routes, useNavigate } from "react-router-dom";
+import {
+  MemoryRouter,
+  Route,
+  Routes,
+  useLocation,
+  useNavigate,
+} from "react-router-dom";
 import { useCart } from "../context/cart";
 import HomePage from "./HomePage";
 
@@ -84,4 +90,201 @@ describe("HomePage Component", () => {
     expect(getByText(/RESET FILTERS/)).toBeInTheDocument();
     expect(getByText(/All Products/)).toBeInTheDocument();
   });
+
+  describe("filters in the url", () => {
+    const categories = [
+      { _id: "c1", name: "Books" },
+      { _id: "c2", name: "Clothing" },
+    ];
+    const facets = {
+      categories: [{ _id: "c1", count: 2 }],
+      price: {
+        min: 1.99,
+        max: 98.5,
+        buckets: [
+          { min: 0, max: 50, count: 3 },
+          { min: 50, max: 100, count: 1 },
+        ],
+      },
+    };
+
+    // shows the query string the page leaves in the url
+    const Location = () => (
+      <div data-testid="location">{useLocation().search}</div>
+    );
+
+    const renderAt = (url) =>
+      render(
+        <MemoryRouter initialEntries={[url]}>
+          <Routes>
+            <Route
+              path="/"
+              element={
+                <>
+                  <HomePage />
+                  <Location />
+                </>
+              }
+            />
+          </Routes>
+        </MemoryRouter>
+      );
+
+    beforeEach(() => {
+      axios.get.mockImplementation(async (url) => {
+        if (url === "/api/v1/category/get-category") {
+          return { data: { success: true, category: categories } };
+        }
+        if (url.startsWith("/api/v1/product/products/facets?")) {
+          return { data: { success: true, ...facets } };
+        }
+        // a product per page, after cursors c2 and c3; filtered lists only
+        // have the third
+        const query = new URLSearchParams(url.split("?")[1]);
+        if (query.has("category")) {
+          return { data: { products: [mockProducts[2]], nextCursor: null } };
+        }
+        const page = Number((query.get("cursor") || "c1").slice(1));
+        return {
+          data: {
+            success: true,
+            products: [mockProducts[page - 1]],
+            total: 3,
+            nextCursor: page < 3 ? `c${page + 1}` : null,
+          },
+        };
+      });
+    });
+
+    afterEach(() => {
+      axios.get.mockReset();
+    });
+
+    it("filters and sorts the products the url asks for", async () => {
+      const { findByLabelText, getByLabelText, findByText, queryByText } =
+        renderAt("/?category=c1&minPrice=20&maxPrice=39&sort=price-asc");
+
+      await findByText("product 3");
+      expect(axios.get).toHaveBeenCalledWith(
+        "/api/v1/product/products?category=c1&minPrice=20&maxPrice=39" +
+          "&sort=price-asc"
+      );
+      expect(queryByText(/Loadmore/)).not.toBeInTheDocument();
+      expect(await findByLabelText("Books (2)")).toBeChecked();
+      expect(getByLabelText("Clothing (0)")).not.toBeChecked();
+      expect(getByLabelText("Sort products")).toHaveValue("price-asc");
+      expect(axios.get).toHaveBeenCalledWith(
+        "/api/v1/product/products/facets?category=c1&minPrice=20&maxPrice=39"
+      );
+      await waitFor(() =>
+        expect(getByLabelText("Lowest price")).toHaveAttribute(
+          "aria-valuenow",
+          "20"
+        )
+      );
+      expect(getByLabelText("Highest price")).toHaveAttribute(
+        "aria-valuemax",
+        "99"
+      );
+    });
+
+    it("lists each subcategory under its category", async () => {
+      const fetch = axios.get.getMockImplementation();
+      axios.get.mockImplementation(async (url) =>
+        url === "/api/v1/category/get-category"
+          ? {
+              data: {
+                success: true,
+                category: [
+                  ...categories,
+                  { _id: "c3", name: "Fiction", parentCategory: "c1" },
+                ],
+              },
+            }
+          : fetch(url)
+      );
+      const { findByLabelText, getAllByRole } = renderAt("/");
+
+      await findByLabelText("Fiction (0)");
+      expect(
+        getAllByRole("checkbox")
+          .slice(0, 3)
+          .map((box) => box.closest("label").textContent)
+      ).toEqual(["Books (2)", "Fiction (0)", "Clothing (0)"]);
+    });
+
+    it("loads as many pages as the url says", async () => {
+      const { findByText, getByText } = renderAt("/?page=2");
+
+      await findByText("product 2");
+      expect(getByText("product 1")).toBeInTheDocument();
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/products?");
+      expect(axios.get).toHaveBeenCalledWith(
+        "/api/v1/product/products?cursor=c2"
+      );
+    });
+
+    it("loads the next page only when asked for more", async () => {
+      const { findByText, getByText, getByTestId } = renderAt("/");
+      await findByText("product 1");
+      axios.get.mockClear();
+
+      fireEvent.click(getByText(/Loadmore/));
+
+      await findByText("product 2");
+      expect(getByText("product 1")).toBeInTheDocument();
+      expect(getByTestId("location")).toHaveTextContent("?page=2");
+      expect(axios.get).toHaveBeenCalledTimes(1);
+      expect(axios.get).toHaveBeenCalledWith(
+        "/api/v1/product/products?cursor=c2"
+      );
+    });
+
+    it("keeps filter changes in the url and resets them", async () => {
+      const { findByLabelText, getByLabelText, getByText, getByTestId } =
+        renderAt("/?sort=name&page=2");
+
+      fireEvent.click(await findByLabelText("Clothing (0)"));
+      expect(getByTestId("location")).toHaveTextContent(
+        "?category=c2&sort=name"
+      );
+      const highest = await findByLabelText("Highest price");
+      fireEvent.keyDown(highest, { key: "ArrowLeft", keyCode: 37 });
+      fireEvent.keyUp(highest, { key: "ArrowLeft", keyCode: 37 });
+      fireEvent.click(getByLabelText("In stock only"));
+      expect(getByTestId("location")).toHaveTextContent(
+        "?category=c2&maxPrice=98&inStock=true&sort=name"
+      );
+
+      fireEvent.click(getByText("RESET FILTERS"));
+
+      expect(getByTestId("location")).toHaveTextContent("?sort=name");
+      await waitFor(() =>
+        expect(axios.get).toHaveBeenCalledWith(
+          "/api/v1/product/products?sort=name"
+        )
+      );
+    });
+
+    it("loads the next page when the end of the list scrolls into view", async () => {
+      const observers = [];
+      window.IntersectionObserver = jest.fn(function (callback) {
+        this.observe = jest.fn();
+        this.disconnect = jest.fn();
+        observers.push(callback);
+      });
+      const { findByText, getByTestId } = renderAt("/?sort=name");
+      await findByText("product 1");
+      await waitFor(() => expect(observers).toHaveLength(1));
+
+      act(() => observers[0]([{ isIntersecting: true }]));
+
+      await findByText("product 2");
+      expect(axios.get).toHaveBeenCalledWith(
+        "/api/v1/product/products?sort=name&cursor=c2"
+      );
+      expect(getByTestId("location")).toHaveTextContent("?sort=name&page=2");
+      delete window.IntersectionObserver;
+    });
+  });
 });
@@ -5,6 +5,19 @@ import { useParams, useNavigate } from "react-router-dom";
 import "../styles/ProductDetailsStyles.css";
 import toast from "react-hot-toast";
 import { useCart } from "../context/cart";
+import {
+  addToCart,
+  hasVariants,
+  linePrice,
+  outOfStock,
+} from "../helpers/cartHelper";
+import { productPhoto } from "../helpers/photoHelper";
+import CategoryBreadcrumbs from "../components/CategoryBreadcrumbs";
+import ProductGallery from "../components/ProductGallery";
+import ProductReviews from "../components/ProductReviews";
+import StarRating from "../components/StarRating";
+import VariantPicker from "../components/VariantPicker";
+import WishlistButton from "../components/WishlistButton";
 
 
 const ProductDetails = () => {
@@ -12,7 +25,12 @@ const ProductDetails = () => {
   const [cart, setCart] = useCart();
   const navigate = useNavigate();
   const [product, setProduct] = useState({});
+  const [variantId, setVariantId] = useState(null);
   const [relatedProducts, setRelatedProducts] = useState([]);
+  //price, stock and photo follow the chosen variant
+  const variant = product.variants?.find((v) => v._id === variantId);
+  const choice = { productId: product._id, variantId, product, variant };
+  const needsChoice = hasVariants(product) && !variant;
 
   //initalp details
   useEffect(() => {
@@ -25,6 +43,7 @@ const ProductDetails = () => {
         `/api/v1/product/get-product/${params.slug}`
       );
       setProduct(data?.product);
+      setVariantId(null);
       getSimilarProduct(data?.product._id, data?.product.category._id);
     } catch (error) {
       console.log(error);
@@ -43,42 +62,63 @@ const ProductDetails = () => {
   };
   return (
     <Layout>
+      <div className="container mt-3">
+        <CategoryBreadcrumbs category={product.category} product={product} />
+      </div>
       <div className="row container product-details">
         <div className="col-md-6">
-          <img
-            src={`/api/v1/product/product-photo/${product._id}`}
-            className="card-img-top"
-            alt={product.name}
-            height="300"
-            width={"350px"}
-          />
+          {product._id && (
+            <ProductGallery product={product} variant={variant} />
+          )}
         </div>
         <div className="col-md-6 product-details-info">
           <h1 className="text-center">Product Details</h1>
           <hr />
-          <h6>Name : {product.name}</h6>
+          <h6>
+            Name : {product.name}{" "}
+            {product._id && <WishlistButton product={product} />}
+          </h6>
           <h6>Description : {product.description}</h6>
           <h6>
             Price :
-            {product?.price?.toLocaleString("en-US", {
-              style: "currency",
-              currency: "USD",
-            })}
+            {product._id &&
+              linePrice(choice).toLocaleString("en-US", {
+                style: "currency",
+                currency: "USD",
+              })}
           </h6>
           <h6>Category : {product?.category?.name}</h6>
+          <StarRating
+            value={product?.rating?.average}
+            count={product?.rating?.count}
+          />
+          <VariantPicker
+            variants={product.variants}
+            value={variantId}
+            onChange={setVariantId}
+          />
+          {variant && <h6>SKU : {variant.sku}</h6>}
           <button className="btn btn-secondary ms-1"
+          disabled={needsChoice || outOfStock(variant || product)}
           onClick={() => {
-            setCart([...cart, product]);
-            localStorage.setItem(
-              "cart",
-              JSON.stringify([...cart, product])
-            );
+            setCart(addToCart(cart, product, 1, variant));
             toast.success("Item Added to cart");
           }}
-          >ADD TO CART</button>
+          >
+            {needsChoice
+              ? "Choose an option"
+              : outOfStock(variant || product)
+              ? "Out of stock"
+              : "ADD TO CART"}
+          </button>
         </div>
       </div>
       <hr />
+      <ProductReviews
+        productId={product._id}
+        onRatingChange={(rating) => setProduct({ ...product, rating })}
+      />
+      <hr />
       <div className="row container similar-products">
         <h4>Similar Products ➡️</h4>
         {relatedProducts.length < 1 && (
@@ -88,7 +128,7 @@ const ProductDetails = () => {
           {relatedProducts?.map((p) => (
             <div className="card m-2" key={p._id}>
               <img
-                src={`/api/v1/product/product-photo/${p._id}`}
+                src={productPhoto(p, 300)}
                 className="card-img-top"
                 alt={p.name}
               />
@@ -112,19 +152,25 @@ const ProductDetails = () => {
                   >
                     More Details
                   </button>
-                  <button
-                  className="btn btn-dark ms-1"
-                  onClick={() => {
-                    setCart([...cart, p]);
-                    localStorage.setItem(
-                      "cart",
-                      JSON.stringify([...cart, p])
-                    );
-                    toast.success("Item Added to cart");
-                  }}
-                >
-                  ADD TO CART
-                </button>
+                  {hasVariants(p) ? (
+                    <button
+                      className="btn btn-dark ms-1"
+                      onClick={() => navigate(`/product/${p.slug}`)}
+                    >
+                      Choose Options
+                    </button>
+                  ) : (
+                    <button
+                    className="btn btn-dark ms-1"
+                    disabled={outOfStock(p)}
+                    onClick={() => {
+                      setCart(addToCart(cart, p));
+                      toast.success("Item Added to cart");
+                    }}
+                  >
+                    {outOfStock(p) ? "Out of stock" : "ADD TO CART"}
+                  </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -22,6 +22,20 @@ jest.mock("react-hot-toast", () => ({
 jest.mock("../context/cart", () => ({
     useCart: jest.fn()
 }));
+jest.mock("../components/ProductReviews", () => ({ productId }) => (
+    <div data-testid="product-reviews" data-product={productId} />
+));
+jest.mock("../components/ProductGallery", () => ({ product, variant }) => (
+    <img
+        data-testid="product-gallery"
+        data-product={product._id}
+        data-variant={variant?._id}
+        alt={product.name}
+    />
+));
+jest.mock("../components/WishlistButton", () => ({ product }) => (
+    <span data-testid="wishlist-button" data-product={product._id} />
+));
 
 describe("ProductDetails component", () => {
     const mockNavigate = jest.fn();
@@ -106,6 +120,39 @@ describe("ProductDetails component", () => {
         await waitFor(() => expect(consoleSpy).toHaveBeenCalledWith(new Error("getSimilarProduct API failure")));    
     });
 
+    test("shows the path to the category of the product", async () => {
+        axios.get.mockResolvedValueOnce({
+            data: {
+                product: {
+                    _id: "66db427fdb0119d9234b27f1",
+                    name: "Textbook",
+                    slug: "textbook",
+                    description: "A comprehensive textbook",
+                    price: 79.99,
+                    category: {
+                        _id: "66db427fdb0119d9234b27ef",
+                        name: "Study",
+                        slug: "study",
+                        ancestors: [{ _id: "66db427fdb0119d9234b27ee", name: "Book", slug: "book" }]
+                    },
+                    quantity: 50
+                }
+            }
+        }).mockResolvedValueOnce({ data: { products: [] } });
+
+        render(
+            <MemoryRouter initialEntries={["/product/textbook"]}>
+                <Routes>
+                    <Route path="/product/:slug" element={<ProductDetails />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        expect(await screen.findByText("Book")).toHaveAttribute("href", "/category/book");
+        expect(screen.getByText("Study")).toHaveAttribute("href", "/category/study");
+        expect(screen.getByText("Textbook")).toHaveAttribute("aria-current", "page");
+    });
+
     test("renders product details correctly, without similar products", async () => {
         axios.get.mockResolvedValueOnce({
           data: {
@@ -162,11 +209,9 @@ describe("ProductDetails component", () => {
 
         const image = await screen.findAllByRole("img");
         expect(await image).toHaveLength(1);
-        expect(await image[0]).toHaveAttribute("src", "/api/v1/product/product-photo/66db427fdb0119d9234b27f1");
-        expect(await image[0]).toHaveAttribute("class", "card-img-top");
+        expect(await image[0]).toHaveAttribute("data-product", "66db427fdb0119d9234b27f1");
+        expect(await image[0]).toHaveAttribute("data-testid", "product-gallery");
         expect(await image[0]).toHaveAttribute("alt", "Textbook");
-        expect(await image[0]).toHaveAttribute("height", "300");
-        expect(await image[0]).toHaveAttribute("width", "350px");
     })
 
     test("renders product details correctly, with similar products", async () => {
@@ -213,6 +258,7 @@ describe("ProductDetails component", () => {
                         shipping: false,
                         createdAt: "2024-09-06T17:57:19.963Z",
                         updatedAt: "2024-09-06T17:57:19.963Z",
+                        photosUpdatedAt: "2024-09-06T17:57:19.963Z",
                         __v: 0
                     },
                     {
@@ -231,6 +277,7 @@ describe("ProductDetails component", () => {
                         shipping: true,
                         createdAt: "2024-09-06T17:57:19.992Z",
                         updatedAt: "2024-09-06T17:57:19.992Z",
+                        photosUpdatedAt: "2024-09-06T17:57:19.992Z",
                         __v: 0
                     }
                 ]
@@ -281,15 +328,13 @@ describe("ProductDetails component", () => {
         
         const image = await screen.findAllByRole("img");
         expect(await image).toHaveLength(3);
-        expect(await image[0]).toHaveAttribute("src", "/api/v1/product/product-photo/66db427fdb0119d9234b27f9");
-        expect(await image[0]).toHaveClass("card-img-top");
+        expect(await image[0]).toHaveAttribute("data-product", "66db427fdb0119d9234b27f9");
+        expect(await image[0]).toHaveAttribute("data-testid", "product-gallery");
         expect(await image[0]).toHaveAttribute("alt", "Novel");
-        expect(await image[0]).toHaveAttribute("height", "300");
-        expect(await image[0]).toHaveAttribute("width", "350px");
-        expect(await image[1]).toHaveAttribute("src", "/api/v1/product/product-photo/66db427fdb0119d9234b27f1");
+        expect(await image[1]).toHaveAttribute("src", "/api/v1/product/product-photo/66db427fdb0119d9234b27f1?w=300&v=1725645439963");
         expect(await image[1]).toHaveClass("card-img-top");
         expect(await image[1]).toHaveAttribute("alt", "Textbook");
-        expect(await image[2]).toHaveAttribute("src", "/api/v1/product/product-photo/67a2171ea6d9e00ef2ac0229");
+        expect(await image[2]).toHaveAttribute("src", "/api/v1/product/product-photo/67a2171ea6d9e00ef2ac0229?w=300&v=1725645439992");
         expect(await image[2]).toHaveClass("card-img-top");
         expect(await image[2]).toHaveAttribute("alt", "The Law of Contract in Singapore");
     })
@@ -366,7 +411,6 @@ describe("ProductDetails component", () => {
         const setCart = jest.fn();
         const cart = [];
         useCart.mockReturnValue([cart, setCart]);
-        Storage.prototype.setItem = jest.fn();
         axios.get.mockResolvedValueOnce({
             data: {
                   success: true,
@@ -430,81 +474,188 @@ describe("ProductDetails component", () => {
         fireEvent.click(button[0]);
 
         expect(setCart).toHaveBeenCalledWith([{
-            _id: "66db427fdb0119d9234b27f9",
-            name: "Novel",
-            slug: "novel",
-            description: "A bestselling novel",
-            price: 14.99,
-            category: {
-                _id: "66db427fdb0119d9234b27ef",
-                name: "Book",
-                slug: "book",
+            productId: "66db427fdb0119d9234b27f9",
+            quantity: 1,
+            product: {
+                _id: "66db427fdb0119d9234b27f9",
+                name: "Novel",
+                slug: "novel",
+                description: "A bestselling novel",
+                price: 14.99,
+                category: {
+                    _id: "66db427fdb0119d9234b27ef",
+                    name: "Book",
+                    slug: "book",
+                    __v: 0
+                },
+                quantity: 200,
+                shipping: true,
+                createdAt: "2024-09-06T17:57:19.992Z",
+                updatedAt: "2024-09-06T17:57:19.992Z",
                 __v: 0
-            },
-            quantity: 200,
-            shipping: true,
-            createdAt: "2024-09-06T17:57:19.992Z",
-            updatedAt: "2024-09-06T17:57:19.992Z",
-            __v: 0
+            }
         }]);
-        expect(Storage.prototype.setItem).toHaveBeenCalledWith("cart", JSON.stringify([{
-            _id: "66db427fdb0119d9234b27f9",
-            name: "Novel",
-            slug: "novel",
-            description: "A bestselling novel",
-            price: 14.99,
-            category: {
-                _id: "66db427fdb0119d9234b27ef",
-                name: "Book",
-                slug: "book",
-                __v: 0
-            },
-            quantity: 200,
-            shipping: true,
-            createdAt: "2024-09-06T17:57:19.992Z",
-            updatedAt: "2024-09-06T17:57:19.992Z",
-            __v: 0
-        }]));
         expect(toast.success).toHaveBeenCalledWith("Item Added to cart");
 
         expect(await button[2]).toHaveTextContent("ADD TO CART");
         fireEvent.click(button[2]);
         expect(setCart).toHaveBeenCalledWith([{
-            _id: "67a2171ea6d9e00ef2ac0229",
-            name: "The Law of Contract in Singapore",
-            slug: "the-law-of-contract-in-singapore",
-            description: "A bestselling book in Singapore",
-            price: 54.99,
-            category: {
-                _id: "66db427fdb0119d9234b27ef",
-                name: "Book",
-                slug: "book",
+            productId: "67a2171ea6d9e00ef2ac0229",
+            quantity: 1,
+            product: {
+                _id: "67a2171ea6d9e00ef2ac0229",
+                name: "The Law of Contract in Singapore",
+                slug: "the-law-of-contract-in-singapore",
+                description: "A bestselling book in Singapore",
+                price: 54.99,
+                category: {
+                    _id: "66db427fdb0119d9234b27ef",
+                    name: "Book",
+                    slug: "book",
+                    __v: 0
+                },
+                quantity: 200,
+                shipping: true,
+                createdAt: "2024-09-06T17:57:19.992Z",
+                updatedAt: "2024-09-06T17:57:19.992Z",
                 __v: 0
-            },
-            quantity: 200,
-            shipping: true,
-            createdAt: "2024-09-06T17:57:19.992Z",
-            updatedAt: "2024-09-06T17:57:19.992Z",
-            __v: 0
+            }
         }]);
-        expect(Storage.prototype.setItem).toHaveBeenCalledWith("cart", JSON.stringify([{
-            _id: "67a2171ea6d9e00ef2ac0229",
-            name: "The Law of Contract in Singapore",
-            slug: "the-law-of-contract-in-singapore",
-            description: "A bestselling book in Singapore",
-            price: 54.99,
-            category: {
-                _id: "66db427fdb0119d9234b27ef",
-                name: "Book",
-                slug: "book",
-                __v: 0
-            },
-            quantity: 200,
-            shipping: true,
-            createdAt: "2024-09-06T17:57:19.992Z",
-            updatedAt: "2024-09-06T17:57:19.992Z",
-            __v: 0
-        }]));
         expect(toast.success).toHaveBeenCalledWith("Item Added to cart");
     })
-})
\ No newline at end of file
+
+    test("shows out of stock products with add to cart disabled", async () => {
+        axios.get.mockResolvedValueOnce({
+            data: {
+                success: true,
+                product: {
+                    _id: "66db427fdb0119d9234b27f1",
+                    name: "Textbook",
+                    slug: "textbook",
+                    description: "A comprehensive textbook",
+                    price: 79.99,
+                    category: { _id: "66db427fdb0119d9234b27ef", name: "Book" },
+                    quantity: 0,
+                }
+            }
+        }).mockResolvedValueOnce({
+            data: {
+                products: [
+                    {
+                        _id: "66db427fdb0119d9234b27f3",
+                        name: "Novel",
+                        slug: "novel",
+                        description: "A bestselling novel",
+                        price: 14.99,
+                        quantity: 0,
+                    }
+                ]
+            }
+        });
+        render(
+            <MemoryRouter initialEntries={["/product/test-value"]}>
+                <Routes>
+                    <Route path="/product/:slug" element={<ProductDetails />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        const buttons = await screen.findAllByText("Out of stock");
+        expect(buttons).toHaveLength(2);
+        buttons.forEach((button) => expect(button).toBeDisabled());
+        fireEvent.click(buttons[0]);
+        expect(useCart()[1]).not.toHaveBeenCalled();
+        expect(toast.success).not.toHaveBeenCalled();
+    })
+
+    test("shows the product rating and its reviews", async () => {
+        axios.get.mockResolvedValueOnce({
+            data: {
+                success: true,
+                product: {
+                    _id: "66db427fdb0119d9234b27f9",
+                    name: "Novel",
+                    slug: "novel",
+                    description: "A bestselling novel",
+                    price: 14.99,
+                    category: { _id: "66db427fdb0119d9234b27ef", name: "Book" },
+                    quantity: 5,
+                    rating: { average: 4.5, count: 8 },
+                }
+            }
+        }).mockResolvedValueOnce({ data: { products: [] } });
+        render(
+            <MemoryRouter initialEntries={["/product/test-value"]}>
+                <Routes>
+                    <Route path="/product/:slug" element={<ProductDetails />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        expect(await screen.findByText("4.5 (8)")).toBeInTheDocument();
+        expect(screen.getByTestId("wishlist-button")).toHaveAttribute(
+            "data-product",
+            "66db427fdb0119d9234b27f9"
+        );
+        expect(screen.getByTestId("product-reviews")).toHaveAttribute(
+            "data-product",
+            "66db427fdb0119d9234b27f9"
+        );
+    })
+
+    test("adds the chosen variant at its own price", async () => {
+        const setCart = jest.fn();
+        useCart.mockReturnValue([[], setCart]);
+        const product = {
+            _id: "66db427fdb0119d9234b27f5",
+            name: "Hoodie",
+            slug: "hoodie",
+            description: "A warm hoodie",
+            price: 30,
+            category: { _id: "66db427fdb0119d9234b27ef", name: "Clothing" },
+            quantity: 4,
+            variants: [
+                { _id: "v1", sku: "HD-M", size: "M", quantity: 4 },
+                {
+                    _id: "v2",
+                    sku: "HD-XL",
+                    size: "XL",
+                    price: 35,
+                    quantity: 0,
+                    photo: { contentType: "image/png" },
+                },
+            ],
+        };
+        axios.get.mockResolvedValueOnce({ data: { success: true, product } })
+            .mockResolvedValueOnce({
+                data: { products: [{ ...product, _id: "66db427fdb0119d9234b27f6" }] }
+            });
+        render(
+            <MemoryRouter initialEntries={["/product/test-value"]}>
+                <Routes>
+                    <Route path="/product/:slug" element={<ProductDetails />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        const choose = await screen.findByText("Choose an option");
+        expect(choose).toBeDisabled();
+        expect(screen.getByText("XL (sold out)")).toBeDisabled();
+        expect(screen.getByText("$30.00")).toBeInTheDocument();
+
+        fireEvent.click(screen.getByRole("button", { name: "M" }));
+        expect(screen.getByText("SKU : HD-M")).toBeInTheDocument();
+        expect(screen.getByTestId("product-gallery")).toHaveAttribute("data-variant", "v1");
+        fireEvent.click(screen.getByText("ADD TO CART"));
+
+        expect(setCart).toHaveBeenCalledWith([
+            expect.objectContaining({
+                productId: product._id,
+                variantId: "v1",
+                quantity: 1,
+            }),
+        ]);
+        fireEvent.click(screen.getByText("Choose Options"));
+        expect(mockNavigate).toHaveBeenCalledWith("/product/hoodie");
+    })
+})
@@ -1,13 +1,57 @@
-import React from "react";
+import React, { useEffect, useRef } from "react";
 import Layout from "./../components/Layout";
+import StarRating from "../components/StarRating";
+import WishlistButton from "../components/WishlistButton";
 import { useSearch } from "../context/search";
 import { useCart } from "../context/cart";
-import { useNavigate } from "react-router-dom";
+import { addToCart, hasVariants, outOfStock } from "../helpers/cartHelper";
+import {
+  SORT_OPTIONS,
+  catalogParams,
+  readCatalogParams,
+} from "../helpers/catalogHelper";
+import { productPhoto } from "../helpers/photoHelper";
+import { searchProducts } from "../helpers/searchHelper";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import { toast } from "react-hot-toast";
 const Search = () => {
   const [values, setValues] = useSearch();
   const [cart, setCart] = useCart();
   const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const { keyword, page, sort } = readCatalogParams(searchParams, "relevance");
+  //the context as it is now, read by the fetch without running it again
+  const latest = useRef(values);
+  latest.current = values;
+
+  //fetch the search in the url, so results survive a reload and links to
+  //them can be shared; what the context already holds is not fetched again
+  useEffect(() => {
+    if (!keyword.trim()) return;
+    const held = latest.current;
+    if (keyword === held.query && page === held.page && sort === held.sort) {
+      return;
+    }
+    const getResults = async () => {
+      try {
+        const found = await searchProducts(keyword, page, sort);
+        setValues({ ...latest.current, keyword, ...found });
+      } catch (error) {
+        console.log(error);
+      }
+    };
+    getResults();
+  }, [keyword, page, sort, setValues]);
+
+  //another page or order of the same search, through the url
+  const showSearch = (changes) =>
+    setSearchParams(
+      catalogParams(
+        { keyword: keyword || values.query, page, sort, ...changes },
+        "relevance"
+      )
+    );
+
   return (
     <Layout title={"Search results"}>
       <div className="container">
@@ -16,18 +60,41 @@ const Search = () => {
           <h6>
             {values?.results.length < 1
               ? "No Products Found"
-              : `Found ${values?.results.length}`}
+              : `Found ${values.total || values.results.length}`}
           </h6>
+          {values?.results.length > 0 && (
+            <div className="d-flex justify-content-end">
+              <select
+                className="form-select w-auto"
+                aria-label="Sort results"
+                value={sort}
+                onChange={(e) => showSearch({ sort: e.target.value, page: 1 })}
+              >
+                <option value="relevance">Best match</option>
+                {SORT_OPTIONS.map((option) => (
+                  <option key={option.value} value={option.value}>
+                    {option.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
           <div className="d-flex flex-wrap mt-4">
             {values?.results.map((p) => (
               <div key={p._id} className="card m-2" style={{ width: "18rem" }}>
                 <img
-                  src={`/api/v1/product/product-photo/${p._id}`}
+                  src={productPhoto(p, 300)}
                   className="card-img-top"
                   alt={p.name}
                 />
                 <div className="card-body">
-                  <h5 className="card-title">{p.name}</h5>
+                  <h5 className="card-title">
+                    {p.name} <WishlistButton product={p} />
+                  </h5>
+                  <StarRating
+                    value={p.rating?.average}
+                    count={p.rating?.count}
+                  />
                   <p className="card-text">
                     {p.description.substring(0, 30)}...
                   </p>
@@ -35,20 +102,47 @@ const Search = () => {
                   <button class="btn btn-primary ms-1"
                   onClick={() => navigate(`/product/${p.slug}`)}
                   >More Details</button>
-                  <button class="btn btn-secondary ms-1"
-                  onClick={() => {
-                    setCart([...cart, p]);
-                    localStorage.setItem(
-                      "cart",
-                      JSON.stringify([...cart, p])
-                    );
-                    toast.success("Item Added to cart");
-                  }}
-                  >ADD TO CART</button>
+                  {hasVariants(p) ? (
+                    <button class="btn btn-secondary ms-1"
+                    onClick={() => navigate(`/product/${p.slug}`)}
+                    >Choose Options</button>
+                  ) : (
+                    <button class="btn btn-secondary ms-1"
+                    disabled={outOfStock(p)}
+                    onClick={() => {
+                      setCart(addToCart(cart, p));
+                      toast.success("Item Added to cart");
+                    }}
+                    >{outOfStock(p) ? "Out of stock" : "ADD TO CART"}</button>
+                  )}
                 </div>
               </div>
             ))}
           </div>
+          {values?.pages > 1 && (
+            <nav
+              className="d-flex justify-content-center align-items-center my-3"
+              aria-label="Search result pages"
+            >
+              <button
+                className="btn btn-outline-secondary"
+                disabled={values.page <= 1}
+                onClick={() => showSearch({ page: values.page - 1 })}
+              >
+                Previous
+              </button>
+              <span className="mx-3">
+                Page {values.page} of {values.pages}
+              </span>
+              <button
+                className="btn btn-outline-secondary"
+                disabled={values.page >= values.pages}
+                onClick={() => showSearch({ page: values.page + 1 })}
+              >
+                Next
+              </button>
+            </nav>
+          )}
         </div>
       </div>
     </Layout>
@@ -1,13 +1,15 @@
 /** @jest-environment jsdom */
 import React from "react";
 import { fireEvent, render, screen, waitFor } from "@testing-library/react";
-import { MemoryRouter, Route, Routes, useNavigate } from "react-router-dom";
+import { MemoryRouter, Route, Routes, useLocation, useNavigate } from "react-router-dom";
 import "@testing-library/jest-dom/extend-expect";
 import Search from "./Search";
 import { useSearch } from "../context/search";
 import { useCart } from "../context/cart";
 import { toast } from "react-hot-toast";
+import axios from "axios";
 
+jest.mock("axios");
 jest.mock("../components/Layout", () => ({children}) => <div>{children}</div>);
 jest.mock("../context/search", () => ({
     useSearch: jest.fn()
@@ -25,6 +27,18 @@ jest.mock("react-router-dom", () => ({
     useNavigate: jest.fn()
 }));
 
+// shows the query string the page leaves in the url
+const Location = () => <div data-testid="location">{useLocation().search}</div>;
+
+const renderAt = (url) =>
+    render(
+        <MemoryRouter initialEntries={[url]}>
+            <Routes>
+                <Route path="/search" element={<><Search /><Location /></>} />
+            </Routes>
+        </MemoryRouter>
+    );
+
 describe("Search component", () => {
     const mockNavigate = jest.fn();
     beforeEach(() => {
@@ -64,6 +78,7 @@ describe("Search component", () => {
                     "shipping": true,
                     "createdAt": "2024-09-06T17:57:19.992Z",
                     "updatedAt": "2024-09-06T17:57:19.992Z",
+                    "photosUpdatedAt": "2024-09-06T17:57:19.992Z",
                     "__v": 0
                 }
             ]
@@ -85,7 +100,7 @@ describe("Search component", () => {
 
         const image = screen.getAllByRole("img");
         expect(image).toHaveLength(1);
-        expect(image[0]).toHaveAttribute("src", "/api/v1/product/product-photo/66db427fdb0119d9234b27f9");
+        expect(image[0]).toHaveAttribute("src", "/api/v1/product/product-photo/66db427fdb0119d9234b27f9?w=300&v=1725645439992");
         expect(image[0]).toHaveAttribute("class", "card-img-top");
         expect(image[0]).toHaveAttribute("alt", "Novel");
     });
@@ -148,7 +163,6 @@ describe("Search component", () => {
             ]
         }
         useSearch.mockReturnValue([values, setValues]);
-        Storage.prototype.setItem = jest.fn();
         render(
             <MemoryRouter initialEntries={["/search"]}>
                 <Routes>
@@ -159,31 +173,139 @@ describe("Search component", () => {
 
         fireEvent.click(screen.getByText("ADD TO CART"));
         expect(setCart).toHaveBeenCalledWith([{
-            "_id": "66db427fdb0119d9234b27f9",
-            "name": "Novel",
-            "slug": "novel",
-            "description": "A bestselling novel",
-            "price": 14.99,
-            "category": "66db427fdb0119d9234b27ef",
-            "quantity": 200,
-            "shipping": true,
-            "createdAt": "2024-09-06T17:57:19.992Z",
-            "updatedAt": "2024-09-06T17:57:19.992Z",
-            "__v": 0
+            productId: "66db427fdb0119d9234b27f9",
+            quantity: 1,
+            product: {
+                "_id": "66db427fdb0119d9234b27f9",
+                "name": "Novel",
+                "slug": "novel",
+                "description": "A bestselling novel",
+                "price": 14.99,
+                "category": "66db427fdb0119d9234b27ef",
+                "quantity": 200,
+                "shipping": true,
+                "createdAt": "2024-09-06T17:57:19.992Z",
+                "updatedAt": "2024-09-06T17:57:19.992Z",
+                "__v": 0
+            }
         }]);
-        expect(Storage.prototype.setItem).toHaveBeenCalledWith("cart", JSON.stringify([{
-            "_id": "66db427fdb0119d9234b27f9",
-            "name": "Novel",
-            "slug": "novel",
-            "description": "A bestselling novel",
-            "price": 14.99,
-            "category": "66db427fdb0119d9234b27ef",
-            "quantity": 200,
-            "shipping": true,
-            "createdAt": "2024-09-06T17:57:19.992Z",
-            "updatedAt": "2024-09-06T17:57:19.992Z",
-            "__v": 0
-        }]));
         expect(toast.success).toHaveBeenCalledWith("Item Added to cart");
     });
-});
\ No newline at end of file
+
+    test("pages through the matches of the search", async () => {
+        const setValues = jest.fn();
+        const novel = {
+            _id: "66db427fdb0119d9234b27f9",
+            name: "Novel",
+            slug: "novel",
+            description: "A bestselling novel",
+            price: 14.99,
+            quantity: 200,
+        };
+        const values = {
+            keyword: "novel edited",
+            query: "no",
+            results: [novel],
+            total: 30,
+            page: 1,
+            pages: 3,
+        };
+        useSearch.mockReturnValue([values, setValues]);
+        axios.get.mockResolvedValueOnce({
+            data: { products: [novel], total: 30, page: 2, pages: 3 },
+        });
+        renderAt("/search");
+
+        expect(screen.getByText("Found 30")).toBeInTheDocument();
+        expect(screen.getByText("Page 1 of 3")).toBeInTheDocument();
+        expect(screen.getByText("Previous")).toBeDisabled();
+        fireEvent.click(screen.getByText("Next"));
+
+        await waitFor(() => expect(setValues).toHaveBeenCalledWith({
+            ...values,
+            keyword: "no",
+            sort: "relevance",
+            results: [novel],
+            page: 2,
+        }));
+        expect(axios.get).toHaveBeenCalledWith("/api/v1/product/search/no?page=2");
+        expect(screen.getByTestId("location")).toHaveTextContent("?keyword=no&page=2");
+    });
+
+    test("shows no page links when the matches fit on one page", () => {
+        useSearch.mockReturnValue([
+            { keyword: "no", query: "no", results: [], total: 0, page: 1, pages: 0 },
+            jest.fn(),
+        ]);
+        render(
+            <MemoryRouter initialEntries={["/search"]}>
+                <Routes>
+                    <Route path="/search" element={<Search />} />
+                </Routes>
+            </MemoryRouter>
+        );
+
+        expect(screen.queryByText("Next")).not.toBeInTheDocument();
+    });
+
+    test("fetches the search in the url when the page is loaded", async () => {
+        const setValues = jest.fn();
+        const values = { keyword: "", query: "", sort: "relevance", results: [], page: 1 };
+        useSearch.mockReturnValue([values, setValues]);
+        axios.get.mockResolvedValueOnce({
+            data: { products: [], total: 14, page: 2, pages: 2 },
+        });
+
+        renderAt("/search?keyword=blue+pen&page=2&sort=price-asc");
+
+        await waitFor(() => expect(setValues).toHaveBeenCalledWith({
+            ...values,
+            keyword: "blue pen",
+            query: "blue pen",
+            sort: "price-asc",
+            results: [],
+            total: 14,
+            page: 2,
+            pages: 2,
+        }));
+        expect(axios.get).toHaveBeenCalledWith(
+            "/api/v1/product/search/blue%20pen?page=2&sort=price-asc"
+        );
+    });
+
+    test("does not fetch a search the context already holds", () => {
+        useSearch.mockReturnValue([
+            { keyword: "pen", query: "pen", sort: "relevance", results: [], page: 1, pages: 0 },
+            jest.fn(),
+        ]);
+
+        renderAt("/search?keyword=pen");
+
+        expect(axios.get).not.toHaveBeenCalled();
+    });
+
+    test("puts another order of the matches in the url", () => {
+        useSearch.mockReturnValue([
+            {
+                keyword: "pen",
+                query: "pen",
+                sort: "relevance",
+                results: [{ _id: "p1", name: "Pen", slug: "pen", description: "A pen", price: 2 }],
+                total: 30,
+                page: 2,
+                pages: 3,
+            },
+            jest.fn(),
+        ]);
+        axios.get.mockResolvedValueOnce({
+            data: { products: [], total: 0, page: 1, pages: 0 },
+        });
+        renderAt("/search?keyword=pen&page=2");
+
+        fireEvent.change(screen.getByLabelText("Sort results"), {
+            target: { value: "price-desc" },
+        });
+
+        expect(screen.getByTestId("location")).toHaveTextContent("?keyword=pen&sort=price-desc");
+    });
+});
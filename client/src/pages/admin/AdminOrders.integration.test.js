@@ -2,6 +2,7 @@ import React from 'react';
 import { fireEvent, render, screen, waitFor, act } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import axios from 'axios';
+import toast from 'react-hot-toast';
 import AdminOrders from './AdminOrders';
 import "@testing-library/jest-dom/extend-expect";
 
@@ -96,7 +97,7 @@ jest.mock("antd", () => {
 const mockOrders = [
   {
     _id: '67a21938cf4efddf1e5358d1',
-    status: 'Not Process',
+    status: 'pending',
     buyer: {
       _id: '67a218decf4efddf1e5358ac',
       name: 'CS 4218 Test Account'
@@ -144,28 +145,40 @@ const mockOrders = [
     },
     products: [
       {
-        _id: '67a21772a6d9e00ef2ac022a',
+        product: {
+          _id: '67a21772a6d9e00ef2ac022a',
+          name: 'NUS T-shirt',
+          description: 'Plain NUS T-shirt for sale',
+          price: 4.99,
+          category: '66db427fdb0119d9234b27ee',
+          quantity: 200,
+          shipping: true,
+          createdAt: '2024-09-06T17:57:19.992Z',
+          updatedAt: '2024-09-06T17:57:19.992Z',
+          __v: 0
+        },
+        quantity: 1,
         name: 'NUS T-shirt',
-        description: 'Plain NUS T-shirt for sale',
         price: 4.99,
-        category: '66db427fdb0119d9234b27ee',
-        quantity: 200,
-        shipping: true,
-        createdAt: '2024-09-06T17:57:19.992Z',
-        updatedAt: '2024-09-06T17:57:19.992Z',
-        __v: 0
+        total: 4.99,
       },
       {
-        _id: '66db427fdb0119d9234b27f3',
+        product: {
+          _id: '66db427fdb0119d9234b27f3',
+          name: 'Laptop',
+          description: 'A powerful laptop',
+          price: 1499.99,
+          category: '66db427fdb0119d9234b27ed',
+          quantity: 30,
+          shipping: true,
+          createdAt: '2024-09-06T17:57:19.971Z',
+          updatedAt: '2024-09-06T17:57:19.971Z',
+          __v: 0
+        },
+        quantity: 1,
         name: 'Laptop',
-        description: 'A powerful laptop',
         price: 1499.99,
-        category: '66db427fdb0119d9234b27ed',
-        quantity: 30,
-        shipping: true,
-        createdAt: '2024-09-06T17:57:19.971Z',
-        updatedAt: '2024-09-06T17:57:19.971Z',
-        __v: 0
+        total: 1499.99,
       }
     ]
   }
@@ -174,7 +187,7 @@ const mockOrders = [
 describe('AdminOrders Integration', () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    axios.get.mockResolvedValue({ data: mockOrders });
+    axios.get.mockResolvedValue({ data: { orders: mockOrders, nextCursor: null } });
     axios.put.mockResolvedValue({ data: { message: 'Status updated' } });
   });
 
@@ -190,7 +203,7 @@ describe('AdminOrders Integration', () => {
     });
 
     expect(await screen.findByText('#')).toBeInTheDocument();
-    expect(await screen.findByText('Not Process')).toBeInTheDocument();
+    expect(await screen.findByText('Pending')).toBeInTheDocument();
     expect(await screen.findByText('CS 4218 Test Account')).toBeInTheDocument();
     expect(await screen.findByText('2 days ago')).toBeInTheDocument();
     expect(await screen.findByText('Failed')).toBeInTheDocument();
@@ -225,7 +238,7 @@ describe('AdminOrders Integration', () => {
         expect(axios.get).toHaveBeenCalledWith('/api/v1/auth/all-orders');
     });
 
-    const newStatus = 'Processing';
+    const newStatus = 'processing';
     const selectDropdown = await screen.findByTestId('select-default-dropdown');
     await act(async () => {
       fireEvent.change(selectDropdown, { target: { value: newStatus } })
@@ -238,4 +251,67 @@ describe('AdminOrders Integration', () => {
       );
     });
   });
-});
\ No newline at end of file
+
+  test('offers only the statuses the order can move to', async () => {
+    render(
+        <BrowserRouter>
+            <AdminOrders />
+        </BrowserRouter>
+      );
+
+    const selectDropdown = await screen.findByTestId('select-default-dropdown');
+    const options = Array.from(selectDropdown.querySelectorAll('option'))
+      .map((option) => option.textContent);
+    expect(options).toEqual(['Select an option', 'Pending', 'Processing', 'Cancelled']);
+  });
+
+  test('shows the server message when a status change is rejected', async () => {
+    const toastError = jest.spyOn(toast, 'error').mockImplementation(() => {});
+    axios.put.mockRejectedValue({
+      response: { data: { message: 'Order cannot move from pending to delivered' } }
+    });
+    render(
+        <BrowserRouter>
+            <AdminOrders />
+        </BrowserRouter>
+      );
+
+    const selectDropdown = await screen.findByTestId('select-default-dropdown');
+    await act(async () => {
+      fireEvent.change(selectDropdown, { target: { value: 'processing' } })
+    });
+
+    await waitFor(() => {
+      expect(toastError).toHaveBeenCalledWith('Order cannot move from pending to delivered');
+    });
+    expect(axios.get).toHaveBeenCalledTimes(1);
+    toastError.mockRestore();
+  });
+
+  test('keeps the orders loaded so far after a status change', async () => {
+    const older = { ...mockOrders[0], _id: 'older', buyer: { name: 'Older Buyer' } };
+    axios.get
+      .mockResolvedValueOnce({ data: { orders: mockOrders, nextCursor: 'c2' } })
+      .mockResolvedValueOnce({ data: { orders: [older], nextCursor: null } });
+    axios.put.mockResolvedValue({ data: { ...older, status: 'processing' } });
+    render(
+        <BrowserRouter>
+            <AdminOrders />
+        </BrowserRouter>
+      );
+
+    fireEvent.click(await screen.findByText('Load more orders'));
+    await screen.findByText('Older Buyer');
+    const selectDropdown = screen.getAllByTestId('select-default-dropdown')[1];
+    await act(async () => {
+      fireEvent.change(selectDropdown, { target: { value: 'processing' } })
+    });
+
+    await waitFor(() => {
+      expect(selectDropdown).toHaveValue('processing');
+    });
+    expect(axios.put).toHaveBeenCalledWith('/api/v1/auth/order-status/older', { status: 'processing' });
+    expect(screen.getByText('CS 4218 Test Account')).toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+});
@@ -3,31 +3,59 @@ import axios from "axios";
 import toast from "react-hot-toast";
 import AdminMenu from "../../components/AdminMenu";
 import Layout from "../../components/Layout";
+import OrderTimeline from "../../components/OrderTimeline";
+import RefundForm from "../../components/Form/RefundForm";
 import { useAuth } from "../../context/auth";
+import useInfiniteScroll from "../../hooks/useInfiniteScroll";
+import {
+  adminStatuses,
+  canRefund,
+  refundableAmount,
+  statusLabel,
+} from "../../helpers/orderHelper";
 import moment from "moment";
 import { Select } from "antd";
 const { Option } = Select;
 
 const AdminOrders = () => {
-  const [status, setStatus] = useState([
-    "Not Process",
-    "Processing",
-    "Shipped",
-    "deliverd",
-    "cancel",
-  ]);
-  const [changeStatus, setCHangeStatus] = useState("");
   const [orders, setOrders] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
   const [auth, setAuth] = useAuth();
+  //newest orders
   const getOrders = async () => {
     try {
       const { data } = await axios.get("/api/v1/auth/all-orders");
-      setOrders(data);
+      setOrders(data.orders);
+      setNextCursor(data.nextCursor);
     } catch (error) {
       console.log(error);
     }
   };
 
+  //the orders after the last one shown
+  const loadMore = async () => {
+    if (loading || !nextCursor) return;
+    setLoading(true);
+    try {
+      const { data } = await axios.get(
+        `/api/v1/auth/all-orders?cursor=${encodeURIComponent(nextCursor)}`
+      );
+      setOrders([...orders, ...data.orders]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      console.log(error);
+    }
+    setLoading(false);
+  };
+  //swap in the order a change returned, keeping the pages loaded so far
+  const replaceOrder = (order) =>
+    setOrders((orders) => orders.map((o) => (o._id === order._id ? order : o)));
+  const listEnd = useInfiniteScroll(loadMore, {
+    hasMore: Boolean(nextCursor),
+    loading,
+  });
+
   useEffect(() => {
     if (auth?.token) getOrders();
   }, [auth?.token]);
@@ -37,9 +65,27 @@ const AdminOrders = () => {
       const { data } = await axios.put(`/api/v1/auth/order-status/${orderId}`, {
         status: value,
       });
-      getOrders();
+      replaceOrder(data);
     } catch (error) {
       console.log(error);
+      toast.error(error.response?.data?.message || "Could not update status");
+    }
+  };
+
+  //resolves to true once the refund went through, so the form can clear
+  const handleRefund = async (orderId, { amount, note }) => {
+    try {
+      const { data } = await axios.post(`/api/v1/auth/orders/${orderId}/refund`, {
+        amount,
+        note,
+      });
+      toast.success(data?.message);
+      replaceOrder(data.order);
+      return true;
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Could not refund order");
+      return false;
     }
   };
   return (
@@ -71,11 +117,11 @@ const AdminOrders = () => {
                         <Select
                           bordered={false}
                           onChange={(value) => handleChange(o._id, value)}
-                          defaultValue={o?.status}
+                          value={o?.status}
                         >
-                          {status.map((s, i) => (
-                            <Option key={i} value={s}>
-                              {s}
+                          {[o?.status, ...adminStatuses(o?.status)].map((s) => (
+                            <Option key={s} value={s}>
+                              {statusLabel(s)}
                             </Option>
                           ))}
                         </Select>
@@ -83,7 +129,9 @@ const AdminOrders = () => {
                       <td>{o?.buyer?.name}</td>
                       <td>{moment(o?.createAt).fromNow()}</td>
                       <td>{o?.payment.success ? "Success" : "Failed"}</td>
-                      <td>{o?.products?.length}</td>
+                      <td>
+                        {o?.products?.reduce((units, p) => units + p.quantity, 0)}
+                      </td>
                     </tr>
                   </tbody>
                 </table>
@@ -92,7 +140,7 @@ const AdminOrders = () => {
                     <div className="row mb-2 p-3 card flex-row" key={p._id}>
                       <div className="col-md-4">
                         <img
-                          src={`/api/v1/product/product-photo/${p._id}`}
+                          src={`/api/v1/product/product-photo/${p.product?._id || p.product}`}
                           className="card-img-top"
                           alt={p.name}
                           width="100px"
@@ -101,15 +149,53 @@ const AdminOrders = () => {
                       </div>
                       <div className="col-md-8">
                         <p>{p.name}</p>
-                        <p>{p.description.substring(0, 30)}</p>
+                        <p>{p.product?.description?.substring(0, 30)}</p>
                         <p>Price : {p.price}</p>
+                        <p>Quantity : {p.quantity}</p>
+                        <p>Line total : {p.total}</p>
                       </div>
                     </div>
                   ))}
                 </div>
+                <div className="container pb-3 text-end">
+                  <p className="mb-0">Subtotal : {o?.subtotal}</p>
+                  {o?.discount > 0 && (
+                    <p className="mb-0">
+                      Discount{o.coupon ? ` (${o.coupon})` : ""} : -{o.discount}
+                    </p>
+                  )}
+                  <p className="mb-0">Shipping : {o?.shipping}</p>
+                  <p className="mb-0">Tax : {o?.tax}</p>
+                  <p className="fw-bold">Total : {o?.total}</p>
+                  {o?.refunds?.map((r) => (
+                    <p className="mb-0 text-danger" key={r._id}>
+                      {r.type === "void" ? "Voided" : "Refunded"} {r.amount}{" "}
+                      {moment(r.createdAt).fromNow()}
+                      {r.note && ` - ${r.note}`}
+                    </p>
+                  ))}
+                  {canRefund(o) && (
+                    <RefundForm
+                      max={refundableAmount(o)}
+                      onSubmit={(refund) => handleRefund(o._id, refund)}
+                    />
+                  )}
+                </div>
+                <OrderTimeline history={o?.statusHistory} showActor />
               </div>
             );
           })}
+          <div className="text-center my-3" ref={listEnd}>
+            {nextCursor && (
+              <button
+                className="btn btn-outline-secondary"
+                disabled={loading}
+                onClick={loadMore}
+              >
+                {loading ? "Loading ..." : "Load more orders"}
+              </button>
+            )}
+          </div>
         </div>
       </div>
     </Layout>
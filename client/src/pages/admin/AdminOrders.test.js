@@ -21,22 +21,39 @@ const mockOrders = [
     _id: "1",
     products: [
       {
-        _id: "p1",
+        product: {
+          _id: "p1",
+          name: "Test Product 1",
+          description: "Test Description for product 1",
+          price: 100,
+        },
+        quantity: 1,
         name: "Test Product 1",
-        description: "Test Description for product 1",
         price: 100,
+        total: 100,
       },
       {
-        _id: "p2",
+        product: {
+          _id: "p2",
+          name: "Test Product 2",
+          description: "Test Description for product 2",
+          price: 200,
+        },
+        quantity: 1,
         name: "Test Product 2",
-        description: "Test Description for product 2",
         price: 200,
+        total: 200,
       },
     ],
+    subtotal: 300,
+    shipping: 5,
+    discount: 20,
+    tax: 0,
+    total: 285,
     buyer: {
       name: "Test Buyer",
     },
-    status: "Not Process",
+    status: "pending",
     payment: {
       success: true,
     },
@@ -46,16 +63,22 @@ const mockOrders = [
     _id: "2",
     products: [
       {
-        _id: "p3",
+        product: {
+          _id: "p3",
+          name: "Test Product 3",
+          description: "Test Description for product 3",
+          price: 300,
+        },
+        quantity: 1,
         name: "Test Product 3",
-        description: "Test Description for product 3",
         price: 300,
+        total: 300,
       },
     ],
     buyer: {
       name: "Another Buyer",
     },
-    status: "Processing",
+    status: "processing",
     payment: {
       success: false,
     },
@@ -129,7 +152,9 @@ beforeEach(() => {
   jest.clearAllMocks();
 
   // Set up default mock responses
-  axios.get.mockResolvedValue({ data: mockOrders });
+  axios.get.mockResolvedValue({
+    data: { orders: mockOrders, nextCursor: null },
+  });
   axios.put.mockResolvedValue({ data: { success: true } });
 });
 
@@ -156,7 +181,7 @@ test("renders AdminOrders component", async () => {
   });
 
   // Check if status options are displayed
-  expect(screen.getByText("Not Process")).toBeInTheDocument();
+  expect(screen.getByText("Pending")).toBeInTheDocument();
   expect(screen.getByText("Processing")).toBeInTheDocument();
 });
 
@@ -176,7 +201,7 @@ test("fetches orders on component mount", async () => {
 
 test("handles order status change", async () => {
   // Set up the mocks for this specific test
-  axios.get.mockImplementation(() => Promise.resolve({ data: mockOrders }));
+  axios.get.mockImplementation(() => Promise.resolve({ data: { orders: mockOrders, nextCursor: null } }));
 
   // Create a custom implementation for the put method that directly calls get
   // instead of using setTimeout which isn't working reliably in the test environment
@@ -202,12 +227,12 @@ test("handles order status change", async () => {
   // simulate calling it directly since Ant Design Select is buggy
   await act(async () => {
     // Call the API directly as if the Select component triggered it
-    await axios.put("/api/v1/auth/order-status/1", { status: "Shipped" });
+    await axios.put("/api/v1/auth/order-status/1", { status: "shipped" });
   });
 
   // Verify the put call was made with correct parameters
   expect(axios.put).toHaveBeenCalledWith("/api/v1/auth/order-status/1", {
-    status: "Shipped",
+    status: "shipped",
   });
 
   // Verify getOrders was called after the status update
@@ -247,7 +272,7 @@ test("handles API error when updating order status", async () => {
   console.log = jest.fn();
 
   // First set up successful get to load the orders
-  axios.get.mockResolvedValueOnce({ data: mockOrders });
+  axios.get.mockResolvedValueOnce({ data: { orders: mockOrders, nextCursor: null } });
 
   // Then mock the put to fail
   axios.put.mockRejectedValueOnce(new Error("Network Error"));
@@ -264,7 +289,7 @@ test("handles API error when updating order status", async () => {
   // Simulate a status change that will fail
   await act(async () => {
     try {
-      await axios.put("/api/v1/auth/order-status/1", { status: "Shipped" });
+      await axios.put("/api/v1/auth/order-status/1", { status: "shipped" });
     } catch (error) {
       // The component's try/catch would handle this
       console.log(error);
@@ -309,7 +334,7 @@ test("does not fetch orders when auth token is not present", async () => {
 
 test("renders empty state when no orders are available", async () => {
   // Mock API to return empty orders array
-  axios.get.mockResolvedValueOnce({ data: emptyOrders });
+  axios.get.mockResolvedValueOnce({ data: { orders: emptyOrders, nextCursor: null } });
 
   await act(async () => {
     render(
@@ -388,6 +413,13 @@ test("displays product details correctly", async () => {
     expect(screen.getByText("Price : 100")).toBeInTheDocument();
     expect(screen.getByText("Price : 200")).toBeInTheDocument();
     expect(screen.getByText("Price : 300")).toBeInTheDocument();
+    expect(screen.getByText("Line total : 200")).toBeInTheDocument();
+
+    // Check the order totals
+    expect(screen.getByText("Subtotal : 300")).toBeInTheDocument();
+    expect(screen.getByText("Discount : -20")).toBeInTheDocument();
+    expect(screen.getByText("Shipping : 5")).toBeInTheDocument();
+    expect(screen.getByText("Total : 285")).toBeInTheDocument();
 
     // Check product descriptions (truncated to 30 chars)
     expect(
@@ -417,7 +449,7 @@ test("displays all available status options", async () => {
   // Check the visible status values
   await waitFor(
     () => {
-      expect(screen.getByText("Not Process")).toBeInTheDocument();
+      expect(screen.getByText("Pending")).toBeInTheDocument();
       expect(screen.getByText("Processing")).toBeInTheDocument();
     },
     { timeout: 10000 }
@@ -426,7 +458,7 @@ test("displays all available status options", async () => {
 
 test("handles multiple status changes for different orders", async () => {
   // Set up the mocks for this specific test
-  axios.get.mockImplementation(() => Promise.resolve({ data: mockOrders }));
+  axios.get.mockImplementation(() => Promise.resolve({ data: { orders: mockOrders, nextCursor: null } }));
 
   // Create a custom implementation for the put method
   axios.put.mockImplementation((url, data) => {
@@ -449,12 +481,12 @@ test("handles multiple status changes for different orders", async () => {
 
   // Update status for first order
   await act(async () => {
-    await axios.put("/api/v1/auth/order-status/1", { status: "Shipped" });
+    await axios.put("/api/v1/auth/order-status/1", { status: "shipped" });
   });
 
   // Verify first update
   expect(axios.put).toHaveBeenCalledWith("/api/v1/auth/order-status/1", {
-    status: "Shipped",
+    status: "shipped",
   });
   expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/all-orders");
 
@@ -464,12 +496,12 @@ test("handles multiple status changes for different orders", async () => {
 
   // Update status for second order
   await act(async () => {
-    await axios.put("/api/v1/auth/order-status/2", { status: "deliverd" });
+    await axios.put("/api/v1/auth/order-status/2", { status: "delivered" });
   });
 
   // Verify second update
   expect(axios.put).toHaveBeenCalledWith("/api/v1/auth/order-status/2", {
-    status: "deliverd",
+    status: "delivered",
   });
   expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/all-orders");
 });
@@ -499,12 +531,12 @@ test("simulates handleChange by directly calling the API", async () => {
 
   // Simulate what handleChange would do
   await act(async () => {
-    await axios.put("/api/v1/auth/order-status/1", { status: "Shipped" });
+    await axios.put("/api/v1/auth/order-status/1", { status: "shipped" });
   });
 
   // Verify the expected API calls were made
   expect(axios.put).toHaveBeenCalledWith("/api/v1/auth/order-status/1", {
-    status: "Shipped",
+    status: "shipped",
   });
   expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/all-orders");
 });
@@ -516,16 +548,22 @@ test("safely handles products with missing properties", async () => {
       _id: "4",
       products: [
         {
-          _id: "p4",
+          product: {
+            _id: "p4",
+            name: "Product with safe description",
+            description: "Safe description", // Not null
+            price: 400,
+          },
+          quantity: 1,
           name: "Product with safe description",
-          description: "Safe description", // Not null
           price: 400,
+          total: 400,
         },
       ],
       buyer: {
         name: "Safe Products Buyer",
       },
-      status: "Processing",
+      status: "processing",
       payment: {
         success: true,
       },
@@ -534,7 +572,7 @@ test("safely handles products with missing properties", async () => {
   ];
 
   // Mock API to return orders with safe products
-  axios.get.mockResolvedValueOnce({ data: safeProducts });
+  axios.get.mockResolvedValueOnce({ data: { orders: safeProducts, nextCursor: null } });
 
   await act(async () => {
     render(
@@ -564,7 +602,7 @@ test("simulates error handling in API calls", async () => {
   console.log = jest.fn();
 
   // First set up successful get to load the orders
-  axios.get.mockResolvedValueOnce({ data: mockOrders });
+  axios.get.mockResolvedValueOnce({ data: { orders: mockOrders, nextCursor: null } });
 
   // Then mock the put to fail
   axios.put.mockRejectedValueOnce(new Error("API Error"));
@@ -589,7 +627,7 @@ test("simulates error handling in API calls", async () => {
   // Simulate a status change that will fail
   await act(async () => {
     try {
-      await axios.put("/api/v1/auth/order-status/1", { status: "Shipped" });
+      await axios.put("/api/v1/auth/order-status/1", { status: "shipped" });
     } catch (error) {
       // The component's try/catch would handle this
       console.log(error);
@@ -602,3 +640,152 @@ test("simulates error handling in API calls", async () => {
   // Clean up
   console.log = originalConsoleLog;
 });
+
+test("refunds a cancelled order and shows the refund in place", async () => {
+  const cancelled = {
+    ...mockOrders[0],
+    status: "cancelled",
+    payment: { success: true, transaction: { id: "txn-1" } },
+    refundedTotal: 85,
+    refunds: [
+      {
+        _id: "r1",
+        type: "refund",
+        amount: 85,
+        note: "Damaged box",
+        createdAt: new Date().toISOString(),
+      },
+    ],
+  };
+  axios.get.mockResolvedValue({ data: { orders: [cancelled], nextCursor: null } });
+  axios.post.mockResolvedValue({
+    data: {
+      success: true,
+      message: "Refund Issued",
+      order: {
+        ...cancelled,
+        refundedTotal: 135,
+        refunds: [
+          ...cancelled.refunds,
+          {
+            _id: "r2",
+            type: "refund",
+            amount: 50,
+            note: "",
+            createdAt: new Date().toISOString(),
+          },
+        ],
+      },
+    },
+  });
+
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+        <Toaster />
+      </BrowserRouter>
+    );
+  });
+
+  expect(
+    await screen.findByText("Refunded 85 a few seconds ago - Damaged box")
+  ).toBeInTheDocument();
+  fireEvent.change(screen.getByPlaceholderText("Up to 200"), {
+    target: { value: "50" },
+  });
+  fireEvent.click(screen.getByText("Refund"));
+
+  await waitFor(() => {
+    expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/orders/1/refund", {
+      amount: "50",
+      note: "",
+    });
+  });
+  expect((await screen.findAllByText("Refund Issued"))[0]).toBeInTheDocument();
+  expect(
+    await screen.findByText("Refunded 50 a few seconds ago")
+  ).toBeInTheDocument();
+  expect(axios.get).toHaveBeenCalledTimes(1);
+});
+
+test("shows why a refund failed", async () => {
+  console.log = jest.fn();
+  axios.get.mockResolvedValue({
+    data: {
+      orders: [
+        {
+          ...mockOrders[0],
+          status: "cancelled",
+          payment: { success: true, transaction: { id: "txn-1" } },
+        },
+      ],
+      nextCursor: null,
+    },
+  });
+  axios.post.mockRejectedValue({
+    response: {
+      data: {
+        message: "Payments that have not settled can only be refunded in full",
+      },
+    },
+  });
+
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+        <Toaster />
+      </BrowserRouter>
+    );
+  });
+
+  fireEvent.click(await screen.findByText("Refund"));
+
+  const messages = await screen.findAllByText(
+    "Payments that have not settled can only be refunded in full"
+  );
+  expect(messages[0]).toBeInTheDocument();
+});
+
+test("offers no refund for orders still being fulfilled", async () => {
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+        <Toaster />
+      </BrowserRouter>
+    );
+  });
+
+  await screen.findByText("Test Buyer");
+  expect(screen.queryByText("Refund")).not.toBeInTheDocument();
+});
+
+test("loads the next orders from the cursor", async () => {
+  axios.get
+    .mockResolvedValueOnce({
+      data: { orders: [mockOrders[0]], nextCursor: "c2" },
+    })
+    .mockResolvedValueOnce({
+      data: { orders: [mockOrders[1]], nextCursor: null },
+    });
+
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <AdminOrders />
+        <Toaster />
+      </BrowserRouter>
+    );
+  });
+
+  fireEvent.click(await screen.findByText("Load more orders"));
+
+  expect(await screen.findByText("Another Buyer")).toBeInTheDocument();
+  expect(screen.getByText("Test Buyer")).toBeInTheDocument();
+  expect(axios.get).toHaveBeenLastCalledWith(
+    "/api/v1/auth/all-orders?cursor=c2"
+  );
+  expect(screen.queryByText("Load more orders")).not.toBeInTheDocument();
+});
@@ -0,0 +1,97 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import AdminMenu from "../../components/AdminMenu";
+import Layout from "../../components/Layout";
+import { useAuth } from "../../context/auth";
+
+const AdminReturns = () => {
+  const [orders, setOrders] = useState([]);
+  const [notes, setNotes] = useState({});
+  const [auth] = useAuth();
+
+  const getReturns = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/auth/return-requests");
+      setOrders(data);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (auth?.token) getReturns();
+  }, [auth?.token]);
+
+  //approve or deny, approved returns are restocked by the server
+  const decide = async (orderId, decision) => {
+    try {
+      const { data } = await axios.put(
+        `/api/v1/auth/return-requests/${orderId}`,
+        { decision, note: notes[orderId] }
+      );
+      toast.success(data.message);
+      getReturns();
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Could not update return");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Return Requests"}>
+      <div className="row dashboard">
+        <div className="col-md-3">
+          <AdminMenu />
+        </div>
+        <div className="col-md-9">
+          <h1 className="text-center">Return Requests</h1>
+          {!orders?.length && (
+            <p className="text-center">No return requests waiting</p>
+          )}
+          {orders?.map((o) => (
+            <div className="border shadow p-3 mb-3" key={o._id}>
+              <p>
+                <strong>{o?.buyer?.name}</strong> asked{" "}
+                {moment(o?.returnRequest?.requestedAt).fromNow()}
+              </p>
+              <p>Reason : {o?.returnRequest?.reason}</p>
+              <ul>
+                {o?.products?.map((p) => (
+                  <li key={p._id}>
+                    {p.name} x {p.quantity}
+                  </li>
+                ))}
+              </ul>
+              <p>Total : {o?.total}</p>
+              <input
+                type="text"
+                className="form-control mb-2"
+                placeholder="Note for the buyer (optional)"
+                value={notes[o._id] || ""}
+                onChange={(e) =>
+                  setNotes({ ...notes, [o._id]: e.target.value })
+                }
+              />
+              <button
+                className="btn btn-success me-2"
+                onClick={() => decide(o._id, "approved")}
+              >
+                Approve
+              </button>
+              <button
+                className="btn btn-danger"
+                onClick={() => decide(o._id, "denied")}
+              >
+                Deny
+              </button>
+            </div>
+          ))}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default AdminReturns;
@@ -0,0 +1,133 @@
+import "@testing-library/jest-dom/extend-expect";
+import React from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { BrowserRouter } from "react-router-dom";
+import AdminReturns from "./AdminReturns";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+
+jest.mock("../../context/auth", () => ({
+  useAuth: () => [{ token: "test-token", user: { role: 1 } }, jest.fn()],
+}));
+
+jest.mock("../../components/Layout", () => {
+  return ({ children, title }) => (
+    <div data-testid="mock-layout" data-title={title}>
+      {children}
+    </div>
+  );
+});
+
+jest.mock("../../components/AdminMenu", () => {
+  return () => <div data-testid="mock-admin-menu">Admin Menu</div>;
+});
+
+const returnRequests = [
+  {
+    _id: "o1",
+    buyer: { name: "Test Buyer" },
+    products: [{ _id: "l1", name: "Novel", quantity: 2 }],
+    total: 29.98,
+    returnRequest: {
+      status: "requested",
+      reason: "Arrived damaged",
+      requestedAt: new Date().toISOString(),
+    },
+  },
+];
+
+const renderReturns = () =>
+  render(
+    <BrowserRouter>
+      <AdminReturns />
+    </BrowserRouter>
+  );
+
+describe("Admin Returns Component", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    axios.get.mockResolvedValue({ data: returnRequests });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test("lists return requests waiting for a decision", async () => {
+    renderReturns();
+
+    expect(screen.getByTestId("mock-layout")).toHaveAttribute(
+      "data-title",
+      "Dashboard - Return Requests"
+    );
+    expect(await screen.findByText("Test Buyer")).toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/auth/return-requests");
+    expect(screen.getByText("Reason : Arrived damaged")).toBeInTheDocument();
+    expect(screen.getByText("Novel x 2")).toBeInTheDocument();
+    expect(screen.getByText("Total : 29.98")).toBeInTheDocument();
+  });
+
+  test("shows an empty queue", async () => {
+    axios.get.mockResolvedValue({ data: [] });
+
+    renderReturns();
+
+    expect(
+      await screen.findByText("No return requests waiting")
+    ).toBeInTheDocument();
+  });
+
+  test("approves a return with a note and reloads the queue", async () => {
+    axios.put.mockResolvedValue({
+      data: { success: true, message: "Return Approved" },
+    });
+    renderReturns();
+
+    fireEvent.change(
+      await screen.findByPlaceholderText("Note for the buyer (optional)"),
+      { target: { value: "Refund on its way" } }
+    );
+    fireEvent.click(screen.getByText("Approve"));
+
+    await waitFor(() => {
+      expect(axios.put).toHaveBeenCalledWith(
+        "/api/v1/auth/return-requests/o1",
+        { decision: "approved", note: "Refund on its way" }
+      );
+    });
+    expect(toast.success).toHaveBeenCalledWith("Return Approved");
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test("shows the server message when a decision fails", async () => {
+    axios.put.mockRejectedValue({
+      response: { data: { message: "Return request not found" } },
+    });
+    renderReturns();
+
+    fireEvent.click(await screen.findByText("Deny"));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith("Return request not found");
+    });
+    expect(axios.put).toHaveBeenCalledWith("/api/v1/auth/return-requests/o1", {
+      decision: "denied",
+      note: undefined,
+    });
+  });
+
+  test("logs errors while loading the queue", async () => {
+    const error = new Error("Network Error");
+    axios.get.mockRejectedValue(error);
+
+    renderReturns();
+
+    await waitFor(() => {
+      expect(console.log).toHaveBeenCalledWith(error);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+import React, { useState, useEffect } from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import moment from "moment";
+import AdminMenu from "../../components/AdminMenu";
+import Layout from "../../components/Layout";
+import StarRating from "../../components/StarRating";
+import { useAuth } from "../../context/auth";
+
+const AdminReviews = () => {
+  const [reviews, setReviews] = useState([]);
+  const [auth] = useAuth();
+
+  const getReviews = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/product/reviews");
+      setReviews(data?.reviews);
+    } catch (error) {
+      console.log(error);
+    }
+  };
+
+  useEffect(() => {
+    if (auth?.token) getReviews();
+  }, [auth?.token]);
+
+  //hidden reviews drop out of the product page and its rating
+  const moderate = async (reviewId, hidden) => {
+    try {
+      const { data } = await axios.put(`/api/v1/product/reviews/${reviewId}`, {
+        hidden,
+      });
+      toast.success(data.message);
+      getReviews();
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Could not update review");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Reviews"}>
+      <div className="row dashboard">
+        <div className="col-md-3">
+          <AdminMenu />
+        </div>
+        <div className="col-md-9">
+          <h1 className="text-center">Reviews</h1>
+          {!reviews?.length && <p className="text-center">No reviews yet</p>}
+          {reviews?.map((r) => (
+            <div
+              className={`border shadow p-3 mb-3 ${r.hidden ? "bg-light" : ""}`}
+              key={r._id}
+            >
+              <p>
+                <strong>{r.user?.name}</strong> on {r.product?.name}{" "}
+                {moment(r.createdAt).fromNow()}
+                {r.hidden && <span className="badge bg-secondary ms-2">Hidden</span>}
+              </p>
+              <StarRating value={r.rating} />
+              <h6 className="mt-1">{r.title}</h6>
+              <p>{r.body}</p>
+              {r.hidden ? (
+                <button
+                  className="btn btn-success"
+                  onClick={() => moderate(r._id, false)}
+                >
+                  Restore
+                </button>
+              ) : (
+                <button
+                  className="btn btn-danger"
+                  onClick={() => moderate(r._id, true)}
+                >
+                  Hide
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default AdminReviews;
@@ -0,0 +1,149 @@
+import "@testing-library/jest-dom/extend-expect";
+import React from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { BrowserRouter } from "react-router-dom";
+import AdminReviews from "./AdminReviews";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+
+jest.mock("../../context/auth", () => ({
+  useAuth: () => [{ token: "test-token", user: { role: 1 } }, jest.fn()],
+}));
+
+jest.mock("../../components/Layout", () => {
+  return ({ children, title }) => (
+    <div data-testid="mock-layout" data-title={title}>
+      {children}
+    </div>
+  );
+});
+
+jest.mock("../../components/AdminMenu", () => {
+  return () => <div data-testid="mock-admin-menu">Admin Menu</div>;
+});
+
+const reviews = [
+  {
+    _id: "r1",
+    product: { name: "Novel", slug: "novel" },
+    user: { name: "Test Buyer" },
+    rating: 1,
+    title: "Rubbish",
+    body: "Offensive words",
+    hidden: false,
+    createdAt: new Date().toISOString(),
+  },
+  {
+    _id: "r2",
+    product: { name: "Laptop", slug: "laptop" },
+    user: { name: "Other Buyer" },
+    rating: 4,
+    title: "Solid",
+    body: "Fast enough",
+    hidden: true,
+    createdAt: new Date().toISOString(),
+  },
+];
+
+const renderReviews = () =>
+  render(
+    <BrowserRouter>
+      <AdminReviews />
+    </BrowserRouter>
+  );
+
+describe("Admin Reviews Component", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    axios.get.mockResolvedValue({ data: { success: true, reviews } });
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test("lists every review, hidden ones included", async () => {
+    renderReviews();
+
+    expect(screen.getByTestId("mock-layout")).toHaveAttribute(
+      "data-title",
+      "Dashboard - Reviews"
+    );
+    expect(await screen.findByText("Rubbish")).toBeInTheDocument();
+    expect(axios.get).toHaveBeenCalledWith("/api/v1/product/reviews");
+    expect(screen.getByText("Offensive words")).toBeInTheDocument();
+    expect(screen.getByText("Solid")).toBeInTheDocument();
+    expect(screen.getByText("Hidden")).toBeInTheDocument();
+    expect(screen.getByText("Hide")).toBeInTheDocument();
+    expect(screen.getByText("Restore")).toBeInTheDocument();
+  });
+
+  test("shows when there are no reviews", async () => {
+    axios.get.mockResolvedValue({ data: { success: true, reviews: [] } });
+
+    renderReviews();
+
+    expect(await screen.findByText("No reviews yet")).toBeInTheDocument();
+  });
+
+  test("hides a review and reloads the list", async () => {
+    axios.put.mockResolvedValue({
+      data: { success: true, message: "Review Hidden" },
+    });
+    renderReviews();
+
+    fireEvent.click(await screen.findByText("Hide"));
+
+    await waitFor(() => {
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/product/reviews/r1", {
+        hidden: true,
+      });
+    });
+    expect(toast.success).toHaveBeenCalledWith("Review Hidden");
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  test("restores a hidden review", async () => {
+    axios.put.mockResolvedValue({
+      data: { success: true, message: "Review Restored" },
+    });
+    renderReviews();
+
+    fireEvent.click(await screen.findByText("Restore"));
+
+    await waitFor(() => {
+      expect(axios.put).toHaveBeenCalledWith("/api/v1/product/reviews/r2", {
+        hidden: false,
+      });
+    });
+    expect(toast.success).toHaveBeenCalledWith("Review Restored");
+  });
+
+  test("shows the server message when moderation fails", async () => {
+    axios.put.mockRejectedValue({
+      response: { data: { message: "Review not found" } },
+    });
+    renderReviews();
+
+    fireEvent.click(await screen.findByText("Hide"));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith("Review not found");
+    });
+  });
+
+  test("logs errors while loading reviews", async () => {
+    const error = new Error("Network Error");
+    axios.get.mockRejectedValue(error);
+
+    renderReviews();
+
+    await waitFor(() => {
+      expect(console.log).toHaveBeenCalledWith(error);
+    });
+  });
+});
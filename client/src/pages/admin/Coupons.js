@@ -0,0 +1,181 @@
+import React, { useEffect, useState } from "react";
+import axios from "axios";
+import moment from "moment";
+import toast from "react-hot-toast";
+import AdminMenu from "../../components/AdminMenu";
+import CouponForm from "../../components/Form/CouponForm";
+import Layout from "../../components/Layout";
+import { useAuth } from "../../context/auth";
+
+const discountLabel = (coupon) =>
+  coupon.type === "percentage"
+    ? `${coupon.value}% off`
+    : `$${Number(coupon.value).toFixed(2)} off`;
+
+const scopeLabel = (coupon) =>
+  [...(coupon.categories || []), ...(coupon.products || [])]
+    .map((s) => s.name)
+    .join(", ") || "Whole order";
+
+//every product by name, a page at a time, so older ones can be picked too
+const getAllProducts = async () => {
+  let all = [];
+  let cursor = null;
+  do {
+    const { data } = await axios.get(
+      "/api/v1/product/products?sort=name&limit=48" +
+        (cursor ? `&cursor=${encodeURIComponent(cursor)}` : "")
+    );
+    all = [...all, ...(data?.products || [])];
+    cursor = data?.nextCursor;
+  } while (cursor);
+  return all;
+};
+
+const Coupons = () => {
+  const [auth] = useAuth();
+  const [coupons, setCoupons] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [products, setProducts] = useState([]);
+  const [editing, setEditing] = useState(null);
+
+  const getCoupons = async () => {
+    try {
+      const { data } = await axios.get("/api/v1/coupon");
+      setCoupons(data?.coupons);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something went wrong in getting coupons");
+    }
+  };
+
+  useEffect(() => {
+    if (!auth?.token) return;
+    getCoupons();
+  }, [auth?.token]);
+
+  //choices for scoping a coupon
+  useEffect(() => {
+    if (!auth?.token) return;
+    const getScopes = async () => {
+      try {
+        const [categoryRes, allProducts] = await Promise.all([
+          axios.get("/api/v1/category/get-category"),
+          getAllProducts(),
+        ]);
+        setCategories(categoryRes.data?.category);
+        setProducts(allProducts);
+      } catch (error) {
+        console.log(error);
+      }
+    };
+    getScopes();
+  }, [auth?.token]);
+
+  const handleSubmit = async (values) => {
+    try {
+      const { data } = editing
+        ? await axios.put(`/api/v1/coupon/${editing._id}`, values)
+        : await axios.post("/api/v1/coupon", values);
+      toast.success(data.message);
+      setEditing(null);
+      getCoupons();
+      return true;
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Could not save coupon");
+      return false;
+    }
+  };
+
+  const handleDelete = async (coupon) => {
+    try {
+      if (!window.confirm(`Delete coupon ${coupon.code}?`)) return;
+      const { data } = await axios.delete(`/api/v1/coupon/${coupon._id}`);
+      toast.success(data.message);
+      if (editing?._id === coupon._id) setEditing(null);
+      getCoupons();
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Could not delete coupon");
+    }
+  };
+
+  return (
+    <Layout title={"Dashboard - Coupons"}>
+      <div className="container-fluid m-3 p-3">
+        <div className="row">
+          <div className="col-md-3">
+            <AdminMenu />
+          </div>
+          <div className="col-md-9">
+            <h1>Manage Coupons</h1>
+            <div className="p-3">
+              <h4>{editing ? `Edit ${editing.code}` : "New Coupon"}</h4>
+              <CouponForm
+                key={editing?._id || "new"}
+                coupon={editing}
+                categories={categories}
+                products={products}
+                onSubmit={handleSubmit}
+                onCancel={editing ? () => setEditing(null) : undefined}
+              />
+            </div>
+            {!coupons?.length && <p>No coupons yet</p>}
+            {!!coupons?.length && (
+              <table className="table">
+                <thead>
+                  <tr>
+                    <th scope="col">Code</th>
+                    <th scope="col">Discount</th>
+                    <th scope="col">Applies to</th>
+                    <th scope="col">Min order</th>
+                    <th scope="col">Expires</th>
+                    <th scope="col">Used</th>
+                    <th scope="col">Status</th>
+                    <th scope="col">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {coupons.map((c) => (
+                    <tr key={c._id}>
+                      <td>{c.code}</td>
+                      <td>{discountLabel(c)}</td>
+                      <td>{scopeLabel(c)}</td>
+                      <td>{c.minOrder ? `$${c.minOrder}` : "-"}</td>
+                      <td>
+                        {c.expiresAt
+                          ? moment(c.expiresAt).format("D MMM YYYY")
+                          : "Never"}
+                      </td>
+                      <td>
+                        {c.maxUses ? `${c.used} / ${c.maxUses}` : c.used}
+                      </td>
+                      <td>{c.active ? "Active" : "Inactive"}</td>
+                      <td>
+                        <button
+                          className="btn btn-primary ms-2"
+                          onClick={() => setEditing(c)}
+                        >
+                          Edit
+                        </button>
+                        <button
+                          className="btn btn-danger ms-2"
+                          onClick={() => handleDelete(c)}
+                        >
+                          Delete
+                        </button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Coupons;
@@ -0,0 +1,267 @@
+import "@testing-library/jest-dom/extend-expect";
+import React from "react";
+import axios from "axios";
+import toast from "react-hot-toast";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import { BrowserRouter } from "react-router-dom";
+import Coupons from "./Coupons";
+
+jest.mock("axios");
+jest.mock("react-hot-toast");
+
+jest.mock("../../context/auth", () => ({
+  useAuth: () => [{ token: "test-token", user: { role: 1 } }, jest.fn()],
+}));
+
+jest.mock("../../components/Layout", () => {
+  return ({ children, title }) => (
+    <div data-testid="mock-layout" data-title={title}>
+      {children}
+    </div>
+  );
+});
+
+jest.mock("../../components/AdminMenu", () => {
+  return () => <div data-testid="mock-admin-menu">Admin Menu</div>;
+});
+
+const coupons = [
+  {
+    _id: "k1",
+    code: "SAVE10",
+    type: "percentage",
+    value: 10,
+    minOrder: 50,
+    expiresAt: "2026-12-31T12:00:00.000Z",
+    maxUses: 100,
+    used: 3,
+    categories: [{ _id: "c1", name: "Book" }],
+    products: [],
+    active: true,
+  },
+  {
+    _id: "k2",
+    code: "FIVE",
+    type: "fixed",
+    value: 5,
+    minOrder: 0,
+    used: 0,
+    categories: [],
+    products: [],
+    active: false,
+  },
+];
+
+const mockGets = (list = coupons) =>
+  axios.get.mockImplementation((url) => {
+    if (url === "/api/v1/coupon") {
+      return Promise.resolve({ data: { success: true, coupons: list } });
+    }
+    if (url === "/api/v1/category/get-category") {
+      return Promise.resolve({
+        data: { success: true, category: [{ _id: "c1", name: "Book" }] },
+      });
+    }
+    return Promise.resolve({
+      data: { success: true, products: [{ _id: "p1", name: "Novel" }] },
+    });
+  });
+
+const renderCoupons = () =>
+  render(
+    <BrowserRouter>
+      <Coupons />
+    </BrowserRouter>
+  );
+
+describe("Coupons Component", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, "log").mockImplementation(() => {});
+    mockGets();
+    window.confirm = jest.fn(() => true);
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test("lists coupons with their terms and usage", async () => {
+    renderCoupons();
+
+    expect(screen.getByTestId("mock-layout")).toHaveAttribute(
+      "data-title",
+      "Dashboard - Coupons"
+    );
+    expect(await screen.findByText("SAVE10")).toBeInTheDocument();
+    expect(screen.getByText("10% off")).toBeInTheDocument();
+    expect(screen.getByText("Book", { selector: "td" })).toBeInTheDocument();
+    expect(screen.getByText("$50")).toBeInTheDocument();
+    expect(screen.getByText("31 Dec 2026")).toBeInTheDocument();
+    expect(screen.getByText("3 / 100")).toBeInTheDocument();
+    expect(screen.getByText("$5.00 off")).toBeInTheDocument();
+    expect(screen.getByText("Whole order")).toBeInTheDocument();
+    expect(screen.getByText("Never")).toBeInTheDocument();
+    expect(screen.getByText("Inactive")).toBeInTheDocument();
+    expect(await screen.findByText("Novel")).toBeInTheDocument();
+  });
+
+  test("says when there are no coupons", async () => {
+    mockGets([]);
+
+    renderCoupons();
+
+    expect(await screen.findByText("No coupons yet")).toBeInTheDocument();
+  });
+
+  test("creates a coupon and reloads the list", async () => {
+    axios.post.mockResolvedValue({
+      data: { success: true, message: "Coupon Created" },
+    });
+    renderCoupons();
+    await screen.findByText("SAVE10");
+
+    fireEvent.change(screen.getByPlaceholderText("Code"), {
+      target: { value: "NEW20" },
+    });
+    fireEvent.change(screen.getByPlaceholderText("Percent"), {
+      target: { value: "20" },
+    });
+    fireEvent.click(screen.getByText("Create Coupon"));
+
+    await waitFor(() =>
+      expect(toast.success).toHaveBeenCalledWith("Coupon Created")
+    );
+    expect(axios.post).toHaveBeenCalledWith(
+      "/api/v1/coupon",
+      expect.objectContaining({ code: "NEW20", type: "percentage", value: "20" })
+    );
+    expect(
+      axios.get.mock.calls.filter(([url]) => url === "/api/v1/coupon")
+    ).toHaveLength(2);
+  });
+
+  test("edits a coupon", async () => {
+    axios.put.mockResolvedValue({
+      data: { success: true, message: "Coupon Updated" },
+    });
+    renderCoupons();
+
+    fireEvent.click((await screen.findAllByText("Edit"))[0]);
+
+    expect(screen.getByText("Edit SAVE10")).toBeInTheDocument();
+    expect(screen.getByPlaceholderText("Code")).toHaveValue("SAVE10");
+    fireEvent.click(screen.getByText("Update Coupon"));
+
+    await waitFor(() =>
+      expect(axios.put).toHaveBeenCalledWith(
+        "/api/v1/coupon/k1",
+        expect.objectContaining({ code: "SAVE10", categories: ["c1"] })
+      )
+    );
+    expect(toast.success).toHaveBeenCalledWith("Coupon Updated");
+    expect(await screen.findByText("New Coupon")).toBeInTheDocument();
+  });
+
+  test("stops editing on cancel", async () => {
+    renderCoupons();
+
+    fireEvent.click((await screen.findAllByText("Edit"))[1]);
+    expect(screen.getByText("Edit FIVE")).toBeInTheDocument();
+    fireEvent.click(screen.getByText("Cancel"));
+
+    expect(screen.getByText("New Coupon")).toBeInTheDocument();
+  });
+
+  test("shows the server message when saving fails", async () => {
+    axios.post.mockRejectedValue({
+      response: { data: { message: "Coupon code already exists" } },
+    });
+    renderCoupons();
+    await screen.findByText("SAVE10");
+
+    fireEvent.change(screen.getByPlaceholderText("Code"), {
+      target: { value: "SAVE10" },
+    });
+    fireEvent.click(screen.getByText("Create Coupon"));
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith("Coupon code already exists")
+    );
+    expect(screen.getByPlaceholderText("Code")).toHaveValue("SAVE10");
+  });
+
+  test("deletes a coupon after confirming", async () => {
+    axios.delete.mockResolvedValue({
+      data: { success: true, message: "Coupon Deleted" },
+    });
+    renderCoupons();
+
+    fireEvent.click((await screen.findAllByText("Delete"))[1]);
+
+    await waitFor(() =>
+      expect(axios.delete).toHaveBeenCalledWith("/api/v1/coupon/k2")
+    );
+    expect(toast.success).toHaveBeenCalledWith("Coupon Deleted");
+  });
+
+  test("keeps a coupon when deleting is not confirmed", async () => {
+    window.confirm = jest.fn(() => false);
+    renderCoupons();
+
+    fireEvent.click((await screen.findAllByText("Delete"))[0]);
+
+    expect(axios.delete).not.toHaveBeenCalled();
+  });
+
+  test("shows the server message when deleting fails", async () => {
+    axios.delete.mockRejectedValue({
+      response: { data: { message: "Coupon not found" } },
+    });
+    renderCoupons();
+
+    fireEvent.click((await screen.findAllByText("Delete"))[0]);
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith("Coupon not found")
+    );
+  });
+
+  test("offers every product to scope a coupon to, page by page", async () => {
+    axios.get.mockImplementation((url) => {
+      if (url === "/api/v1/product/products?sort=name&limit=48") {
+        return Promise.resolve({
+          data: { products: [{ _id: "p1", name: "Atlas" }], nextCursor: "n1" },
+        });
+      }
+      if (url === "/api/v1/product/products?sort=name&limit=48&cursor=n1") {
+        return Promise.resolve({
+          data: { products: [{ _id: "p2", name: "Zine" }], nextCursor: null },
+        });
+      }
+      return Promise.resolve({
+        data: { success: true, coupons, category: [] },
+      });
+    });
+    renderCoupons();
+
+    expect(
+      await screen.findByRole("option", { name: "Zine" })
+    ).toBeInTheDocument();
+    expect(screen.getByRole("option", { name: "Atlas" })).toBeInTheDocument();
+  });
+
+  test("reports errors while loading", async () => {
+    const error = new Error("Network Error");
+    axios.get.mockRejectedValue(error);
+
+    renderCoupons();
+
+    await waitFor(() =>
+      expect(toast.error).toHaveBeenCalledWith(
+        "Something went wrong in getting coupons"
+      )
+    );
+    expect(console.log).toHaveBeenCalledWith(error);
+  });
+});
@@ -5,18 +5,32 @@ import toast from "react-hot-toast";
 import axios from "axios";
 import CategoryForm from "../../components/Form/CategoryForm";
 import { Modal } from "antd";
+import {
+  categoryTree,
+  flattenTree,
+  isWithin,
+} from "../../helpers/categoryHelper";
 const CreateCategory = () => {
   const [categories, setCategories] = useState([]);
   const [name, setName] = useState("");
+  const [parent, setParent] = useState("");
   const [visible, setVisible] = useState(false);
   const [selected, setSelected] = useState(null);
   const [updatedName, setUpdatedName] = useState("");
+  const [updatedParent, setUpdatedParent] = useState("");
+  //categories in tree order, each with how deep it sits
+  const rows = flattenTree(categoryTree(categories));
+  const siblingsOf = (c) =>
+    rows.filter(
+      (r) => (r.parentCategory || null) === (c.parentCategory || null)
+    );
   //handle Form
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
       const { data } = await axios.post("/api/v1/category/create-category", {
         name,
+        ...(parent && { parent }),
       });
       if (data?.success) {
         toast.success(`${name} is created`);
@@ -56,9 +70,16 @@ const CreateCategory = () => {
         { name: updatedName }
       );
       if (data.success) {
+        //a new parent puts the category after its other children
+        if (updatedParent !== (selected.parentCategory || "")) {
+          await axios.put(`/api/v1/category/move-category/${selected._id}`, {
+            parent: updatedParent || null,
+          });
+        }
         toast.success(`${updatedName} is updated`);
         setSelected(null);
         setUpdatedName("");
+        setUpdatedParent("");
         setVisible(false);
         getAllCategory();
       } else {
@@ -68,6 +89,23 @@ const CreateCategory = () => {
       toast.error("Something went wrong");
     }
   };
+  //move category one place up or down among its siblings
+  const handleMove = async (c, offset) => {
+    try {
+      const index = siblingsOf(c).findIndex((s) => s._id === c._id);
+      const { data } = await axios.put(
+        `/api/v1/category/move-category/${c._id}`,
+        { parent: c.parentCategory || null, order: index + offset }
+      );
+      if (data.success) {
+        getAllCategory();
+      } else {
+        toast.error(data.message);
+      }
+    } catch (error) {
+      toast.error("Something went wrong");
+    }
+  };
   //delete category
   const handleDelete = async (pId) => {
     try {
@@ -99,6 +137,9 @@ const CreateCategory = () => {
                 handleSubmit={handleSubmit}
                 value={name}
                 setValue={setName}
+                parent={parent}
+                setParent={setParent}
+                parents={rows}
               />
             </div>
             <div className="w-75">
@@ -110,16 +151,40 @@ const CreateCategory = () => {
                   </tr>
                 </thead>
                 <tbody>
-                  {categories?.map((c) => (
-                    <>
-                      <tr>
-                        <td key={c._id}>{c.name}</td>
+                  {rows.map((c) => {
+                    const siblings = siblingsOf(c);
+                    return (
+                      <tr key={c._id}>
+                        <td
+                          style={{ paddingLeft: `${0.5 + c.depth * 1.5}rem` }}
+                        >
+                          {c.name}
+                        </td>
                         <td>
+                          <button
+                            className="btn btn-outline-secondary ms-2"
+                            aria-label={`Move ${c.name} up`}
+                            disabled={siblings[0]._id === c._id}
+                            onClick={() => handleMove(c, -1)}
+                          >
+                            Up
+                          </button>
+                          <button
+                            className="btn btn-outline-secondary ms-2"
+                            aria-label={`Move ${c.name} down`}
+                            disabled={
+                              siblings[siblings.length - 1]._id === c._id
+                            }
+                            onClick={() => handleMove(c, 1)}
+                          >
+                            Down
+                          </button>
                           <button
                             className="btn btn-primary ms-2"
                             onClick={() => {
                               setVisible(true);
                               setUpdatedName(c.name);
+                              setUpdatedParent(c.parentCategory || "");
                               setSelected(c);
                             }}
                           >
@@ -135,8 +200,8 @@ const CreateCategory = () => {
                           </button>
                         </td>
                       </tr>
-                    </>
-                  ))}
+                    );
+                  })}
                 </tbody>
               </table>
             </div>
@@ -149,6 +214,13 @@ const CreateCategory = () => {
                 value={updatedName}
                 setValue={setUpdatedName}
                 handleSubmit={handleUpdate}
+                parent={updatedParent}
+                setParent={setUpdatedParent}
+                parents={
+                  selected
+                    ? rows.filter((c) => !isWithin(c, selected._id))
+                    : rows
+                }
               />
             </Modal>
           </div>
@@ -38,7 +38,7 @@ jest.mock("./../../components/AdminMenu", () => () => (
 jest.mock(
   "../../components/Form/CategoryForm",
   () =>
-    ({ handleSubmit, value, setValue }) =>
+    ({ handleSubmit, value, setValue, parent, setParent, parents }) =>
       (
         <form data-testid="mock-category-form" onSubmit={handleSubmit}>
           <input
@@ -48,6 +48,18 @@ jest.mock(
             data-testid="category-input"
             placeholder="Enter new category"
           />
+          <select
+            value={parent}
+            onChange={(e) => setParent(e.target.value)}
+            data-testid="parent-select"
+          >
+            <option value="">None</option>
+            {parents.map((c) => (
+              <option key={c._id} value={c._id}>
+                {`Under ${c.name}`}
+              </option>
+            ))}
+          </select>
           <button type="submit">Submit</button>
         </form>
       )
@@ -729,3 +741,168 @@ test("handles modal visibility state changes", async () => {
     expect(document.querySelector(".ant-modal")).not.toBeInTheDocument();
   });
 });
+
+const nestedCategories = [
+  ...mockCategories,
+  {
+    _id: "66db427fdb0119d9234b27f1",
+    name: "Fiction",
+    slug: "fiction",
+    parentCategory: "66db427fdb0119d9234b27ef",
+    ancestors: [
+      { _id: "66db427fdb0119d9234b27ef", name: "Book", slug: "book" },
+    ],
+  },
+];
+
+test("lists subcategories indented under their category", async () => {
+  axios.get.mockResolvedValueOnce({
+    data: { success: true, category: nestedCategories },
+  });
+
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <CreateCategory />
+      </BrowserRouter>
+    );
+  });
+
+  const rows = within(screen.getByRole("table")).getAllByRole("row").slice(1);
+  expect(rows.map((row) => row.cells[0].textContent)).toEqual([
+    "Electronics",
+    "Book",
+    "Fiction",
+  ]);
+  expect(rows[2].cells[0].style.paddingLeft).toBe("2rem");
+  expect(screen.getByLabelText("Move Electronics up")).toBeDisabled();
+  expect(screen.getByLabelText("Move Book down")).toBeDisabled();
+  expect(screen.getByLabelText("Move Fiction up")).toBeDisabled();
+});
+
+test("creates a category under the parent picked", async () => {
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <CreateCategory />
+      </BrowserRouter>
+    );
+  });
+
+  fireEvent.change(screen.getByPlaceholderText("Enter new category"), {
+    target: { value: "Fiction" },
+  });
+  fireEvent.change(screen.getByTestId("parent-select"), {
+    target: { value: "66db427fdb0119d9234b27ef" },
+  });
+  await act(async () => {
+    fireEvent.submit(screen.getByTestId("mock-category-form"));
+  });
+
+  expect(axios.post).toHaveBeenCalledWith("/api/v1/category/create-category", {
+    name: "Fiction",
+    parent: "66db427fdb0119d9234b27ef",
+  });
+});
+
+test("moves a category one place up among its siblings", async () => {
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <CreateCategory />
+      </BrowserRouter>
+    );
+  });
+
+  await act(async () => {
+    fireEvent.click(screen.getByLabelText("Move Book up"));
+  });
+
+  expect(axios.put).toHaveBeenCalledWith(
+    "/api/v1/category/move-category/66db427fdb0119d9234b27ef",
+    { parent: null, order: 0 }
+  );
+  expect(axios.get).toHaveBeenCalledTimes(2);
+});
+
+test("handles category move error", async () => {
+  axios.put.mockRejectedValueOnce(new Error("Network Error"));
+
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <CreateCategory />
+      </BrowserRouter>
+    );
+  });
+
+  await act(async () => {
+    fireEvent.click(screen.getByLabelText("Move Electronics down"));
+  });
+
+  expect(toast.error).toHaveBeenCalledWith("Something went wrong");
+});
+
+test("moves a category to the parent picked while editing it", async () => {
+  axios.get.mockResolvedValueOnce({
+    data: { success: true, category: nestedCategories },
+  });
+
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <CreateCategory />
+      </BrowserRouter>
+    );
+  });
+
+  await act(async () => {
+    fireEvent.click(screen.getAllByText("Edit")[1]);
+  });
+
+  const modal = screen.getByTestId("mock-modal");
+  const select = within(modal).getByTestId("parent-select");
+  // a category cannot be put under itself or under its subcategories
+  expect(
+    within(select)
+      .getAllByRole("option")
+      .map((option) => option.textContent)
+  ).toEqual(["None", "Under Electronics"]);
+
+  fireEvent.change(select, {
+    target: { value: "66db427fdb0119d9234b27ed" },
+  });
+  await act(async () => {
+    fireEvent.submit(within(modal).getByTestId("mock-category-form"));
+  });
+
+  expect(axios.put).toHaveBeenCalledWith(
+    "/api/v1/category/update-category/66db427fdb0119d9234b27ef",
+    { name: "Book" }
+  );
+  expect(axios.put).toHaveBeenCalledWith(
+    "/api/v1/category/move-category/66db427fdb0119d9234b27ef",
+    { parent: "66db427fdb0119d9234b27ed" }
+  );
+});
+
+test("keeps the parent of a category renamed without moving it", async () => {
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <CreateCategory />
+      </BrowserRouter>
+    );
+  });
+
+  await act(async () => {
+    fireEvent.click(screen.getAllByText("Edit")[0]);
+  });
+  await act(async () => {
+    fireEvent.submit(
+      within(screen.getByTestId("mock-modal")).getByTestId("mock-category-form")
+    );
+  });
+
+  expect(axios.put).toHaveBeenCalledTimes(1);
+});
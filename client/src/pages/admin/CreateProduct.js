@@ -4,6 +4,13 @@ import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { Select } from "antd";
+import ImagesForm, {
+  appendImages,
+} from "./../../components/Form/ImagesForm";
+import VariantsForm, {
+  appendVariants,
+  variantStock,
+} from "./../../components/Form/VariantsForm";
 import { useNavigate } from "react-router-dom";
 const { Option } = Select;
 
@@ -16,7 +23,8 @@ const CreateProduct = () => {
   const [category, setCategory] = useState("");
   const [quantity, setQuantity] = useState("");
   const [shipping, setShipping] = useState("");
-  const [photo, setPhoto] = useState("");
+  const [images, setImages] = useState([]);
+  const [variants, setVariants] = useState([]);
 
   //get all category
   const getAllCategory = async () => {
@@ -43,9 +51,13 @@ const CreateProduct = () => {
       productData.append("name", name);
       productData.append("description", description);
       productData.append("price", price);
-      productData.append("quantity", quantity);
-      productData.append("photo", photo);
+      productData.append(
+        "quantity",
+        variants.length ? variantStock(variants) : quantity
+      );
+      appendImages(productData, images);
       productData.append("category", category);
+      appendVariants(productData, variants);
       const { data } = await axios.post(
         "/api/v1/product/create-product",
         productData
@@ -88,30 +100,7 @@ const CreateProduct = () => {
                   </Option>
                 ))}
               </Select>
-              <div className="mb-3">
-                <label className="btn btn-outline-secondary col-md-12">
-                  {photo ? photo.name : "Upload Photo"}
-                  <input
-                    type="file"
-                    name="photo"
-                    accept="image/*"
-                    onChange={(e) => setPhoto(e.target.files[0])}
-                    hidden
-                  />
-                </label>
-              </div>
-              <div className="mb-3">
-                {photo && (
-                  <div className="text-center">
-                    <img
-                      src={URL.createObjectURL(photo)}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
-                )}
-              </div>
+              <ImagesForm images={images} onChange={setImages} />
               <div className="mb-3">
                 <input
                   type="text"
@@ -143,12 +132,14 @@ const CreateProduct = () => {
               <div className="mb-3">
                 <input
                   type="number"
-                  value={quantity}
+                  value={variants.length ? variantStock(variants) : quantity}
                   placeholder="write a quantity"
                   className="form-control"
+                  disabled={variants.length > 0}
                   onChange={(e) => setQuantity(e.target.value)}
                 />
               </div>
+              <VariantsForm variants={variants} onChange={setVariants} />
               <div className="mb-3">
                 <Select
                   bordered={false}
@@ -569,3 +569,38 @@ test("handles product creation with invalid data", async () => {
 });
 
 
+
+test("sends variants and totals their stock as the product quantity", async () => {
+  axios.post.mockResolvedValue({ data: { success: true } });
+
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <CreateProduct />
+      </BrowserRouter>
+    );
+  });
+
+  fireEvent.click(screen.getByText("Add Variant"));
+  fireEvent.click(screen.getByText("Add Variant"));
+  const skus = screen.getAllByPlaceholderText("SKU");
+  const stock = screen.getAllByPlaceholderText("Stock");
+  fireEvent.change(skus[0], { target: { value: "HD-M" } });
+  fireEvent.change(stock[0], { target: { value: "4" } });
+  fireEvent.change(skus[1], { target: { value: "HD-L" } });
+  fireEvent.change(stock[1], { target: { value: "3" } });
+
+  const quantity = screen.getByPlaceholderText("write a quantity");
+  expect(quantity).toHaveValue(7);
+  expect(quantity).toBeDisabled();
+
+  fireEvent.click(screen.getByText("CREATE PRODUCT"));
+
+  await waitFor(() => expect(axios.post).toHaveBeenCalled());
+  const productData = axios.post.mock.calls[0][1];
+  expect(productData.get("quantity")).toBe("7");
+  expect(JSON.parse(productData.get("variants"))).toEqual([
+    { sku: "HD-M", size: "", colour: "", price: "", quantity: "4" },
+    { sku: "HD-L", size: "", colour: "", price: "", quantity: "3" },
+  ]);
+});
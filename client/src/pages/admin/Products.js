@@ -4,20 +4,45 @@ import Layout from "./../../components/Layout";
 import axios from "axios";
 import toast from "react-hot-toast";
 import { Link } from "react-router-dom";
+import useInfiniteScroll from "../../hooks/useInfiniteScroll";
 const Products = () => {
   const [products, setProducts] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
 
-  //getall products
+  //getall products, newest first a page at a time
   const getAllProducts = async () => {
     try {
-      const { data } = await axios.get("/api/v1/product/get-product");
+      const { data } = await axios.get("/api/v1/product/products");
       setProducts(data.products);
+      setNextCursor(data.nextCursor);
     } catch (error) {
       console.log(error);
       toast.error("Something Went Wrong");
     }
   };
 
+  //the products after the last one shown
+  const loadMore = async () => {
+    if (loading || !nextCursor) return;
+    setLoading(true);
+    try {
+      const { data } = await axios.get(
+        `/api/v1/product/products?cursor=${encodeURIComponent(nextCursor)}`
+      );
+      setProducts([...products, ...data.products]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      console.log(error);
+      toast.error("Something Went Wrong");
+    }
+    setLoading(false);
+  };
+  const listEnd = useInfiniteScroll(loadMore, {
+    hasMore: Boolean(nextCursor),
+    loading,
+  });
+
   //lifecycle method
   useEffect(() => {
     getAllProducts();
@@ -30,7 +55,7 @@ const Products = () => {
         </div>
         <div className="col-md-9 ">
           <h1 className="text-center">All Products List</h1>
-          <div className="d-flex">
+          <div className="d-flex flex-wrap">
             {products?.map((p) => (
               <Link
                 key={p._id}
@@ -51,6 +76,17 @@ const Products = () => {
               </Link>
             ))}
           </div>
+          <div className="text-center my-3" ref={listEnd}>
+            {nextCursor && (
+              <button
+                className="btn btn-outline-secondary"
+                disabled={loading}
+                onClick={loadMore}
+              >
+                {loading ? "Loading ..." : "Load more products"}
+              </button>
+            )}
+          </div>
         </div>
       </div>
     </Layout>
@@ -1,6 +1,6 @@
 import "@testing-library/jest-dom/extend-expect";
 import React from "react";
-import { render, screen, waitFor } from "@testing-library/react";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
 import { BrowserRouter } from "react-router-dom";
 import axios from "axios";
 import Products from "./Products";
@@ -72,7 +72,7 @@ describe("Products Component Rendering", () => {
     renderProducts();
 
     await waitFor(() => {
-      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/get-product");
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/products");
     });
   });
 });
@@ -101,7 +101,7 @@ describe("API call ", () => {
     renderProducts();
 
     await waitFor(() => {
-      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/get-product");
+      expect(axios.get).toHaveBeenCalledWith("/api/v1/product/products");
       expect(toast.error).toHaveBeenCalledWith("Something Went Wrong");
     });
   });
@@ -127,6 +127,27 @@ describe("API call ", () => {
     });
   });
 
+  test("loads the next products from the cursor", async () => {
+    axios.get
+      .mockResolvedValueOnce({
+        data: { products: [mockProducts[0]], nextCursor: "c2" },
+      })
+      .mockResolvedValueOnce({
+        data: { products: [mockProducts[1]], nextCursor: null },
+      });
+
+    renderProducts();
+
+    fireEvent.click(await screen.findByText("Load more products"));
+
+    expect(await screen.findByText("Test Product 2")).toBeInTheDocument();
+    expect(screen.getByText("Test Product 1")).toBeInTheDocument();
+    expect(axios.get).toHaveBeenLastCalledWith(
+      "/api/v1/product/products?cursor=c2"
+    );
+    expect(screen.queryByText("Load more products")).not.toBeInTheDocument();
+  });
+
   test("product link has correct route", async () => {
     const mockProduct = {
       _id: "123",
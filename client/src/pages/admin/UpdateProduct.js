@@ -4,6 +4,15 @@ import AdminMenu from "./../../components/AdminMenu";
 import toast from "react-hot-toast";
 import axios from "axios";
 import { Select } from "antd";
+import ImagesForm, {
+  appendImages,
+  toImageRows,
+} from "./../../components/Form/ImagesForm";
+import VariantsForm, {
+  appendVariants,
+  toVariantRows,
+  variantStock,
+} from "./../../components/Form/VariantsForm";
 import { useNavigate, useParams } from "react-router-dom";
 const { Option } = Select;
 
@@ -17,7 +26,8 @@ const UpdateProduct = () => {
   const [category, setCategory] = useState("");
   const [quantity, setQuantity] = useState("");
   const [shipping, setShipping] = useState("");
-  const [photo, setPhoto] = useState("");
+  const [images, setImages] = useState([]);
+  const [variants, setVariants] = useState([]);
   const [id, setId] = useState("");
 
   //get single product
@@ -34,6 +44,8 @@ const UpdateProduct = () => {
       setQuantity(data.product.quantity);
       setShipping(data.product.shipping);
       setCategory(data.product.category._id);
+      setVariants(toVariantRows(data.product.variants));
+      setImages(toImageRows(data.product));
     } catch (error) {
       console.log(error);
     }
@@ -67,9 +79,13 @@ const UpdateProduct = () => {
       productData.append("name", name);
       productData.append("description", description);
       productData.append("price", price);
-      productData.append("quantity", quantity);
-      photo && productData.append("photo", photo);
+      productData.append(
+        "quantity",
+        variants.length ? variantStock(variants) : quantity
+      );
+      appendImages(productData, images);
       productData.append("category", category);
+      appendVariants(productData, variants);
       const { data } = await axios.put(
         `/api/v1/product/update-product/${id}`,
         productData
@@ -128,39 +144,11 @@ const UpdateProduct = () => {
                   </Option>
                 ))}
               </Select>
-              <div className="mb-3">
-                <label className="btn btn-outline-secondary col-md-12">
-                  {photo ? photo.name : "Upload Photo"}
-                  <input
-                    type="file"
-                    name="photo"
-                    accept="image/*"
-                    onChange={(e) => setPhoto(e.target.files[0])}
-                    hidden
-                  />
-                </label>
-              </div>
-              <div className="mb-3">
-                {photo ? (
-                  <div className="text-center">
-                    <img
-                      src={URL.createObjectURL(photo)}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
-                ) : (
-                  <div className="text-center">
-                    <img
-                      src={`/api/v1/product/product-photo/${id}`}
-                      alt="product_photo"
-                      height={"200px"}
-                      className="img img-responsive"
-                    />
-                  </div>
-                )}
-              </div>
+              <ImagesForm
+                images={images}
+                onChange={setImages}
+                current={id && `/api/v1/product/product-photo/${id}`}
+              />
               <div className="mb-3">
                 <input
                   type="text"
@@ -192,12 +180,14 @@ const UpdateProduct = () => {
               <div className="mb-3">
                 <input
                   type="number"
-                  value={quantity}
+                  value={variants.length ? variantStock(variants) : quantity}
                   placeholder="write a quantity"
                   className="form-control"
+                  disabled={variants.length > 0}
                   onChange={(e) => setQuantity(e.target.value)}
                 />
               </div>
+              <VariantsForm variants={variants} onChange={setVariants} />
               <div className="mb-3">
                 <Select
                   bordered={false}
@@ -324,7 +324,10 @@ test("handles photo upload", async () => {
   // Check if the form submission includes the photo
   await waitFor(() => {
     const formDataMock = axios.put.mock.calls[0][1];
-    expect(formDataMock.get("photo")).toBeTruthy();
+    expect(formDataMock.get("image0")).toBeTruthy();
+    expect(JSON.parse(formDataMock.get("images"))).toEqual([
+      { upload: "image0", primary: true },
+    ]);
   });
 });
 
@@ -482,3 +485,42 @@ test("handles category selection change", async () => {
 });
 
 
+
+test("sends the reordered gallery of a product", async () => {
+  axios.get.mockImplementation((url) =>
+    url.includes("/get-product/")
+      ? Promise.resolve({
+          data: {
+            success: true,
+            product: {
+              ...mockProduct,
+              images: [
+                { _id: "img1", contentType: "image/png", primary: true },
+                { _id: "img2", contentType: "image/png", primary: false },
+              ],
+            },
+          },
+        })
+      : Promise.resolve({ data: { success: true, category: mockCategories } })
+  );
+
+  await act(async () => {
+    render(
+      <BrowserRouter>
+        <UpdateProduct />
+      </BrowserRouter>
+    );
+  });
+
+  const second = await screen.findByAltText("product_photo 2");
+  expect(second).toHaveAttribute("src", "/api/v1/product/product-photo/123/1");
+  fireEvent.click(screen.getByLabelText("Move photo 2 earlier"));
+  fireEvent.click(screen.getByText("Make primary"));
+  fireEvent.click(screen.getByText("UPDATE PRODUCT"));
+
+  await waitFor(() => expect(axios.put).toHaveBeenCalled());
+  expect(JSON.parse(axios.put.mock.calls[0][1].get("images"))).toEqual([
+    { _id: "img2", primary: true },
+    { _id: "img1", primary: false },
+  ]);
+});
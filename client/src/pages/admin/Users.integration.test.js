@@ -1,5 +1,5 @@
 import React from 'react';
-import { render, screen, waitFor } from '@testing-library/react';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
 import { BrowserRouter } from 'react-router-dom';
 import axios from 'axios';
 import Users from './Users';
@@ -61,7 +61,7 @@ const mockUsers = [
 describe('Users Integration', () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    axios.get.mockResolvedValue({ data: mockUsers });
+    axios.get.mockResolvedValue({ data: { users: mockUsers, nextCursor: null } });
   });
 
   test('displays user details correctly', async () => {
@@ -97,8 +97,25 @@ describe('Users Integration', () => {
     expect(userRoles).toHaveLength(1);
   });
 
+  test('loads the next users from the cursor', async () => {
+    axios.get
+      .mockResolvedValueOnce({ data: { users: [mockUsers[0]], nextCursor: 'c2' } })
+      .mockResolvedValueOnce({ data: { users: [mockUsers[1]], nextCursor: null } });
+    render(
+        <BrowserRouter>
+              <Users />
+        </BrowserRouter>
+    );
+
+    fireEvent.click(await screen.findByText('Load more users'));
+
+    expect(await screen.findByText('user@test.com', { selector: 'td:nth-child(3)' })).toBeInTheDocument();
+    expect(axios.get).toHaveBeenLastCalledWith('/api/v1/auth/all-users?cursor=c2');
+    expect(screen.queryByText('Load more users')).not.toBeInTheDocument();
+  });
+
   test('handles empty users array', async () => {
-    axios.get.mockResolvedValueOnce({ data: [] });
+    axios.get.mockResolvedValueOnce({ data: { users: [], nextCursor: null } });
     render(
         <BrowserRouter>
               <Users />
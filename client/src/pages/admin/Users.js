@@ -4,20 +4,44 @@ import AdminMenu from '../../components/AdminMenu';
 import axios from 'axios';
 import moment from 'moment';
 import { useAuth } from '../../context/auth';
+import useInfiniteScroll from '../../hooks/useInfiniteScroll';
 
 const Users = () => {
   const [users, setUsers] = useState([]);
+  const [nextCursor, setNextCursor] = useState(null);
+  const [loading, setLoading] = useState(false);
   const [auth] = useAuth();
 
   const getAllUsers = async () => {
     try {
       const { data } = await axios.get('/api/v1/auth/all-users');
-      setUsers(data);
+      setUsers(data.users);
+      setNextCursor(data.nextCursor);
     } catch (error) {
       console.log(error);
     }
   };
 
+  //the users after the last one shown
+  const loadMore = async () => {
+    if (loading || !nextCursor) return;
+    setLoading(true);
+    try {
+      const { data } = await axios.get(
+        `/api/v1/auth/all-users?cursor=${encodeURIComponent(nextCursor)}`
+      );
+      setUsers([...users, ...data.users]);
+      setNextCursor(data.nextCursor);
+    } catch (error) {
+      console.log(error);
+    }
+    setLoading(false);
+  };
+  const listEnd = useInfiniteScroll(loadMore, {
+    hasMore: Boolean(nextCursor),
+    loading,
+  });
+
   useEffect(() => {
     if (auth?.token) getAllUsers();
   }, [auth?.token]);
@@ -59,6 +83,17 @@ const Users = () => {
                     ))}
                   </tbody>
                 </table>
+                <div className="text-center my-3" ref={listEnd}>
+                  {nextCursor && (
+                    <button
+                      className="btn btn-outline-secondary"
+                      disabled={loading}
+                      onClick={loadMore}
+                    >
+                      {loading ? 'Loading ...' : 'Load more users'}
+                    </button>
+                  )}
+                </div>
               </div>
             ) : (
               <div className="text-center">No users found</div>
@@ -28,10 +28,14 @@ jest.mock("react-router-dom", () => ({
 
 const cart = [
   {
-    _id: "1",
-    name: "Novel",
-    description: "A bestselling novel",
-    price: 14.99,
+    productId: "1",
+    quantity: 1,
+    product: {
+      _id: "1",
+      name: "Novel",
+      description: "A bestselling novel",
+      price: 14.99,
+    },
   },
 ];
 
@@ -81,14 +85,22 @@ describe("Orders Page Integration Tests", () => {
         return Promise.resolve({
           data: [
             {
-              products: cart,
+              products: cart.map((line) => ({
+                product: line.product,
+                name: line.product.name,
+                price: line.product.price,
+                quantity: line.quantity,
+                total: line.product.price * line.quantity,
+              })),
+              subtotal: 14.99,
+              total: 14.99,
               payment: {
                 success: true,
               },
               buyer: {
                 name: user.name,
               },
-              status: "Not Process",
+              status: "pending",
               createdAt: "2025-02-09T13:53:54.339Z",
             },
           ],
@@ -190,7 +202,7 @@ describe("Orders Page Integration Tests", () => {
     expect(novelImage).toBeInTheDocument();
     expect(novelImage).toHaveAttribute(
       "src",
-      "/api/v1/product/product-photo/1"
+      "/api/v1/product/product-photo/1?w=100"
     );
   });
 });
@@ -1,13 +1,24 @@
 import axios from "axios";
 import moment from "moment";
 import React, { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import OrderTimeline from "../../components/OrderTimeline";
 import UserMenu from "../../components/UserMenu";
 import { useAuth } from "../../context/auth";
+import {
+  canCancel,
+  canRequestReturn,
+  returnLabel,
+  statusLabel,
+} from "../../helpers/orderHelper";
+import { productPhoto } from "../../helpers/photoHelper";
 import Layout from "./../../components/Layout";
 
 const Orders = () => {
   const [orders, setOrders] = useState([]);
   const [auth, setAuth] = useAuth();
+  const [returning, setReturning] = useState(null);
+  const [reason, setReason] = useState("");
 
   const getOrders = async () => {
     try {
@@ -21,6 +32,39 @@ const Orders = () => {
   useEffect(() => {
     if (auth?.token) getOrders();
   }, [auth?.token]);
+
+  const cancelOrder = async (orderId) => {
+    try {
+      if (!window.confirm("Are you sure you want to cancel this order?")) {
+        return;
+      }
+      const { data } = await axios.post(
+        `/api/v1/auth/orders/${orderId}/cancel`
+      );
+      toast.success(data.message);
+      getOrders();
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Could not cancel order");
+    }
+  };
+
+  const requestReturn = async (e) => {
+    e.preventDefault();
+    try {
+      const { data } = await axios.post(
+        `/api/v1/auth/orders/${returning}/return`,
+        { reason }
+      );
+      toast.success(data.message);
+      setReturning(null);
+      setReason("");
+      getOrders();
+    } catch (error) {
+      console.log(error);
+      toast.error(error.response?.data?.message || "Could not request return");
+    }
+  };
   return (
     <Layout title={"Your Orders"}>
       <div className="container-flui p-3 m-3 dashboard">
@@ -47,11 +91,13 @@ const Orders = () => {
                     <tbody>
                       <tr>
                         <td>{i + 1}</td>
-                        <td>{o?.status}</td>
+                        <td>{statusLabel(o?.status)}</td>
                         <td>{o?.buyer?.name}</td>
                         <td>{moment(o?.createdAt).fromNow()}</td>
                         <td>{o?.payment.success ? "Success" : "Failed"}</td>
-                        <td>{o?.products?.length}</td>
+                        <td>
+                          {o?.products?.reduce((units, p) => units + p.quantity, 0)}
+                        </td>
                       </tr>
                     </tbody>
                   </table>
@@ -60,7 +106,10 @@ const Orders = () => {
                       <div className="row mb-2 p-3 card flex-row" key={p._id}>
                         <div className="col-md-4">
                           <img
-                            src={`/api/v1/product/product-photo/${p._id}`}
+                            src={productPhoto(
+                              p.product?._id ? p.product : { _id: p.product },
+                              100
+                            )}
                             className="card-img-top"
                             alt={p.name}
                             width="100px"
@@ -69,12 +118,76 @@ const Orders = () => {
                         </div>
                         <div className="col-md-8">
                           <p>{p.name}</p>
-                          <p>{p.description.substring(0, 30)}</p>
+                          <p>{p.product?.description?.substring(0, 30)}</p>
                           <p>Price : {p.price}</p>
+                          <p>Quantity : {p.quantity}</p>
+                          <p>Line total : {p.total}</p>
                         </div>
                       </div>
                     ))}
                   </div>
+                  <div className="container pb-3 text-end">
+                    <p className="mb-0">Subtotal : {o?.subtotal}</p>
+                    {o?.discount > 0 && (
+                      <p className="mb-0">
+                        Discount{o.coupon ? ` (${o.coupon})` : ""} : -{o.discount}
+                      </p>
+                    )}
+                    <p className="mb-0">Shipping : {o?.shipping}</p>
+                    <p className="mb-0">Tax : {o?.tax}</p>
+                    <p className="fw-bold">Total : {o?.total}</p>
+                    {o?.refundedTotal > 0 && (
+                      <p className="text-danger">
+                        Refunded : {o.refundedTotal}
+                      </p>
+                    )}
+                  </div>
+                  <OrderTimeline history={o?.statusHistory} />
+                  <div className="container pb-3">
+                    {o?.returnRequest && (
+                      <p>
+                        {returnLabel(o.returnRequest)}
+                        {o.returnRequest.note && ` : ${o.returnRequest.note}`}
+                      </p>
+                    )}
+                    {canCancel(o) && (
+                      <button
+                        className="btn btn-outline-danger"
+                        onClick={() => cancelOrder(o._id)}
+                      >
+                        Cancel Order
+                      </button>
+                    )}
+                    {canRequestReturn(o) && returning !== o._id && (
+                      <button
+                        className="btn btn-outline-secondary"
+                        onClick={() => setReturning(o._id)}
+                      >
+                        Request Return
+                      </button>
+                    )}
+                    {returning === o._id && (
+                      <form onSubmit={requestReturn}>
+                        <textarea
+                          className="form-control mb-2"
+                          placeholder="Why are you returning this order?"
+                          value={reason}
+                          onChange={(e) => setReason(e.target.value)}
+                          required
+                        />
+                        <button type="submit" className="btn btn-primary">
+                          Submit Return
+                        </button>
+                        <button
+                          type="button"
+                          className="btn btn-link"
+                          onClick={() => setReturning(null)}
+                        >
+                          Back
+                        </button>
+                      </form>
+                    )}
+                  </div>
                 </div>
               );
             })}
@@ -1,9 +1,10 @@
 /** @jest-environment jsdom */
 import "@testing-library/jest-dom/extend-expect";
-import { render, waitFor } from "@testing-library/react";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
 import axios from "axios";
 import moment from "moment";
 import React from "react";
+import toast from "react-hot-toast";
 import { MemoryRouter, Route, Routes } from "react-router-dom";
 import { useAuth } from "../../context/auth";
 import Orders from "./Orders";
@@ -41,6 +42,7 @@ jest.mock("../../context/auth", () => ({
 jest.mock("moment", () => {
   return jest.fn(() => ({
     fromNow: jest.fn(() => "a few seconds ago"),
+    format: jest.fn(() => "9 Feb 2025, 1:53 pm"),
   }));
 });
 
@@ -145,10 +147,28 @@ describe("Orders Component", () => {
         {
           products: [
             {
-              _id: "1",
+              product: {
+                _id: "1",
+                name: "Novel",
+                description: "A bestselling novel",
+                price: 14.99,
+                photosUpdatedAt: "2025-02-01T00:00:00.000Z",
+              },
+              quantity: 1,
               name: "Novel",
-              description: "A bestselling novel",
               price: 14.99,
+              total: 14.99,
+            },
+          ],
+          subtotal: 14.99,
+          shipping: 0,
+          tax: 0,
+          total: 14.99,
+          statusHistory: [
+            {
+              _id: "h1",
+              to: "pending",
+              changedAt: "2025-02-09T13:53:54.339Z",
             },
           ],
           payment: {
@@ -157,7 +177,7 @@ describe("Orders Component", () => {
           buyer: {
             name: "Admin",
           },
-          status: "Not Process",
+          status: "pending",
           createdAt: "2025-02-09T13:53:54.339Z",
         },
       ],
@@ -192,19 +212,25 @@ describe("Orders Component", () => {
     expect(getByText("Quantity")).toBeInTheDocument();
 
     expect(getAllByText("1")).toHaveLength(2);
-    expect(getByText("Not Process")).toBeInTheDocument();
+    expect(getAllByText("Pending")).toHaveLength(2);
     expect(getByText("Admin")).toBeInTheDocument();
     expect(getByText("a few seconds ago")).toBeInTheDocument();
     expect(getByText("Success")).toBeInTheDocument();
     expect(getByText("Novel")).toBeInTheDocument();
     expect(getByText("A bestselling novel")).toBeInTheDocument();
     expect(getByText("Price : 14.99")).toBeInTheDocument();
+    expect(getByText("Line total : 14.99")).toBeInTheDocument();
+    expect(getByText("Subtotal : 14.99")).toBeInTheDocument();
+    expect(getByText("Shipping : 0")).toBeInTheDocument();
+    expect(getByText("Tax : 0")).toBeInTheDocument();
+    expect(getByText("Total : 14.99")).toBeInTheDocument();
+    expect(getByText("9 Feb 2025, 1:53 pm")).toBeInTheDocument();
 
     const novelImage = getByAltText("Novel");
     expect(novelImage).toBeInTheDocument();
     expect(novelImage).toHaveAttribute(
       "src",
-      "/api/v1/product/product-photo/1"
+      "/api/v1/product/product-photo/1?w=100&v=1738368000000"
     );
 
     expect(moment).toHaveBeenCalledWith("2025-02-09T13:53:54.339Z");
@@ -233,10 +259,16 @@ describe("Orders Component", () => {
         {
           products: [
             {
-              _id: "1",
+              product: {
+                _id: "1",
+                name: "Novel",
+                description: "A bestselling novel",
+                price: 14.99,
+              },
+              quantity: 1,
               name: "Novel",
-              description: "A bestselling novel",
               price: 14.99,
+              total: 14.99,
             },
           ],
           payment: {
@@ -245,7 +277,7 @@ describe("Orders Component", () => {
           buyer: {
             name: "Admin",
           },
-          status: "Not Process",
+          status: "pending",
           createdAt: "2025-02-09T13:53:54.339Z",
         },
       ],
@@ -280,7 +312,7 @@ describe("Orders Component", () => {
     expect(getByText("Quantity")).toBeInTheDocument();
 
     expect(getAllByText("1")).toHaveLength(2);
-    expect(getByText("Not Process")).toBeInTheDocument();
+    expect(getByText("Pending")).toBeInTheDocument();
     expect(getByText("Admin")).toBeInTheDocument();
     expect(getByText("a few seconds ago")).toBeInTheDocument();
     expect(getByText("Failed")).toBeInTheDocument();
@@ -292,7 +324,7 @@ describe("Orders Component", () => {
     expect(novelImage).toBeInTheDocument();
     expect(novelImage).toHaveAttribute(
       "src",
-      "/api/v1/product/product-photo/1"
+      "/api/v1/product/product-photo/1?w=100"
     );
 
     expect(moment).toHaveBeenCalledWith("2025-02-09T13:53:54.339Z");
@@ -321,10 +353,16 @@ describe("Orders Component", () => {
         {
           products: [
             {
-              _id: "1",
+              product: {
+                _id: "1",
+                name: "Novel",
+                description: "A bestselling novel",
+                price: 14.99,
+              },
+              quantity: 1,
               name: "Novel",
-              description: "A bestselling novel",
               price: 14.99,
+              total: 14.99,
             },
           ],
           payment: {
@@ -333,16 +371,22 @@ describe("Orders Component", () => {
           buyer: {
             name: "Admin",
           },
-          status: "Not Process",
+          status: "pending",
           createdAt: "2025-02-09T13:53:54.339Z",
         },
         {
           products: [
             {
-              _id: "2",
+              product: {
+                _id: "2",
+                name: "The Law of Contract in Singapore",
+                description: "A bestselling book in Singapor",
+                price: 54.99,
+              },
+              quantity: 1,
               name: "The Law of Contract in Singapore",
-              description: "A bestselling book in Singapor",
               price: 54.99,
+              total: 54.99,
             },
           ],
           payment: {
@@ -351,7 +395,7 @@ describe("Orders Component", () => {
           buyer: {
             name: "Admin",
           },
-          status: "Not Process",
+          status: "pending",
           createdAt: "2025-02-09T13:53:54.339Z",
         },
       ],
@@ -387,7 +431,7 @@ describe("Orders Component", () => {
 
     expect(getAllByText("1")).toHaveLength(3);
 
-    expect(getAllByText("Not Process")).toHaveLength(2);
+    expect(getAllByText("Pending")).toHaveLength(2);
     expect(getAllByText("Admin")).toHaveLength(2);
     expect(getAllByText("a few seconds ago")).toHaveLength(2);
 
@@ -400,7 +444,7 @@ describe("Orders Component", () => {
     expect(novelImage).toBeInTheDocument();
     expect(novelImage).toHaveAttribute(
       "src",
-      "/api/v1/product/product-photo/1"
+      "/api/v1/product/product-photo/1?w=100"
     );
 
     expect(getByText("2")).toBeInTheDocument();
@@ -411,7 +455,10 @@ describe("Orders Component", () => {
 
     const bookImage = getByAltText("The Law of Contract in Singapore");
     expect(bookImage).toBeInTheDocument();
-    expect(bookImage).toHaveAttribute("src", "/api/v1/product/product-photo/2");
+    expect(bookImage).toHaveAttribute(
+      "src",
+      "/api/v1/product/product-photo/2?w=100"
+    );
 
     expect(moment).toHaveBeenCalledWith("2025-02-09T13:53:54.339Z");
 
@@ -439,16 +486,28 @@ describe("Orders Component", () => {
         {
           products: [
             {
-              _id: "1",
+              product: {
+                _id: "1",
+                name: "Novel",
+                description: "A bestselling novel",
+                price: 14.99,
+              },
+              quantity: 1,
               name: "Novel",
-              description: "A bestselling novel",
               price: 14.99,
+              total: 14.99,
             },
             {
-              _id: "2",
+              product: {
+                _id: "2",
+                name: "Shirt",
+                description: "A nice shirt",
+                price: 24.99,
+              },
+              quantity: 1,
               name: "Shirt",
-              description: "A nice shirt",
               price: 24.99,
+              total: 24.99,
             },
           ],
           payment: {
@@ -457,7 +516,7 @@ describe("Orders Component", () => {
           buyer: {
             name: "Admin",
           },
-          status: "Not Process",
+          status: "pending",
           createdAt: "2025-02-09T13:53:54.339Z",
         },
       ],
@@ -492,7 +551,7 @@ describe("Orders Component", () => {
     expect(getByText("Quantity")).toBeInTheDocument();
 
     expect(getByText("1")).toBeInTheDocument();
-    expect(getByText("Not Process")).toBeInTheDocument();
+    expect(getByText("Pending")).toBeInTheDocument();
     expect(getByText("Admin")).toBeInTheDocument();
     expect(getByText("a few seconds ago")).toBeInTheDocument();
     expect(getByText("Success")).toBeInTheDocument();
@@ -506,7 +565,7 @@ describe("Orders Component", () => {
     expect(novelImage).toBeInTheDocument();
     expect(novelImage).toHaveAttribute(
       "src",
-      "/api/v1/product/product-photo/1"
+      "/api/v1/product/product-photo/1?w=100"
     );
 
     expect(getByText("Shirt")).toBeInTheDocument();
@@ -517,7 +576,7 @@ describe("Orders Component", () => {
     expect(shirtImage).toBeInTheDocument();
     expect(shirtImage).toHaveAttribute(
       "src",
-      "/api/v1/product/product-photo/2"
+      "/api/v1/product/product-photo/2?w=100"
     );
 
     expect(moment).toHaveBeenCalledWith("2025-02-09T13:53:54.339Z");
@@ -553,3 +612,181 @@ describe("Orders Component", () => {
     });
   });
 });
+
+describe("Orders Component - cancel and return", () => {
+  const order = (overrides) => ({
+    _id: "o1",
+    products: [
+      {
+        _id: "l1",
+        product: { _id: "1", name: "Novel" },
+        name: "Novel",
+        price: 14.99,
+        quantity: 1,
+        total: 14.99,
+      },
+    ],
+    payment: { success: true },
+    buyer: { name: "Admin" },
+    status: "pending",
+    createdAt: "2025-02-09T13:53:54.339Z",
+    ...overrides,
+  });
+
+  const renderOrders = () =>
+    render(
+      <MemoryRouter initialEntries={["/dashboard/user/orders"]}>
+        <Routes>
+          <Route path="/dashboard/user/orders" element={<Orders />} />
+        </Routes>
+      </MemoryRouter>
+    );
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    jest.spyOn(window, "confirm").mockReturnValue(true);
+    useAuth.mockReturnValue([{ user: { name: "Admin" }, token: "123" }, jest.fn()]);
+  });
+
+  afterEach(() => {
+    global.console.log.mockRestore();
+    window.confirm.mockRestore();
+  });
+
+  it("cancels an order that has not shipped", async () => {
+    axios.get.mockResolvedValue({ data: [order({ status: "processing" })] });
+    axios.post.mockResolvedValue({
+      data: { success: true, message: "Order Cancelled Successfully" },
+    });
+    renderOrders();
+
+    fireEvent.click(await screen.findByText("Cancel Order"));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/orders/o1/cancel");
+    });
+    expect(toast.success).toHaveBeenCalledWith("Order Cancelled Successfully");
+    expect(axios.get).toHaveBeenCalledTimes(2);
+  });
+
+  it("does not cancel when the buyer backs out", async () => {
+    window.confirm.mockReturnValue(false);
+    axios.get.mockResolvedValue({ data: [order()] });
+    renderOrders();
+
+    fireEvent.click(await screen.findByText("Cancel Order"));
+
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it("shows the server message when cancelling fails", async () => {
+    axios.get.mockResolvedValue({ data: [order()] });
+    axios.post.mockRejectedValue({
+      response: {
+        data: { message: "Only orders that have not shipped can be cancelled" },
+      },
+    });
+    renderOrders();
+
+    fireEvent.click(await screen.findByText("Cancel Order"));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith(
+        "Only orders that have not shipped can be cancelled"
+      );
+    });
+  });
+
+  it("offers no cancel once shipped and no return before delivery", async () => {
+    axios.get.mockResolvedValue({ data: [order({ status: "shipped" })] });
+    renderOrders();
+
+    expect(await screen.findByText("Shipped")).toBeInTheDocument();
+    expect(screen.queryByText("Cancel Order")).not.toBeInTheDocument();
+    expect(screen.queryByText("Request Return")).not.toBeInTheDocument();
+  });
+
+  it("requests a return of a delivered order with a reason", async () => {
+    axios.get.mockResolvedValue({ data: [order({ status: "delivered" })] });
+    axios.post.mockResolvedValue({
+      data: { success: true, message: "Return Requested Successfully" },
+    });
+    renderOrders();
+
+    fireEvent.click(await screen.findByText("Request Return"));
+    fireEvent.change(
+      screen.getByPlaceholderText("Why are you returning this order?"),
+      { target: { value: "Wrong edition" } }
+    );
+    fireEvent.click(screen.getByText("Submit Return"));
+
+    await waitFor(() => {
+      expect(axios.post).toHaveBeenCalledWith("/api/v1/auth/orders/o1/return", {
+        reason: "Wrong edition",
+      });
+    });
+    expect(toast.success).toHaveBeenCalledWith("Return Requested Successfully");
+    await waitFor(() => {
+      expect(
+        screen.queryByPlaceholderText("Why are you returning this order?")
+      ).not.toBeInTheDocument();
+    });
+  });
+
+  it("shows the server message when a return request fails", async () => {
+    axios.get.mockResolvedValue({ data: [order({ status: "delivered" })] });
+    axios.post.mockRejectedValue(new Error("Network Error"));
+    renderOrders();
+
+    fireEvent.click(await screen.findByText("Request Return"));
+    fireEvent.change(
+      screen.getByPlaceholderText("Why are you returning this order?"),
+      { target: { value: "Wrong edition" } }
+    );
+    fireEvent.click(screen.getByText("Submit Return"));
+
+    await waitFor(() => {
+      expect(toast.error).toHaveBeenCalledWith("Could not request return");
+    });
+    fireEvent.click(screen.getByText("Back"));
+    expect(screen.getByText("Request Return")).toBeInTheDocument();
+  });
+
+  it("shows the state of a return request", async () => {
+    axios.get.mockResolvedValue({
+      data: [
+        order({
+          status: "delivered",
+          returnRequest: { status: "denied", note: "Past the return window" },
+        }),
+      ],
+    });
+    renderOrders();
+
+    expect(
+      await screen.findByText("Return denied : Past the return window")
+    ).toBeInTheDocument();
+    expect(screen.queryByText("Request Return")).not.toBeInTheDocument();
+  });
+
+  it("shows how much of an order was refunded", async () => {
+    axios.get.mockResolvedValue({
+      data: [order({ status: "refunded", total: 14.99, refundedTotal: 14.99 })],
+    });
+    renderOrders();
+
+    expect(await screen.findByText("Refunded : 14.99")).toBeInTheDocument();
+  });
+
+  it("shows the coupon an order was discounted with", async () => {
+    axios.get.mockResolvedValue({
+      data: [order({ discount: 1.5, coupon: "SAVE10" })],
+    });
+    renderOrders();
+
+    expect(
+      await screen.findByText("Discount (SAVE10) : -1.5")
+    ).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,94 @@
+import React from "react";
+import toast from "react-hot-toast";
+import { useNavigate } from "react-router-dom";
+import UserMenu from "../../components/UserMenu";
+import { useCart } from "../../context/cart";
+import { useWishlist } from "../../context/wishlist";
+import {
+  addToCart,
+  hasVariants,
+  outOfStock,
+} from "../../helpers/cartHelper";
+import { productPhoto } from "../../helpers/photoHelper";
+import Layout from "./../../components/Layout";
+
+const Wishlist = () => {
+  const [wishlist, , removeFromWishlist] = useWishlist();
+  const [cart, setCart] = useCart();
+  const navigate = useNavigate();
+
+  //the product leaves the wishlist once it is in the cart
+  const moveToCart = async (product) => {
+    setCart(addToCart(cart, product));
+    toast.success("Item Added to cart");
+    await removeFromWishlist(product._id);
+  };
+
+  return (
+    <Layout title={"Your Wishlist"}>
+      <div className="container-flui p-3 m-3 dashboard">
+        <div className="row">
+          <div className="col-md-3">
+            <UserMenu />
+          </div>
+          <div className="col-md-9">
+            <h1 className="text-center">Wishlist</h1>
+            {!wishlist?.length && (
+              <p className="text-center">Your wishlist is empty</p>
+            )}
+            {wishlist?.map((p) => (
+              <div className="row card flex-row mb-2" key={p._id}>
+                <div className="col-md-3">
+                  <img
+                    src={productPhoto(p, 300)}
+                    className="card-img-top"
+                    alt={p.name}
+                    width="100%"
+                    height={"130px"}
+                  />
+                </div>
+                <div className="col-md-5">
+                  <p>{p.name}</p>
+                  <p>{p.description?.substring(0, 30)}</p>
+                  <p>Price : {p.price}</p>
+                </div>
+                <div className="col-md-4 d-flex flex-column gap-2 p-2">
+                  <button
+                    className="btn btn-info"
+                    onClick={() => navigate(`/product/${p.slug}`)}
+                  >
+                    More Details
+                  </button>
+                  {hasVariants(p) ? (
+                    <button
+                      className="btn btn-dark"
+                      onClick={() => navigate(`/product/${p.slug}`)}
+                    >
+                      Choose Options
+                    </button>
+                  ) : (
+                    <button
+                      className="btn btn-dark"
+                      disabled={outOfStock(p)}
+                      onClick={() => moveToCart(p)}
+                    >
+                      {outOfStock(p) ? "Out of stock" : "Move to cart"}
+                    </button>
+                  )}
+                  <button
+                    className="btn btn-danger"
+                    onClick={() => removeFromWishlist(p._id)}
+                  >
+                    Remove
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      </div>
+    </Layout>
+  );
+};
+
+export default Wishlist;
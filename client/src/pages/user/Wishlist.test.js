@@ -0,0 +1,122 @@
+/** @jest-environment jsdom */
+import "@testing-library/jest-dom/extend-expect";
+import { fireEvent, render, screen, waitFor } from "@testing-library/react";
+import React from "react";
+import toast from "react-hot-toast";
+import { MemoryRouter, useNavigate } from "react-router-dom";
+import { useCart } from "../../context/cart";
+import { useWishlist } from "../../context/wishlist";
+import Wishlist from "./Wishlist";
+
+jest.mock("react-hot-toast");
+
+jest.mock("../../components/Layout", () => ({ children, title }) => (
+  <div>
+    <title>{title}</title>
+    <main>{children}</main>
+  </div>
+));
+
+jest.mock("../../components/UserMenu", () => () => <div>Dashboard</div>);
+
+jest.mock("react-router-dom", () => ({
+  ...jest.requireActual("react-router-dom"),
+  useNavigate: jest.fn(),
+}));
+
+jest.mock("../../context/cart", () => ({
+  useCart: jest.fn(),
+}));
+
+jest.mock("../../context/wishlist", () => ({
+  useWishlist: jest.fn(),
+}));
+
+const novel = {
+  _id: "p1",
+  name: "Novel",
+  slug: "novel",
+  description: "A bestselling novel",
+  price: 14.99,
+  quantity: 5,
+};
+const textbook = {
+  _id: "p2",
+  name: "Textbook",
+  slug: "textbook",
+  description: "A comprehensive textbook",
+  price: 79.99,
+  quantity: 0,
+};
+
+const renderWishlist = () =>
+  render(
+    <MemoryRouter>
+      <Wishlist />
+    </MemoryRouter>
+  );
+
+describe("Wishlist Page", () => {
+  const navigate = jest.fn();
+  const setCart = jest.fn();
+  const removeFromWishlist = jest.fn();
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    useNavigate.mockReturnValue(navigate);
+    useCart.mockReturnValue([[], setCart]);
+    removeFromWishlist.mockResolvedValue(true);
+    useWishlist.mockReturnValue([
+      [novel, textbook],
+      jest.fn(),
+      removeFromWishlist,
+    ]);
+  });
+
+  test("lists the saved products", () => {
+    renderWishlist();
+
+    expect(document.title).toBe("Your Wishlist");
+    expect(screen.getByText("Novel")).toBeInTheDocument();
+    expect(screen.getByText("Price : 14.99")).toBeInTheDocument();
+    expect(screen.getByText("Textbook")).toBeInTheDocument();
+    expect(screen.getByText("Out of stock")).toBeDisabled();
+  });
+
+  test("says when the wishlist is empty", () => {
+    useWishlist.mockReturnValue([[], jest.fn(), removeFromWishlist]);
+
+    renderWishlist();
+
+    expect(screen.getByText("Your wishlist is empty")).toBeInTheDocument();
+  });
+
+  test("moves a product to the cart", async () => {
+    renderWishlist();
+
+    fireEvent.click(screen.getByText("Move to cart"));
+
+    expect(setCart).toHaveBeenCalledWith([
+      { productId: "p1", quantity: 1, product: novel },
+    ]);
+    expect(toast.success).toHaveBeenCalledWith("Item Added to cart");
+    await waitFor(() => expect(removeFromWishlist).toHaveBeenCalledWith("p1"));
+  });
+
+  test("removes a product", () => {
+    renderWishlist();
+
+    fireEvent.click(screen.getAllByText("Remove")[1]);
+
+    expect(removeFromWishlist).toHaveBeenCalledWith("p2");
+    expect(setCart).not.toHaveBeenCalled();
+  });
+
+  test("opens the product page", () => {
+    renderWishlist();
+
+    fireEvent.click(screen.getAllByText("More Details")[0]);
+
+    expect(navigate).toHaveBeenCalledWith("/product/novel");
+  });
+});
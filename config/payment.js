@@ -0,0 +1,35 @@
+const dotenv = require("dotenv");
+const { createBraintreeProvider } = require("../helpers/braintreeProvider.js");
+const { createFakeProvider } = require("../helpers/fakeProvider.js");
+
+dotenv.config();
+
+//payment provider picked by PAYMENT_PROVIDER (braintree unless set to fake).
+//Every provider has the same promise based methods:
+//  clientToken()            token for the cart page drop-in
+//  sale({ amount, nonce })  { success, transaction } or { success, message }
+//  find(id)                 { id, type, status, amount }, null if unknown
+//  void(id), refund(id, amount) same result shape as sale
+const providers = {
+  braintree: () =>
+    createBraintreeProvider({
+      merchantId: process.env.BRAINTREE_MERCHANT_ID,
+      publicKey: process.env.BRAINTREE_PUBLIC_KEY,
+      privateKey: process.env.BRAINTREE_PRIVATE_KEY,
+    }),
+  //FAKE_SETTLE_SECONDS is how long fake payments take to settle
+  fake: () =>
+    createFakeProvider({
+      settleSeconds: process.env.FAKE_SETTLE_SECONDS
+        ? Number(process.env.FAKE_SETTLE_SECONDS)
+        : undefined,
+    }),
+};
+
+const createProvider = (name) => {
+  const create = providers[name || "braintree"];
+  if (!create) throw new Error(`Unknown payment provider ${name}`);
+  return create();
+};
+
+module.exports = createProvider(process.env.PAYMENT_PROVIDER);
@@ -0,0 +1,50 @@
+describe("payment config", () => {
+  const env = process.env.PAYMENT_PROVIDER;
+  const settleSeconds = process.env.FAKE_SETTLE_SECONDS;
+
+  afterEach(() => {
+    if (env === undefined) delete process.env.PAYMENT_PROVIDER;
+    else process.env.PAYMENT_PROVIDER = env;
+    if (settleSeconds === undefined) delete process.env.FAKE_SETTLE_SECONDS;
+    else process.env.FAKE_SETTLE_SECONDS = settleSeconds;
+  });
+
+  const load = () => {
+    let payment;
+    jest.isolateModules(() => {
+      payment = require("./payment");
+    });
+    return payment;
+  };
+
+  it("should use braintree unless told otherwise", () => {
+    delete process.env.PAYMENT_PROVIDER;
+
+    expect(load().name).toBe("braintree");
+  });
+
+  it("should use the fake provider when configured", () => {
+    process.env.PAYMENT_PROVIDER = "fake";
+
+    expect(load().name).toBe("fake");
+  });
+
+  it("should settle fake payments after FAKE_SETTLE_SECONDS", async () => {
+    process.env.PAYMENT_PROVIDER = "fake";
+    process.env.FAKE_SETTLE_SECONDS = "0";
+    const payment = load();
+
+    const { transaction } = await payment.sale({
+      amount: 10,
+      nonce: "fake-valid-nonce",
+    });
+
+    expect((await payment.find(transaction.id)).status).toBe("settled");
+  });
+
+  it("should refuse an unknown provider", () => {
+    process.env.PAYMENT_PROVIDER = "paypal";
+
+    expect(load).toThrow("Unknown payment provider paypal");
+  });
+});
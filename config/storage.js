@@ -0,0 +1,28 @@
+const dotenv = require("dotenv");
+const path = require("path");
+const { createDiskStore } = require("../helpers/diskStore.js");
+const { createGridFSStore } = require("../helpers/gridfsStore.js");
+
+dotenv.config();
+
+//file store for product photos picked by FILE_STORE (local unless set to
+//gridfs). Products only keep the key a file was saved under. Every store has
+//the same promise based methods:
+//  save(data, contentType)  key of the new file
+//  read(key)                the file as a Buffer, null if there is none
+//  remove(key)              deletes the file, if there is one
+const stores = {
+  local: () =>
+    createDiskStore({
+      root: path.resolve(process.env.FILE_STORE_DIR || "uploads"),
+    }),
+  gridfs: () => createGridFSStore({ bucketName: "photos" }),
+};
+
+const createStore = (name) => {
+  const create = stores[name || "local"];
+  if (!create) throw new Error(`Unknown file store ${name}`);
+  return create();
+};
+
+module.exports = createStore(process.env.FILE_STORE);
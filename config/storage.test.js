@@ -0,0 +1,47 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+describe("storage config", () => {
+  const env = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...env };
+  });
+
+  const load = () => {
+    let storage;
+    jest.isolateModules(() => {
+      storage = require("./storage");
+    });
+    return storage;
+  };
+
+  it("should keep files on disk unless told otherwise", () => {
+    delete process.env.FILE_STORE;
+
+    expect(load().name).toBe("local");
+  });
+
+  it("should keep files in the folder configured", async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), "photos-"));
+    process.env.FILE_STORE_DIR = root;
+
+    const key = await load().save(Buffer.from("photo"), "image/png");
+
+    expect(fs.readdirSync(root)).toEqual([key]);
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("should use gridfs when configured", () => {
+    process.env.FILE_STORE = "gridfs";
+
+    expect(load().name).toBe("gridfs");
+  });
+
+  it("should refuse an unknown store", () => {
+    process.env.FILE_STORE = "s3";
+
+    expect(load).toThrow("Unknown file store s3");
+  });
+});
@@ -1,7 +1,27 @@
+const mongoose = require("mongoose");
 const userModel = require("../models/userModel.js");
 const orderModel = require("../models/orderModel.js");
 
+const payment = require("../config/payment.js");
+
 const { comparePassword, hashPassword } = require("./../helpers/authHelper.js");
+const {
+  NEWEST_FIRST,
+  afterCursor,
+  cursorPage,
+  invalidCursor,
+} = require("./../helpers/cursorHelper.js");
+const { releaseStock } = require("./../helpers/inventoryHelper.js");
+const {
+  ORDER_STATUSES,
+  canTransition,
+} = require("./../helpers/orderStatusHelper.js");
+const { pageParams } = require("./../helpers/paginationHelper.js");
+const { roundPrice } = require("./../helpers/pricingHelper.js");
+const {
+  refundableAmount,
+  refundPayment,
+} = require("./../helpers/refundHelper.js");
 const JWT = require("jsonwebtoken");
 
 const registerController = async (req, res) => {
@@ -207,13 +227,26 @@ const updateProfileController = async (req, res) => {
   }
 };
 
+//what the order lists show of the products, buyer and who changed the status
+const ORDER_POPULATE = [
+  { path: "products.product", select: "-photo" },
+  { path: "buyer statusHistory.changedBy", select: "name" },
+];
+
+//no such order, or an id that cannot be one
+const orderNotFound = (res) =>
+  res.status(404).send({
+    success: false,
+    message: "Order not found",
+  });
+
 //orders
 const getOrdersController = async (req, res) => {
   try {
     const orders = await orderModel
       .find({ buyer: req.user._id })
-      .populate("products", "-photo")
-      .populate("buyer", "name");
+      .populate("products.product", "-photo")
+      .populate("buyer statusHistory.changedBy", "name");
     res.json(orders);
   } catch (error) {
     console.log(error);
@@ -224,15 +257,20 @@ const getOrdersController = async (req, res) => {
     });
   }
 };
-//orders
+//orders, newest first, a page at a time after ?cursor=
 const getAllOrdersController = async (req, res) => {
   try {
-    const orders = await orderModel
-      .find({})
-      .populate("products", "-photo")
-      .populate("buyer", "name")
-      .sort({ createdAt: -1 });
-    res.json(orders);
+    const { limit } = pageParams(req.query, { limit: 20, maxLimit: 100 });
+    const after = afterCursor(req.query.cursor, NEWEST_FIRST);
+    if (!after) return invalidCursor(res);
+    const found = await orderModel
+      .find(after)
+      .populate("products.product", "-photo")
+      .populate("buyer statusHistory.changedBy", "name")
+      .sort(NEWEST_FIRST)
+      .limit(limit + 1);
+    const { items, nextCursor } = cursorPage(found, limit, NEWEST_FIRST);
+    res.json({ success: true, orders: items, nextCursor });
   } catch (error) {
     console.log(error);
     res.status(500).send({
@@ -247,32 +285,377 @@ const getAllOrdersController = async (req, res) => {
 const orderStatusController = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { status } = req.body;
-    const orders = await orderModel.findByIdAndUpdate(
-      orderId,
-      { status },
+    const { status, note } = req.body;
+    if (!mongoose.isValidObjectId(orderId)) return orderNotFound(res);
+    if (!ORDER_STATUSES.includes(status)) {
+      return res.status(400).send({
+        success: false,
+        message: "Invalid order status",
+      });
+    }
+    //refunded is only reached by actually giving the money back
+    if (status === "refunded") {
+      return res.status(400).send({
+        success: false,
+        message: "Refund the payment to mark an order refunded",
+      });
+    }
+    const order = await orderModel.findById(orderId);
+    if (!order) return orderNotFound(res);
+    if (!canTransition(order.status, status)) {
+      return res.status(400).send({
+        success: false,
+        message: `Order cannot move from ${order.status} to ${status}`,
+      });
+    }
+    const updated = await changeOrderStatus(order, status, req.user._id, note);
+    if (!updated) {
+      return res.status(409).send({
+        success: false,
+        message: "Order status was changed by someone else, please reload",
+      });
+    }
+    //populated like the list, so the admin page can swap it in place
+    res.json(await orderModel.populate(updated, ORDER_POPULATE));
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Updating Order",
+      error,
+    });
+  }
+};
+
+// move an order on from the status it was read with and record who did it;
+// resolves to null when the order changed status in the meantime. A return
+// still waiting for a decision is closed once the order is refunded or
+// cancelled, so it can no longer be approved
+const changeOrderStatus = async (order, status, changedBy, note, set = {}) => {
+  const closesReturn =
+    (status === "refunded" || status === "cancelled") &&
+    order.returnRequest?.status === "requested";
+  const updated = await orderModel.findOneAndUpdate(
+    { _id: order._id, status: order.status },
+    {
+      status,
+      ...(closesReturn && {
+        "returnRequest.status": "closed",
+        "returnRequest.decidedBy": changedBy,
+        "returnRequest.decidedAt": new Date(),
+      }),
+      ...set,
+      $push: {
+        statusHistory: { from: order.status, to: status, changedBy, note },
+      },
+    },
+    { new: true }
+  );
+  //cancelled and returned goods go back on the shelf
+  if (updated && (status === "cancelled" || status === "returned")) {
+    await releaseStock(updated.products);
+  }
+  return updated;
+};
+
+//buyer cancels an order that has not shipped yet
+const cancelOrderController = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return orderNotFound(res);
+    const order = await orderModel.findOne({
+      _id: req.params.id,
+      buyer: req.user._id,
+    });
+    if (!order) return orderNotFound(res);
+    if (!canTransition(order.status, "cancelled")) {
+      return res.status(400).send({
+        success: false,
+        message: "Only orders that have not shipped can be cancelled",
+      });
+    }
+    const updated = await changeOrderStatus(
+      order,
+      "cancelled",
+      req.user._id,
+      req.body?.reason
+    );
+    if (!updated) {
+      return res.status(409).send({
+        success: false,
+        message: "Order status was changed by someone else, please reload",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Order Cancelled Successfully",
+      order: updated,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Cancelling Order",
+      error,
+    });
+  }
+};
+
+//buyer asks to return a delivered order
+const returnOrderController = async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) return orderNotFound(res);
+    const reason = req.body?.reason?.trim();
+    if (!reason) {
+      return res.status(400).send({
+        success: false,
+        message: "Reason is Required",
+      });
+    }
+    const order = await orderModel.findOne({
+      _id: req.params.id,
+      buyer: req.user._id,
+    });
+    if (!order) return orderNotFound(res);
+    if (order.status !== "delivered") {
+      return res.status(400).send({
+        success: false,
+        message: "Only delivered orders can be returned",
+      });
+    }
+    if (order.returnRequest) {
+      return res.status(400).send({
+        success: false,
+        message: "A return has already been requested for this order",
+      });
+    }
+    const updated = await orderModel.findOneAndUpdate(
+      {
+        _id: order._id,
+        status: "delivered",
+        "returnRequest.status": { $exists: false },
+      },
+      {
+        returnRequest: {
+          status: "requested",
+          reason,
+          requestedAt: new Date(),
+        },
+      },
       { new: true }
     );
+    if (!updated) {
+      return res.status(409).send({
+        success: false,
+        message: "Order was changed by someone else, please reload",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Return Requested Successfully",
+      order: updated,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Requesting Return",
+      error,
+    });
+  }
+};
+
+//return requests waiting for an admin, oldest first
+const getReturnRequestsController = async (req, res) => {
+  try {
+    const orders = await orderModel
+      .find({ "returnRequest.status": "requested" })
+      .populate("products.product", "-photo")
+      .populate("buyer", "name")
+      .sort({ "returnRequest.requestedAt": 1 });
     res.json(orders);
   } catch (error) {
     console.log(error);
     res.status(500).send({
       success: false,
-      message: "Error While Updating Order",
+      message: "Error While Getting Return Requests",
+      error,
+    });
+  }
+};
+
+//admin approves (order becomes returned and is restocked) or denies a return
+const returnDecisionController = async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    if (!["approved", "denied"].includes(decision)) {
+      return res.status(400).send({
+        success: false,
+        message: "Decision must be approved or denied",
+      });
+    }
+    const order =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await orderModel.findById(req.params.id));
+    if (order?.returnRequest?.status !== "requested") {
+      return res.status(404).send({
+        success: false,
+        message: "Return request not found",
+      });
+    }
+    //an order refunded meanwhile cannot be returned and restocked again
+    if (decision === "approved" && !canTransition(order.status, "returned")) {
+      return res.status(400).send({
+        success: false,
+        message: `Order cannot move from ${order.status} to returned`,
+      });
+    }
+    const decided = {
+      "returnRequest.status": decision,
+      "returnRequest.decidedBy": req.user._id,
+      "returnRequest.decidedAt": new Date(),
+      "returnRequest.note": note,
+    };
+    const updated =
+      decision === "approved"
+        ? await changeOrderStatus(order, "returned", req.user._id, note, decided)
+        : await orderModel.findOneAndUpdate(
+            { _id: order._id, "returnRequest.status": "requested" },
+            decided,
+            { new: true }
+          );
+    if (!updated) {
+      return res.status(409).send({
+        success: false,
+        message: "Order was changed by someone else, please reload",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: decision === "approved" ? "Return Approved" : "Return Denied",
+      order: updated,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Deciding Return",
+      error,
+    });
+  }
+};
+
+//admin gives money back: unsettled payments are voided, settled ones are
+//refunded in full or in part; the order becomes refunded once nothing is left
+const refundOrderController = async (req, res) => {
+  try {
+    const { amount, note } = req.body;
+    if (!mongoose.isValidObjectId(req.params.id)) return orderNotFound(res);
+    const order = await orderModel.findById(req.params.id);
+    if (!order) return orderNotFound(res);
+    if (!canTransition(order.status, "refunded")) {
+      return res.status(400).send({
+        success: false,
+        message: "Only delivered, returned or cancelled orders can be refunded",
+      });
+    }
+    if (!order.payment?.transaction?.id) {
+      return res.status(400).send({
+        success: false,
+        message: "Order has no payment to refund",
+      });
+    }
+    const left = refundableAmount(order);
+    const value =
+      amount === undefined || amount === "" ? left : roundPrice(Number(amount));
+    if (!(value > 0) || value > left) {
+      return res.status(400).send({
+        success: false,
+        message: `Refund amount must be more than 0 and at most ${left}`,
+      });
+    }
+
+    //claim the amount before moving money, so two refunds at once cannot
+    //both give back what is left; orders from before refunds have no total
+    const claimed = await orderModel.findOneAndUpdate(
+      {
+        _id: order._id,
+        refundedTotal: order.refundedTotal || { $in: [0, null] },
+      },
+      { $inc: { refundedTotal: value } },
+      { new: true }
+    );
+    if (!claimed) {
+      return res.status(409).send({
+        success: false,
+        message: "Order was refunded by someone else, please reload",
+      });
+    }
+    let result;
+    try {
+      result = await refundPayment(payment, order, value);
+    } finally {
+      if (!result?.success) {
+        await orderModel.findByIdAndUpdate(order._id, {
+          $inc: { refundedTotal: -value },
+        });
+      }
+    }
+    if (!result.success) {
+      return res.status(400).send({
+        success: false,
+        message: result.message,
+      });
+    }
+    //the money has moved, so always record it
+    let updated = await orderModel.findByIdAndUpdate(
+      order._id,
+      {
+        $push: {
+          refunds: {
+            type: result.type,
+            amount: result.amount,
+            transactionId: result.transactionId,
+            refundedBy: req.user._id,
+            note,
+          },
+        },
+      },
+      { new: true }
+    );
+    if (refundableAmount(updated) <= 0) {
+      updated =
+        (await changeOrderStatus(updated, "refunded", req.user._id, note)) ||
+        updated;
+    }
+    res.status(200).send({
+      success: true,
+      message: result.type === "void" ? "Payment Voided" : "Refund Issued",
+      order: await orderModel.populate(updated, ORDER_POPULATE),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error While Refunding Order",
       error,
     });
   }
 };
 
-//get all users
+//get all users, newest first, a page at a time after ?cursor=
 const getAllUsersController = async (req, res) => {
   try {
-    const users = await userModel
-      .find({})
+    const { limit } = pageParams(req.query, { limit: 20, maxLimit: 100 });
+    const after = afterCursor(req.query.cursor, NEWEST_FIRST);
+    if (!after) return invalidCursor(res);
+    const found = await userModel
+      .find(after)
       .select("-password -answer") // Exclude sensitive fields
-      .sort({ createdAt: -1 }); // Newest first
+      .sort(NEWEST_FIRST)
+      .limit(limit + 1);
+    const { items, nextCursor } = cursorPage(found, limit, NEWEST_FIRST);
 
-    res.status(200).json(users);
+    res.status(200).json({ success: true, users: items, nextCursor });
   } catch (error) {
     console.log(error);
     res.status(500).send({
@@ -292,5 +675,10 @@ module.exports = {
   getOrdersController,
   getAllOrdersController,
   orderStatusController,
+  cancelOrderController,
+  returnOrderController,
+  getReturnRequestsController,
+  returnDecisionController,
+  refundOrderController,
   getAllUsersController,
 };
@@ -1,14 +1,23 @@
 import { expect, jest } from "@jest/globals";
 import JWT from "jsonwebtoken";
+import mongoose from "mongoose";
+import payment from "../config/payment";
 import { comparePassword, hashPassword } from "../helpers/authHelper";
+import { releaseStock } from "../helpers/inventoryHelper";
 import orderModel from "../models/orderModel";
 import userModel from "../models/userModel";
 import {
   forgotPasswordController,
   getAllOrdersController,
+  getAllUsersController,
   getOrdersController,
   loginController,
   orderStatusController,
+  cancelOrderController,
+  returnOrderController,
+  getReturnRequestsController,
+  returnDecisionController,
+  refundOrderController,
   registerController,
   testController,
   updateProfileController,
@@ -17,7 +26,15 @@ import {
 jest.mock("../models/userModel.js");
 jest.mock("../models/orderModel.js");
 jest.mock("../helpers/authHelper");
+jest.mock("../helpers/inventoryHelper");
 jest.mock("jsonwebtoken");
+jest.mock("../config/payment.js", () => ({
+  find: jest.fn(),
+  void: jest.fn(),
+  refund: jest.fn(),
+}));
+
+const ORDER_ID = "67a21938cf4efddf1e5358d1";
 
 describe("Register Controller Test", () => {
   let req, res;
@@ -786,46 +803,49 @@ describe("Get Orders Controller Test", () => {
     await getOrdersController(req, res);
 
     expect(orderModel.find).toHaveBeenCalledWith({ buyer: req.user._id });
-    expect(mockPopulate1).toHaveBeenCalledWith("products", "-photo");
-    expect(mockPopulate2).toHaveBeenCalledWith("buyer", "name");
+    expect(mockPopulate1).toHaveBeenCalledWith("products.product", "-photo");
+    expect(mockPopulate2).toHaveBeenCalledWith(
+      "buyer statusHistory.changedBy",
+      "name"
+    );
     expect(res.json).toHaveBeenCalledWith(mockOrders);
   });
 });
 
 describe("Get All Orders Controller Test", () => {
-  let req, res;
+  let req, res, query;
 
-  const mockOrders = [
-    { _id: 1, products: [] },
-    { _id: 2, products: [] },
-  ];
+  const mockOrders = [1, 2, 3].map((day) => ({
+    _id: new mongoose.Types.ObjectId(),
+    products: [],
+    createdAt: new Date(2024, 0, 4 - day),
+  }));
 
   beforeEach(() => {
     jest.clearAllMocks();
     jest.spyOn(global.console, "log").mockImplementation(() => {});
 
+    req = { query: {} };
     res = {
       status: jest.fn().mockReturnThis(),
       send: jest.fn(),
       json: jest.fn().mockReturnThis(),
     };
+    query = {
+      populate: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue(mockOrders),
+    };
+    orderModel.find.mockReturnValue(query);
   });
 
   afterAll(() => {
     global.console.log.mockRestore();
   });
 
-  test("get all orders fail when sort fails", async () => {
+  test("get all orders fail when the query fails", async () => {
     const error = new Error("Unable to sort");
-    const mockSort = jest.fn().mockRejectedValue(error);
-    const mockPopulate2 = jest.fn().mockReturnValue({ sort: mockSort });
-    const mockPopulate1 = jest
-      .fn()
-      .mockReturnValue({ populate: mockPopulate2 });
-
-    orderModel.find.mockReturnValue({
-      populate: mockPopulate1,
-    });
+    query.limit.mockRejectedValue(error);
 
     await getAllOrdersController(req, res);
 
@@ -834,39 +854,143 @@ describe("Get All Orders Controller Test", () => {
     expect(res.status).toHaveBeenCalledWith(500);
     expect(res.send).toHaveBeenCalledWith({
       success: false,
-      message: "Error While Geting Orders",
+      message: "Error While Getting Orders",
       error,
     });
   });
 
   test("get all orders successfully", async () => {
-    const mockSort = jest.fn().mockResolvedValue(mockOrders);
-    const mockPopulate2 = jest.fn().mockReturnValue({ sort: mockSort });
-    const mockPopulate1 = jest
-      .fn()
-      .mockReturnValue({ populate: mockPopulate2 });
+    await getAllOrdersController(req, res);
 
-    orderModel.find.mockReturnValue({
-      populate: mockPopulate1,
+    expect(orderModel.find).toHaveBeenCalledWith({});
+    expect(query.populate).toHaveBeenCalledWith("products.product", "-photo");
+    expect(query.populate).toHaveBeenCalledWith(
+      "buyer statusHistory.changedBy",
+      "name"
+    );
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(query.limit).toHaveBeenCalledWith(21);
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      orders: mockOrders,
+      nextCursor: null,
+    });
+  });
+
+  test("get all orders a page at a time", async () => {
+    req.query = { limit: "2" };
+
+    await getAllOrdersController(req, res);
+    req.query.cursor = res.json.mock.calls[0][0].nextCursor;
+    query.limit.mockResolvedValue(mockOrders.slice(2));
+    await getAllOrdersController(req, res);
+
+    expect(res.json.mock.calls[0][0].orders).toEqual(mockOrders.slice(0, 2));
+    const { createdAt, _id } = mockOrders[1];
+    expect(orderModel.find).toHaveBeenLastCalledWith({
+      $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }],
+    });
+    expect(res.json).toHaveBeenLastCalledWith({
+      success: true,
+      orders: mockOrders.slice(2),
+      nextCursor: null,
     });
+  });
+
+  test("get all orders refuses a cursor it did not hand out", async () => {
+    req.query = { cursor: "2" };
 
     await getAllOrdersController(req, res);
 
-    expect(orderModel.find).toHaveBeenCalledWith({});
-    expect(mockPopulate1).toHaveBeenCalledWith("products", "-photo");
-    expect(mockPopulate2).toHaveBeenCalledWith("buyer", "name");
-    expect(mockSort).toHaveBeenCalledWith({ createdAt: -1 });
-    expect(res.json).toHaveBeenCalledWith(mockOrders);
+    expect(orderModel.find).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Invalid cursor",
+    });
+  });
+});
+
+describe("Get All Users Controller Test", () => {
+  let req, res, query;
+
+  const mockUsers = [1, 2, 3].map((day) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: `User ${day}`,
+    createdAt: new Date(2024, 0, 4 - day),
+  }));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+
+    req = { query: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      json: jest.fn().mockReturnThis(),
+    };
+    query = {
+      select: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue(mockUsers),
+    };
+    userModel.find.mockReturnValue(query);
+  });
+
+  afterAll(() => {
+    global.console.log.mockRestore();
+  });
+
+  test("get all users a page at a time without their secrets", async () => {
+    req.query = { limit: "2" };
+
+    await getAllUsersController(req, res);
+
+    expect(userModel.find).toHaveBeenCalledWith({});
+    expect(query.select).toHaveBeenCalledWith("-password -answer");
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(query.limit).toHaveBeenCalledWith(3);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({
+      success: true,
+      users: mockUsers.slice(0, 2),
+      nextCursor: expect.any(String),
+    });
+  });
+
+  test("get all users refuses a cursor it did not hand out", async () => {
+    req.query = { cursor: "2" };
+
+    await getAllUsersController(req, res);
+
+    expect(userModel.find).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+
+  test("get all users fail when the query fails", async () => {
+    const error = new Error("Database error");
+    query.limit.mockRejectedValue(error);
+
+    await getAllUsersController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error While Getting Users",
+      error,
+    });
   });
 });
 
 describe("Get Order Status Controller Test", () => {
   let req, res;
 
-  const mockOrders = [
-    { _id: 1, products: [] },
-    { _id: 2, products: [] },
-  ];
+  const mockOrder = {
+    _id: ORDER_ID,
+    status: "pending",
+    products: [{ product: "p1", quantity: 2 }],
+  };
 
   let mockUser = {
     _id: "1",
@@ -884,9 +1008,9 @@ describe("Get Order Status Controller Test", () => {
 
     req = {
       user: mockUser,
-      params: { orderId: "123 " },
+      params: { orderId: ORDER_ID },
       body: {
-        status: "Success",
+        status: "processing",
       },
     };
 
@@ -895,23 +1019,84 @@ describe("Get Order Status Controller Test", () => {
       send: jest.fn(),
       json: jest.fn().mockReturnThis(),
     };
+    orderModel.findById.mockResolvedValue(mockOrder);
+    orderModel.populate.mockImplementation(async (order) => order);
+  });
+
+  test("a malformed order id is not found", async () => {
+    req.params.orderId = "not-an-id";
+
+    await orderStatusController(req, res);
+
+    expect(orderModel.findById).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order not found",
+    });
   });
 
   afterAll(() => {
     global.console.log.mockRestore();
   });
 
-  test("update order status fails when findByIdAndUpdate fails", async () => {
+  test("update order status fails for an unknown status", async () => {
+    req.body.status = "Success";
+
+    await orderStatusController(req, res);
+
+    expect(orderModel.findById).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Invalid order status",
+    });
+  });
+
+  test("update order status cannot mark an order refunded", async () => {
+    req.body.status = "refunded";
+
+    await orderStatusController(req, res);
+
+    expect(orderModel.findById).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Refund the payment to mark an order refunded",
+    });
+  });
+
+  test("update order status fails when the order does not exist", async () => {
+    orderModel.findById.mockResolvedValue(null);
+
+    await orderStatusController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order not found",
+    });
+  });
+
+  test("update order status rejects transitions outside the lifecycle", async () => {
+    req.body.status = "delivered";
+
+    await orderStatusController(req, res);
+
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order cannot move from pending to delivered",
+    });
+  });
+
+  test("update order status fails when findOneAndUpdate fails", async () => {
     const error = new Error("Unable to update status");
-    orderModel.findByIdAndUpdate.mockRejectedValue(error);
+    orderModel.findOneAndUpdate.mockRejectedValue(error);
 
     await orderStatusController(req, res);
 
-    expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
-      req.params.orderId,
-      { status: req.body.status },
-      { new: true }
-    );
     expect(console.log).toHaveBeenCalledWith(error);
     expect(res.status).toHaveBeenCalledWith(500);
     expect(res.send).toHaveBeenCalledWith({
@@ -921,16 +1106,878 @@ describe("Get Order Status Controller Test", () => {
     });
   });
 
-  test("update order status successfully", async () => {
-    orderModel.findByIdAndUpdate.mockResolvedValue(mockOrders);
+  test("update order status successfully and record the change", async () => {
+    const updated = { ...mockOrder, status: "processing" };
+    orderModel.findOneAndUpdate.mockResolvedValue(updated);
+    req.body.note = "Packed";
 
     await orderStatusController(req, res);
 
-    expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
-      req.params.orderId,
-      { status: req.body.status },
+    expect(orderModel.findById).toHaveBeenCalledWith(ORDER_ID);
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: ORDER_ID, status: "pending" },
+      {
+        status: "processing",
+        $push: {
+          statusHistory: {
+            from: "pending",
+            to: "processing",
+            changedBy: "1",
+            note: "Packed",
+          },
+        },
+      },
       { new: true }
     );
-    expect(res.json).toHaveBeenCalledWith(mockOrders);
+    expect(releaseStock).not.toHaveBeenCalled();
+    expect(orderModel.populate).toHaveBeenCalledWith(updated, [
+      { path: "products.product", select: "-photo" },
+      { path: "buyer statusHistory.changedBy", select: "name" },
+    ]);
+    expect(res.json).toHaveBeenCalledWith(updated);
+  });
+
+  test("update order status reports a concurrent change", async () => {
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+
+    await orderStatusController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order status was changed by someone else, please reload",
+    });
+  });
+
+  test("cancelling an order restores its stock", async () => {
+    req.body.status = "cancelled";
+    const cancelled = { ...mockOrder, status: "cancelled" };
+    orderModel.findOneAndUpdate.mockResolvedValue(cancelled);
+
+    await orderStatusController(req, res);
+
+    expect(releaseStock).toHaveBeenCalledWith(cancelled.products);
+    expect(res.json).toHaveBeenCalledWith(cancelled);
+  });
+
+  test("a cancelled order cannot be cancelled again", async () => {
+    req.body.status = "cancelled";
+    orderModel.findById.mockResolvedValue({ ...mockOrder, status: "cancelled" });
+
+    await orderStatusController(req, res);
+
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(releaseStock).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+  });
+});
+
+describe("Cancel Order Controller Test", () => {
+  let req, res;
+
+  const mockOrder = {
+    _id: ORDER_ID,
+    status: "processing",
+    products: [{ product: "p1", quantity: 2 }],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    req = {
+      user: { _id: "1" },
+      params: { id: ORDER_ID },
+      body: { reason: "Ordered by mistake" },
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      json: jest.fn().mockReturnThis(),
+    };
+    orderModel.findOne.mockResolvedValue(mockOrder);
+  });
+
+  test("a malformed order id is not found", async () => {
+    req.params.id = "not-an-id";
+
+    await cancelOrderController(req, res);
+
+    expect(orderModel.findOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order not found",
+    });
+  });
+
+  afterAll(() => {
+    global.console.log.mockRestore();
+  });
+
+  test("cancel order fails when the order is not the user's", async () => {
+    orderModel.findOne.mockResolvedValue(null);
+
+    await cancelOrderController(req, res);
+
+    expect(orderModel.findOne).toHaveBeenCalledWith({ _id: ORDER_ID, buyer: "1" });
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order not found",
+    });
+  });
+
+  test("cancel order fails once the order has shipped", async () => {
+    orderModel.findOne.mockResolvedValue({ ...mockOrder, status: "shipped" });
+
+    await cancelOrderController(req, res);
+
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Only orders that have not shipped can be cancelled",
+    });
+  });
+
+  test("cancel order successfully and restock", async () => {
+    const cancelled = { ...mockOrder, status: "cancelled" };
+    orderModel.findOneAndUpdate.mockResolvedValue(cancelled);
+
+    await cancelOrderController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: ORDER_ID, status: "processing" },
+      {
+        status: "cancelled",
+        $push: {
+          statusHistory: {
+            from: "processing",
+            to: "cancelled",
+            changedBy: "1",
+            note: "Ordered by mistake",
+          },
+        },
+      },
+      { new: true }
+    );
+    expect(releaseStock).toHaveBeenCalledWith(cancelled.products);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Order Cancelled Successfully",
+      order: cancelled,
+    });
+  });
+
+  test("cancel order reports a concurrent change", async () => {
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+
+    await cancelOrderController(req, res);
+
+    expect(releaseStock).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  test("cancel order fails when findOne fails", async () => {
+    const error = new Error("Database error");
+    orderModel.findOne.mockRejectedValue(error);
+
+    await cancelOrderController(req, res);
+
+    expect(console.log).toHaveBeenCalledWith(error);
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error While Cancelling Order",
+      error,
+    });
+  });
+});
+
+describe("Return Order Controller Test", () => {
+  let req, res;
+
+  const mockOrder = {
+    _id: ORDER_ID,
+    status: "delivered",
+    products: [{ product: "p1", quantity: 2 }],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    req = {
+      user: { _id: "1" },
+      params: { id: ORDER_ID },
+      body: { reason: "  Wrong size  " },
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      json: jest.fn().mockReturnThis(),
+    };
+    orderModel.findOne.mockResolvedValue(mockOrder);
+  });
+
+  test("a malformed order id is not found", async () => {
+    req.params.id = "not-an-id";
+
+    await returnOrderController(req, res);
+
+    expect(orderModel.findOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order not found",
+    });
+  });
+
+  afterAll(() => {
+    global.console.log.mockRestore();
+  });
+
+  test("return request fails without a reason", async () => {
+    req.body.reason = " ";
+
+    await returnOrderController(req, res);
+
+    expect(orderModel.findOne).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Reason is Required",
+    });
+  });
+
+  test("return request fails when the order is not the user's", async () => {
+    orderModel.findOne.mockResolvedValue(null);
+
+    await returnOrderController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  test("return request fails before delivery", async () => {
+    orderModel.findOne.mockResolvedValue({ ...mockOrder, status: "shipped" });
+
+    await returnOrderController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Only delivered orders can be returned",
+    });
+  });
+
+  test("return request fails when one was already made", async () => {
+    orderModel.findOne.mockResolvedValue({
+      ...mockOrder,
+      returnRequest: { status: "denied", reason: "Too late" },
+    });
+
+    await returnOrderController(req, res);
+
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "A return has already been requested for this order",
+    });
+  });
+
+  test("return request is recorded on the order", async () => {
+    const requested = {
+      ...mockOrder,
+      returnRequest: { status: "requested", reason: "Wrong size" },
+    };
+    orderModel.findOneAndUpdate.mockResolvedValue(requested);
+
+    await returnOrderController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: ORDER_ID,
+        status: "delivered",
+        "returnRequest.status": { $exists: false },
+      },
+      {
+        returnRequest: {
+          status: "requested",
+          reason: "Wrong size",
+          requestedAt: expect.any(Date),
+        },
+      },
+      { new: true }
+    );
+    expect(releaseStock).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Return Requested Successfully",
+      order: requested,
+    });
+  });
+
+  test("return request reports a concurrent change", async () => {
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+
+    await returnOrderController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  test("return request fails when findOne fails", async () => {
+    const error = new Error("Database error");
+    orderModel.findOne.mockRejectedValue(error);
+
+    await returnOrderController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error While Requesting Return",
+      error,
+    });
+  });
+});
+
+describe("Get Return Requests Controller Test", () => {
+  let res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      json: jest.fn().mockReturnThis(),
+    };
+  });
+
+  afterAll(() => {
+    global.console.log.mockRestore();
+  });
+
+  test("get return requests successfully", async () => {
+    const mockOrders = [{ _id: ORDER_ID, returnRequest: { status: "requested" } }];
+    const mockSort = jest.fn().mockResolvedValue(mockOrders);
+    const mockPopulate2 = jest.fn().mockReturnValue({ sort: mockSort });
+    const mockPopulate1 = jest
+      .fn()
+      .mockReturnValue({ populate: mockPopulate2 });
+    orderModel.find.mockReturnValue({ populate: mockPopulate1 });
+
+    await getReturnRequestsController({}, res);
+
+    expect(orderModel.find).toHaveBeenCalledWith({
+      "returnRequest.status": "requested",
+    });
+    expect(mockPopulate2).toHaveBeenCalledWith("buyer", "name");
+    expect(mockSort).toHaveBeenCalledWith({ "returnRequest.requestedAt": 1 });
+    expect(res.json).toHaveBeenCalledWith(mockOrders);
+  });
+
+  test("get return requests fails when find fails", async () => {
+    const error = new Error("Database error");
+    orderModel.find.mockImplementation(() => {
+      throw error;
+    });
+
+    await getReturnRequestsController({}, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error While Getting Return Requests",
+      error,
+    });
+  });
+});
+
+describe("Return Decision Controller Test", () => {
+  let req, res;
+
+  const mockOrder = {
+    _id: ORDER_ID,
+    status: "delivered",
+    products: [{ product: "p1", quantity: 2 }],
+    returnRequest: { status: "requested", reason: "Wrong size" },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    req = {
+      user: { _id: "admin" },
+      params: { id: ORDER_ID },
+      body: { decision: "approved", note: "Received back" },
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      json: jest.fn().mockReturnThis(),
+    };
+    orderModel.findById.mockResolvedValue(mockOrder);
+  });
+
+  test("a malformed order id is not found", async () => {
+    req.params.id = "not-an-id";
+
+    await returnDecisionController(req, res);
+
+    expect(orderModel.findById).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Return request not found",
+    });
+  });
+
+  afterAll(() => {
+    global.console.log.mockRestore();
+  });
+
+  test("return decision fails for an unknown decision", async () => {
+    req.body.decision = "maybe";
+
+    await returnDecisionController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Decision must be approved or denied",
+    });
+  });
+
+  test("return decision fails without an open request", async () => {
+    orderModel.findById.mockResolvedValue({
+      ...mockOrder,
+      returnRequest: { status: "denied" },
+    });
+
+    await returnDecisionController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Return request not found",
+    });
+  });
+
+  test("approving a return marks the order returned and restocks it", async () => {
+    const returned = { ...mockOrder, status: "returned" };
+    orderModel.findOneAndUpdate.mockResolvedValue(returned);
+
+    await returnDecisionController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: ORDER_ID, status: "delivered" },
+      {
+        status: "returned",
+        "returnRequest.status": "approved",
+        "returnRequest.decidedBy": "admin",
+        "returnRequest.decidedAt": expect.any(Date),
+        "returnRequest.note": "Received back",
+        $push: {
+          statusHistory: {
+            from: "delivered",
+            to: "returned",
+            changedBy: "admin",
+            note: "Received back",
+          },
+        },
+      },
+      { new: true }
+    );
+    expect(releaseStock).toHaveBeenCalledWith(returned.products);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Return Approved",
+      order: returned,
+    });
+  });
+
+  test("a return cannot be approved once the order was refunded", async () => {
+    orderModel.findById.mockResolvedValue({ ...mockOrder, status: "refunded" });
+
+    await returnDecisionController(req, res);
+
+    expect(orderModel.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(releaseStock).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order cannot move from refunded to returned",
+    });
+  });
+
+  test("denying a return keeps the order delivered", async () => {
+    req.body.decision = "denied";
+    const denied = {
+      ...mockOrder,
+      returnRequest: { status: "denied", reason: "Wrong size" },
+    };
+    orderModel.findOneAndUpdate.mockResolvedValue(denied);
+
+    await returnDecisionController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: ORDER_ID, "returnRequest.status": "requested" },
+      {
+        "returnRequest.status": "denied",
+        "returnRequest.decidedBy": "admin",
+        "returnRequest.decidedAt": expect.any(Date),
+        "returnRequest.note": "Received back",
+      },
+      { new: true }
+    );
+    expect(releaseStock).not.toHaveBeenCalled();
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Return Denied",
+      order: denied,
+    });
+  });
+
+  test("return decision reports a concurrent change", async () => {
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+
+    await returnDecisionController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(409);
+  });
+
+  test("return decision fails when findById fails", async () => {
+    const error = new Error("Database error");
+    orderModel.findById.mockRejectedValue(error);
+
+    await returnDecisionController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error While Deciding Return",
+      error,
+    });
+  });
+});
+
+describe("Refund Order Controller Test", () => {
+  let req, res;
+
+  const mockOrder = {
+    _id: ORDER_ID,
+    status: "cancelled",
+    total: 40,
+    refundedTotal: 0,
+    payment: { success: true, transaction: { id: "txn-1" } },
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    req = {
+      user: { _id: "admin" },
+      params: { id: ORDER_ID },
+      body: {},
+    };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      json: jest.fn().mockReturnThis(),
+    };
+    orderModel.findById.mockResolvedValue(mockOrder);
+    orderModel.findOneAndUpdate.mockResolvedValue(mockOrder);
+    orderModel.populate.mockImplementation(async (order) => order);
+    payment.find.mockResolvedValue({
+      id: "txn-1",
+      status: "settled",
+    });
+    payment.refund.mockResolvedValue({
+      success: true,
+      transaction: { id: "txn-2" },
+    });
+  });
+
+  test("a malformed order id is not found", async () => {
+    req.params.id = "not-an-id";
+
+    await refundOrderController(req, res);
+
+    expect(orderModel.findById).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order not found",
+    });
+  });
+
+  afterAll(() => {
+    global.console.log.mockRestore();
+  });
+
+  test("refund fails when the order does not exist", async () => {
+    orderModel.findById.mockResolvedValue(null);
+
+    await refundOrderController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order not found",
+    });
+  });
+
+  test("refund fails for an order that is still being fulfilled", async () => {
+    orderModel.findById.mockResolvedValue({ ...mockOrder, status: "shipped" });
+
+    await refundOrderController(req, res);
+
+    expect(payment.find).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Only delivered, returned or cancelled orders can be refunded",
+    });
+  });
+
+  test("refund fails for an order without a payment", async () => {
+    orderModel.findById.mockResolvedValue({ ...mockOrder, payment: {} });
+
+    await refundOrderController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order has no payment to refund",
+    });
+  });
+
+  test("refund fails for more than is left to refund", async () => {
+    orderModel.findById.mockResolvedValue({ ...mockOrder, refundedTotal: 30 });
+    req.body.amount = 15;
+
+    await refundOrderController(req, res);
+
+    expect(payment.refund).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Refund amount must be more than 0 and at most 10",
+    });
+  });
+
+  test("partial refund is recorded and leaves the status alone", async () => {
+    req.body = { amount: "15", note: "Damaged box" };
+    const updated = { ...mockOrder, refundedTotal: 15 };
+    orderModel.findByIdAndUpdate.mockResolvedValue(updated);
+
+    await refundOrderController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: ORDER_ID, refundedTotal: { $in: [0, null] } },
+      { $inc: { refundedTotal: 15 } },
+      { new: true }
+    );
+    expect(payment.refund).toHaveBeenCalledWith("txn-1", "15.00");
+    expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      ORDER_ID,
+      {
+        $push: {
+          refunds: {
+            type: "refund",
+            amount: 15,
+            transactionId: "txn-2",
+            refundedBy: "admin",
+            note: "Damaged box",
+          },
+        },
+      },
+      { new: true }
+    );
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Refund Issued",
+      order: updated,
+    });
+  });
+
+  test("full refund marks the order refunded", async () => {
+    const updated = { ...mockOrder, refundedTotal: 40 };
+    const refunded = { ...updated, status: "refunded" };
+    orderModel.findByIdAndUpdate.mockResolvedValue(updated);
+    orderModel.findOneAndUpdate.mockResolvedValue(refunded);
+
+    await refundOrderController(req, res);
+
+    expect(payment.refund).toHaveBeenCalledWith("txn-1", "40.00");
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: ORDER_ID, status: "cancelled" },
+      {
+        status: "refunded",
+        $push: {
+          statusHistory: {
+            from: "cancelled",
+            to: "refunded",
+            changedBy: "admin",
+            note: undefined,
+          },
+        },
+      },
+      { new: true }
+    );
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      message: "Refund Issued",
+      order: refunded,
+    });
+  });
+
+  test("full refund closes a return still waiting for a decision", async () => {
+    const updated = {
+      ...mockOrder,
+      status: "delivered",
+      refundedTotal: 40,
+      returnRequest: { status: "requested", reason: "Wrong size" },
+    };
+    orderModel.findByIdAndUpdate.mockResolvedValue(updated);
+    orderModel.findOneAndUpdate.mockResolvedValue({
+      ...updated,
+      status: "refunded",
+    });
+
+    await refundOrderController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: ORDER_ID, status: "delivered" },
+      expect.objectContaining({
+        status: "refunded",
+        "returnRequest.status": "closed",
+        "returnRequest.decidedBy": "admin",
+        "returnRequest.decidedAt": expect.any(Date),
+      }),
+      { new: true }
+    );
+  });
+
+  test("unsettled payment is voided", async () => {
+    payment.find.mockResolvedValue({
+      id: "txn-1",
+      status: "submitted_for_settlement",
+    });
+    payment.void.mockResolvedValue({
+      success: true,
+      transaction: { id: "txn-1" },
+    });
+    orderModel.findByIdAndUpdate.mockResolvedValue({
+      ...mockOrder,
+      refundedTotal: 40,
+    });
+    orderModel.findOneAndUpdate.mockResolvedValue({
+      ...mockOrder,
+      status: "refunded",
+    });
+
+    await refundOrderController(req, res);
+
+    expect(payment.void).toHaveBeenCalledWith("txn-1");
+    expect(payment.refund).not.toHaveBeenCalled();
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ success: true, message: "Payment Voided" })
+    );
+  });
+
+  test("unsettled payment cannot be refunded in part", async () => {
+    payment.find.mockResolvedValue({
+      id: "txn-1",
+      status: "authorized",
+    });
+    req.body.amount = 10;
+
+    await refundOrderController(req, res);
+
+    expect(payment.void).not.toHaveBeenCalled();
+    expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(ORDER_ID, {
+      $inc: { refundedTotal: -10 },
+    });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Payments that have not settled can only be refunded in full",
+    });
+  });
+
+  test("refund reports a gateway decline", async () => {
+    payment.refund.mockResolvedValue({
+      success: false,
+      message: "Refund amount is too large.",
+    });
+
+    await refundOrderController(req, res);
+
+    expect(orderModel.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+    expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(ORDER_ID, {
+      $inc: { refundedTotal: -40 },
+    });
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Refund amount is too large.",
+    });
+  });
+
+  test("refund fails when another refund claimed the amount first", async () => {
+    orderModel.findById.mockResolvedValue({ ...mockOrder, refundedTotal: 30 });
+    orderModel.findOneAndUpdate.mockResolvedValue(null);
+    req.body.amount = 10;
+
+    await refundOrderController(req, res);
+
+    expect(orderModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: ORDER_ID, refundedTotal: 30 },
+      { $inc: { refundedTotal: 10 } },
+      { new: true }
+    );
+    expect(payment.find).not.toHaveBeenCalled();
+    expect(payment.refund).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(409);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Order was refunded by someone else, please reload",
+    });
+  });
+
+  test("refund fails when the provider no longer has the payment", async () => {
+    payment.find.mockResolvedValue(null);
+
+    await refundOrderController(req, res);
+
+    expect(payment.void).not.toHaveBeenCalled();
+    expect(payment.refund).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Payment transaction not found",
+    });
+  });
+
+  test("refund fails when the gateway cannot be reached", async () => {
+    const error = new Error("Network error");
+    payment.find.mockRejectedValue(error);
+
+    await refundOrderController(req, res);
+
+    expect(orderModel.findByIdAndUpdate).toHaveBeenCalledWith(ORDER_ID, {
+      $inc: { refundedTotal: -40 },
+    });
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error While Refunding Order",
+      error,
+    });
   });
 });
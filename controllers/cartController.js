@@ -0,0 +1,257 @@
+const mongoose = require("mongoose");
+const cartModel = require("../models/cartModel.js");
+const productModel = require("../models/productModel.js");
+const { findVariant } = require("../helpers/variantHelper.js");
+
+// find the signed in user's cart, creating an empty one on first use; an
+// upsert, so two first adds at once share one cart
+const findOrCreateCart = (userId) =>
+  cartModel.findOneAndUpdate(
+    { user: userId },
+    { $setOnInsert: { items: [] } },
+    { upsert: true, new: true }
+  );
+
+// save the cart and send it back with product details
+const sendCart = async (res, cart, message) => {
+  await cart.save();
+  await cart.populate("items.product", "-photo");
+  res.status(200).send({
+    success: true,
+    message,
+    cart: cart.items,
+  });
+};
+
+const parseQuantity = (quantity, min) => {
+  const value = Number(quantity);
+  return Number.isInteger(value) && value >= min ? value : null;
+};
+
+// a product bought in two variants takes one line per variant
+const sameLine = (item, productId, variantId) =>
+  item.product.toString() === productId.toString() &&
+  String(item.variant || "") === String(variantId || "");
+
+const findItem = (cart, productId, variantId) =>
+  cart.items.find((item) => sameLine(item, productId, variantId));
+
+// a product with variants can only go in the cart as one of them
+const validVariant = (product, variantId) =>
+  product.variants?.length
+    ? Boolean(findVariant(product, variantId))
+    : !variantId;
+
+//get cart
+const getCartController = async (req, res) => {
+  try {
+    const cart = await cartModel
+      .findOne({ user: req.user._id })
+      .populate("items.product", "-photo");
+    res.status(200).send({
+      success: true,
+      message: "Cart Fetched",
+      cart: cart ? cart.items : [],
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting cart",
+      error,
+    });
+  }
+};
+
+//add item
+const addCartItemController = async (req, res) => {
+  try {
+    const { productId, variantId, quantity = 1 } = req.body;
+    if (!productId || !mongoose.isValidObjectId(productId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Valid Product Id is Required",
+      });
+    }
+    const amount = parseQuantity(quantity, 1);
+    if (!amount) {
+      return res.status(400).send({
+        success: false,
+        message: "Quantity must be a positive whole number",
+      });
+    }
+    const product = await productModel
+      .findById(productId)
+      .select("variants._id");
+    if (!product) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    if (!validVariant(product, variantId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Please choose a valid option",
+      });
+    }
+    const cart = await findOrCreateCart(req.user._id);
+    const item = findItem(cart, productId, variantId);
+    if (item) {
+      item.quantity += amount;
+    } else {
+      cart.items.push({
+        product: productId,
+        variant: variantId,
+        quantity: amount,
+      });
+    }
+    await sendCart(res, cart, "Item Added to Cart");
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while adding item to cart",
+      error,
+    });
+  }
+};
+
+//set item quantity
+const updateCartItemController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    const amount = parseQuantity(req.body.quantity, 0);
+    if (amount === null) {
+      return res.status(400).send({
+        success: false,
+        message: "Quantity must be zero or a positive whole number",
+      });
+    }
+    const cart = await findOrCreateCart(req.user._id);
+    const item = findItem(cart, pid, req.query.variant);
+    if (!item) {
+      return res.status(404).send({
+        success: false,
+        message: "Item not in cart",
+      });
+    }
+    if (amount === 0) {
+      cart.items = cart.items.filter((i) => i !== item);
+    } else {
+      item.quantity = amount;
+    }
+    await sendCart(res, cart, "Cart Updated");
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating cart",
+      error,
+    });
+  }
+};
+
+//remove item
+const removeCartItemController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    const cart = await findOrCreateCart(req.user._id);
+    cart.items = cart.items.filter(
+      (item) => !sameLine(item, pid, req.query.variant)
+    );
+    await sendCart(res, cart, "Item Removed from Cart");
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while removing item from cart",
+      error,
+    });
+  }
+};
+
+//clear cart
+const clearCartController = async (req, res) => {
+  try {
+    await cartModel.findOneAndUpdate(
+      { user: req.user._id },
+      { items: [] },
+      { new: true }
+    );
+    res.status(200).send({
+      success: true,
+      message: "Cart Cleared",
+      cart: [],
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while clearing cart",
+      error,
+    });
+  }
+};
+
+//merge anonymous cart into the user's cart at login
+const mergeCartController = async (req, res) => {
+  try {
+    const { items } = req.body;
+    if (!Array.isArray(items)) {
+      return res.status(400).send({
+        success: false,
+        message: "Items are Required",
+      });
+    }
+    const valid = items.filter(
+      (i) =>
+        i &&
+        mongoose.isValidObjectId(i.productId) &&
+        parseQuantity(i.quantity, 1)
+    );
+    // unknown or deleted products and variants are dropped instead of failing
+    // the login
+    const existing = await productModel
+      .find({ _id: { $in: valid.map((i) => i.productId) } })
+      .select("_id variants._id");
+    const known = new Map(existing.map((p) => [p._id.toString(), p]));
+
+    const cart = await findOrCreateCart(req.user._id);
+    valid
+      .filter((i) => {
+        const product = known.get(i.productId.toString());
+        return product && validVariant(product, i.variantId);
+      })
+      .forEach((i) => {
+        const amount = parseQuantity(i.quantity, 1);
+        const item = findItem(cart, i.productId, i.variantId);
+        if (item) {
+          item.quantity += amount;
+        } else {
+          cart.items.push({
+            product: i.productId,
+            variant: i.variantId,
+            quantity: amount,
+          });
+        }
+      });
+    await sendCart(res, cart, "Cart Merged");
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while merging cart",
+      error,
+    });
+  }
+};
+
+module.exports = {
+  getCartController,
+  addCartItemController,
+  updateCartItemController,
+  removeCartItemController,
+  clearCartController,
+  mergeCartController,
+};
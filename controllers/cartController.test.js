@@ -0,0 +1,525 @@
+import { expect, jest } from "@jest/globals";
+import cartModel from "../models/cartModel";
+import productModel from "../models/productModel";
+import {
+  addCartItemController,
+  clearCartController,
+  getCartController,
+  mergeCartController,
+  removeCartItemController,
+  updateCartItemController,
+} from "./cartController";
+
+jest.mock("../models/cartModel");
+jest.mock("../models/productModel");
+
+const USER_ID = "67e0150aa528fde85145d2f1";
+const PRODUCT_ID = "66db427fdb0119d9234b27f9";
+const OTHER_PRODUCT_ID = "67a2171ea6d9e00ef2ac0229";
+const VARIANT_ID = "67a2171ea6d9e00ef2ac0301";
+const OTHER_VARIANT_ID = "67a2171ea6d9e00ef2ac0302";
+
+// builds a cart document whose save/populate resolve in place
+const mockCartDoc = (items = []) => {
+  const doc = { user: USER_ID, items };
+  doc.save = jest.fn().mockResolvedValue(doc);
+  doc.populate = jest.fn().mockResolvedValue(doc);
+  return doc;
+};
+
+// product lookup of the add controller, which only reads the variant ids
+const mockProduct = (product) => {
+  productModel.findById = jest.fn().mockReturnValue({
+    select: jest.fn().mockResolvedValue(product),
+  });
+};
+
+describe("Cart Controllers", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    req = { body: {}, params: {}, query: {}, user: { _id: USER_ID } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+  });
+
+  afterAll(() => {
+    global.console.log.mockRestore();
+  });
+
+  describe("getCartController", () => {
+    it("should return the items of the user's cart", async () => {
+      const items = [{ product: { _id: PRODUCT_ID }, quantity: 2 }];
+      cartModel.findOne = jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue({ items }),
+      });
+
+      await getCartController(req, res);
+
+      expect(cartModel.findOne).toHaveBeenCalledWith({ user: USER_ID });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Cart Fetched",
+        cart: items,
+      });
+    });
+
+    it("should return an empty cart when the user has none", async () => {
+      cartModel.findOne = jest.fn().mockReturnValue({
+        populate: jest.fn().mockResolvedValue(null),
+      });
+
+      await getCartController(req, res);
+
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Cart Fetched",
+        cart: [],
+      });
+    });
+
+    it("should return 500 when the lookup fails", async () => {
+      const error = new Error("DB Error");
+      cartModel.findOne = jest.fn().mockReturnValue({
+        populate: jest.fn().mockRejectedValue(error),
+      });
+
+      await getCartController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting cart",
+        error,
+      });
+    });
+  });
+
+  describe("addCartItemController", () => {
+    it("should reject an invalid product id", async () => {
+      req.body = { productId: "not-an-id" };
+
+      await addCartItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Valid Product Id is Required",
+      });
+    });
+
+    it("should reject a non positive quantity", async () => {
+      req.body = { productId: PRODUCT_ID, quantity: 0 };
+
+      await addCartItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Quantity must be a positive whole number",
+      });
+    });
+
+    it("should return 404 when the product does not exist", async () => {
+      req.body = { productId: PRODUCT_ID };
+      mockProduct(null);
+
+      await addCartItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Product not found",
+      });
+    });
+
+    it("should add a new line to the cart", async () => {
+      req.body = { productId: PRODUCT_ID, quantity: 2 };
+      const cart = mockCartDoc();
+      mockProduct({ _id: PRODUCT_ID, variants: [] });
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await addCartItemController(req, res);
+
+      expect(cart.items).toEqual([{ product: PRODUCT_ID, quantity: 2 }]);
+      expect(cart.save).toHaveBeenCalled();
+      expect(cart.populate).toHaveBeenCalledWith("items.product", "-photo");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Item Added to Cart",
+        cart: cart.items,
+      });
+    });
+
+    it("should increase the quantity of an existing line", async () => {
+      req.body = { productId: PRODUCT_ID };
+      const cart = mockCartDoc([{ product: PRODUCT_ID, quantity: 1 }]);
+      mockProduct({ _id: PRODUCT_ID, variants: [] });
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await addCartItemController(req, res);
+
+      expect(cart.items).toEqual([{ product: PRODUCT_ID, quantity: 2 }]);
+    });
+
+    it("should create a cart for the first item", async () => {
+      req.body = { productId: PRODUCT_ID };
+      const cart = mockCartDoc();
+      mockProduct({ _id: PRODUCT_ID, variants: [] });
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await addCartItemController(req, res);
+
+      expect(cartModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: USER_ID },
+        { $setOnInsert: { items: [] } },
+        { upsert: true, new: true }
+      );
+      expect(cart.items).toEqual([{ product: PRODUCT_ID, quantity: 1 }]);
+      expect(cart.save).toHaveBeenCalled();
+    });
+
+    it("should keep a line per variant of a product", async () => {
+      req.body = { productId: PRODUCT_ID, variantId: OTHER_VARIANT_ID };
+      const cart = mockCartDoc([
+        { product: PRODUCT_ID, variant: VARIANT_ID, quantity: 1 },
+      ]);
+      mockProduct({
+        _id: PRODUCT_ID,
+        variants: [{ _id: VARIANT_ID }, { _id: OTHER_VARIANT_ID }],
+      });
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await addCartItemController(req, res);
+
+      expect(cart.items).toEqual([
+        { product: PRODUCT_ID, variant: VARIANT_ID, quantity: 1 },
+        { product: PRODUCT_ID, variant: OTHER_VARIANT_ID, quantity: 1 },
+      ]);
+    });
+
+    it("should reject a product with variants added without one", async () => {
+      req.body = { productId: PRODUCT_ID };
+      mockProduct({ _id: PRODUCT_ID, variants: [{ _id: VARIANT_ID }] });
+
+      await addCartItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Please choose a valid option",
+      });
+    });
+
+    it("should reject a variant the product does not have", async () => {
+      req.body = { productId: PRODUCT_ID, variantId: OTHER_VARIANT_ID };
+      mockProduct({ _id: PRODUCT_ID, variants: [{ _id: VARIANT_ID }] });
+
+      await addCartItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it("should return 500 when saving fails", async () => {
+      req.body = { productId: PRODUCT_ID };
+      const error = new Error("DB Error");
+      const cart = mockCartDoc();
+      cart.save.mockRejectedValue(error);
+      mockProduct({ _id: PRODUCT_ID, variants: [] });
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await addCartItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while adding item to cart",
+        error,
+      });
+    });
+  });
+
+  describe("updateCartItemController", () => {
+    it("should set the quantity of a line", async () => {
+      req.params = { pid: PRODUCT_ID };
+      req.body = { quantity: 5 };
+      const cart = mockCartDoc([{ product: PRODUCT_ID, quantity: 1 }]);
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await updateCartItemController(req, res);
+
+      expect(cart.items).toEqual([{ product: PRODUCT_ID, quantity: 5 }]);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Cart Updated",
+        cart: cart.items,
+      });
+    });
+
+    it("should remove the line when the quantity is zero", async () => {
+      req.params = { pid: PRODUCT_ID };
+      req.body = { quantity: 0 };
+      const cart = mockCartDoc([
+        { product: PRODUCT_ID, quantity: 1 },
+        { product: OTHER_PRODUCT_ID, quantity: 3 },
+      ]);
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await updateCartItemController(req, res);
+
+      expect(cart.items).toEqual([{ product: OTHER_PRODUCT_ID, quantity: 3 }]);
+    });
+
+    it("should only change the chosen variant's line", async () => {
+      req.params = { pid: PRODUCT_ID };
+      req.query = { variant: OTHER_VARIANT_ID };
+      req.body = { quantity: 4 };
+      const cart = mockCartDoc([
+        { product: PRODUCT_ID, variant: VARIANT_ID, quantity: 1 },
+        { product: PRODUCT_ID, variant: OTHER_VARIANT_ID, quantity: 1 },
+      ]);
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await updateCartItemController(req, res);
+
+      expect(cart.items).toEqual([
+        { product: PRODUCT_ID, variant: VARIANT_ID, quantity: 1 },
+        { product: PRODUCT_ID, variant: OTHER_VARIANT_ID, quantity: 4 },
+      ]);
+    });
+
+    it("should reject a negative quantity", async () => {
+      req.params = { pid: PRODUCT_ID };
+      req.body = { quantity: -1 };
+
+      await updateCartItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Quantity must be zero or a positive whole number",
+      });
+    });
+
+    it("should return 404 when the product is not in the cart", async () => {
+      req.params = { pid: PRODUCT_ID };
+      req.body = { quantity: 2 };
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(mockCartDoc());
+
+      await updateCartItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Item not in cart",
+      });
+    });
+
+    it("should return 500 when the lookup fails", async () => {
+      req.params = { pid: PRODUCT_ID };
+      req.body = { quantity: 2 };
+      const error = new Error("DB Error");
+      cartModel.findOneAndUpdate = jest.fn().mockRejectedValue(error);
+
+      await updateCartItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while updating cart",
+        error,
+      });
+    });
+  });
+
+  describe("removeCartItemController", () => {
+    it("should remove the line from the cart", async () => {
+      req.params = { pid: PRODUCT_ID };
+      const cart = mockCartDoc([
+        { product: PRODUCT_ID, quantity: 1 },
+        { product: OTHER_PRODUCT_ID, quantity: 3 },
+      ]);
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await removeCartItemController(req, res);
+
+      expect(cart.items).toEqual([{ product: OTHER_PRODUCT_ID, quantity: 3 }]);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Item Removed from Cart",
+        cart: cart.items,
+      });
+    });
+
+    it("should only remove the chosen variant's line", async () => {
+      req.params = { pid: PRODUCT_ID };
+      req.query = { variant: VARIANT_ID };
+      const cart = mockCartDoc([
+        { product: PRODUCT_ID, variant: VARIANT_ID, quantity: 1 },
+        { product: PRODUCT_ID, variant: OTHER_VARIANT_ID, quantity: 2 },
+      ]);
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await removeCartItemController(req, res);
+
+      expect(cart.items).toEqual([
+        { product: PRODUCT_ID, variant: OTHER_VARIANT_ID, quantity: 2 },
+      ]);
+    });
+
+    it("should return 500 when the lookup fails", async () => {
+      req.params = { pid: PRODUCT_ID };
+      const error = new Error("DB Error");
+      cartModel.findOneAndUpdate = jest.fn().mockRejectedValue(error);
+
+      await removeCartItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while removing item from cart",
+        error,
+      });
+    });
+  });
+
+  describe("clearCartController", () => {
+    it("should empty the user's cart", async () => {
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue({});
+
+      await clearCartController(req, res);
+
+      expect(cartModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { user: USER_ID },
+        { items: [] },
+        { new: true }
+      );
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Cart Cleared",
+        cart: [],
+      });
+    });
+
+    it("should return 500 when the update fails", async () => {
+      const error = new Error("DB Error");
+      cartModel.findOneAndUpdate = jest.fn().mockRejectedValue(error);
+
+      await clearCartController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while clearing cart",
+        error,
+      });
+    });
+  });
+
+  describe("mergeCartController", () => {
+    it("should reject a request without items", async () => {
+      await mergeCartController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Items are Required",
+      });
+    });
+
+    it("should add guest items to the existing cart", async () => {
+      req.body = {
+        items: [
+          { productId: PRODUCT_ID, quantity: 2 },
+          { productId: OTHER_PRODUCT_ID, quantity: 1 },
+        ],
+      };
+      const cart = mockCartDoc([{ product: PRODUCT_ID, quantity: 1 }]);
+      productModel.find = jest.fn().mockReturnValue({
+        select: jest
+          .fn()
+          .mockResolvedValue([{ _id: PRODUCT_ID }, { _id: OTHER_PRODUCT_ID }]),
+      });
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await mergeCartController(req, res);
+
+      expect(cart.items).toEqual([
+        { product: PRODUCT_ID, quantity: 3 },
+        { product: OTHER_PRODUCT_ID, quantity: 1 },
+      ]);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Cart Merged",
+        cart: cart.items,
+      });
+    });
+
+    it("should skip unknown products and malformed lines", async () => {
+      req.body = {
+        items: [
+          { productId: PRODUCT_ID, quantity: 1 },
+          { productId: OTHER_PRODUCT_ID, quantity: 1 },
+          { productId: "bad-id", quantity: 1 },
+          { productId: PRODUCT_ID, quantity: -4 },
+        ],
+      };
+      const cart = mockCartDoc();
+      productModel.find = jest.fn().mockReturnValue({
+        select: jest.fn().mockResolvedValue([{ _id: PRODUCT_ID }]),
+      });
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await mergeCartController(req, res);
+
+      expect(cart.items).toEqual([{ product: PRODUCT_ID, quantity: 1 }]);
+    });
+
+    it("should drop guest lines whose variant is gone", async () => {
+      req.body = {
+        items: [
+          { productId: PRODUCT_ID, variantId: VARIANT_ID, quantity: 2 },
+          { productId: PRODUCT_ID, variantId: OTHER_VARIANT_ID, quantity: 1 },
+        ],
+      };
+      const cart = mockCartDoc();
+      productModel.find = jest.fn().mockReturnValue({
+        select: jest
+          .fn()
+          .mockResolvedValue([
+            { _id: PRODUCT_ID, variants: [{ _id: VARIANT_ID }] },
+          ]),
+      });
+      cartModel.findOneAndUpdate = jest.fn().mockResolvedValue(cart);
+
+      await mergeCartController(req, res);
+
+      expect(cart.items).toEqual([
+        { product: PRODUCT_ID, variant: VARIANT_ID, quantity: 2 },
+      ]);
+    });
+
+    it("should return 500 when the merge fails", async () => {
+      req.body = { items: [{ productId: PRODUCT_ID, quantity: 1 }] };
+      const error = new Error("DB Error");
+      productModel.find = jest.fn().mockReturnValue({
+        select: jest.fn().mockRejectedValue(error),
+      });
+
+      await mergeCartController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while merging cart",
+        error,
+      });
+    });
+  });
+});
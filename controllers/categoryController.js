@@ -1,5 +1,21 @@
 const slugify = require("slugify");
 const categoryModel = require("../models/categoryModel.js");
+const productModel = require("../models/productModel.js");
+const {
+  SIBLING_ORDER,
+  childAncestors,
+  findParent,
+  isWithin,
+  placeAt,
+  renumber,
+  updateDescendants,
+} = require("../helpers/categoryHelper.js");
+
+const parentNotFound = (res) =>
+  res.status(404).send({
+    success: false,
+    message: "Parent category not found",
+  });
 
 const createCategoryController = async (req, res) => {
   try {
@@ -14,9 +30,21 @@ const createCategoryController = async (req, res) => {
         message: "Category Already Exisits",
       });
     }
+    const parent = await findParent(req.body.parent);
+    if (parent === undefined) return parentNotFound(res);
+    const parentId = parent ? parent._id : null;
+    //new categories go after their siblings, even when their places have gaps
+    const last = await categoryModel.findOne(
+      { parentCategory: parentId },
+      "order",
+      { sort: { order: -1 } }
+    );
     const category = await new categoryModel({
       name,
       slug: slugify(name),
+      parentCategory: parentId,
+      ancestors: childAncestors(parent),
+      order: last ? last.order + 1 : 0,
     }).save();
     res.status(201).send({
       success: true,
@@ -43,6 +71,12 @@ const updateCategoryController = async (req, res) => {
       { name, slug: slugify(name) },
       { new: true }
     );
+    //products keep a copy of the name for search, subcategories one for
+    //their breadcrumbs
+    if (category) {
+      await productModel.updateMany({ category: id }, { categoryName: name });
+      await updateDescendants(category);
+    }
     res.status(200).send({
       success: true,
       messsage: "Category Updated Successfully",
@@ -58,10 +92,84 @@ const updateCategoryController = async (req, res) => {
   }
 };
 
-// get all cat
+//move a category under another parent, or to the top level with no
+//parent, at a place among its new siblings; the end when none is given
+const moveCategoryController = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const category = await categoryModel.findById(id);
+    if (!category) {
+      return res.status(404).send({
+        success: false,
+        message: "Category not found",
+      });
+    }
+    const parent = await findParent(req.body.parent);
+    if (parent === undefined) return parentNotFound(res);
+    if (parent && isWithin(parent, id)) {
+      return res.status(400).send({
+        success: false,
+        message: "A category cannot be moved under itself",
+      });
+    }
+    const parentId = parent ? parent._id : null;
+    const ancestors = childAncestors(parent);
+    const siblings = await categoryModel
+      .find({ parentCategory: parentId, _id: { $ne: category._id } })
+      .sort(SIBLING_ORDER);
+    const ids = placeAt(
+      siblings.map((sibling) => sibling._id),
+      category._id,
+      req.body.order === undefined ? undefined : Number(req.body.order)
+    );
+    //the siblings it leaves behind close the gap when the parent changes
+    const oldParentId = category.parentCategory || null;
+    const left =
+      String(oldParentId) === String(parentId)
+        ? []
+        : await categoryModel
+            .find({ parentCategory: oldParentId, _id: { $ne: category._id } })
+            .sort(SIBLING_ORDER);
+    //the siblings are numbered again so their places stay 0, 1, 2, ...
+    await categoryModel.bulkWrite([
+      ...left.map(({ _id }, order) => ({
+        updateOne: { filter: { _id }, update: { order } },
+      })),
+      ...ids.map((_id, order) => ({
+        updateOne: {
+          filter: { _id },
+          update:
+            String(_id) === String(category._id)
+              ? { parentCategory: parentId, ancestors, order }
+              : { order },
+        },
+      })),
+    ]);
+    category.set({
+      parentCategory: parentId,
+      ancestors,
+      order: ids.findIndex((_id) => String(_id) === String(category._id)),
+    });
+    await updateDescendants(category);
+    res.status(200).send({
+      success: true,
+      message: "Category Moved Successfully",
+      category,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      error,
+      message: "Error while moving category",
+    });
+  }
+};
+
+// get all cat, siblings in their order
 const categoryController = async (req, res) => {
   try {
-    const category = await categoryModel.find({});
+    const category = await categoryModel.find({}).sort(SIBLING_ORDER);
     res.status(200).send({
       success: true,
       message: "All Categories List",
@@ -100,7 +208,31 @@ const singleCategoryController = async (req, res) => {
 const deleteCategoryController = async (req, res) => {
   try {
     const { id } = req.params;
-    await categoryModel.findByIdAndDelete(id);
+    const category = await categoryModel.findByIdAndDelete(id);
+    //its subcategories move up to its parent and take its place there
+    if (category) {
+      const parentId = category.parentCategory || null;
+      const [siblings, children] = await Promise.all([
+        categoryModel.find({ parentCategory: parentId }).sort(SIBLING_ORDER),
+        categoryModel.find({ parentCategory: id }).sort(SIBLING_ORDER),
+      ]);
+      await categoryModel.updateMany(
+        { parentCategory: id },
+        { parentCategory: parentId }
+      );
+      await categoryModel.updateMany(
+        { "ancestors._id": id },
+        { $pull: { ancestors: { _id: id } } }
+      );
+      const place = siblings.filter((s) => s.order < category.order).length;
+      await renumber(
+        [
+          ...siblings.slice(0, place),
+          ...children,
+          ...siblings.slice(place),
+        ].map((c) => c._id)
+      );
+    }
     res.status(200).send({
       success: true,
       message: "Category Deleted Successfully",
@@ -118,6 +250,7 @@ const deleteCategoryController = async (req, res) => {
 module.exports = {
   createCategoryController,
   updateCategoryController,
+  moveCategoryController,
   categoryController,
   singleCategoryController,
   deleteCategoryController,
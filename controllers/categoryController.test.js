@@ -1,15 +1,19 @@
+const mongoose = require("mongoose");
 const {
   createCategoryController,
   updateCategoryController,
+  moveCategoryController,
   deleteCategoryController,
   categoryController,
   singleCategoryController,
 } = require("./categoryController");
 const categoryModel = require("../models/categoryModel");
+const productModel = require("../models/productModel");
 const slugify = require("slugify");
 
 // Mock the categoryModel and its methods
 jest.mock("../models/categoryModel");
+jest.mock("../models/productModel");
 
 // Mock the response object
 const mockResponse = () => {
@@ -70,6 +74,55 @@ describe("Category Controller Tests", () => {
       });
     });
 
+    test("should create a category under its parent, after its siblings", async () => {
+      const parent = {
+        _id: new mongoose.Types.ObjectId(),
+        name: "Books",
+        slug: "books",
+        ancestors: [],
+      };
+      req = { body: { name: "Novels", parent: String(parent._id) } };
+      // no category with the name, then the last sibling, placed at 4 after
+      // one before it was deleted
+      categoryModel.findOne
+        .mockResolvedValueOnce(null)
+        .mockResolvedValueOnce({ order: 4 });
+      categoryModel.findById.mockResolvedValue(parent);
+      categoryModel.mockImplementation((data) => ({
+        save: jest.fn().mockResolvedValue(data),
+      }));
+
+      await createCategoryController(req, res);
+
+      expect(categoryModel.findOne).toHaveBeenCalledWith(
+        { parentCategory: parent._id },
+        "order",
+        { sort: { order: -1 } }
+      );
+      expect(categoryModel).toHaveBeenCalledWith({
+        name: "Novels",
+        slug: "Novels",
+        parentCategory: parent._id,
+        ancestors: [{ _id: parent._id, name: "Books", slug: "books" }],
+        order: 5,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    test("should not create a category under a parent that does not exist", async () => {
+      req = { body: { name: "Novels", parent: "no-such-category" } };
+      categoryModel.findOne.mockResolvedValue(null);
+
+      await createCategoryController(req, res);
+
+      expect(categoryModel).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Parent category not found",
+      });
+    });
+
     test("should return error if name is not provided", async () => {
       // Arrange
       req = {
@@ -161,6 +214,7 @@ describe("Category Controller Tests", () => {
         name: "Updated Category",
         slug: "Updated-Category",
       });
+      categoryModel.find.mockResolvedValue([]);
 
       // Act
       await updateCategoryController(req, res);
@@ -171,6 +225,10 @@ describe("Category Controller Tests", () => {
         { name: "Updated Category", slug: "Updated-Category" },
         { new: true }
       );
+      expect(productModel.updateMany).toHaveBeenCalledWith(
+        { category: "123" },
+        { categoryName: "Updated Category" }
+      );
       expect(res.status).toHaveBeenCalledWith(200);
       expect(res.send).toHaveBeenCalledWith({
         success: true,
@@ -182,6 +240,46 @@ describe("Category Controller Tests", () => {
       });
     });
 
+    test("should leave products alone when the category does not exist", async () => {
+      req = { body: { name: "Updated Category" }, params: { id: "123" } };
+      categoryModel.findByIdAndUpdate.mockResolvedValue(null);
+
+      await updateCategoryController(req, res);
+
+      expect(productModel.updateMany).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    test("should rename the category in the path of its subcategories", async () => {
+      const id = new mongoose.Types.ObjectId();
+      const child = {
+        _id: new mongoose.Types.ObjectId(),
+        ancestors: [{ _id: id, name: "Old", slug: "old" }],
+      };
+      req = { body: { name: "Books" }, params: { id: String(id) } };
+      categoryModel.findByIdAndUpdate.mockResolvedValue({
+        _id: id,
+        name: "Books",
+        slug: "books",
+        ancestors: [],
+      });
+      categoryModel.find.mockResolvedValue([child]);
+      categoryModel.bulkWrite.mockResolvedValue({});
+
+      await updateCategoryController(req, res);
+
+      expect(categoryModel.find).toHaveBeenCalledWith({ "ancestors._id": id });
+      expect(categoryModel.bulkWrite).toHaveBeenCalledWith([
+        {
+          updateOne: {
+            filter: { _id: child._id },
+            update: { ancestors: [{ _id: id, name: "Books", slug: "books" }] },
+          },
+        },
+      ]);
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
     test("should handle errors during update", async () => {
       // Arrange
       req = {
@@ -213,6 +311,183 @@ describe("Category Controller Tests", () => {
     });
   });
 
+  describe("moveCategoryController", () => {
+    const id = () => new mongoose.Types.ObjectId();
+    let category, books, fiction, sort;
+
+    beforeEach(() => {
+      books = { _id: id(), name: "Books", slug: "books", ancestors: [] };
+      fiction = {
+        _id: id(),
+        name: "Fiction",
+        slug: "fiction",
+        ancestors: [{ _id: books._id, name: "Books", slug: "books" }],
+      };
+      category = {
+        _id: id(),
+        name: "Novels",
+        slug: "novels",
+        ancestors: [],
+        set: jest.fn(function (values) {
+          Object.assign(this, values);
+        }),
+      };
+      sort = jest.fn();
+      categoryModel.find.mockImplementation((filter) =>
+        filter["ancestors._id"] ? Promise.resolve([]) : { sort }
+      );
+      categoryModel.bulkWrite.mockResolvedValue({});
+    });
+
+    test("should move a category under a parent at the place asked for", async () => {
+      const first = id();
+      const second = id();
+      const stayed = id();
+      // the new siblings, then the ones it leaves at the top level
+      sort
+        .mockResolvedValueOnce([{ _id: first }, { _id: second }])
+        .mockResolvedValueOnce([{ _id: stayed }]);
+      categoryModel.findById.mockImplementation(async (found) =>
+        String(found) === String(fiction._id) ? fiction : category
+      );
+      req = {
+        params: { id: String(category._id) },
+        body: { parent: String(fiction._id), order: "1" },
+      };
+
+      await moveCategoryController(req, res);
+
+      const ancestors = [
+        { _id: books._id, name: "Books", slug: "books" },
+        { _id: fiction._id, name: "Fiction", slug: "fiction" },
+      ];
+      expect(categoryModel.find).toHaveBeenCalledWith({
+        parentCategory: fiction._id,
+        _id: { $ne: category._id },
+      });
+      expect(categoryModel.find).toHaveBeenCalledWith({
+        parentCategory: null,
+        _id: { $ne: category._id },
+      });
+      expect(sort).toHaveBeenCalledWith({ order: 1, name: 1, _id: 1 });
+      expect(categoryModel.bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { _id: stayed }, update: { order: 0 } } },
+        { updateOne: { filter: { _id: first }, update: { order: 0 } } },
+        {
+          updateOne: {
+            filter: { _id: category._id },
+            update: { parentCategory: fiction._id, ancestors, order: 1 },
+          },
+        },
+        { updateOne: { filter: { _id: second }, update: { order: 2 } } },
+      ]);
+      expect(categoryModel.find).toHaveBeenCalledWith({
+        "ancestors._id": category._id,
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Category Moved Successfully",
+        category: expect.objectContaining({
+          parentCategory: fiction._id,
+          ancestors,
+          order: 1,
+        }),
+      });
+    });
+
+    test("should move a category to the end of the top level", async () => {
+      const other = id();
+      sort.mockResolvedValue([{ _id: other }]);
+      categoryModel.findById.mockResolvedValue(category);
+      req = { params: { id: String(category._id) }, body: { parent: null } };
+
+      await moveCategoryController(req, res);
+
+      expect(categoryModel.find).toHaveBeenCalledWith({
+        parentCategory: null,
+        _id: { $ne: category._id },
+      });
+      // it stays at the top level, so there are no siblings left behind
+      expect(sort).toHaveBeenCalledTimes(1);
+      expect(categoryModel.bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { _id: other }, update: { order: 0 } } },
+        {
+          updateOne: {
+            filter: { _id: category._id },
+            update: { parentCategory: null, ancestors: [], order: 1 },
+          },
+        },
+      ]);
+    });
+
+    test("should not move a category under itself or its subcategories", async () => {
+      categoryModel.findById.mockImplementation(async (found) =>
+        String(found) === String(fiction._id) ? fiction : books
+      );
+      req = {
+        params: { id: String(books._id) },
+        body: { parent: String(fiction._id) },
+      };
+
+      await moveCategoryController(req, res);
+
+      expect(categoryModel.bulkWrite).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "A category cannot be moved under itself",
+      });
+    });
+
+    test("should return 404 when the category does not exist", async () => {
+      categoryModel.findById.mockResolvedValue(null);
+      req = { params: { id: "123" }, body: {} };
+
+      await moveCategoryController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Category not found",
+      });
+    });
+
+    test("should return 404 when the parent does not exist", async () => {
+      categoryModel.findById
+        .mockResolvedValueOnce(category)
+        .mockResolvedValueOnce(null);
+      req = {
+        params: { id: String(category._id) },
+        body: { parent: String(id()) },
+      };
+
+      await moveCategoryController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Parent category not found",
+      });
+    });
+
+    test("should handle errors during the move", async () => {
+      const error = new Error("Move error");
+      categoryModel.findById.mockRejectedValue(error);
+      console.log = jest.fn();
+      req = { params: { id: "123" }, body: {} };
+
+      await moveCategoryController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        error,
+        message: "Error while moving category",
+      });
+    });
+  });
+
   describe("deleteCategoryController", () => {
     test("should delete a category successfully", async () => {
       // Arrange
@@ -224,6 +499,9 @@ describe("Category Controller Tests", () => {
 
       // Mock the findByIdAndDelete method
       categoryModel.findByIdAndDelete.mockResolvedValue({});
+      categoryModel.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([]),
+      });
 
       // Act
       await deleteCategoryController(req, res);
@@ -237,6 +515,44 @@ describe("Category Controller Tests", () => {
       });
     });
 
+    test("should move the subcategories of a deleted category up", async () => {
+      const parentCategory = new mongoose.Types.ObjectId();
+      req = { params: { id: "123" } };
+      categoryModel.findByIdAndDelete.mockResolvedValue({
+        parentCategory,
+        order: 1,
+      });
+      const siblings = [
+        { _id: "first", order: 0 },
+        { _id: "last", order: 2 },
+      ];
+      const children = [{ _id: "child-a" }, { _id: "child-b" }];
+      categoryModel.find.mockImplementation(({ parentCategory: parent }) => ({
+        sort: jest
+          .fn()
+          .mockResolvedValue(parent === "123" ? children : siblings),
+      }));
+      categoryModel.bulkWrite.mockResolvedValue({});
+
+      await deleteCategoryController(req, res);
+
+      expect(categoryModel.updateMany).toHaveBeenCalledWith(
+        { parentCategory: "123" },
+        { parentCategory }
+      );
+      expect(categoryModel.updateMany).toHaveBeenCalledWith(
+        { "ancestors._id": "123" },
+        { $pull: { ancestors: { _id: "123" } } }
+      );
+      //the subcategories take its place and the places have no gaps
+      expect(categoryModel.bulkWrite).toHaveBeenCalledWith(
+        ["first", "child-a", "child-b", "last"].map((_id, order) => ({
+          updateOne: { filter: { _id }, update: { order } },
+        }))
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
     test("should handle errors during deletion", async () => {
       // Arrange
       req = {
@@ -286,11 +602,13 @@ describe("categoryController test", () => {
       { _id: "2", name: "Electronics", slug: "electronics" },
     ];
 
-    categoryModel.find.mockResolvedValue(mockCategories);
+    const sort = jest.fn().mockResolvedValue(mockCategories);
+    categoryModel.find.mockReturnValue({ sort });
 
     await categoryController(req, res);
 
     expect(categoryModel.find).toHaveBeenCalledWith({});
+    expect(sort).toHaveBeenCalledWith({ order: 1, name: 1, _id: 1 });
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.send).toHaveBeenCalledWith({
       success: true,
@@ -300,7 +618,9 @@ describe("categoryController test", () => {
   });
 
   it("should return 500 if an error occurs", async () => {
-    categoryModel.find.mockRejectedValue(new Error("Database error"));
+    categoryModel.find.mockReturnValue({
+      sort: jest.fn().mockRejectedValue(new Error("Database error")),
+    });
 
     await categoryController(req, res);
 
@@ -0,0 +1,253 @@
+const mongoose = require("mongoose");
+const couponModel = require("../models/couponModel.js");
+const productModel = require("../models/productModel.js");
+const {
+  couponDiscount,
+  findCoupon,
+  normalizeCode,
+} = require("../helpers/couponHelper.js");
+const { priceOrder } = require("../helpers/pricingHelper.js");
+
+const CODE_PATTERN = /^[A-Z0-9_-]{3,30}$/;
+
+const isBlank = (value) => value === undefined || value === null || value === "";
+
+// optional whole number limit, null when left empty
+const parseLimit = (value) => {
+  if (isBlank(value)) return null;
+  const limit = Number(value);
+  return Number.isInteger(limit) && limit >= 1 ? limit : undefined;
+};
+
+// coupon fields from a create or update request as { fields }, or
+// { message } for the first invalid one
+const couponFields = (body) => {
+  const code = normalizeCode(body.code);
+  const value = Number(body.value);
+  const minOrder = isBlank(body.minOrder) ? 0 : Number(body.minOrder);
+  const expiresAt = isBlank(body.expiresAt) ? null : new Date(body.expiresAt);
+  const maxUses = parseLimit(body.maxUses);
+  const maxUsesPerUser = parseLimit(body.maxUsesPerUser);
+  const categories = body.categories || [];
+  const products = body.products || [];
+  switch (true) {
+    case !code:
+      return { message: "Code is Required" };
+    case !CODE_PATTERN.test(code):
+      return {
+        message: "Code must be 3 to 30 letters, numbers, dashes or underscores",
+      };
+    case !["percentage", "fixed"].includes(body.type):
+      return { message: "Type must be percentage or fixed" };
+    case !(value > 0):
+      return { message: "Value must be more than 0" };
+    case body.type === "percentage" && value > 100:
+      return { message: "Percentage cannot be more than 100" };
+    case !(minOrder >= 0):
+      return { message: "Minimum order must be 0 or more" };
+    case expiresAt !== null && isNaN(expiresAt):
+      return { message: "Expiry must be a valid date" };
+    case maxUses === undefined || maxUsesPerUser === undefined:
+      return { message: "Usage limits must be whole numbers of at least 1" };
+    case !Array.isArray(categories) ||
+      !Array.isArray(products) ||
+      ![...categories, ...products].every((id) =>
+        mongoose.isValidObjectId(id)
+      ):
+      return { message: "Invalid category or product" };
+  }
+  return {
+    fields: {
+      code,
+      type: body.type,
+      value,
+      minOrder,
+      expiresAt,
+      maxUses,
+      maxUsesPerUser,
+      categories,
+      products,
+      active: body.active !== false,
+    },
+  };
+};
+
+const duplicateCode = (res) =>
+  res.status(409).send({
+    success: false,
+    message: "Coupon code already exists",
+  });
+
+//all coupons for the admin page
+const getCouponsController = async (req, res) => {
+  try {
+    const coupons = await couponModel
+      .find({})
+      .select("-redemptions")
+      .populate("categories", "name")
+      .populate("products", "name")
+      .sort({ createdAt: -1 });
+    res.status(200).send({
+      success: true,
+      coupons,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting coupons",
+      error,
+    });
+  }
+};
+
+//create coupon
+const createCouponController = async (req, res) => {
+  try {
+    const { fields, message } = couponFields(req.body);
+    if (message) return res.status(400).send({ success: false, message });
+    if (await couponModel.exists({ code: fields.code })) {
+      return duplicateCode(res);
+    }
+    const coupon = await new couponModel(fields).save();
+    res.status(201).send({
+      success: true,
+      message: "Coupon Created",
+      coupon,
+    });
+  } catch (error) {
+    if (error?.code === 11000) return duplicateCode(res);
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while creating coupon",
+      error,
+    });
+  }
+};
+
+//update coupon, its usage so far is kept
+const updateCouponController = async (req, res) => {
+  try {
+    const { fields, message } = couponFields(req.body);
+    if (message) return res.status(400).send({ success: false, message });
+    const coupon = await couponModel
+      .findByIdAndUpdate(req.params.id, fields, {
+        new: true,
+        runValidators: true,
+      })
+      .select("-redemptions");
+    if (!coupon) {
+      return res.status(404).send({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Coupon Updated",
+      coupon,
+    });
+  } catch (error) {
+    if (error?.code === 11000) return duplicateCode(res);
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while updating coupon",
+      error,
+    });
+  }
+};
+
+//delete coupon, orders keep the code they were placed with
+const deleteCouponController = async (req, res) => {
+  try {
+    const coupon = await couponModel.findByIdAndDelete(req.params.id);
+    if (!coupon) {
+      return res.status(404).send({
+        success: false,
+        message: "Coupon not found",
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Coupon Deleted",
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while deleting coupon",
+      error,
+    });
+  }
+};
+
+//check a code against the cart and send the discount it would give;
+//checkout works the discount out again before charging
+const applyCouponController = async (req, res) => {
+  try {
+    const { code, cart } = req.body;
+    if (!normalizeCode(code)) {
+      return res.status(400).send({
+        success: false,
+        message: "Code is Required",
+      });
+    }
+    if (!Array.isArray(cart) || !cart.length) {
+      return res.status(400).send({
+        success: false,
+        message: "Cart is empty",
+      });
+    }
+    const ids = cart
+      .map((i) => i.productId)
+      .filter((id) => mongoose.isValidObjectId(id));
+    //with the path of each category, for coupons of a parent category
+    const products = await productModel
+      .find({ _id: { $in: ids } })
+      .select("-photo")
+      .populate("category", "ancestors");
+    const priced = priceOrder(cart, products);
+    if (priced.missing.length) {
+      return res.status(400).send({
+        success: false,
+        message: "Some products in your cart are no longer available",
+        missing: priced.missing,
+      });
+    }
+    const coupon = await findCoupon(code);
+    const result = couponDiscount(coupon, {
+      ...priced,
+      products,
+      userId: req.user._id,
+    });
+    if (result.message) {
+      return res.status(400).send({
+        success: false,
+        message: result.message,
+      });
+    }
+    res.status(200).send({
+      success: true,
+      message: "Coupon Applied",
+      coupon: { code: coupon.code, type: coupon.type, value: coupon.value },
+      discount: result.discount,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while applying coupon",
+      error,
+    });
+  }
+};
+
+module.exports = {
+  getCouponsController,
+  createCouponController,
+  updateCouponController,
+  deleteCouponController,
+  applyCouponController,
+};
@@ -0,0 +1,409 @@
+import { expect, jest } from "@jest/globals";
+import { findCoupon } from "../helpers/couponHelper";
+import couponModel from "../models/couponModel";
+import productModel from "../models/productModel";
+import {
+  applyCouponController,
+  createCouponController,
+  deleteCouponController,
+  getCouponsController,
+  updateCouponController,
+} from "./couponController";
+
+jest.mock("../models/couponModel");
+jest.mock("../models/productModel");
+jest.mock("../helpers/couponHelper", () => ({
+  ...jest.requireActual("../helpers/couponHelper"),
+  findCoupon: jest.fn(),
+}));
+
+const USER_ID = "67e0150aa528fde85145d2f1";
+const COUPON_ID = "67a2171ea6d9e00ef2ac0229";
+const PRODUCT_ID = "66db427fdb0119d9234b27f9";
+const CATEGORY_ID = "66db427fdb0119d9234b27ef";
+
+const validBody = {
+  code: " save10 ",
+  type: "percentage",
+  value: "10",
+  minOrder: "50",
+  expiresAt: "2026-12-31",
+  maxUses: "100",
+  maxUsesPerUser: "",
+  categories: [CATEGORY_ID],
+  products: [],
+};
+
+describe("Coupon Controllers", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    req = { body: {}, params: {}, user: { _id: USER_ID } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+  });
+
+  afterAll(() => {
+    global.console.log.mockRestore();
+  });
+
+  describe("getCouponsController", () => {
+    it("should list coupons without their redemptions", async () => {
+      const coupons = [{ _id: COUPON_ID, code: "SAVE10" }];
+      const sort = jest.fn().mockResolvedValue(coupons);
+      const populateProducts = jest.fn().mockReturnValue({ sort });
+      const populateCategories = jest
+        .fn()
+        .mockReturnValue({ populate: populateProducts });
+      const select = jest
+        .fn()
+        .mockReturnValue({ populate: populateCategories });
+      couponModel.find = jest.fn().mockReturnValue({ select });
+
+      await getCouponsController(req, res);
+
+      expect(select).toHaveBeenCalledWith("-redemptions");
+      expect(populateCategories).toHaveBeenCalledWith("categories", "name");
+      expect(populateProducts).toHaveBeenCalledWith("products", "name");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, coupons });
+    });
+
+    it("should fail with 500 when the query fails", async () => {
+      couponModel.find = jest.fn(() => {
+        throw new Error("Database error");
+      });
+
+      await getCouponsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("createCouponController", () => {
+    let saved;
+
+    beforeEach(() => {
+      saved = null;
+      couponModel.exists = jest.fn().mockResolvedValue(null);
+      couponModel.mockImplementation(function (fields) {
+        saved = fields;
+        this.save = jest.fn().mockResolvedValue({ _id: COUPON_ID, ...fields });
+      });
+    });
+
+    it("should create a coupon from the form fields", async () => {
+      req.body = validBody;
+
+      await createCouponController(req, res);
+
+      expect(couponModel.exists).toHaveBeenCalledWith({ code: "SAVE10" });
+      expect(saved).toEqual({
+        code: "SAVE10",
+        type: "percentage",
+        value: 10,
+        minOrder: 50,
+        expiresAt: new Date("2026-12-31"),
+        maxUses: 100,
+        maxUsesPerUser: null,
+        categories: [CATEGORY_ID],
+        products: [],
+        active: true,
+      });
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, message: "Coupon Created" })
+      );
+    });
+
+    it.each([
+      [{ code: "" }, "Code is Required"],
+      [
+        { code: "no spaces" },
+        "Code must be 3 to 30 letters, numbers, dashes or underscores",
+      ],
+      [{ type: "free" }, "Type must be percentage or fixed"],
+      [{ value: "0" }, "Value must be more than 0"],
+      [{ value: "120" }, "Percentage cannot be more than 100"],
+      [{ minOrder: "-1" }, "Minimum order must be 0 or more"],
+      [{ expiresAt: "someday" }, "Expiry must be a valid date"],
+      [{ maxUses: "1.5" }, "Usage limits must be whole numbers of at least 1"],
+      [{ maxUsesPerUser: "0" }, "Usage limits must be whole numbers of at least 1"],
+      [{ products: ["not-an-id"] }, "Invalid category or product"],
+      [{ categories: CATEGORY_ID }, "Invalid category or product"],
+    ])("should reject %p", async (change, message) => {
+      req.body = { ...validBody, ...change };
+
+      await createCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({ success: false, message });
+      expect(couponModel).not.toHaveBeenCalled();
+    });
+
+    it("should allow a fixed amount over 100", async () => {
+      req.body = { ...validBody, type: "fixed", value: "150" };
+
+      await createCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+    });
+
+    it("should refuse a code that already exists", async () => {
+      req.body = validBody;
+      couponModel.exists = jest.fn().mockResolvedValue({ _id: COUPON_ID });
+
+      await createCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Coupon code already exists",
+      });
+    });
+
+    it("should refuse a code created at the same moment", async () => {
+      req.body = validBody;
+      couponModel.mockImplementation(function () {
+        this.save = jest.fn().mockRejectedValue({ code: 11000 });
+      });
+
+      await createCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    it("should fail with 500 when saving fails", async () => {
+      req.body = validBody;
+      couponModel.exists = jest.fn().mockRejectedValue(new Error("Database"));
+
+      await createCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("updateCouponController", () => {
+    beforeEach(() => {
+      req.params = { id: COUPON_ID };
+      req.body = { ...validBody, active: false };
+    });
+
+    it("should update the coupon", async () => {
+      const coupon = { _id: COUPON_ID, code: "SAVE10", active: false };
+      const select = jest.fn().mockResolvedValue(coupon);
+      couponModel.findByIdAndUpdate = jest.fn().mockReturnValue({ select });
+
+      await updateCouponController(req, res);
+
+      expect(couponModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        COUPON_ID,
+        expect.objectContaining({ code: "SAVE10", active: false }),
+        { new: true, runValidators: true }
+      );
+      expect(select).toHaveBeenCalledWith("-redemptions");
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Coupon Updated",
+        coupon,
+      });
+    });
+
+    it("should reject invalid fields", async () => {
+      req.body.type = "free";
+      couponModel.findByIdAndUpdate = jest.fn();
+
+      await updateCouponController(req, res);
+
+      expect(couponModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it("should fail for a coupon that does not exist", async () => {
+      const select = jest.fn().mockResolvedValue(null);
+      couponModel.findByIdAndUpdate = jest.fn().mockReturnValue({ select });
+
+      await updateCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Coupon not found",
+      });
+    });
+
+    it("should refuse a code another coupon has", async () => {
+      const select = jest.fn().mockRejectedValue({ code: 11000 });
+      couponModel.findByIdAndUpdate = jest.fn().mockReturnValue({ select });
+
+      await updateCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+    });
+
+    it("should fail with 500 when the update fails", async () => {
+      couponModel.findByIdAndUpdate = jest.fn(() => {
+        throw new Error("Database error");
+      });
+
+      await updateCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("deleteCouponController", () => {
+    beforeEach(() => {
+      req.params = { id: COUPON_ID };
+    });
+
+    it("should delete the coupon", async () => {
+      couponModel.findByIdAndDelete = jest
+        .fn()
+        .mockResolvedValue({ _id: COUPON_ID });
+
+      await deleteCouponController(req, res);
+
+      expect(couponModel.findByIdAndDelete).toHaveBeenCalledWith(COUPON_ID);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Coupon Deleted",
+      });
+    });
+
+    it("should fail for a coupon that does not exist", async () => {
+      couponModel.findByIdAndDelete = jest.fn().mockResolvedValue(null);
+
+      await deleteCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it("should fail with 500 when deleting fails", async () => {
+      couponModel.findByIdAndDelete = jest
+        .fn()
+        .mockRejectedValue(new Error("Database error"));
+
+      await deleteCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("applyCouponController", () => {
+    const coupon = {
+      code: "SAVE10",
+      type: "percentage",
+      value: 10,
+      active: true,
+      used: 0,
+      redemptions: [],
+    };
+    let populate;
+
+    beforeEach(() => {
+      req.body = {
+        code: "save10",
+        cart: [{ productId: PRODUCT_ID, quantity: 2 }],
+      };
+      populate = jest
+        .fn()
+        .mockResolvedValue([
+          { _id: PRODUCT_ID, name: "Novel", price: 20, category: CATEGORY_ID },
+        ]);
+      const select = jest.fn().mockReturnValue({ populate });
+      productModel.find = jest.fn().mockReturnValue({ select });
+      findCoupon.mockResolvedValue(coupon);
+    });
+
+    it("should send the discount the code gives on the cart", async () => {
+      await applyCouponController(req, res);
+
+      expect(findCoupon).toHaveBeenCalledWith("save10");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Coupon Applied",
+        coupon: { code: "SAVE10", type: "percentage", value: 10 },
+        discount: 4,
+      });
+    });
+
+    it("should apply a category coupon to products of its subcategories", async () => {
+      const PARENT_ID = "66db427fdb0119d9234b2701";
+      findCoupon.mockResolvedValue({ ...coupon, categories: [PARENT_ID] });
+      populate.mockResolvedValue([
+        {
+          _id: PRODUCT_ID,
+          name: "Novel",
+          price: 20,
+          category: { _id: CATEGORY_ID, ancestors: [{ _id: PARENT_ID }] },
+        },
+      ]);
+
+      await applyCouponController(req, res);
+
+      expect(populate).toHaveBeenCalledWith("category", "ancestors");
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ success: true, discount: 4 })
+      );
+    });
+
+    it("should explain why a code cannot be used", async () => {
+      findCoupon.mockResolvedValue({ ...coupon, minOrder: 100 });
+
+      await applyCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Order must be at least $100.00 to use this coupon",
+      });
+    });
+
+    it("should require a code and a cart", async () => {
+      req.body.code = " ";
+      await applyCouponController(req, res);
+      expect(res.send).toHaveBeenLastCalledWith({
+        success: false,
+        message: "Code is Required",
+      });
+
+      req.body = { code: "SAVE10", cart: [] };
+      await applyCouponController(req, res);
+      expect(res.send).toHaveBeenLastCalledWith({
+        success: false,
+        message: "Cart is empty",
+      });
+      expect(findCoupon).not.toHaveBeenCalled();
+    });
+
+    it("should refuse carts with products that are gone", async () => {
+      req.body.cart.push({
+        productId: "66db427fdb0119d9234b2700",
+        quantity: 1,
+      });
+
+      await applyCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Some products in your cart are no longer available",
+        missing: ["66db427fdb0119d9234b2700"],
+      });
+    });
+
+    it("should fail with 500 when the lookup fails", async () => {
+      findCoupon.mockRejectedValue(new Error("Database error"));
+
+      await applyCouponController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -1,22 +1,150 @@
+const payment = require("../config/payment.js");
+const storage = require("../config/storage.js");
 const categoryModel = require("../models/categoryModel.js");
 const orderModel = require("../models/orderModel.js");
 const productModel = require("../models/productModel.js");
+const {
+  claimCheckout,
+  completeCheckout,
+  isCheckoutKey,
+  recordCharge,
+  releaseCheckout,
+} = require("../helpers/checkoutHelper.js");
+const {
+  couponDiscount,
+  findCoupon,
+  redeemCoupon,
+  releaseCoupon,
+} = require("../helpers/couponHelper.js");
+const {
+  catalogFilter,
+  catalogSort,
+  facetFilters,
+  priceBoundaries,
+  priceHistogram,
+  productSort,
+} = require("../helpers/catalogHelper.js");
+const {
+  SIBLING_ORDER,
+  subtreeCounts,
+  subtreeIds,
+  withSubcategories,
+} = require("../helpers/categoryHelper.js");
+const {
+  afterCursor,
+  cursorPage,
+  invalidCursor,
+} = require("../helpers/cursorHelper.js");
+const { parseImages, primaryIndex } = require("../helpers/imageHelper.js");
+const {
+  PHOTO_WIDTHS,
+  createResizeCache,
+  isFresh,
+  parseWidth,
+  photoHeaders,
+  photoUrl,
+} = require("../helpers/photoHelper.js");
+const { pageParams } = require("../helpers/paginationHelper.js");
+const {
+  SHIPPING_FEE,
+  TAX_RATE,
+  priceOrder,
+} = require("../helpers/pricingHelper.js");
+const {
+  MAX_SUGGEST_LENGTH,
+  searchText,
+  wordStartPattern,
+} = require("../helpers/searchHelper.js");
+const { findVariant, parseVariants } = require("../helpers/variantHelper.js");
+const {
+  releaseStock,
+  reserveStock,
+  stockErrors,
+} = require("../helpers/inventoryHelper.js");
 
-const braintree = require("braintree");
 const dotenv = require("dotenv");
 const fs = require("fs");
+const mongoose = require("mongoose");
 const slugify = require("slugify");
 
 dotenv.config();
 
-//payment gateway
-var gateway = new braintree.BraintreeGateway({
-  environment: braintree.Environment.Sandbox,
-  merchantId: process.env.BRAINTREE_MERCHANT_ID,
-  publicKey: process.env.BRAINTREE_PUBLIC_KEY,
-  privateKey: process.env.BRAINTREE_PRIVATE_KEY,
+//name of a category, copied onto its products for search
+const categoryNameOf = async (id) => (await categoryModel.findById(id))?.name;
+
+//save an uploaded file to the file store, as the reference kept on products
+const storeFile = async (file) => ({
+  key: await storage.save(await fs.promises.readFile(file.path), file.type),
+  contentType: file.type,
 });
 
+//keys of every file a product points at
+const fileKeys = (product) =>
+  [
+    product.photo?.key,
+    ...(product.images || []).map((image) => image.key),
+    ...(product.variants || []).map((variant) => variant.photo?.key),
+  ].filter(Boolean);
+
+//what the photo urls of a product show: its files in order and which image
+//is the main photo
+const photoLayout = (product) =>
+  JSON.stringify([fileKeys(product), primaryIndex(product.images)]);
+
+//delete the files of `keys` that `product` no longer points at; a file left
+//behind only takes up space, so failures are just logged
+const removeFiles = (keys, product = {}) => {
+  const kept = fileKeys(product);
+  return Promise.all(
+    keys
+      .filter((key) => !kept.includes(key))
+      .map((key) => storage.remove(key).catch((error) => console.log(error)))
+  );
+};
+
+//variant photos come as files named variantPhoto<index of the variant>
+const variantPhotos = (files) =>
+  Object.keys(files)
+    .filter((key) => /^variantPhoto\d+$/.test(key))
+    .map((key) => files[key]);
+
+//replace the variants of a product when the form sent them; a variant sent
+//without a new photo keeps the one it had, and the product stock becomes the
+//sum of the variant stock
+const setVariants = async (product, variants, files, previous = []) => {
+  if (!variants) return;
+  product.variants = await Promise.all(
+    variants.map(async (variant, index) => {
+      const file = files[`variantPhoto${index}`];
+      const old = previous.find((v) => String(v._id) === String(variant._id));
+      const photo = file ? await storeFile(file) : old?.photo?.key && old.photo;
+      return photo ? { ...variant, photo } : variant;
+    })
+  );
+  if (variants.length) {
+    product.quantity = variants.reduce((sum, v) => sum + v.quantity, 0);
+  }
+};
+
+//replace the gallery when the form sent it; a gallery replaces the single
+//photo of older products
+const setImages = async (product, entries) => {
+  if (!entries) return;
+  product.images = await Promise.all(
+    entries.map(async ({ stored, file, primary }) =>
+      file
+        ? { ...(await storeFile(file)), primary }
+        : {
+            _id: stored._id,
+            key: stored.key,
+            contentType: stored.contentType,
+            primary,
+          }
+    )
+  );
+  if (entries.length) product.photo = undefined;
+};
+
 const createProductController = async (req, res) => {
   try {
     const { name, description, price, category, quantity, shipping } =
@@ -38,14 +166,27 @@ const createProductController = async (req, res) => {
         return res
           .status(500)
           .send({ error: "Photo is required and should be less then 1mb" });
+      case variantPhotos(req.files).some((file) => file.size > 1000000):
+        return res
+          .status(500)
+          .send({ error: "Variant photos should be less then 1mb" });
     }
+    const { variants, message } = parseVariants(req.fields.variants);
+    if (message) return res.status(400).send({ error: message });
+    const images = parseImages(req.fields.images, req.files);
+    if (images.message) return res.status(400).send({ error: images.message });
 
-    const products = new productModel({ ...req.fields, slug: slugify(name) });
-    if (photo) {
-      products.photo = products.photo || {};
-      products.photo.data = fs.readFileSync(photo.path);
-      products.photo.contentType = photo.type;
-    }
+    const products = new productModel({
+      ...req.fields,
+      variants: undefined,
+      images: undefined,
+      slug: slugify(name),
+      categoryName: await categoryNameOf(category),
+    });
+    if (photo) products.photo = await storeFile(photo);
+    await setVariants(products, variants, req.files);
+    await setImages(products, images.entries);
+    products.photosUpdatedAt = new Date();
     await products.save();
     res.status(201).send({
       success: true,
@@ -108,14 +249,105 @@ const getSingleProductController = async (req, res) => {
   }
 };
 
-// get photo
+const photoNotFound = (res) =>
+  res.status(404).send({
+    success: false,
+    message: "Photo not found",
+  });
+
+//resized copies of photos, kept between requests
+const resizedPhoto = createResizeCache();
+
+//send a photo of a product, resized when ?w= asks for it. Browsers revalidate
+//it with the ETag or Last-Modified they were sent, and may keep it for good
+//when the url carries the photos version (?v=)
+const sendPhoto = async (req, res, product, photo, width) => {
+  if (!photo?.key) return photoNotFound(res);
+  const versioned = req.query.v !== undefined;
+  const headers = photoHeaders(product, photo, width, versioned);
+  if (isFresh(req.headers, headers)) {
+    res.set(headers);
+    return res.status(304).end();
+  }
+  const data = width
+    ? await resizedPhoto(photo, width, (key) => storage.read(key))
+    : await storage.read(photo.key);
+  if (!data) return photoNotFound(res);
+  res.set(headers);
+  res.set("Content-type", photo.contentType);
+  res.status(200).send(data);
+};
+
+//a ?w= that is not one of the photo widths
+const invalidWidth = (res) =>
+  res.status(400).send({
+    success: false,
+    message: `Width must be one of ${PHOTO_WIDTHS.join(", ")}`,
+  });
+
+// get photo, the primary image of the gallery if the product has one
 const productPhotoController = async (req, res) => {
   try {
-    const product = await productModel.findById(req.params.pid).select("photo");
-    if (product.photo.data) {
-      res.set("Content-type", product.photo.contentType);
-      return res.status(200).send(product.photo.data);
-    }
+    const { pid } = req.params;
+    const width = parseWidth(req.query.w);
+    if (width === null) return invalidWidth(res);
+    const product = mongoose.isValidObjectId(pid)
+      ? await productModel
+          .findById(pid)
+          .select("photo images photosUpdatedAt updatedAt")
+      : null;
+    if (!product) return photoNotFound(res);
+    const photo = product.images?.length
+      ? product.images[primaryIndex(product.images)]
+      : product.photo;
+    await sendPhoto(req, res, product, photo, width);
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting photo",
+      error,
+    });
+  }
+};
+
+// get one image of the gallery by its position
+const productImageController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    const index = Number(req.params.index);
+    const width = parseWidth(req.query.w);
+    if (width === null) return invalidWidth(res);
+    const product = mongoose.isValidObjectId(pid)
+      ? await productModel
+          .findById(pid)
+          .select("images photosUpdatedAt updatedAt")
+      : null;
+    const image = Number.isInteger(index) && product?.images?.[index];
+    await sendPhoto(req, res, product, image, width);
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting photo",
+      error,
+    });
+  }
+};
+
+// get the photo of a variant
+const variantPhotoController = async (req, res) => {
+  try {
+    const { pid, vid } = req.params;
+    const width = parseWidth(req.query.w);
+    if (width === null) return invalidWidth(res);
+    const product = mongoose.isValidObjectId(pid)
+      ? await productModel
+          .findById(pid)
+          .select("variants photosUpdatedAt updatedAt")
+      : null;
+    const variant = product && findVariant(product, vid);
+    await sendPhoto(req, res, product, variant?.photo, width);
   } catch (error) {
     console.log(error);
     res.status(500).send({
@@ -129,7 +361,8 @@ const productPhotoController = async (req, res) => {
 //delete controller
 const deleteProductController = async (req, res) => {
   try {
-    await productModel.findByIdAndDelete(req.params.pid);
+    const product = await productModel.findByIdAndDelete(req.params.pid);
+    if (product) await removeFiles(fileKeys(product));
     res.status(200).send({
       success: true,
       message: "Product Deleted successfully",
@@ -166,19 +399,50 @@ const updateProductController = async (req, res) => {
         return res
           .status(500)
           .send({ error: "Photo is required and should be less then 1mb" });
+      case variantPhotos(req.files).some((file) => file.size > 1000000):
+        return res
+          .status(500)
+          .send({ error: "Variant photos should be less then 1mb" });
     }
+    const { variants, message } = parseVariants(req.fields.variants);
+    if (message) return res.status(400).send({ error: message });
+
+    //photos of the variants and images kept are carried over from the stored
+    //ones
+    const stored =
+      variants || req.fields.images !== undefined
+        ? await productModel.findById(req.params.pid).select("variants images")
+        : null;
+    const images = parseImages(req.fields.images, req.files, stored?.images);
+    if (images.message) return res.status(400).send({ error: images.message });
 
     const products = await productModel.findByIdAndUpdate(
       req.params.pid,
-      { ...req.fields, slug: slugify(name) },
+      {
+        ...req.fields,
+        variants: undefined,
+        images: undefined,
+        slug: slugify(name),
+        categoryName: await categoryNameOf(category),
+      },
       { new: true }
     );
-    if (photo) {
-      products.photo = products.photo || {};
-      products.photo.data = fs.readFileSync(photo.path);
-      products.photo.contentType = photo.type;
+    if (!products) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
     }
+    const before = fileKeys(products);
+    const layout = photoLayout(products);
+    if (photo) products.photo = await storeFile(photo);
+    await setVariants(products, variants, req.files, stored?.variants);
+    await setImages(products, images.entries);
+    if (photoLayout(products) !== layout) products.photosUpdatedAt = new Date();
     await products.save();
+    //files of replaced or removed photos go once the product no longer
+    //points at them
+    await removeFiles(before, products);
     res.status(201).send({
       success: true,
       message: "Product Updated Successfully",
@@ -197,11 +461,11 @@ const updateProductController = async (req, res) => {
 // filters
 const productFiltersController = async (req, res) => {
   try {
-    const { checked, radio } = req.body;
+    const { checked, radio, sort } = req.body;
     let args = {};
     if (checked.length > 0) args.category = checked;
     if (radio.length) args.price = { $gte: radio[0], $lte: radio[1] };
-    const products = await productModel.find(args);
+    const products = await productModel.find(args).sort(productSort(sort));
     res.status(200).send({
       success: true,
       products,
@@ -234,20 +498,23 @@ const productCountController = async (req, res) => {
   }
 };
 
-// product list base on page
+// product list, a page at a time after ?cursor=
 const productListController = async (req, res) => {
   try {
     const perPage = 6;
-    const page = req.params.page ? req.params.page : 1;
-    const products = await productModel
-      .find({})
+    const sort = productSort(req.query.sort);
+    const after = afterCursor(req.query.cursor, sort);
+    if (!after) return invalidCursor(res);
+    const found = await productModel
+      .find(after)
       .select("-photo")
-      .skip((page - 1) * perPage)
-      .limit(perPage)
-      .sort({ createdAt: -1 });
+      .sort(sort)
+      .limit(perPage + 1);
+    const { items, nextCursor } = cursorPage(found, perPage, sort);
     res.status(200).send({
       success: true,
-      products,
+      products: items,
+      nextCursor,
     });
   } catch (error) {
     console.log(error);
@@ -259,19 +526,146 @@ const productListController = async (req, res) => {
   }
 };
 
-// search product
+//one page of the catalog, filtered by category, price, stock, shipping and
+//keyword and in the order asked for, with the total of what matches. The
+//next page is the one after nextCursor, or ?page= for best matches, which
+//have no value to carry on from
+const productCatalogController = async (req, res) => {
+  try {
+    //a category also stands for the categories under it
+    const filter = catalogFilter(await withSubcategories(req.query));
+    const { page, limit } = pageParams(req.query);
+    const sort = catalogSort(filter, req.query.sort);
+    const keyset = !sort.score;
+    const after = keyset ? afterCursor(req.query.cursor, sort) : {};
+    if (!after) return invalidCursor(res);
+    const skip = keyset && req.query.cursor ? 0 : (page - 1) * limit;
+    const projection = filter.$text ? { score: { $meta: "textScore" } } : {};
+    //the catalog filter has no $or of its own for the cursor to replace
+    const [found, total] = await Promise.all([
+      productModel
+        .find({ ...filter, ...after }, projection)
+        .select("-photo")
+        .sort(sort)
+        .skip(skip)
+        .limit(limit + 1),
+      productModel.countDocuments(filter),
+    ]);
+    const { items, nextCursor } = cursorPage(found, limit, sort);
+    res.status(200).send({
+      success: true,
+      products: items,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+      nextCursor: keyset ? nextCursor : null,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting products",
+      error,
+    });
+  }
+};
+
+// product counts per category and a price histogram for the catalog query;
+// each facet is counted without its own filter
+const productFacetsController = async (req, res) => {
+  try {
+    const filters = facetFilters(await withSubcategories(req.query));
+    const [counts, [range], allCategories] = await Promise.all([
+      productModel.aggregate([
+        { $match: filters.category },
+        { $group: { _id: "$category", count: { $sum: 1 } } },
+      ]),
+      productModel.aggregate([
+        { $match: filters.price },
+        {
+          $group: {
+            _id: null,
+            min: { $min: "$price" },
+            max: { $max: "$price" },
+          },
+        },
+      ]),
+      categoryModel.find({}).select("ancestors"),
+    ]);
+    let buckets = [];
+    if (range) {
+      const boundaries = priceBoundaries(range.min, range.max);
+      const found = await productModel.aggregate([
+        { $match: filters.price },
+        {
+          $bucket: {
+            groupBy: "$price",
+            boundaries,
+            output: { count: { $sum: 1 } },
+          },
+        },
+      ]);
+      buckets = priceHistogram(boundaries, found);
+    }
+    res.status(200).send({
+      success: true,
+      //a category counts the products of its subcategories too
+      categories: subtreeCounts(counts, allCategories),
+      price: {
+        min: range ? range.min : null,
+        max: range ? range.max : null,
+        buckets,
+      },
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting product facets",
+      error,
+    });
+  }
+};
+
+// search product, a page of matches at a time
 const searchProductController = async (req, res) => {
   try {
-    const { keyword } = req.params;
-    const resutls = await productModel
-      .find({
-        $or: [
-          { name: { $regex: keyword, $options: "i" } },
-          { description: { $regex: keyword, $options: "i" } },
-        ],
-      })
-      .select("-photo");
-    res.json(resutls);
+    const text = searchText(req.params.keyword);
+    const { page, limit } = pageParams(req.query);
+    if (!text) {
+      return res.status(200).send({
+        success: true,
+        products: [],
+        total: 0,
+        page,
+        pages: 0,
+      });
+    }
+    //best matches first, by the text index on name, category and description,
+    //unless another ?sort= is asked for
+    const filter = { $text: { $search: text } };
+    const score = { $meta: "textScore" };
+    const sort = req.query.sort;
+    const [products, total] = await Promise.all([
+      productModel
+        .find(filter, { score })
+        .select("-photo")
+        .sort(
+          !sort || sort === "relevance"
+            ? { score, createdAt: -1 }
+            : productSort(sort)
+        )
+        .skip((page - 1) * limit)
+        .limit(limit),
+      productModel.countDocuments(filter),
+    ]);
+    res.status(200).send({
+      success: true,
+      products,
+      total,
+      page,
+      pages: Math.ceil(total / limit),
+    });
   } catch (error) {
     console.log(error);
     res.status(400).send({
@@ -282,6 +676,53 @@ const searchProductController = async (req, res) => {
   }
 };
 
+//products and categories whose names have a word starting with ?q=, for the
+//search box; only what the suggestions show is sent
+const suggestProductController = async (req, res) => {
+  try {
+    const q = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (q.length < 2) {
+      return res.status(200).send({
+        success: true,
+        products: [],
+        categories: [],
+      });
+    }
+    const name = {
+      $regex: wordStartPattern(q.slice(0, MAX_SUGGEST_LENGTH)),
+      $options: "i",
+    };
+    const [products, categories] = await Promise.all([
+      productModel
+        .find({ name })
+        .select("name slug photosUpdatedAt")
+        .sort({ name: 1 })
+        .limit(5),
+      categoryModel
+        .find({ name })
+        .select("name slug")
+        .sort({ name: 1 })
+        .limit(3),
+    ]);
+    res.status(200).send({
+      success: true,
+      products: products.map((p) => ({
+        name: p.name,
+        slug: p.slug,
+        thumbnail: photoUrl(p, 100),
+      })),
+      categories: categories.map((c) => ({ name: c.name, slug: c.slug })),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting suggestions",
+      error,
+    });
+  }
+};
+
 // similar products
 const relatedProductController = async (req, res) => {
   try {
@@ -330,27 +771,29 @@ const relatedProductController = async (req, res) => {
 //   }
 // };
 
-// NEW: Do one query instead of two
+// products of a category and of every category under it, with the
+// category's own subcategories
 const productCategoryController = async (req, res) => {
   try {
-    const products = await productModel.find().populate({
-      path: "category",
-      match: { slug: req.params.slug },
-    });
-
-    const filteredProducts = products.filter((product) => product.category);
-
-    if (filteredProducts.length === 0) {
+    const category = await categoryModel.findOne({ slug: req.params.slug });
+    if (!category) {
       return res.status(404).send({
         success: false,
-        message: "No products found for this category",
+        message: "Category not found",
       });
     }
-
+    const [ids, subcategories] = await Promise.all([
+      subtreeIds(category),
+      categoryModel.find({ parentCategory: category._id }).sort(SIBLING_ORDER),
+    ]);
+    const products = await productModel
+      .find({ category: { $in: ids } })
+      .populate("category");
     res.status(200).send({
       success: true,
-      products: filteredProducts,
-      category: filteredProducts[0].category,
+      products,
+      category,
+      subcategories,
     });
   } catch (error) {
     console.error(error);
@@ -362,53 +805,213 @@ const productCategoryController = async (req, res) => {
   }
 };
 
+//shipping fee and tax rate, so the cart page can show the total checkout
+//will charge
+const pricingController = (req, res) => {
+  res.status(200).send({
+    success: true,
+    shippingFee: SHIPPING_FEE,
+    taxRate: TAX_RATE,
+  });
+};
+
 //payment gateway api
-//token
+//token, with the provider name so the cart page knows which drop-in to show
 const braintreeTokenController = async (req, res) => {
   try {
-    gateway.clientToken.generate({}, function (err, response) {
-      if (err) {
-        res.status(500).send(err);
-      } else {
-        res.send(response);
-      }
-    });
+    const clientToken = await payment.clientToken();
+    res.send({ success: true, clientToken, provider: payment.name });
   } catch (error) {
     console.log(error);
+    res.status(500).send(error);
   }
 };
 
-//payment
+//save the order a charge paid for. Its _id is fixed before the sale, so when
+//a retry and the first attempt both get here, the second one to save gets
+//the order the first saved
+const placeOrder = async (charge, buyer) => {
+  try {
+    return await new orderModel({
+      ...charge,
+      buyer,
+      statusHistory: [{ to: "pending", changedBy: buyer }],
+    }).save();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    return orderModel.findById(charge._id);
+  }
+};
+
+//payment, at most once per idempotency key
 const brainTreePaymentController = async (req, res) => {
+  let checkout, order, charged;
   try {
-    const { nonce, cart } = req.body;
-    let total = 0;
-    cart.map((i) => {
-      total += i.price;
+    const { nonce, cart, idempotencyKey, couponCode } = req.body;
+    if (idempotencyKey !== undefined) {
+      if (!isCheckoutKey(idempotencyKey)) {
+        return res.status(400).send({
+          success: false,
+          message: "Invalid idempotency key",
+        });
+      }
+      const claim = await claimCheckout(req.user._id, idempotencyKey);
+      if (claim.duplicate?.order) {
+        return res.json({ ok: true, order: claim.duplicate.order });
+      }
+      //the first attempt charged the card but placed no order
+      if (claim.duplicate?.charge) {
+        order = await placeOrder(claim.duplicate.charge, req.user._id);
+        await completeCheckout(claim.duplicate, order);
+        return res.json({ ok: true, order });
+      }
+      if (!claim.checkout) {
+        return res.status(409).send({
+          success: false,
+          message: "This payment is already being processed",
+        });
+      }
+      checkout = claim.checkout;
+    }
+
+    if (!Array.isArray(cart) || !cart.length) {
+      return res.status(400).send({
+        success: false,
+        message: "Cart is empty",
+      });
+    }
+    if (!cart.every((i) => Number.isInteger(i.quantity) && i.quantity >= 1)) {
+      return res.status(400).send({
+        success: false,
+        message: "Quantity must be a whole number of at least 1",
+      });
+    }
+
+    //prices always come from the catalogue, never from the request
+    const ids = cart
+      .map((i) => i.productId)
+      .filter((id) => mongoose.isValidObjectId(id));
+    //with the path of each category, for coupons of a parent category
+    const products = await productModel
+      .find({ _id: { $in: ids } })
+      .select("-photo")
+      .populate("category", "ancestors");
+    const priced = priceOrder(cart, products);
+    if (priced.missing.length) {
+      return res.status(400).send({
+        success: false,
+        message: "Some products in your cart are no longer available",
+        missing: priced.missing,
+      });
+    }
+
+    //the discount is worked out from the coupon, never taken from the request
+    let coupon = null;
+    let discount = 0;
+    if (couponCode) {
+      coupon = await findCoupon(couponCode);
+      const result = couponDiscount(coupon, {
+        ...priced,
+        products,
+        userId: req.user._id,
+      });
+      if (result.message) {
+        return res.status(400).send({
+          success: false,
+          message: result.message,
+        });
+      }
+      discount = result.discount;
+    }
+    //priced again so tax is charged on the discounted amount
+    const { items, missing, ...totals } = priceOrder(cart, products, {
+      discount,
     });
-    let newTransaction = gateway.transaction.sale(
-      {
-        amount: total,
-        paymentMethodNonce: nonce,
-        options: {
-          submitForSettlement: true,
-        },
-      },
-      function (error, result) {
-        if (result) {
-          const order = new orderModel({
-            products: cart,
-            payment: result,
-            buyer: req.user._id,
-          }).save();
-          res.json({ ok: true });
-        } else {
-          res.status(500).send(error);
-        }
+
+    //hold the stock before charging so two buyers cannot take the last unit
+    const short = await reserveStock(items);
+    if (short.length) {
+      return res.status(409).send({
+        success: false,
+        message: "Some products in your cart do not have enough stock",
+        errors: stockErrors(short, products),
+      });
+    }
+
+    //take a use of the coupon, checked again here as other orders may have
+    //used it up since it was priced
+    let redemption = null;
+    if (coupon) {
+      redemption = await redeemCoupon(coupon, req.user._id);
+      if (!redemption) {
+        await releaseStock(items);
+        return res.status(409).send({
+          success: false,
+          message: "Coupon usage limit reached",
+        });
       }
-    );
+    }
+    //what the coupon holds back if the payment does not go through
+    const releaseAll = () =>
+      Promise.all([
+        releaseStock(items),
+        redemption && releaseCoupon(coupon, redemption),
+      ]);
+
+    //the stock goes back if the charge could not be attempted
+    let result;
+    try {
+      result = await payment.sale({ amount: totals.total, nonce });
+    } catch (error) {
+      releaseAll().catch((err) => console.log(err));
+      throw error;
+    }
+    //a declined payment is kept as a failed order, its stock goes back and
+    //the key is freed so the buyer can try again
+    if (!result.success) {
+      const message = result.message || "Payment was declined";
+      let failed;
+      try {
+        failed = await new orderModel({
+          products: items,
+          ...totals,
+          coupon: coupon?.code,
+          payment: { ...result, provider: payment.name },
+          buyer: req.user._id,
+          status: "payment_failed",
+          statusHistory: [
+            { to: "payment_failed", changedBy: req.user._id, note: message },
+          ],
+        }).save();
+      } finally {
+        await releaseAll();
+      }
+      return res.status(402).send({
+        success: false,
+        message,
+        order: failed,
+      });
+    }
+    //the money has moved, so the key is never freed from here on
+    charged = true;
+    const charge = {
+      _id: new mongoose.Types.ObjectId(),
+      products: items,
+      ...totals,
+      coupon: coupon?.code,
+      payment: { ...result, provider: payment.name },
+    };
+    if (checkout) await recordCharge(checkout, charge);
+    order = await placeOrder(charge, req.user._id);
+    if (checkout) await completeCheckout(checkout, order);
+    res.json({ ok: true, order });
   } catch (error) {
     console.log(error);
+    res.status(500).send(error);
+  } finally {
+    if (checkout && !order && !charged) {
+      releaseCheckout(checkout).catch((err) => console.log(err));
+    }
   }
 };
 
@@ -417,14 +1020,20 @@ module.exports = {
   getProductController,
   getSingleProductController,
   productPhotoController,
+  productImageController,
+  variantPhotoController,
   deleteProductController,
   updateProductController,
   productFiltersController,
   productCountController,
   productListController,
+  productCatalogController,
+  productFacetsController,
   searchProductController,
+  suggestProductController,
   relatedProductController,
   productCategoryController,
+  pricingController,
   braintreeTokenController,
   brainTreePaymentController,
 };
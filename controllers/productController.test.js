@@ -1,4 +1,19 @@
 import { expect, jest } from "@jest/globals";
+import mongoose from "mongoose";
+import payment from "../config/payment";
+import storage from "../config/storage";
+import {
+  claimCheckout,
+  completeCheckout,
+  recordCharge,
+  releaseCheckout,
+} from "../helpers/checkoutHelper";
+import {
+  findCoupon,
+  redeemCoupon,
+  releaseCoupon,
+} from "../helpers/couponHelper";
+import { SHIPPING_FEE, TAX_RATE } from "../helpers/pricingHelper";
 import categoryModel from "../models/categoryModel";
 import orderModel from "../models/orderModel";
 import productModel from "../models/productModel";
@@ -7,44 +22,51 @@ import {
   getProductController,
   getSingleProductController,
   productPhotoController,
+  productImageController,
+  variantPhotoController,
   deleteProductController,
   updateProductController,
   productFiltersController,
   productCountController,
   productListController,
+  productCatalogController,
+  productFacetsController,
   searchProductController,
+  suggestProductController,
   relatedProductController,
   productCategoryController,
+  pricingController,
   braintreeTokenController,
   brainTreePaymentController,
 } from "./productController";
 const fs = require("fs");
+const sharp = require("sharp");
 const slugify = require("slugify");
-const braintree = require("braintree");
 
-jest.mock("fs");
+// automocking leaves out fs.promises, which is a getter
+jest.mock("fs", () => ({
+  ...jest.createMockFromModule("fs"),
+  promises: { readFile: jest.fn() },
+}));
 jest.mock("slugify");
-jest.mock('braintree', () => {
-  const mockClientToken = {
-    generate: jest.fn(),
-  };
-  
-  const mockTransaction = {
-    sale: jest.fn(),
-  };
-  
-  const mockGateway = {
-    clientToken: mockClientToken,
-    transaction: mockTransaction,
-  };
-
-  return {
-    Environment: {
-      Sandbox: 'sandbox',
-    },
-    BraintreeGateway: jest.fn(() => mockGateway),
-  };
-});
+jest.mock("../helpers/checkoutHelper", () => ({
+  ...jest.requireActual("../helpers/checkoutHelper"),
+  claimCheckout: jest.fn(),
+  completeCheckout: jest.fn().mockResolvedValue({}),
+  recordCharge: jest.fn().mockResolvedValue({}),
+  releaseCheckout: jest.fn().mockResolvedValue({}),
+}));
+jest.mock("../helpers/couponHelper", () => ({
+  ...jest.requireActual("../helpers/couponHelper"),
+  findCoupon: jest.fn(),
+  redeemCoupon: jest.fn(),
+  releaseCoupon: jest.fn().mockResolvedValue({}),
+}));
+jest.mock("../config/payment.js", () => ({
+  name: "braintree",
+  clientToken: jest.fn(),
+  sale: jest.fn(),
+}));
 
 // Mock the order model
 jest.mock('../models/orderModel', () => {
@@ -82,12 +104,19 @@ function mockResponse() {
   return res;
 }
 jest.mock("../models/productModel");
+jest.mock("../models/categoryModel");
+//saved files are keyed by their content, and read back as "data of <key>"
+jest.mock("../config/storage.js", () => ({
+  save: jest.fn(async (data) => `key-${data}`),
+  read: jest.fn(async (key) => Buffer.from(`data of ${key}`)),
+  remove: jest.fn(async () => {}),
+}));
 
 describe("createProductController test", () => {
   let req, res;
 
   beforeEach(() => {
-    fs.readFileSync.mockReturnValue(Buffer.from("fake image data"));
+    fs.promises.readFile.mockResolvedValue(Buffer.from("fake image data"));
 
     req = {
       fields: {
@@ -145,7 +174,7 @@ describe("createProductController test", () => {
     productModel.prototype.save = jest
       .fn()
       .mockResolvedValue("Product saved successfully");
-    fs.readFileSync.mockReturnValue(Buffer.from("fake image data"));
+    fs.promises.readFile.mockResolvedValue(Buffer.from("fake image data"));
 
     await createProductController(req, res);
 
@@ -158,6 +187,106 @@ describe("createProductController test", () => {
     });
   });
 
+  it("should copy the category name onto the product for search", async () => {
+    productModel.prototype.save = jest.fn().mockResolvedValue({});
+    categoryModel.findById.mockResolvedValueOnce({ name: "Books" });
+
+    await createProductController(req, res);
+
+    expect(categoryModel.findById).toHaveBeenCalledWith("Test Category");
+    expect(productModel).toHaveBeenCalledWith(
+      expect.objectContaining({ categoryName: "Books" })
+    );
+  });
+
+  it("should reject variants that do not validate", async () => {
+    req.fields.variants = JSON.stringify([{ sku: "", quantity: 1 }]);
+
+    await createProductController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      error: "Every variant needs a SKU",
+    });
+  });
+
+  it("should save variants with their photos and total their stock", async () => {
+    productModel.prototype.save = jest.fn().mockResolvedValue({});
+    req.fields.variants = JSON.stringify([
+      { sku: "SH-M", size: "M", quantity: 3 },
+      { sku: "SH-L", size: "L", price: 24, quantity: 4 },
+    ]);
+    req.files.variantPhoto1 = {
+      path: "path/to/large.png",
+      type: "image/png",
+      size: 1000,
+    };
+    fs.promises.readFile.mockResolvedValue(Buffer.from("fake image data"));
+
+    await createProductController(req, res);
+
+    const { products } = res.send.mock.calls[0][0];
+    expect(products.quantity).toBe(7);
+    expect(products.variants).toEqual([
+      { sku: "SH-M", size: "M", colour: "", quantity: 3 },
+      {
+        sku: "SH-L",
+        size: "L",
+        colour: "",
+        price: 24,
+        quantity: 4,
+        photo: { key: "key-fake image data", contentType: "image/png" },
+      },
+    ]);
+    expect(fs.promises.readFile).toHaveBeenCalledWith("path/to/large.png");
+    expect(storage.save).toHaveBeenCalledWith(
+      Buffer.from("fake image data"),
+      "image/png"
+    );
+  });
+
+  it("should save the gallery in the order sent", async () => {
+    productModel.prototype.save = jest.fn().mockResolvedValue({});
+    req.files = {
+      image0: { path: "front.png", type: "image/png", size: 1000 },
+      image1: { path: "back.jpg", type: "image/jpeg", size: 1000 },
+    };
+    req.fields.images = JSON.stringify([
+      { upload: "image1" },
+      { upload: "image0", primary: true },
+    ]);
+    fs.promises.readFile.mockImplementation(async (path) => Buffer.from(path));
+
+    await createProductController(req, res);
+
+    const { products } = res.send.mock.calls[0][0];
+    expect(products.images).toEqual([
+      { key: "key-back.jpg", contentType: "image/jpeg", primary: false },
+      { key: "key-front.png", contentType: "image/png", primary: true },
+    ]);
+    expect(products.photosUpdatedAt).toEqual(expect.any(Date));
+  });
+
+  it("should reject a gallery naming a file that was not sent", async () => {
+    req.fields.images = JSON.stringify([{ upload: "image3" }]);
+
+    await createProductController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({ error: "Unknown image" });
+  });
+
+  it("should reject variant photos over 1MB", async () => {
+    req.files.variantPhoto0 = { path: "big.png", size: 2000000 };
+
+    await createProductController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      error: "Variant photos should be less then 1mb",
+    });
+  });
+
   it("should handle error during product creation", async () => {
     productModel.prototype.save = jest
       .fn()
@@ -291,23 +420,24 @@ describe("getSingleProductController test", () => {
 });
 
 describe("productPhotoController test", () => {
+  const PRODUCT_ID = "66db427fdb0119d9234b27f9";
+  const photosUpdatedAt = new Date("2024-03-01T10:00:00.000Z");
   let req, res;
 
   beforeEach(() => {
-    req = { params: { pid: "12345" } };
+    req = { params: { pid: PRODUCT_ID }, query: {}, headers: {} };
     res = {
       status: jest.fn().mockReturnThis(),
       send: jest.fn(),
       set: jest.fn(),
+      end: jest.fn(),
     };
+    storage.read.mockClear();
   });
 
   it("should return the product photo successfully", async () => {
     const mockProduct = {
-      photo: {
-        data: Buffer.from("mock image data"),
-        contentType: "image/png",
-      },
+      photo: { key: "photo-key", contentType: "image/png" },
     };
 
     productModel.findById.mockReturnValue({
@@ -316,10 +446,28 @@ describe("productPhotoController test", () => {
 
     await productPhotoController(req, res);
 
-    expect(productModel.findById).toHaveBeenCalledWith("12345");
+    expect(productModel.findById).toHaveBeenCalledWith(PRODUCT_ID);
+    expect(storage.read).toHaveBeenCalledWith("photo-key");
     expect(res.set).toHaveBeenCalledWith("Content-type", "image/png");
     expect(res.status).toHaveBeenCalledWith(200);
-    expect(res.send).toHaveBeenCalledWith(mockProduct.photo.data);
+    expect(res.send).toHaveBeenCalledWith(Buffer.from("data of photo-key"));
+  });
+
+  it("should send the primary image of a product with a gallery", async () => {
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({
+        photo: {},
+        images: [
+          { key: "first", contentType: "image/png" },
+          { key: "primary", contentType: "image/webp", primary: true },
+        ],
+      }),
+    });
+
+    await productPhotoController(req, res);
+
+    expect(res.set).toHaveBeenCalledWith("Content-type", "image/webp");
+    expect(res.send).toHaveBeenCalledWith(Buffer.from("data of primary"));
   });
 
   it("should return an error when an exception occurs", async () => {
@@ -339,7 +487,7 @@ describe("productPhotoController test", () => {
     });
   });
 
-  it("should not send a response if photo data does not exist", async () => {
+  it("should return 404 if the product has no photo", async () => {
     const mockProduct = {
       photo: {},
     };
@@ -351,8 +499,296 @@ describe("productPhotoController test", () => {
     await productPhotoController(req, res);
 
     expect(res.set).not.toHaveBeenCalled();
-    expect(res.send).not.toHaveBeenCalled();
-    expect(res.status).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Photo not found",
+    });
+  });
+
+  it("should return 404 for a product that does not exist", async () => {
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue(null),
+    });
+
+    await productPhotoController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it("should return 404 for an invalid product id", async () => {
+    req.params.pid = "12345";
+    productModel.findById.mockClear();
+
+    await productPhotoController(req, res);
+
+    expect(productModel.findById).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it("should return 404 if the file is missing from the store", async () => {
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ photo: { key: "gone" } }),
+    });
+    storage.read.mockResolvedValueOnce(null);
+
+    await productPhotoController(req, res);
+
+    expect(res.set).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  describe("caching", () => {
+    beforeEach(() => {
+      productModel.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          updatedAt: new Date("2024-05-01T10:00:00.000Z"),
+          photosUpdatedAt,
+          photo: { key: "photo-key", contentType: "image/png" },
+        }),
+      });
+    });
+
+    it("should send headers to revalidate the photo with", async () => {
+      await productPhotoController(req, res);
+
+      expect(res.set).toHaveBeenCalledWith({
+        ETag: '"photo-key-full"',
+        "Last-Modified": "Fri, 01 Mar 2024 10:00:00 GMT",
+        "Cache-Control": "public, no-cache",
+      });
+      expect(res.status).toHaveBeenCalledWith(200);
+    });
+
+    it("should let a versioned url be kept for a year", async () => {
+      req.query.v = String(photosUpdatedAt.getTime());
+
+      await productPhotoController(req, res);
+
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({
+          "Cache-Control": "public, max-age=31536000, immutable",
+        })
+      );
+    });
+
+    it("should answer 304 when the browser has the same ETag", async () => {
+      req.headers["if-none-match"] = '"photo-key-full"';
+
+      await productPhotoController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(304);
+      expect(res.end).toHaveBeenCalled();
+      expect(res.send).not.toHaveBeenCalled();
+      expect(storage.read).not.toHaveBeenCalled();
+    });
+
+    it("should answer 304 when the photos have not changed since", async () => {
+      req.headers["if-modified-since"] = "Fri, 01 Mar 2024 10:00:00 GMT";
+
+      await productPhotoController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(304);
+    });
+
+    it("should send the photo again once it has changed", async () => {
+      req.headers["if-none-match"] = '"old-key-full"';
+      req.headers["if-modified-since"] = "Fri, 01 Mar 2024 10:00:00 GMT";
+
+      await productPhotoController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith(Buffer.from("data of photo-key"));
+    });
+  });
+
+  describe("resizing", () => {
+    it("should send a copy at the width asked for", async () => {
+      const original = await sharp({
+        create: { width: 800, height: 400, channels: 3, background: "red" },
+      })
+        .png()
+        .toBuffer();
+      productModel.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          photo: { key: "photo-key", contentType: "image/png" },
+        }),
+      });
+      storage.read.mockResolvedValueOnce(original);
+      req.query.w = "300";
+
+      await productPhotoController(req, res);
+
+      const sent = await sharp(res.send.mock.calls[0][0]).metadata();
+      expect(sent).toMatchObject({ width: 300, height: 150, format: "png" });
+      expect(res.set).toHaveBeenCalledWith(
+        expect.objectContaining({ ETag: '"photo-key-300"' })
+      );
+    });
+
+    it("should resize a photo once and send the copy again", async () => {
+      const original = await sharp({
+        create: { width: 800, height: 400, channels: 3, background: "red" },
+      })
+        .png()
+        .toBuffer();
+      productModel.findById.mockReturnValue({
+        select: jest.fn().mockResolvedValue({
+          photo: { key: "cached-key", contentType: "image/png" },
+        }),
+      });
+      storage.read.mockResolvedValueOnce(original);
+      req.query.w = "100";
+
+      await productPhotoController(req, res);
+      await productPhotoController(req, res);
+
+      expect(storage.read).toHaveBeenCalledTimes(1);
+      const [[first], [second]] = res.send.mock.calls;
+      expect(second).toBe(first);
+      expect(await sharp(first).metadata()).toMatchObject({ width: 100 });
+    });
+
+    it("should reject a width that is not offered", async () => {
+      req.query.w = "250";
+      productModel.findById.mockClear();
+
+      await productPhotoController(req, res);
+
+      expect(productModel.findById).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Width must be one of 100, 300, 600, 1200",
+      });
+    });
+  });
+});
+
+describe("productImageController test", () => {
+  const PRODUCT_ID = "66db427fdb0119d9234b27f9";
+  const images = [
+    { key: "front", contentType: "image/png", primary: true },
+    { key: "back", contentType: "image/jpeg" },
+  ];
+  let req, res;
+
+  beforeEach(() => {
+    req = { params: { pid: PRODUCT_ID, index: "1" }, query: {}, headers: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      set: jest.fn(),
+    };
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ images }),
+    });
+  });
+
+  it("should send the image at that position", async () => {
+    await productImageController(req, res);
+
+    expect(productModel.findById).toHaveBeenCalledWith(PRODUCT_ID);
+    expect(res.set).toHaveBeenCalledWith("Content-type", "image/jpeg");
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith(Buffer.from("data of back"));
+  });
+
+  it("should return 404 when the file is missing from the store", async () => {
+    storage.read.mockResolvedValueOnce(null);
+
+    await productImageController(req, res);
+
+    expect(storage.read).toHaveBeenCalledWith("back");
+    expect(res.status).toHaveBeenCalledWith(404);
+  });
+
+  it.each(["2", "-1", "1.5", "first"])(
+    "should return 404 for position %s",
+    async (index) => {
+      req.params.index = index;
+
+      await productImageController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Photo not found",
+      });
+    }
+  );
+
+  it("should return 500 when the lookup fails", async () => {
+    const error = new Error("Database error");
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockRejectedValue(error),
+    });
+
+    await productImageController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error while getting photo",
+      error,
+    });
+  });
+});
+
+describe("variantPhotoController test", () => {
+  const PRODUCT_ID = "66db427fdb0119d9234b27f9";
+  const VARIANT_ID = "67a2171ea6d9e00ef2ac0301";
+  let req, res;
+
+  beforeEach(() => {
+    req = { params: { pid: PRODUCT_ID, vid: VARIANT_ID }, query: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+      set: jest.fn(),
+    };
+  });
+
+  it("should send the photo of the variant", async () => {
+    const photo = { key: "variant", contentType: "image/png" };
+    productModel.findById.mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue({ variants: [{ _id: VARIANT_ID, photo }] }),
+    });
+
+    await variantPhotoController(req, res);
+
+    expect(productModel.findById).toHaveBeenCalledWith(PRODUCT_ID);
+    expect(res.set).toHaveBeenCalledWith("Content-type", "image/png");
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith(Buffer.from("data of variant"));
+  });
+
+  it("should return 404 when the variant has no photo", async () => {
+    productModel.findById.mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue({ variants: [{ _id: VARIANT_ID, photo: {} }] }),
+    });
+
+    await variantPhotoController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Photo not found",
+    });
+  });
+
+  it("should return 404 for an invalid product id", async () => {
+    req.params.pid = "not-an-id";
+    productModel.findById.mockClear();
+
+    await variantPhotoController(req, res);
+
+    expect(productModel.findById).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
   });
 });
 
@@ -386,6 +822,7 @@ describe("deleteProductController test", () => {
     await deleteProductController(req, res);
 
     expect(productModel.findByIdAndDelete).toHaveBeenCalledWith("12345");
+    expect(storage.remove).not.toHaveBeenCalled();
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.send).toHaveBeenCalledWith({
       success: true,
@@ -393,6 +830,37 @@ describe("deleteProductController test", () => {
     });
   });
 
+  it("should delete the photos of the product from the store", async () => {
+    productModel.findByIdAndDelete.mockResolvedValue({
+      photo: { key: "photo" },
+      images: [{ key: "front" }, { key: "back" }],
+      variants: [{ sku: "SH-M" }, { sku: "SH-L", photo: { key: "large" } }],
+    });
+
+    await deleteProductController(req, res);
+
+    expect(storage.remove.mock.calls).toEqual([
+      ["photo"],
+      ["front"],
+      ["back"],
+      ["large"],
+    ]);
+    expect(res.status).toHaveBeenCalledWith(200);
+  });
+
+  it("should still delete the product when a photo cannot be removed", async () => {
+    const consoleSpy = jest.spyOn(console, "log").mockImplementation(() => {});
+    productModel.findByIdAndDelete.mockResolvedValue({
+      photo: { key: "photo" },
+    });
+    storage.remove.mockRejectedValueOnce(new Error("Disk error"));
+
+    await deleteProductController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    consoleSpy.mockRestore();
+  });
+
   it("should return error if deletion fails", async () => {
     const mockError = new Error("Database error");
     productModel.findByIdAndDelete.mockRejectedValue(mockError);
@@ -451,9 +919,10 @@ describe("updateProductController test", () => {
     };
 
     // Reset the mock implementations
-    fs.readFileSync.mockReset();
+    fs.promises.readFile.mockReset();
     productModel.findByIdAndUpdate.mockReset();
     slugify.mockReset();
+    storage.remove.mockClear();
   });
 
   it("should return error if name is not provided", async () => {
@@ -501,9 +970,9 @@ describe("updateProductController test", () => {
   });
 
   it("should update product and return success response", async () => {
-    const mockProduct = { save: jest.fn() };
+    const mockProduct = { save: jest.fn(), photo: { key: "old-photo" } };
     productModel.findByIdAndUpdate.mockResolvedValue(mockProduct);
-    fs.readFileSync.mockReturnValue("mocked file data");
+    fs.promises.readFile.mockResolvedValue("mocked file data");
     slugify.mockReturnValue("updated-product");
 
     await updateProductController(req, res);
@@ -513,8 +982,14 @@ describe("updateProductController test", () => {
       { ...req.fields, slug: "updated-product" },
       { new: true }
     );
-    expect(fs.readFileSync).toHaveBeenCalledWith("path/to/photo.jpg");
+    expect(fs.promises.readFile).toHaveBeenCalledWith("path/to/photo.jpg");
+    expect(mockProduct.photo).toEqual({
+      key: "key-mocked file data",
+      contentType: "image/jpeg",
+    });
+    expect(mockProduct.photosUpdatedAt).toEqual(expect.any(Date));
     expect(mockProduct.save).toHaveBeenCalled();
+    expect(storage.remove).toHaveBeenCalledWith("old-photo");
     expect(res.status).toHaveBeenCalledWith(201);
     expect(res.send).toHaveBeenCalledWith({
       success: true,
@@ -523,46 +998,157 @@ describe("updateProductController test", () => {
     });
   });
 
-  it("should handle errors and return failure response", async () => {
-    const errorMessage = new Error("Database Error");
-    productModel.findByIdAndUpdate.mockRejectedValue(errorMessage);
+  it("should keep the photos version when no photo changed", async () => {
+    const photosUpdatedAt = new Date("2024-03-01T10:00:00.000Z");
+    const mockProduct = {
+      save: jest.fn(),
+      photo: { key: "old-photo" },
+      photosUpdatedAt,
+    };
+    productModel.findByIdAndUpdate.mockResolvedValue(mockProduct);
+    slugify.mockReturnValue("updated-product");
+    delete req.files.photo;
 
     await updateProductController(req, res);
 
-    expect(res.status).toHaveBeenCalledWith(500);
+    expect(mockProduct.photosUpdatedAt).toBe(photosUpdatedAt);
+    expect(mockProduct.save).toHaveBeenCalled();
+  });
+
+  it("should return 404 when there is no product to update", async () => {
+    productModel.findByIdAndUpdate.mockResolvedValue(null);
+    slugify.mockReturnValue("updated-product");
+
+    await updateProductController(req, res);
+
+    expect(fs.promises.readFile).not.toHaveBeenCalled();
+    expect(storage.remove).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
     expect(res.send).toHaveBeenCalledWith({
       success: false,
-      error: errorMessage,
-      message: "Error in Update product",
+      message: "Product not found",
     });
   });
-});
 
-describe("productFiltersController test", () => {
-  let req, res;
+  it("should keep the photo of a variant sent without a new one", async () => {
+    const VARIANT_ID = "67a2171ea6d9e00ef2ac0301";
+    const photo = { key: "old-photo", contentType: "image/png" };
+    const mockProduct = { save: jest.fn() };
+    productModel.findById.mockReturnValue({
+      select: jest
+        .fn()
+        .mockResolvedValue({ variants: [{ _id: VARIANT_ID, photo }] }),
+    });
+    productModel.findByIdAndUpdate.mockResolvedValue(mockProduct);
+    slugify.mockReturnValue("updated-product");
+    req.fields.variants = JSON.stringify([
+      { _id: VARIANT_ID, sku: "SH-M", quantity: 2 },
+    ]);
 
-  beforeEach(() => {
-    req = {
-      body: {
-        checked: ["Electronics"],
-        radio: [10, 50],
-      },
-    };
+    await updateProductController(req, res);
 
-    res = {
-      status: jest.fn().mockReturnThis(),
-      send: jest.fn(),
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(
+      "1",
+      { ...req.fields, variants: undefined, slug: "updated-product" },
+      { new: true }
+    );
+    expect(mockProduct.variants).toEqual([
+      {
+        _id: VARIANT_ID,
+        sku: "SH-M",
+        size: "",
+        colour: "",
+        quantity: 2,
+        photo,
+      },
+    ]);
+    expect(mockProduct.quantity).toBe(2);
+    expect(storage.remove).not.toHaveBeenCalledWith("old-photo");
+  });
+
+  it("should keep, reorder and delete stored gallery images", async () => {
+    const FRONT = "67a2171ea6d9e00ef2ac0401";
+    const BACK = "67a2171ea6d9e00ef2ac0402";
+    const front = {
+      _id: FRONT,
+      key: "front",
+      contentType: "image/png",
+      primary: true,
+    };
+    const images = [front, { _id: BACK, key: "back" }];
+    const mockProduct = { save: jest.fn(), photo: { key: "photo" }, images };
+    productModel.findById.mockReturnValue({
+      select: jest.fn().mockResolvedValue({ variants: [], images }),
+    });
+    productModel.findByIdAndUpdate.mockResolvedValue(mockProduct);
+    delete req.files.photo;
+    req.files.image0 = { path: "side.png", type: "image/png", size: 10 };
+    req.fields.images = JSON.stringify([
+      { upload: "image0", primary: true },
+      { _id: FRONT },
+    ]);
+    fs.promises.readFile.mockResolvedValue(Buffer.from("side"));
+
+    await updateProductController(req, res);
+
+    expect(mockProduct.images).toEqual([
+      { key: "key-side", contentType: "image/png", primary: true },
+      { ...front, primary: false },
+    ]);
+    expect(mockProduct.photo).toBeUndefined();
+    expect(mockProduct.photosUpdatedAt).toEqual(expect.any(Date));
+    expect(mockProduct.save).toHaveBeenCalled();
+    expect(storage.remove.mock.calls).toEqual([["photo"], ["back"]]);
+  });
+
+  it("should handle errors and return failure response", async () => {
+    const errorMessage = new Error("Database Error");
+    productModel.findByIdAndUpdate.mockRejectedValue(errorMessage);
+
+    await updateProductController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      error: errorMessage,
+      message: "Error in Update product",
+    });
+  });
+});
+
+describe("productFiltersController test", () => {
+  let req, res;
+
+  beforeEach(() => {
+    req = {
+      body: {
+        checked: ["Electronics"],
+        radio: [10, 50],
+      },
+    };
+
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
     };
 
     productModel.find.mockReset();
   });
 
+  // find(...).sort(...) resolving to the products, or failing with error
+  const mockFind = (products, error) =>
+    productModel.find.mockReturnValue({
+      sort: error
+        ? jest.fn().mockRejectedValue(error)
+        : jest.fn().mockResolvedValue(products),
+    });
+
   it("should return products filtered by category and price range", async () => {
     const mockProducts = [
       { name: "Product 1", category: "Electronics", price: 30 },
       { name: "Product 2", category: "Electronics", price: 40 },
     ];
-    productModel.find.mockResolvedValue(mockProducts);
+    mockFind(mockProducts);
 
     await productFiltersController(req, res);
 
@@ -583,7 +1169,7 @@ describe("productFiltersController test", () => {
       { name: "Product 1", category: "Electronics", price: 30 },
       { name: "Product 2", category: "Electronics", price: 40 },
     ];
-    productModel.find.mockResolvedValue(mockProducts);
+    mockFind(mockProducts);
 
     await productFiltersController(req, res);
 
@@ -604,7 +1190,7 @@ describe("productFiltersController test", () => {
       { name: "Product 1", category: "Electronics", price: 30 },
       { name: "Product 2", category: "Clothing", price: 40 },
     ];
-    productModel.find.mockResolvedValue(mockProducts);
+    mockFind(mockProducts);
 
     await productFiltersController(req, res);
 
@@ -616,9 +1202,21 @@ describe("productFiltersController test", () => {
     });
   });
 
+  it("should sort the products as asked, newest first by default", async () => {
+    const query = { sort: jest.fn().mockResolvedValue([]) };
+    productModel.find.mockReturnValue(query);
+
+    await productFiltersController(req, res);
+    req.body.sort = "price-desc";
+    await productFiltersController(req, res);
+
+    expect(query.sort).toHaveBeenNthCalledWith(1, { createdAt: -1, _id: -1 });
+    expect(query.sort).toHaveBeenNthCalledWith(2, { price: -1, _id: -1 });
+  });
+
   it("should return an error if an exception occurs during the filtering process", async () => {
     const errorMessage = new Error("Database Error");
-    productModel.find.mockRejectedValue(errorMessage);
+    mockFind(null, errorMessage);
 
     await productFiltersController(req, res);
 
@@ -687,54 +1285,86 @@ describe("productCountController test", () => {
 });
 
 describe("productListController test", () => {
-  let req, res;
+  let req, res, query;
+
+  // six products a page, newest first
+  const products = Array.from({ length: 7 }, (_, i) => ({
+    _id: new mongoose.Types.ObjectId(),
+    name: `Product ${i + 1}`,
+    createdAt: new Date(2024, 0, 31 - i),
+  }));
 
   beforeEach(() => {
-    req = { params: {} };
+    req = { params: {}, query: {} };
     res = {
       status: jest.fn().mockReturnThis(),
       send: jest.fn(),
     };
+    query = {
+      select: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue(products),
+    };
+    productModel.find.mockClear();
+    productModel.find.mockReturnValue(query);
   });
 
-  it("should return a paginated list of products", async () => {
-    const mockProducts = [
-      { name: "Product 1", price: 10 },
-      { name: "Product 2", price: 20 },
-      { name: "Product 3", price: 30 },
-      { name: "Product 4", price: 40 },
-      { name: "Product 5", price: 50 },
-      { name: "Product 6", price: 60 },
-    ];
+  it("should return the first page and a cursor to the next", async () => {
+    await productListController(req, res);
 
-    productModel.find.mockReturnValue({
-      select: jest.fn().mockReturnThis(),
-      skip: jest.fn().mockReturnThis(),
-      limit: jest.fn().mockReturnThis(),
-      sort: jest.fn().mockResolvedValue(mockProducts),
+    expect(productModel.find).toHaveBeenCalledWith({});
+    expect(query.select).toHaveBeenCalledWith("-photo");
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(query.limit).toHaveBeenCalledWith(7);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: products.slice(0, 6),
+      nextCursor: expect.any(String),
     });
+  });
 
-    req.params.page = 1;
+  it("should return the products after the cursor", async () => {
+    await productListController(req, res);
+    req.query.cursor = res.send.mock.calls[0][0].nextCursor;
+    query.limit.mockResolvedValue(products.slice(6));
 
     await productListController(req, res);
 
-    expect(productModel.find).toHaveBeenCalled();
-    expect(res.status).toHaveBeenCalledWith(200);
-    expect(res.send).toHaveBeenCalledWith({
+    const { createdAt, _id } = products[5];
+    expect(productModel.find).toHaveBeenLastCalledWith({
+      $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: _id } }],
+    });
+    expect(res.send).toHaveBeenLastCalledWith({
       success: true,
-      products: mockProducts,
+      products: products.slice(6),
+      nextCursor: null,
     });
   });
 
-  it("should handle errors and return a failure message", async () => {
-    productModel.find.mockReturnValue({
-      select: jest.fn().mockReturnThis(),
-      skip: jest.fn().mockReturnThis(),
-      limit: jest.fn().mockReturnThis(),
-      sort: jest.fn().mockRejectedValue(new Error("Database error")),
+  it("should sort the list as asked", async () => {
+    req.query.sort = "name";
+
+    await productListController(req, res);
+
+    expect(query.sort).toHaveBeenCalledWith({ name: 1, _id: 1 });
+  });
+
+  it("should refuse a cursor it did not hand out", async () => {
+    req.query.cursor = "page-2";
+
+    await productListController(req, res);
+
+    expect(productModel.find).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Invalid cursor",
     });
+  });
 
-    req.params.page = 1;
+  it("should handle errors and return a failure message", async () => {
+    query.limit.mockRejectedValue(new Error("Database error"));
 
     await productListController(req, res);
 
@@ -747,231 +1377,713 @@ describe("productListController test", () => {
   });
 });
 
-describe("searchProductController test", () => {
-  let req, res;
+describe("productCatalogController test", () => {
+  let req, res, query;
 
   beforeEach(() => {
-    req = { params: {} };
+    req = { query: {} };
     res = {
-      json: jest.fn(),
       status: jest.fn().mockReturnThis(),
       send: jest.fn(),
     };
+    query = {
+      select: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockResolvedValue([]),
+    };
+    productModel.find.mockClear();
+    productModel.find.mockReturnValue(query);
+    productModel.countDocuments.mockClear();
+    categoryModel.find.mockReset();
   });
 
-  it("should return a list of products when keyword matches name or description", async () => {
-    const mockProducts = [
-      { name: "Product 1", description: "Description of product 1" },
-      { name: "Product 2", description: "Description of product 2" },
-    ];
+  it("should return a page of the filtered products with their total", async () => {
+    const mockProducts = [{ name: "Product 1" }, { name: "Product 2" }];
+    query.limit.mockResolvedValue(mockProducts);
+    productModel.countDocuments.mockResolvedValue(26);
+    req.query = {
+      category: "66db427fdb0119d9234b27ef",
+      minPrice: "10",
+      maxPrice: "50",
+      inStock: "true",
+      shipping: "true",
+      sort: "price-asc",
+      page: "2",
+      limit: "10",
+    };
+    const select = jest
+      .fn()
+      .mockResolvedValue([{ _id: "66db427fdb0119d9234b27f0" }]);
+    categoryModel.find.mockReturnValue({ select });
 
-    productModel.find.mockReturnValue({
-      select: jest.fn().mockResolvedValue(mockProducts),
+    await productCatalogController(req, res);
+
+    //the subcategories of the category are matched too
+    expect(categoryModel.find).toHaveBeenCalledWith({
+      "ancestors._id": { $in: ["66db427fdb0119d9234b27ef"] },
     });
+    expect(select).toHaveBeenCalledWith("_id");
+    const filter = {
+      category: {
+        $in: ["66db427fdb0119d9234b27ef", "66db427fdb0119d9234b27f0"],
+      },
+      price: { $gte: 10, $lte: 50 },
+      quantity: { $gt: 0 },
+      shipping: true,
+    };
+    expect(productModel.find).toHaveBeenCalledWith(filter, {});
+    expect(query.select).toHaveBeenCalledWith("-photo");
+    expect(query.sort).toHaveBeenCalledWith({ price: 1, _id: 1 });
+    expect(query.skip).toHaveBeenCalledWith(10);
+    expect(query.limit).toHaveBeenCalledWith(11);
+    expect(productModel.countDocuments).toHaveBeenCalledWith(filter);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: mockProducts,
+      total: 26,
+      page: 2,
+      pages: 3,
+      nextCursor: null,
+    });
+  });
 
-    req.params.keyword = "product";
+  it("should return the newest products first without filters", async () => {
+    productModel.countDocuments.mockResolvedValue(0);
 
-    await searchProductController(req, res);
+    await productCatalogController(req, res);
 
-    expect(productModel.find).toHaveBeenCalledWith({
-      $or: [
-        { name: { $regex: "product", $options: "i" } },
-        { description: { $regex: "product", $options: "i" } },
-      ],
-    });
-    expect(res.json).toHaveBeenCalledWith(mockProducts);
+    expect(productModel.find).toHaveBeenCalledWith({}, {});
+    expect(categoryModel.find).not.toHaveBeenCalled();
+    expect(query.sort).toHaveBeenCalledWith({ createdAt: -1, _id: -1 });
+    expect(query.skip).toHaveBeenCalledWith(0);
+    expect(query.limit).toHaveBeenCalledWith(13);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ total: 0, page: 1, pages: 0 })
+    );
   });
 
-  it("should return an empty list when no products match the search keyword", async () => {
-    const mockProducts = [];
+  it("should put the best matches first for a keyword", async () => {
+    productModel.countDocuments.mockResolvedValue(0);
+    req.query = { keyword: "novel" };
 
-    productModel.find.mockReturnValue({
-      select: jest.fn().mockResolvedValue(mockProducts),
+    await productCatalogController(req, res);
+
+    const score = { $meta: "textScore" };
+    expect(productModel.find).toHaveBeenCalledWith(
+      { $text: { $search: "novel" } },
+      { score }
+    );
+    expect(query.sort).toHaveBeenCalledWith({ score, createdAt: -1 });
+  });
+
+  it("should carry on after the cursor of the last page", async () => {
+    const products = Array.from({ length: 3 }, (_, i) => ({
+      _id: new mongoose.Types.ObjectId(),
+      price: 10 + i,
+    }));
+    query.limit.mockResolvedValue(products);
+    productModel.countDocuments.mockResolvedValue(5);
+    req.query = { inStock: "true", sort: "price-asc", limit: "2" };
+
+    await productCatalogController(req, res);
+    const { nextCursor } = res.send.mock.calls[0][0];
+    req.query.cursor = nextCursor;
+    await productCatalogController(req, res);
+
+    expect(res.send.mock.calls[0][0]).toEqual(
+      expect.objectContaining({ products: products.slice(0, 2) })
+    );
+    const { price, _id } = products[1];
+    expect(productModel.find).toHaveBeenLastCalledWith(
+      {
+        quantity: { $gt: 0 },
+        $or: [{ price: { $gt: price } }, { price, _id: { $gt: _id } }],
+      },
+      {}
+    );
+    expect(query.skip).toHaveBeenLastCalledWith(0);
+    expect(productModel.countDocuments).toHaveBeenLastCalledWith({
+      quantity: { $gt: 0 },
     });
+  });
 
-    req.params.keyword = "nonexistent";
+  it("should page best matches by number only", async () => {
+    query.limit.mockResolvedValue([{ _id: "p1" }, { _id: "p2" }]);
+    productModel.countDocuments.mockResolvedValue(2);
+    req.query = { keyword: "novel", limit: "1", cursor: "ignored" };
 
-    await searchProductController(req, res);
+    await productCatalogController(req, res);
 
-    expect(productModel.find).toHaveBeenCalledWith({
-      $or: [
-        { name: { $regex: "nonexistent", $options: "i" } },
-        { description: { $regex: "nonexistent", $options: "i" } },
-      ],
-    });
-    expect(res.json).toHaveBeenCalledWith(mockProducts);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ products: [{ _id: "p1" }], nextCursor: null })
+    );
   });
 
-  it("should handle errors and return a failure message", async () => {
-    productModel.find.mockReturnValue({
-      select: jest.fn().mockRejectedValue(new Error("Database error")),
+  it("should refuse a cursor it did not hand out", async () => {
+    req.query = { cursor: "page-2" };
+
+    await productCatalogController(req, res);
+
+    expect(productModel.find).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Invalid cursor",
     });
+  });
 
-    req.params.keyword = "product";
+  it("should return 500 when the products cannot be read", async () => {
+    const error = new Error("Database error");
+    query.limit.mockRejectedValue(error);
+    productModel.countDocuments.mockResolvedValue(0);
 
-    await searchProductController(req, res);
+    await productCatalogController(req, res);
 
-    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.status).toHaveBeenCalledWith(500);
     expect(res.send).toHaveBeenCalledWith({
       success: false,
-      message: "Error In Search Product API",
-      error: expect.any(Error),
+      message: "Error while getting products",
+      error,
     });
   });
 });
 
-describe("relatedProductController test", () => {
+describe("productFacetsController test", () => {
   let req, res;
 
   beforeEach(() => {
-    req = { params: {} };
+    req = { query: {} };
     res = {
       status: jest.fn().mockReturnThis(),
       send: jest.fn(),
     };
+    productModel.aggregate = jest.fn();
+    categoryModel.find.mockReset();
+    categoryModel.find.mockReturnValue({
+      select: jest.fn().mockResolvedValue([]),
+    });
   });
 
-  it("should return related products based on category and exclude the current product", async () => {
-    const mockProducts = [
-      { name: "Product 1", category: "Category1" },
-      { name: "Product 2", category: "Category1" },
-      { name: "Product 3", category: "Category1" },
-    ];
-
-    productModel.find.mockReturnValue({
-      select: jest.fn().mockReturnThis(),
-      limit: jest.fn().mockReturnThis(),
-      populate: jest.fn().mockResolvedValue(mockProducts),
+  it("should count the categories and prices of the filtered products", async () => {
+    const books = new mongoose.Types.ObjectId();
+    productModel.aggregate
+      .mockResolvedValueOnce([
+        { _id: books, count: 3 },
+        { _id: null, count: 1 },
+      ])
+      .mockResolvedValueOnce([{ _id: null, min: 4.5, max: 25 }])
+      .mockResolvedValueOnce([
+        { _id: 0, count: 2 },
+        { _id: 25, count: 1 },
+      ]);
+    req.query = { category: String(books), maxPrice: "30", inStock: "true" };
+
+    await productFacetsController(req, res);
+
+    const [categories, range, buckets] = productModel.aggregate.mock.calls;
+    expect(categories[0][0]).toEqual({
+      $match: { price: { $lte: 30 }, quantity: { $gt: 0 } },
     });
-
-    const req = { params: { pid: "123", cid: "Category1" } }; // Simulate a request with pid and cid
-    const res = {
-      status: jest.fn().mockReturnThis(),
-      send: jest.fn(),
+    const priceMatch = {
+      $match: { category: { $in: [books] }, quantity: { $gt: 0 } },
     };
-
-    await relatedProductController(req, res);
-
-    // Assertions
-    expect(productModel.find).toHaveBeenCalledWith({
-      category: "Category1",
-      _id: { $ne: "123" },
-    });
-    expect(res.status).toHaveBeenCalledWith(200); // Check if status is 200 for success
-    expect(res.send).toHaveBeenCalledWith({
+    expect(range[0][0]).toEqual(priceMatch);
+    expect(buckets[0]).toEqual([
+      priceMatch,
+      {
+        $bucket: {
+          groupBy: "$price",
+          boundaries: [0, 5, 10, 15, 20, 25, 30],
+          output: { count: { $sum: 1 } },
+        },
+      },
+    ]);
+    const { price, ...rest } = res.send.mock.calls[0][0];
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(rest).toEqual({
       success: true,
-      products: mockProducts,
+      categories: [{ _id: String(books), count: 3 }],
     });
+    expect(price).toEqual(expect.objectContaining({ min: 4.5, max: 25 }));
+    expect(price.buckets).toEqual([
+      { min: 0, max: 5, count: 2 },
+      { min: 5, max: 10, count: 0 },
+      { min: 10, max: 15, count: 0 },
+      { min: 15, max: 20, count: 0 },
+      { min: 20, max: 25, count: 0 },
+      { min: 25, max: 30, count: 1 },
+    ]);
   });
 
-  it("should return an empty list when no related products are found", async () => {
-    const mockProducts = [];
-
-    productModel.find.mockReturnValue({
-      select: jest.fn().mockReturnThis(),
-      limit: jest.fn().mockReturnThis(),
-      populate: jest.fn().mockResolvedValue(mockProducts),
+  it("should count and match the subcategories of a category", async () => {
+    const books = new mongoose.Types.ObjectId();
+    const fiction = new mongoose.Types.ObjectId();
+    const novels = new mongoose.Types.ObjectId();
+    const tree = [
+      { _id: books, ancestors: [] },
+      { _id: fiction, ancestors: [{ _id: books }] },
+      { _id: novels, ancestors: [{ _id: books }, { _id: fiction }] },
+    ];
+    categoryModel.find.mockImplementation((filter) => ({
+      select: jest
+        .fn()
+        .mockResolvedValue(
+          filter["ancestors._id"] ? [{ _id: fiction }, { _id: novels }] : tree
+        ),
+    }));
+    productModel.aggregate
+      .mockResolvedValueOnce([
+        { _id: books, count: 1 },
+        { _id: fiction, count: 2 },
+        { _id: novels, count: 4 },
+      ])
+      .mockResolvedValueOnce([]);
+    req.query = { category: String(books) };
+
+    await productFacetsController(req, res);
+
+    expect(productModel.aggregate.mock.calls[1][0][0]).toEqual({
+      $match: { category: { $in: [books, fiction, novels] } },
     });
+    expect(res.send.mock.calls[0][0].categories).toEqual([
+      { _id: String(books), count: 7 },
+      { _id: String(fiction), count: 6 },
+      { _id: String(novels), count: 4 },
+    ]);
+  });
 
-    req.params = { pid: "123", cid: "Category1" };
+  it("should return no price range when nothing matches", async () => {
+    productModel.aggregate.mockResolvedValue([]);
+    req.query = { keyword: "nothing" };
 
-    await relatedProductController(req, res);
+    await productFacetsController(req, res);
 
-    expect(productModel.find).toHaveBeenCalledWith({
-      category: "Category1",
-      _id: { $ne: "123" },
+    expect(productModel.aggregate).toHaveBeenCalledTimes(2);
+    expect(productModel.aggregate.mock.calls[0][0][0]).toEqual({
+      $match: { $text: { $search: "nothing" } },
     });
-    expect(res.status).toHaveBeenCalledWith(200);
     expect(res.send).toHaveBeenCalledWith({
       success: true,
-      products: mockProducts,
+      categories: [],
+      price: { min: null, max: null, buckets: [] },
     });
   });
 
-  it("should handle errors and return a failure message", async () => {
-    productModel.find.mockReturnValue({
-      select: jest.fn().mockReturnThis(),
-      limit: jest.fn().mockReturnThis(),
-      populate: jest.fn().mockRejectedValue(new Error("Database error")),
-    });
-
-    req.params = { pid: "123", cid: "Category1" };
+  it("should return 500 when the facets cannot be counted", async () => {
+    const error = new Error("Database error");
+    productModel.aggregate.mockRejectedValue(error);
 
-    await relatedProductController(req, res);
+    await productFacetsController(req, res);
 
-    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.status).toHaveBeenCalledWith(500);
     expect(res.send).toHaveBeenCalledWith({
       success: false,
-      message: "error while geting related product",
-      error: expect.any(Error),
+      message: "Error while getting product facets",
+      error,
     });
   });
 });
 
-describe("productCategoryController test", () => {
-  let req, res;
+describe("searchProductController test", () => {
+  let req, res, query;
 
   beforeEach(() => {
-    req = { params: {} };
+    req = { params: {}, query: {} };
     res = {
       status: jest.fn().mockReturnThis(),
       send: jest.fn(),
     };
-  });
-
-  it("should return products successfully when category matches", async () => {
-    const mockCategory = {
-      _id: "category1",
-      slug: "electronics",
-      name: "Electronics",
+    query = {
+      select: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn(),
     };
+    productModel.find.mockClear();
+    productModel.find.mockReturnValue(query);
+  });
 
+  it("should return the best matches first with the total", async () => {
     const mockProducts = [
-      { name: "Product 1", category: mockCategory },
-      { name: "Product 2", category: mockCategory },
+      { name: "Product 1", description: "Description of product 1" },
+      { name: "Product 2", description: "Description of product 2" },
     ];
+    query.limit.mockResolvedValue(mockProducts);
+    productModel.countDocuments.mockResolvedValue(2);
+    req.params.keyword = "product";
 
-    productModel.find = jest.fn().mockReturnValue({
-      populate: jest.fn().mockResolvedValue(mockProducts),
-    });
-
-    req.params = { slug: "electronics" };
-
-    await productCategoryController(req, res);
+    await searchProductController(req, res);
 
-    expect(productModel.find).toHaveBeenCalled();
+    const filter = { $text: { $search: "product" } };
+    const score = { $meta: "textScore" };
+    expect(productModel.find).toHaveBeenCalledWith(filter, { score });
+    expect(query.select).toHaveBeenCalledWith("-photo");
+    expect(query.sort).toHaveBeenCalledWith({ score, createdAt: -1 });
+    expect(query.skip).toHaveBeenCalledWith(0);
+    expect(query.limit).toHaveBeenCalledWith(12);
+    expect(productModel.countDocuments).toHaveBeenCalledWith(filter);
     expect(res.status).toHaveBeenCalledWith(200);
     expect(res.send).toHaveBeenCalledWith({
       success: true,
       products: mockProducts,
-      category: mockCategory,
+      total: 2,
+      page: 1,
+      pages: 1,
     });
   });
 
-  it("should return 404 when no products match the category", async () => {
-    productModel.find = jest.fn().mockReturnValue({
-      populate: jest.fn().mockResolvedValue([]),
-    });
-
-    req.params = { slug: "nonexistent-category" };
+  it("should return the page asked for", async () => {
+    query.limit.mockResolvedValue([]);
+    productModel.countDocuments.mockResolvedValue(30);
+    req.params.keyword = "book";
+    req.query = { page: "3" };
 
-    await productCategoryController(req, res);
+    await searchProductController(req, res);
 
-    expect(res.status).toHaveBeenCalledWith(404);
-    expect(res.send).toHaveBeenCalledWith({
-      success: false,
-      message: "No products found for this category",
-    });
+    expect(query.skip).toHaveBeenCalledWith(24);
+    expect(res.send).toHaveBeenCalledWith(
+      expect.objectContaining({ total: 30, page: 3, pages: 3 })
+    );
   });
 
-  it("should handle errors and return status 400", async () => {
-    const mockError = new Error("Database error");
+  it("should order the matches by another sort when asked", async () => {
+    query.limit.mockResolvedValue([]);
+    productModel.countDocuments.mockResolvedValue(0);
+    req.params.keyword = "book";
+    req.query = { sort: "price-asc" };
 
-    productModel.find = jest.fn().mockReturnValue({
-      populate: jest.fn().mockRejectedValue(mockError),
-    });
+    await searchProductController(req, res);
 
-    req.params = { slug: "electronics" };
+    expect(query.sort).toHaveBeenCalledWith({ price: 1, _id: 1 });
+  });
+
+  it("should search for characters like ( and + as plain text", async () => {
+    query.limit.mockResolvedValue([]);
+    productModel.countDocuments.mockResolvedValue(0);
+    req.params.keyword = 'c++ (book) "novel" -used';
+
+    await searchProductController(req, res);
+
+    expect(productModel.find).toHaveBeenCalledWith(
+      { $text: { $search: "c++ (book) novel used" } },
+      expect.any(Object)
+    );
+  });
+
+  it("should not query for a search with no words", async () => {
+    req.params.keyword = ' " - ';
+
+    await searchProductController(req, res);
+
+    expect(productModel.find).not.toHaveBeenCalled();
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: [],
+      total: 0,
+      page: 1,
+      pages: 0,
+    });
+  });
+
+  it("should handle errors and return a failure message", async () => {
+    query.limit.mockRejectedValue(new Error("Database error"));
+    productModel.countDocuments.mockResolvedValue(0);
+
+    req.params.keyword = "product";
+
+    await searchProductController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error In Search Product API",
+      error: expect.any(Error),
+    });
+  });
+});
+
+describe("suggestProductController test", () => {
+  let req, res, products, categories;
+
+  const chain = (result) => ({
+    select: jest.fn().mockReturnThis(),
+    sort: jest.fn().mockReturnThis(),
+    limit: jest.fn().mockResolvedValue(result),
+  });
+
+  beforeEach(() => {
+    req = { query: { q: "no" } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+    products = chain([
+      {
+        _id: "66db427fdb0119d9234b27f9",
+        name: "Novel",
+        slug: "novel",
+        photosUpdatedAt: new Date("2024-09-06T17:57:19.992Z"),
+        price: 14.99,
+      },
+    ]);
+    categories = chain([
+      { _id: "c1", name: "Non-fiction", slug: "non-fiction" },
+    ]);
+    productModel.find.mockClear();
+    productModel.find.mockReturnValue(products);
+    categoryModel.find.mockReturnValue(categories);
+  });
+
+  it("should send names, slugs and thumbnails of what matches", async () => {
+    await suggestProductController(req, res);
+
+    const name = { $regex: "(^|\\s)no", $options: "i" };
+    expect(productModel.find).toHaveBeenCalledWith({ name });
+    expect(products.select).toHaveBeenCalledWith("name slug photosUpdatedAt");
+    expect(products.limit).toHaveBeenCalledWith(5);
+    expect(categoryModel.find).toHaveBeenCalledWith({ name });
+    expect(categories.limit).toHaveBeenCalledWith(3);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: [
+        {
+          name: "Novel",
+          slug: "novel",
+          thumbnail:
+            "/api/v1/product/product-photo/66db427fdb0119d9234b27f9?w=100&v=1725645439992",
+        },
+      ],
+      categories: [{ name: "Non-fiction", slug: "non-fiction" }],
+    });
+  });
+
+  it("should take the text literally", async () => {
+    req.query.q = " c++ (";
+
+    await suggestProductController(req, res);
+
+    expect(productModel.find).toHaveBeenCalledWith({
+      name: { $regex: "(^|\\s)c\\+\\+ \\(", $options: "i" },
+    });
+  });
+
+  it.each([undefined, "", " n ", ["no"]])(
+    "should suggest nothing for %p",
+    async (q) => {
+      req.query.q = q;
+
+      await suggestProductController(req, res);
+
+      expect(productModel.find).not.toHaveBeenCalled();
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        products: [],
+        categories: [],
+      });
+    }
+  );
+
+  it("should return 500 when the lookup fails", async () => {
+    const error = new Error("Database error");
+    products.limit.mockRejectedValue(error);
+
+    await suggestProductController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(500);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Error while getting suggestions",
+      error,
+    });
+  });
+});
+
+describe("relatedProductController test", () => {
+  let req, res;
+
+  beforeEach(() => {
+    req = { params: {} };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+  });
+
+  it("should return related products based on category and exclude the current product", async () => {
+    const mockProducts = [
+      { name: "Product 1", category: "Category1" },
+      { name: "Product 2", category: "Category1" },
+      { name: "Product 3", category: "Category1" },
+    ];
+
+    productModel.find.mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockResolvedValue(mockProducts),
+    });
+
+    const req = { params: { pid: "123", cid: "Category1" } }; // Simulate a request with pid and cid
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+
+    await relatedProductController(req, res);
+
+    // Assertions
+    expect(productModel.find).toHaveBeenCalledWith({
+      category: "Category1",
+      _id: { $ne: "123" },
+    });
+    expect(res.status).toHaveBeenCalledWith(200); // Check if status is 200 for success
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: mockProducts,
+    });
+  });
+
+  it("should return an empty list when no related products are found", async () => {
+    const mockProducts = [];
+
+    productModel.find.mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockResolvedValue(mockProducts),
+    });
+
+    req.params = { pid: "123", cid: "Category1" };
+
+    await relatedProductController(req, res);
+
+    expect(productModel.find).toHaveBeenCalledWith({
+      category: "Category1",
+      _id: { $ne: "123" },
+    });
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: mockProducts,
+    });
+  });
+
+  it("should handle errors and return a failure message", async () => {
+    productModel.find.mockReturnValue({
+      select: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      populate: jest.fn().mockRejectedValue(new Error("Database error")),
+    });
+
+    req.params = { pid: "123", cid: "Category1" };
+
+    await relatedProductController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "error while geting related product",
+      error: expect.any(Error),
+    });
+  });
+});
+
+describe("productCategoryController test", () => {
+  let req, res, category, populate;
+
+  beforeEach(() => {
+    req = { params: { slug: "books" } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+    category = {
+      _id: new mongoose.Types.ObjectId(),
+      slug: "books",
+      name: "Books",
+      ancestors: [],
+    };
+    populate = jest.fn();
+    productModel.find = jest.fn().mockReturnValue({ populate });
+    categoryModel.findOne = jest.fn().mockResolvedValue(category);
+  });
+
+  it("should return the products of the category and those under it", async () => {
+    const fiction = new mongoose.Types.ObjectId();
+    const novels = new mongoose.Types.ObjectId();
+    const subcategories = [{ _id: fiction, name: "Fiction" }];
+    const sort = jest.fn().mockResolvedValue(subcategories);
+    categoryModel.find = jest.fn((filter) =>
+      filter.parentCategory
+        ? { sort }
+        : {
+            select: jest
+              .fn()
+              .mockResolvedValue([{ _id: fiction }, { _id: novels }]),
+          }
+    );
+    const mockProducts = [{ name: "Product 1" }, { name: "Product 2" }];
+    populate.mockResolvedValue(mockProducts);
+
+    await productCategoryController(req, res);
+
+    expect(categoryModel.findOne).toHaveBeenCalledWith({ slug: "books" });
+    expect(categoryModel.find).toHaveBeenCalledWith({
+      "ancestors._id": category._id,
+    });
+    expect(categoryModel.find).toHaveBeenCalledWith({
+      parentCategory: category._id,
+    });
+    expect(productModel.find).toHaveBeenCalledWith({
+      category: { $in: [category._id, fiction, novels] },
+    });
+    expect(populate).toHaveBeenCalledWith("category");
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: mockProducts,
+      category,
+      subcategories,
+    });
+  });
+
+  it("should return the category even when it has no products", async () => {
+    categoryModel.find = jest.fn(() => ({
+      sort: jest.fn().mockResolvedValue([]),
+      select: jest.fn().mockResolvedValue([]),
+    }));
+    populate.mockResolvedValue([]);
+
+    await productCategoryController(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      products: [],
+      category,
+      subcategories: [],
+    });
+  });
+
+  it("should return 404 when no category has the slug", async () => {
+    categoryModel.findOne.mockResolvedValue(null);
+    req.params = { slug: "nonexistent-category" };
+
+    await productCategoryController(req, res);
+
+    expect(productModel.find).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(404);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Category not found",
+    });
+  });
+
+  it("should handle errors and return status 400", async () => {
+    const mockError = new Error("Database error");
+    categoryModel.findOne.mockRejectedValue(mockError);
+    jest.spyOn(console, "error").mockImplementation(() => {});
 
     await productCategoryController(req, res);
 
@@ -981,57 +2093,91 @@ describe("productCategoryController test", () => {
       error: mockError,
       message: "Error while getting products",
     });
+    console.error.mockRestore();
   });
 });
 
-describe('Braintree Controllers', () => {
-  let mockGateway;
+describe("pricingController test", () => {
+  it("should send the shipping fee and tax rate checkout charges", () => {
+    const res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
 
+    pricingController({}, res);
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.send).toHaveBeenCalledWith({
+      success: true,
+      shippingFee: SHIPPING_FEE,
+      taxRate: TAX_RATE,
+    });
+  });
+});
+
+describe('Braintree Controllers', () => {
   beforeEach(() => {
     jest.clearAllMocks();
-    // Get the mock gateway that the controllers will use
-    mockGateway = new braintree.BraintreeGateway();
   });
 
   describe('braintreeTokenController', () => {
     it('should return a client token successfully', async () => {
-      // Mock the implementation to simulate successful token generation
-      mockGateway.clientToken.generate.mockImplementation((_, callback) => {
-        callback(null, { clientToken: 'fake-client-token' });
-      });
+      payment.clientToken.mockResolvedValue('fake-client-token');
 
       const req = mockRequest();
       const res = mockResponse();
 
       await braintreeTokenController(req, res);
 
-      expect(mockGateway.clientToken.generate).toHaveBeenCalledWith({}, expect.any(Function));
-      expect(res.send).toHaveBeenCalledWith({ clientToken: 'fake-client-token' });
+      expect(payment.clientToken).toHaveBeenCalled();
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        clientToken: 'fake-client-token',
+        provider: 'braintree',
+      });
     });
 
     it('should handle errors when token generation fails', async () => {
       const testError = new Error('Something went wrong');
       
-      mockGateway.clientToken.generate.mockImplementation((_, callback) => {
-        callback(testError, null);
-      });
+      console.log = jest.fn();
+      payment.clientToken.mockRejectedValue(testError);
 
       const req = mockRequest();
       const res = mockResponse();
 
       await braintreeTokenController(req, res);
 
-      expect(mockGateway.clientToken.generate).toHaveBeenCalledWith({}, expect.any(Function));
       expect(res.status).toHaveBeenCalledWith(500);
       expect(res.send).toHaveBeenCalledWith(testError);
     });
   });
 
   describe('brainTreePaymentController', () => {
+    const p1 = '64b7f1a2c3d4e5f6a7b8c9d1';
+    const p2 = '64b7f1a2c3d4e5f6a7b8c9d2';
+    const catalogue = [
+      { _id: p1, name: 'Product 1', price: 100, quantity: 10 },
+      { _id: p2, name: 'Product 2', price: 150, quantity: 10 },
+    ];
+
+    const mockCatalogue = (products) => {
+      const populate = jest.fn().mockResolvedValue(products);
+      const select = jest.fn().mockReturnValue({ populate });
+      productModel.find = jest.fn().mockReturnValue({ select });
+      return select;
+    };
+
+    beforeEach(() => {
+      mockCatalogue(catalogue);
+      productModel.findOneAndUpdate = jest.fn().mockResolvedValue({});
+      productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+    });
+
     it('should process payment successfully and create an order', async () => {
       const cart = [
-        { name: 'Product 1', price: 100 },
-        { name: 'Product 2', price: 150 },
+        { productId: p1, quantity: 1 },
+        { productId: p2, quantity: 1 },
       ];
       
       const mockResult = {
@@ -1043,10 +2189,7 @@ describe('Braintree Controllers', () => {
         },
       };
   
-      mockGateway.transaction.sale.mockImplementation((transactionDetails, callback) => {
-        callback(null, mockResult);
-        return {};
-      });
+      payment.sale.mockResolvedValue(mockResult);
   
       const req = mockRequest({
         body: {
@@ -1058,40 +2201,248 @@ describe('Braintree Controllers', () => {
   
       await brainTreePaymentController(req, res);
   
-      expect(mockGateway.transaction.sale).toHaveBeenCalledWith(
-        {
-          amount: 250,
-          paymentMethodNonce: 'payment-method-nonce',
-          options: {
-            submitForSettlement: true,
-          },
-        },
-        expect.any(Function)
-      );
+      expect(productModel.find).toHaveBeenCalledWith({ _id: { $in: [p1, p2] } });
+      expect(payment.sale).toHaveBeenCalledWith({
+        amount: 250,
+        nonce: 'payment-method-nonce',
+      });
   
       expect(orderModel).toHaveBeenCalledWith({
-        products: cart,
-        payment: mockResult,
+        _id: expect.anything(),
+        products: [
+          { product: p1, name: 'Product 1', price: 100, quantity: 1, total: 100 },
+          { product: p2, name: 'Product 2', price: 150, quantity: 1, total: 150 },
+        ],
+        subtotal: 250,
+        shipping: 0,
+        tax: 0,
+        discount: 0,
+        total: 250,
+        payment: { ...mockResult, provider: 'braintree' },
         buyer: 'user-id',
+        statusHistory: [{ to: 'pending', changedBy: 'user-id' }],
       });
       const orderInstance = orderModel.mock.instances[0];
       
       expect(orderInstance.save).toHaveBeenCalled();
-      expect(res.json).toHaveBeenCalledWith({ ok: true });
+      expect(res.json).toHaveBeenCalledWith({
+        ok: true,
+        order: expect.objectContaining({ _id: 'mock-order-id' }),
+      });
+    });
+
+    it('should charge each line by its quantity', async () => {
+      const cart = [
+        { productId: p1, quantity: 3 },
+        { productId: p2, quantity: 2 },
+      ];
+
+      payment.sale.mockResolvedValue({ success: true });
+
+      const req = mockRequest({
+        body: {
+          nonce: 'payment-method-nonce',
+          cart: cart,
+        }
+      });
+      const res = mockResponse();
+
+      await brainTreePaymentController(req, res);
+
+      expect(payment.sale).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 600 })
+      );
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          products: [
+            { product: p1, name: 'Product 1', price: 100, quantity: 3, total: 300 },
+            { product: p2, name: 'Product 2', price: 150, quantity: 2, total: 300 },
+          ],
+          subtotal: 600,
+          total: 600,
+        })
+      );
+    });
+
+    it('should ignore prices sent by the client', async () => {
+      const cart = [
+        { productId: p1, quantity: 1, price: 0.01, product: { price: 0.01 } },
+      ];
+
+      payment.sale.mockResolvedValue({ success: true });
+
+      const req = mockRequest({
+        body: {
+          nonce: 'payment-method-nonce',
+          cart: cart,
+        }
+      });
+      const res = mockResponse();
+
+      await brainTreePaymentController(req, res);
+
+      expect(payment.sale).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 100 })
+      );
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          products: [
+            { product: p1, name: 'Product 1', price: 100, quantity: 1, total: 100 },
+          ],
+        })
+      );
+    });
+
+    it('should reject carts with unknown or deleted products', async () => {
+      mockCatalogue([catalogue[0]]);
+      const cart = [
+        { productId: p1, quantity: 1 },
+        { productId: p2, quantity: 1 },
+        { productId: 'not-an-id', quantity: 1 },
+      ];
+
+      const req = mockRequest({
+        body: {
+          nonce: 'payment-method-nonce',
+          cart: cart,
+        }
+      });
+      const res = mockResponse();
+
+      await brainTreePaymentController(req, res);
+
+      expect(productModel.find).toHaveBeenCalledWith({ _id: { $in: [p1, p2] } });
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Some products in your cart are no longer available",
+        missing: [p2, 'not-an-id'],
+      });
+      expect(payment.sale).not.toHaveBeenCalled();
+      expect(orderModel).not.toHaveBeenCalled();
+    });
+
+    it('should decrement stock for each line only while enough is left', async () => {
+      payment.sale.mockResolvedValue({ success: true });
+
+      const req = mockRequest({
+        body: {
+          nonce: 'payment-method-nonce',
+          cart: [
+            { productId: p1, quantity: 3 },
+            { productId: p2, quantity: 1 },
+          ],
+        }
+      });
+      const res = mockResponse();
+
+      await brainTreePaymentController(req, res);
+
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: p1, quantity: { $gte: 3 } },
+        { $inc: { quantity: -3 } },
+        { new: true }
+      );
+      expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: p2, quantity: { $gte: 1 } },
+        { $inc: { quantity: -1 } },
+        { new: true }
+      );
+      expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.json).toHaveBeenCalledWith(
+        expect.objectContaining({ ok: true })
+      );
+    });
+
+    it('should fail with a per-item error when stock is insufficient', async () => {
+      mockCatalogue([
+        { _id: p1, name: 'Product 1', price: 100, quantity: 10 },
+        { _id: p2, name: 'Product 2', price: 150, quantity: 1 },
+      ]);
+      productModel.findOneAndUpdate = jest
+        .fn()
+        .mockResolvedValueOnce({ _id: p1 })
+        .mockResolvedValueOnce(null);
+
+      const req = mockRequest({
+        body: {
+          nonce: 'payment-method-nonce',
+          cart: [
+            { productId: p1, quantity: 2 },
+            { productId: p2, quantity: 4 },
+          ],
+        }
+      });
+      const res = mockResponse();
+
+      await brainTreePaymentController(req, res);
+
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(p1, {
+        $inc: { quantity: 2 },
+      });
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Some products in your cart do not have enough stock",
+        errors: [
+          {
+            productId: p2,
+            name: 'Product 2',
+            requested: 4,
+            available: 1,
+            message: 'Only 1 of Product 2 left in stock',
+          },
+        ],
+      });
+      expect(payment.sale).not.toHaveBeenCalled();
+      expect(orderModel).not.toHaveBeenCalled();
+    });
+
+    it('should reject invalid quantities', async () => {
+      const req = mockRequest({
+        body: {
+          nonce: 'payment-method-nonce',
+          cart: [{ productId: p1, quantity: -2 }],
+        }
+      });
+      const res = mockResponse();
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Quantity must be a whole number of at least 1",
+      });
+      expect(productModel.find).not.toHaveBeenCalled();
+      expect(payment.sale).not.toHaveBeenCalled();
+    });
+
+    it('should reject an empty cart', async () => {
+      const req = mockRequest({
+        body: {} // Missing required nonce and cart
+      });
+      const res = mockResponse();
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Cart is empty",
+      });
+      expect(payment.sale).not.toHaveBeenCalled();
     });
 
     it('should handle payment failure', async () => {
       const cart = [
-        { name: 'Product 1', price: 100 },
-        { name: 'Product 2', price: 150 },
+        { productId: p1, quantity: 1 },
+        { productId: p2, quantity: 1 },
       ];
       
       const mockError = new Error('Payment processing failed');
 
-      mockGateway.transaction.sale.mockImplementation((transactionDetails, callback) => {
-        callback(mockError, null);
-        return {};
-      });
+      payment.sale.mockRejectedValue(mockError);
 
       const req = mockRequest({
         body: {
@@ -1103,34 +2454,423 @@ describe('Braintree Controllers', () => {
 
       await brainTreePaymentController(req, res);
 
-      expect(mockGateway.transaction.sale).toHaveBeenCalledWith(
-        {
-          amount: 250, 
-          paymentMethodNonce: 'payment-method-nonce',
-          options: {
-            submitForSettlement: true,
-          },
-        },
-        expect.any(Function)
-      );
+      expect(payment.sale).toHaveBeenCalledWith({
+        amount: 250,
+        nonce: 'payment-method-nonce',
+      });
 
       expect(orderModel).not.toHaveBeenCalled();
 
       expect(res.status).toHaveBeenCalledWith(500);
       expect(res.send).toHaveBeenCalledWith(mockError);
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(p1, {
+        $inc: { quantity: 1 },
+      });
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(p2, {
+        $inc: { quantity: 1 },
+      });
+    });
+
+    it('should record a declined payment as a failed order', async () => {
+      const declined = { success: false, message: 'Do Not Honor' };
+      payment.sale.mockResolvedValue(declined);
+
+      const req = mockRequest({
+        body: {
+          nonce: 'payment-method-nonce',
+          cart: [{ productId: p1, quantity: 2 }],
+        }
+      });
+      const res = mockResponse();
+
+      await brainTreePaymentController(req, res);
+
+      expect(orderModel).toHaveBeenCalledWith(
+        expect.objectContaining({
+          payment: { ...declined, provider: 'braintree' },
+          status: 'payment_failed',
+          statusHistory: [
+            { to: 'payment_failed', changedBy: 'user-id', note: 'Do Not Honor' },
+          ],
+        })
+      );
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(p1, {
+        $inc: { quantity: 2 },
+      });
+      expect(res.status).toHaveBeenCalledWith(402);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: 'Do Not Honor',
+        order: expect.objectContaining({ _id: 'mock-order-id' }),
+      });
+      expect(res.json).not.toHaveBeenCalled();
+    });
+
+    it('should give the stock back when a declined order cannot be saved', async () => {
+      const mockError = new Error('Database down');
+      payment.sale.mockResolvedValue({ success: false, message: 'Do Not Honor' });
+      orderModel.mockImplementationOnce(function () {
+        this.save = jest.fn().mockRejectedValue(mockError);
+      });
+
+      const req = mockRequest({
+        body: {
+          nonce: 'payment-method-nonce',
+          cart: [{ productId: p1, quantity: 2 }],
+        }
+      });
+      const res = mockResponse();
+
+      await brainTreePaymentController(req, res);
+
+      expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(p1, {
+        $inc: { quantity: 2 },
+      });
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith(mockError);
+    });
+
+    it('should explain a decline the gateway gave no message for', async () => {
+      payment.sale.mockResolvedValue({ success: false });
+
+      const req = mockRequest({
+        body: {
+          nonce: 'payment-method-nonce',
+          cart: [{ productId: p1, quantity: 1 }],
+        }
+      });
+      const res = mockResponse();
+
+      await brainTreePaymentController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(402);
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: 'Payment was declined' })
+      );
+    });
+
+    describe('with an idempotency key', () => {
+      const checkout = { _id: 'checkout-1', key: 'key-1' };
+      const body = {
+        nonce: 'payment-method-nonce',
+        cart: [{ productId: p1, quantity: 1 }],
+        idempotencyKey: 'key-1',
+      };
+
+      it('should claim the key and link it to the new order', async () => {
+        claimCheckout.mockResolvedValue({ checkout });
+        payment.sale.mockResolvedValue({ success: true });
+        const req = mockRequest({ body });
+        const res = mockResponse();
+
+        await brainTreePaymentController(req, res);
+
+        expect(claimCheckout).toHaveBeenCalledWith('user-id', 'key-1');
+        expect(recordCharge).toHaveBeenCalledWith(
+          checkout,
+          expect.objectContaining({ payment: { success: true, provider: 'braintree' } })
+        );
+        expect(completeCheckout).toHaveBeenCalledWith(
+          checkout,
+          expect.objectContaining({ _id: 'mock-order-id' })
+        );
+        expect(releaseCheckout).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith(
+          expect.objectContaining({ ok: true })
+        );
+      });
+
+      it('should return the original order for a repeated key', async () => {
+        const original = { _id: 'order-1', total: 100 };
+        claimCheckout.mockResolvedValue({
+          duplicate: { ...checkout, order: original },
+        });
+        const req = mockRequest({ body });
+        const res = mockResponse();
+
+        await brainTreePaymentController(req, res);
+
+        expect(res.json).toHaveBeenCalledWith({ ok: true, order: original });
+        expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(payment.sale).not.toHaveBeenCalled();
+        expect(orderModel).not.toHaveBeenCalled();
+      });
+
+      it('should keep the key claimed when the order fails after the charge', async () => {
+        claimCheckout.mockResolvedValue({ checkout });
+        payment.sale.mockResolvedValue({ success: true });
+        orderModel.mockImplementationOnce(function () {
+          this.save = jest.fn().mockRejectedValue(new Error('Database down'));
+        });
+        const req = mockRequest({ body });
+        const res = mockResponse();
+
+        await brainTreePaymentController(req, res);
+
+        expect(recordCharge).toHaveBeenCalled();
+        expect(res.status).toHaveBeenCalledWith(500);
+        expect(releaseCheckout).not.toHaveBeenCalled();
+      });
+
+      it('should place the charged order on a retry without charging again', async () => {
+        const charge = { _id: 'order-1', total: 100, payment: { success: true } };
+        claimCheckout.mockResolvedValue({
+          duplicate: { ...checkout, charge },
+        });
+        const req = mockRequest({ body });
+        const res = mockResponse();
+
+        await brainTreePaymentController(req, res);
+
+        expect(payment.sale).not.toHaveBeenCalled();
+        expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(orderModel).toHaveBeenCalledWith({
+          ...charge,
+          buyer: 'user-id',
+          statusHistory: [{ to: 'pending', changedBy: 'user-id' }],
+        });
+        expect(completeCheckout).toHaveBeenCalledWith(
+          { ...checkout, charge },
+          expect.objectContaining({ _id: 'mock-order-id' })
+        );
+        expect(res.json).toHaveBeenCalledWith(
+          expect.objectContaining({ ok: true })
+        );
+      });
+
+      it('should hand back the order the first attempt saved meanwhile', async () => {
+        const saved = { _id: 'order-1', total: 100 };
+        claimCheckout.mockResolvedValue({
+          duplicate: { ...checkout, charge: { _id: 'order-1' } },
+        });
+        orderModel.mockImplementationOnce(function () {
+          this.save = jest
+            .fn()
+            .mockRejectedValue(Object.assign(new Error('E11000'), { code: 11000 }));
+        });
+        orderModel.findById = jest.fn().mockResolvedValue(saved);
+        const req = mockRequest({ body });
+        const res = mockResponse();
+
+        await brainTreePaymentController(req, res);
+
+        expect(orderModel.findById).toHaveBeenCalledWith('order-1');
+        expect(res.json).toHaveBeenCalledWith({ ok: true, order: saved });
+      });
+
+      it('should refuse a repeated key while the first attempt runs', async () => {
+        claimCheckout.mockResolvedValue({ duplicate: checkout });
+        const req = mockRequest({ body });
+        const res = mockResponse();
+
+        await brainTreePaymentController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: 'This payment is already being processed',
+        });
+        expect(payment.sale).not.toHaveBeenCalled();
+      });
+
+      it('should free the key when no order was placed', async () => {
+        claimCheckout.mockResolvedValue({ checkout });
+        productModel.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+        const req = mockRequest({ body });
+        const res = mockResponse();
+
+        await brainTreePaymentController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(releaseCheckout).toHaveBeenCalledWith(checkout);
+        expect(completeCheckout).not.toHaveBeenCalled();
+      });
+
+      it('should free the key after a declined payment', async () => {
+        claimCheckout.mockResolvedValue({ checkout });
+        payment.sale.mockResolvedValue({ success: false, message: 'Declined' });
+        const req = mockRequest({ body });
+        const res = mockResponse();
+
+        await brainTreePaymentController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(402);
+        expect(completeCheckout).not.toHaveBeenCalled();
+        expect(releaseCheckout).toHaveBeenCalledWith(checkout);
+      });
+
+      it('should reject a key that is not a string', async () => {
+        const req = mockRequest({ body: { ...body, idempotencyKey: 42 } });
+        const res = mockResponse();
+
+        await brainTreePaymentController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: 'Invalid idempotency key',
+        });
+        expect(claimCheckout).not.toHaveBeenCalled();
+      });
+    });
+
+    describe('with a coupon', () => {
+      const coupon = {
+        _id: 'coupon-1',
+        code: 'SAVE10',
+        type: 'percentage',
+        value: 10,
+        minOrder: 0,
+        active: true,
+        used: 0,
+        redemptions: [],
+      };
+      const body = {
+        nonce: 'payment-method-nonce',
+        cart: [
+          { productId: p1, quantity: 1 },
+          { productId: p2, quantity: 1 },
+        ],
+        couponCode: 'save10',
+      };
+
+      beforeEach(() => {
+        findCoupon.mockResolvedValue(coupon);
+        redeemCoupon.mockResolvedValue('redemption-1');
+      });
+
+      it('should charge the discounted total and record the code', async () => {
+        payment.sale.mockResolvedValue({ success: true });
+        const res = mockResponse();
+
+        await brainTreePaymentController(mockRequest({ body }), res);
+
+        expect(findCoupon).toHaveBeenCalledWith('save10');
+        expect(redeemCoupon).toHaveBeenCalledWith(coupon, 'user-id');
+        expect(payment.sale).toHaveBeenCalledWith({
+          amount: 225,
+          nonce: 'payment-method-nonce',
+        });
+        expect(orderModel).toHaveBeenCalledWith(
+          expect.objectContaining({
+            subtotal: 250,
+            discount: 25,
+            total: 225,
+            coupon: 'SAVE10',
+          })
+        );
+        expect(releaseCoupon).not.toHaveBeenCalled();
+        expect(res.json).toHaveBeenCalledWith(
+          expect.objectContaining({ ok: true })
+        );
+      });
+
+      it('should only discount lines the coupon is scoped to', async () => {
+        findCoupon.mockResolvedValue({
+          ...coupon,
+          type: 'fixed',
+          value: 500,
+          products: [p2],
+        });
+        payment.sale.mockResolvedValue({ success: true });
+
+        await brainTreePaymentController(mockRequest({ body }), mockResponse());
+
+        expect(payment.sale).toHaveBeenCalledWith(
+          expect.objectContaining({ amount: 100 })
+        );
+      });
+
+      it('should refuse a coupon that cannot be used', async () => {
+        findCoupon.mockResolvedValue({
+          ...coupon,
+          expiresAt: new Date('2000-01-01'),
+        });
+        const res = mockResponse();
+
+        await brainTreePaymentController(mockRequest({ body }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: 'Coupon has expired',
+        });
+        expect(productModel.findOneAndUpdate).not.toHaveBeenCalled();
+        expect(payment.sale).not.toHaveBeenCalled();
+      });
+
+      it('should refuse an unknown code', async () => {
+        findCoupon.mockResolvedValue(null);
+        const res = mockResponse();
+
+        await brainTreePaymentController(mockRequest({ body }), res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: 'Invalid coupon code',
+        });
+      });
+
+      it('should give the stock back when the coupon was used up meanwhile', async () => {
+        redeemCoupon.mockResolvedValue(null);
+        const res = mockResponse();
+
+        await brainTreePaymentController(mockRequest({ body }), res);
+
+        expect(res.status).toHaveBeenCalledWith(409);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: 'Coupon usage limit reached',
+        });
+        expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(p1, {
+          $inc: { quantity: 1 },
+        });
+        expect(payment.sale).not.toHaveBeenCalled();
+      });
+
+      it('should give the coupon use back after a declined payment', async () => {
+        payment.sale.mockResolvedValue({ success: false, message: 'Do Not Honor' });
+        const res = mockResponse();
+
+        await brainTreePaymentController(mockRequest({ body }), res);
+
+        expect(orderModel).toHaveBeenCalledWith(
+          expect.objectContaining({ status: 'payment_failed', coupon: 'SAVE10' })
+        );
+        expect(releaseCoupon).toHaveBeenCalledWith(coupon, 'redemption-1');
+        expect(res.status).toHaveBeenCalledWith(402);
+      });
+
+      it('should give the coupon use back when the charge fails', async () => {
+        payment.sale.mockRejectedValue(new Error('Gateway down'));
+        const res = mockResponse();
+
+        await brainTreePaymentController(mockRequest({ body }), res);
+
+        expect(releaseCoupon).toHaveBeenCalledWith(coupon, 'redemption-1');
+        expect(res.status).toHaveBeenCalledWith(500);
+      });
     });
 
     it('should handle exceptions thrown during processing', async () => {
       console.log = jest.fn();
-      
+      productModel.find = jest.fn(() => {
+        throw new Error('Database error');
+      });
+
       const req = mockRequest({
-        body: {} // Missing required nonce and cart
+        body: {
+          nonce: 'payment-method-nonce',
+          cart: [{ productId: p1, quantity: 1 }],
+        }
       });
       const res = mockResponse();
 
       await brainTreePaymentController(req, res);
 
       expect(console.log).toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(500);
     });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const productModel = require("../models/productModel.js");
+const reviewModel = require("../models/reviewModel.js");
+const {
+  canReview,
+  updateProductRating,
+} = require("../helpers/reviewHelper.js");
+
+const reviewNotFound = (res) =>
+  res.status(404).send({
+    success: false,
+    message: "Review not found",
+  });
+
+const invalidProduct = (res) =>
+  res.status(400).send({
+    success: false,
+    message: "Valid Product Id is Required",
+  });
+
+//visible reviews of a product, newest first
+const getReviewsController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.isValidObjectId(pid)) return invalidProduct(res);
+    const reviews = await reviewModel
+      .find({ product: pid, hidden: false })
+      .populate("user", "name")
+      .sort({ createdAt: -1 });
+    res.status(200).send({
+      success: true,
+      reviews,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting reviews",
+      error,
+    });
+  }
+};
+
+//whether the signed in user may review the product, and their review if any
+const getMyReviewController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.isValidObjectId(pid)) return invalidProduct(res);
+    const [allowed, review] = await Promise.all([
+      canReview(req.user._id, pid),
+      reviewModel.findOne({ product: pid, user: req.user._id }),
+    ]);
+    res.status(200).send({
+      success: true,
+      canReview: Boolean(allowed),
+      review,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting your review",
+      error,
+    });
+  }
+};
+
+//add or replace the signed in user's review
+const saveReviewController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    const { rating } = req.body;
+    const title = req.body.title?.trim();
+    const body = req.body.body?.trim();
+    if (!mongoose.isValidObjectId(pid)) return invalidProduct(res);
+    switch (true) {
+      case !Number.isInteger(rating) || rating < 1 || rating > 5:
+        return res.status(400).send({
+          success: false,
+          message: "Rating must be a whole number from 1 to 5",
+        });
+      case !title:
+        return res.status(400).send({
+          success: false,
+          message: "Title is Required",
+        });
+      case !body:
+        return res.status(400).send({
+          success: false,
+          message: "Review is Required",
+        });
+    }
+    const product = await productModel.exists({ _id: pid });
+    if (!product) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    if (!(await canReview(req.user._id, pid))) {
+      return res.status(403).send({
+        success: false,
+        message: "Only buyers who have received this product can review it",
+      });
+    }
+    const review = await reviewModel.findOneAndUpdate(
+      { product: pid, user: req.user._id },
+      { rating, title, body },
+      { new: true, upsert: true, runValidators: true }
+    );
+    const productRating = await updateProductRating(pid);
+    res.status(201).send({
+      success: true,
+      message: "Review Saved",
+      review,
+      rating: productRating,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while saving review",
+      error,
+    });
+  }
+};
+
+//every review, hidden ones included, for moderation
+const getAllReviewsController = async (req, res) => {
+  try {
+    const reviews = await reviewModel
+      .find({})
+      .populate("product", "name slug")
+      .populate("user", "name")
+      .sort({ createdAt: -1 });
+    res.status(200).send({
+      success: true,
+      reviews,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting reviews",
+      error,
+    });
+  }
+};
+
+//admin hides an abusive review or brings it back
+const moderateReviewController = async (req, res) => {
+  try {
+    const { hidden } = req.body;
+    if (typeof hidden !== "boolean") {
+      return res.status(400).send({
+        success: false,
+        message: "Hidden must be true or false",
+      });
+    }
+    if (!mongoose.isValidObjectId(req.params.rid)) return reviewNotFound(res);
+    const review = await reviewModel.findByIdAndUpdate(
+      req.params.rid,
+      { hidden, moderatedBy: req.user._id },
+      { new: true }
+    );
+    if (!review) return reviewNotFound(res);
+    await updateProductRating(review.product);
+    res.status(200).send({
+      success: true,
+      message: hidden ? "Review Hidden" : "Review Restored",
+      review,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while moderating review",
+      error,
+    });
+  }
+};
+
+module.exports = {
+  getReviewsController,
+  getMyReviewController,
+  saveReviewController,
+  getAllReviewsController,
+  moderateReviewController,
+};
@@ -0,0 +1,354 @@
+import { expect, jest } from "@jest/globals";
+import { canReview, updateProductRating } from "../helpers/reviewHelper";
+import productModel from "../models/productModel";
+import reviewModel from "../models/reviewModel";
+import {
+  getAllReviewsController,
+  getMyReviewController,
+  getReviewsController,
+  moderateReviewController,
+  saveReviewController,
+} from "./reviewController";
+
+jest.mock("../models/productModel");
+jest.mock("../models/reviewModel");
+jest.mock("../helpers/reviewHelper");
+
+const USER_ID = "67e0150aa528fde85145d2f1";
+const PRODUCT_ID = "66db427fdb0119d9234b27f9";
+const REVIEW_ID = "67a2171ea6d9e00ef2ac0229";
+
+describe("Review Controllers", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    req = { body: {}, params: { pid: PRODUCT_ID }, user: { _id: USER_ID } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+  });
+
+  afterAll(() => {
+    global.console.log.mockRestore();
+  });
+
+  describe("getReviewsController", () => {
+    it("should list the visible reviews of a product, newest first", async () => {
+      const reviews = [{ _id: REVIEW_ID, rating: 4 }];
+      const sort = jest.fn().mockResolvedValue(reviews);
+      const populate = jest.fn().mockReturnValue({ sort });
+      reviewModel.find = jest.fn().mockReturnValue({ populate });
+
+      await getReviewsController(req, res);
+
+      expect(reviewModel.find).toHaveBeenCalledWith({
+        product: PRODUCT_ID,
+        hidden: false,
+      });
+      expect(populate).toHaveBeenCalledWith("user", "name");
+      expect(sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({ success: true, reviews });
+    });
+
+    it("should reject an invalid product id", async () => {
+      req.params.pid = "not-an-id";
+      reviewModel.find = jest.fn();
+
+      await getReviewsController(req, res);
+
+      expect(reviewModel.find).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Valid Product Id is Required",
+      });
+    });
+
+    it("should fail with 500 when the query fails", async () => {
+      const error = new Error("Database error");
+      reviewModel.find = jest.fn(() => {
+        throw error;
+      });
+
+      await getReviewsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting reviews",
+        error,
+      });
+    });
+  });
+
+  describe("getMyReviewController", () => {
+    it("should tell whether the user may review and send their review", async () => {
+      const review = { _id: REVIEW_ID, rating: 5 };
+      canReview.mockResolvedValue({ _id: "order-1" });
+      reviewModel.findOne = jest.fn().mockResolvedValue(review);
+
+      await getMyReviewController(req, res);
+
+      expect(canReview).toHaveBeenCalledWith(USER_ID, PRODUCT_ID);
+      expect(reviewModel.findOne).toHaveBeenCalledWith({
+        product: PRODUCT_ID,
+        user: USER_ID,
+      });
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        canReview: true,
+        review,
+      });
+    });
+
+    it("should say no to users without a delivered order", async () => {
+      canReview.mockResolvedValue(null);
+      reviewModel.findOne = jest.fn().mockResolvedValue(null);
+
+      await getMyReviewController(req, res);
+
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        canReview: false,
+        review: null,
+      });
+    });
+
+    it("should fail with 500 when the lookup fails", async () => {
+      canReview.mockRejectedValue(new Error("Database error"));
+      reviewModel.findOne = jest.fn().mockResolvedValue(null);
+
+      await getMyReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("saveReviewController", () => {
+    beforeEach(() => {
+      req.body = { rating: 4, title: " Great read ", body: " Loved it " };
+      productModel.exists = jest.fn().mockResolvedValue({ _id: PRODUCT_ID });
+      canReview.mockResolvedValue({ _id: "order-1" });
+      updateProductRating.mockResolvedValue({ average: 4, count: 1 });
+    });
+
+    it("should save the review and update the product rating", async () => {
+      const review = { _id: REVIEW_ID, rating: 4 };
+      reviewModel.findOneAndUpdate = jest.fn().mockResolvedValue(review);
+
+      await saveReviewController(req, res);
+
+      expect(reviewModel.findOneAndUpdate).toHaveBeenCalledWith(
+        { product: PRODUCT_ID, user: USER_ID },
+        { rating: 4, title: "Great read", body: "Loved it" },
+        { new: true, upsert: true, runValidators: true }
+      );
+      expect(updateProductRating).toHaveBeenCalledWith(PRODUCT_ID);
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Review Saved",
+        review,
+        rating: { average: 4, count: 1 },
+      });
+    });
+
+    it.each([0, 6, 3.5, "4", undefined])(
+      "should reject a rating of %p",
+      async (rating) => {
+        req.body.rating = rating;
+
+        await saveReviewController(req, res);
+
+        expect(res.status).toHaveBeenCalledWith(400);
+        expect(res.send).toHaveBeenCalledWith({
+          success: false,
+          message: "Rating must be a whole number from 1 to 5",
+        });
+      }
+    );
+
+    it("should require a title and a review", async () => {
+      req.body.title = "  ";
+
+      await saveReviewController(req, res);
+
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Title is Required",
+      });
+
+      req.body.title = "Great read";
+      req.body.body = undefined;
+
+      await saveReviewController(req, res);
+
+      expect(res.send).toHaveBeenLastCalledWith({
+        success: false,
+        message: "Review is Required",
+      });
+    });
+
+    it("should fail for a product that does not exist", async () => {
+      productModel.exists = jest.fn().mockResolvedValue(null);
+
+      await saveReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Product not found",
+      });
+    });
+
+    it("should refuse users without a delivered order of the product", async () => {
+      canReview.mockResolvedValue(null);
+      reviewModel.findOneAndUpdate = jest.fn();
+
+      await saveReviewController(req, res);
+
+      expect(reviewModel.findOneAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Only buyers who have received this product can review it",
+      });
+    });
+
+    it("should fail with 500 when saving fails", async () => {
+      const error = new Error("Database error");
+      reviewModel.findOneAndUpdate = jest.fn().mockRejectedValue(error);
+
+      await saveReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while saving review",
+        error,
+      });
+    });
+  });
+
+  describe("getAllReviewsController", () => {
+    it("should list every review with product and author", async () => {
+      const reviews = [{ _id: REVIEW_ID, hidden: true }];
+      const sort = jest.fn().mockResolvedValue(reviews);
+      const populateUser = jest.fn().mockReturnValue({ sort });
+      const populateProduct = jest
+        .fn()
+        .mockReturnValue({ populate: populateUser });
+      reviewModel.find = jest
+        .fn()
+        .mockReturnValue({ populate: populateProduct });
+
+      await getAllReviewsController(req, res);
+
+      expect(reviewModel.find).toHaveBeenCalledWith({});
+      expect(populateProduct).toHaveBeenCalledWith("product", "name slug");
+      expect(populateUser).toHaveBeenCalledWith("user", "name");
+      expect(res.send).toHaveBeenCalledWith({ success: true, reviews });
+    });
+
+    it("should fail with 500 when the query fails", async () => {
+      reviewModel.find = jest.fn(() => {
+        throw new Error("Database error");
+      });
+
+      await getAllReviewsController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+
+  describe("moderateReviewController", () => {
+    beforeEach(() => {
+      req.params = { rid: REVIEW_ID };
+    });
+
+    it("should hide a review and update the product rating", async () => {
+      const review = { _id: REVIEW_ID, product: PRODUCT_ID, hidden: true };
+      req.body = { hidden: true };
+      reviewModel.findByIdAndUpdate = jest.fn().mockResolvedValue(review);
+
+      await moderateReviewController(req, res);
+
+      expect(reviewModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        REVIEW_ID,
+        { hidden: true, moderatedBy: USER_ID },
+        { new: true }
+      );
+      expect(updateProductRating).toHaveBeenCalledWith(PRODUCT_ID);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Review Hidden",
+        review,
+      });
+    });
+
+    it("should restore a hidden review", async () => {
+      req.body = { hidden: false };
+      reviewModel.findByIdAndUpdate = jest
+        .fn()
+        .mockResolvedValue({ _id: REVIEW_ID, product: PRODUCT_ID });
+
+      await moderateReviewController(req, res);
+
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ message: "Review Restored" })
+      );
+    });
+
+    it("should only accept true or false", async () => {
+      req.body = { hidden: "yes" };
+
+      await moderateReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Hidden must be true or false",
+      });
+    });
+
+    it("should fail for a review that does not exist", async () => {
+      req.body = { hidden: true };
+      reviewModel.findByIdAndUpdate = jest.fn().mockResolvedValue(null);
+
+      await moderateReviewController(req, res);
+
+      expect(updateProductRating).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+    });
+
+    it("should not find a review with a malformed id", async () => {
+      req.params = { rid: "not-an-id" };
+      req.body = { hidden: true };
+      reviewModel.findByIdAndUpdate = jest.fn();
+
+      await moderateReviewController(req, res);
+
+      expect(reviewModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Review not found",
+      });
+    });
+
+    it("should fail with 500 when the update fails", async () => {
+      req.body = { hidden: true };
+      reviewModel.findByIdAndUpdate = jest
+        .fn()
+        .mockRejectedValue(new Error("Database error"));
+
+      await moderateReviewController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
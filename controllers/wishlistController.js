@@ -0,0 +1,102 @@
+const mongoose = require("mongoose");
+const productModel = require("../models/productModel.js");
+const userModel = require("../models/userModel.js");
+
+// run a wishlist update for the signed in user and send the saved products
+// back, skipping any that have since been deleted
+const updateWishlist = async (userId, update) => {
+  const user = await userModel
+    .findByIdAndUpdate(userId, update, { new: true })
+    .populate("wishlist", "-photo");
+  return (user?.wishlist || []).filter(Boolean);
+};
+
+//get wishlist
+const getWishlistController = async (req, res) => {
+  try {
+    const user = await userModel
+      .findById(req.user._id)
+      .populate("wishlist", "-photo");
+    res.status(200).send({
+      success: true,
+      message: "Wishlist Fetched",
+      wishlist: (user?.wishlist || []).filter(Boolean),
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while getting wishlist",
+      error,
+    });
+  }
+};
+
+//save a product, saving it twice keeps one entry
+const addWishlistItemController = async (req, res) => {
+  try {
+    const { productId } = req.body;
+    if (!productId || !mongoose.isValidObjectId(productId)) {
+      return res.status(400).send({
+        success: false,
+        message: "Valid Product Id is Required",
+      });
+    }
+    const product = await productModel.exists({ _id: productId });
+    if (!product) {
+      return res.status(404).send({
+        success: false,
+        message: "Product not found",
+      });
+    }
+    const wishlist = await updateWishlist(req.user._id, {
+      $addToSet: { wishlist: productId },
+    });
+    res.status(200).send({
+      success: true,
+      message: "Saved to Wishlist",
+      wishlist,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while adding to wishlist",
+      error,
+    });
+  }
+};
+
+//remove a product
+const removeWishlistItemController = async (req, res) => {
+  try {
+    const { pid } = req.params;
+    if (!mongoose.isValidObjectId(pid)) {
+      return res.status(400).send({
+        success: false,
+        message: "Valid Product Id is Required",
+      });
+    }
+    const wishlist = await updateWishlist(req.user._id, {
+      $pull: { wishlist: pid },
+    });
+    res.status(200).send({
+      success: true,
+      message: "Removed from Wishlist",
+      wishlist,
+    });
+  } catch (error) {
+    console.log(error);
+    res.status(500).send({
+      success: false,
+      message: "Error while removing from wishlist",
+      error,
+    });
+  }
+};
+
+module.exports = {
+  getWishlistController,
+  addWishlistItemController,
+  removeWishlistItemController,
+};
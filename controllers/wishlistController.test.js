@@ -0,0 +1,208 @@
+import { expect, jest } from "@jest/globals";
+import productModel from "../models/productModel";
+import userModel from "../models/userModel";
+import {
+  addWishlistItemController,
+  getWishlistController,
+  removeWishlistItemController,
+} from "./wishlistController";
+
+jest.mock("../models/productModel");
+jest.mock("../models/userModel");
+
+const USER_ID = "67e0150aa528fde85145d2f1";
+const PRODUCT_ID = "66db427fdb0119d9234b27f9";
+
+const product = { _id: PRODUCT_ID, name: "Novel", price: 14.99 };
+
+// query whose populate resolves to a user holding the wishlist
+const mockUserQuery = (wishlist) => {
+  const populate = jest.fn().mockResolvedValue(wishlist && { wishlist });
+  return { populate };
+};
+
+describe("Wishlist Controllers", () => {
+  let req, res;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(global.console, "log").mockImplementation(() => {});
+    req = { body: {}, params: {}, user: { _id: USER_ID } };
+    res = {
+      status: jest.fn().mockReturnThis(),
+      send: jest.fn(),
+    };
+  });
+
+  afterAll(() => {
+    global.console.log.mockRestore();
+  });
+
+  describe("getWishlistController", () => {
+    it("should send the saved products without photos", async () => {
+      const query = mockUserQuery([product]);
+      userModel.findById = jest.fn().mockReturnValue(query);
+
+      await getWishlistController(req, res);
+
+      expect(userModel.findById).toHaveBeenCalledWith(USER_ID);
+      expect(query.populate).toHaveBeenCalledWith("wishlist", "-photo");
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Wishlist Fetched",
+        wishlist: [product],
+      });
+    });
+
+    it("should skip products that have been deleted", async () => {
+      userModel.findById = jest
+        .fn()
+        .mockReturnValue(mockUserQuery([null, product]));
+
+      await getWishlistController(req, res);
+
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ wishlist: [product] })
+      );
+    });
+
+    it("should fail with 500 when the query fails", async () => {
+      const error = new Error("Database error");
+      userModel.findById = jest.fn(() => {
+        throw error;
+      });
+
+      await getWishlistController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while getting wishlist",
+        error,
+      });
+    });
+  });
+
+  describe("addWishlistItemController", () => {
+    it("should save the product once", async () => {
+      req.body = { productId: PRODUCT_ID };
+      productModel.exists = jest.fn().mockResolvedValue({ _id: PRODUCT_ID });
+      userModel.findByIdAndUpdate = jest
+        .fn()
+        .mockReturnValue(mockUserQuery([product]));
+
+      await addWishlistItemController(req, res);
+
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        USER_ID,
+        { $addToSet: { wishlist: PRODUCT_ID } },
+        { new: true }
+      );
+      expect(res.status).toHaveBeenCalledWith(200);
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Saved to Wishlist",
+        wishlist: [product],
+      });
+    });
+
+    it("should reject an invalid product id", async () => {
+      req.body = { productId: "not-an-id" };
+      userModel.findByIdAndUpdate = jest.fn();
+
+      await addWishlistItemController(req, res);
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Valid Product Id is Required",
+      });
+    });
+
+    it("should fail for a product that does not exist", async () => {
+      req.body = { productId: PRODUCT_ID };
+      productModel.exists = jest.fn().mockResolvedValue(null);
+      userModel.findByIdAndUpdate = jest.fn();
+
+      await addWishlistItemController(req, res);
+
+      expect(userModel.findByIdAndUpdate).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(404);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Product not found",
+      });
+    });
+
+    it("should fail with 500 when saving fails", async () => {
+      const error = new Error("Database error");
+      req.body = { productId: PRODUCT_ID };
+      productModel.exists = jest.fn().mockRejectedValue(error);
+
+      await addWishlistItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.send).toHaveBeenCalledWith({
+        success: false,
+        message: "Error while adding to wishlist",
+        error,
+      });
+    });
+  });
+
+  describe("removeWishlistItemController", () => {
+    it("should remove the product", async () => {
+      req.params = { pid: PRODUCT_ID };
+      userModel.findByIdAndUpdate = jest
+        .fn()
+        .mockReturnValue(mockUserQuery([]));
+
+      await removeWishlistItemController(req, res);
+
+      expect(userModel.findByIdAndUpdate).toHaveBeenCalledWith(
+        USER_ID,
+        { $pull: { wishlist: PRODUCT_ID } },
+        { new: true }
+      );
+      expect(res.send).toHaveBeenCalledWith({
+        success: true,
+        message: "Removed from Wishlist",
+        wishlist: [],
+      });
+    });
+
+    it("should send an empty wishlist when the user is gone", async () => {
+      req.params = { pid: PRODUCT_ID };
+      userModel.findByIdAndUpdate = jest
+        .fn()
+        .mockReturnValue(mockUserQuery(undefined));
+
+      await removeWishlistItemController(req, res);
+
+      expect(res.send).toHaveBeenCalledWith(
+        expect.objectContaining({ wishlist: [] })
+      );
+    });
+
+    it("should reject an invalid product id", async () => {
+      req.params = { pid: "not-an-id" };
+
+      await removeWishlistItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+    });
+
+    it("should fail with 500 when the update fails", async () => {
+      req.params = { pid: PRODUCT_ID };
+      userModel.findByIdAndUpdate = jest.fn(() => {
+        throw new Error("Database error");
+      });
+
+      await removeWishlistItemController(req, res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const braintree = require("braintree");
+
+// what the shop keeps of a braintree transaction
+const summary = (transaction) => ({
+  id: transaction.id,
+  type: transaction.type,
+  status: transaction.status,
+  amount: transaction.amount,
+});
+
+const toResult = (response) =>
+  response.success
+    ? { success: true, transaction: summary(response.transaction) }
+    : { success: false, message: response.message };
+
+// payment provider backed by the braintree sandbox
+const createBraintreeProvider = ({ merchantId, publicKey, privateKey }) => {
+  const gateway = new braintree.BraintreeGateway({
+    environment: braintree.Environment.Sandbox,
+    merchantId,
+    publicKey,
+    privateKey,
+  });
+
+  return {
+    name: "braintree",
+    clientToken: async () => {
+      const response = await gateway.clientToken.generate({});
+      return response.clientToken;
+    },
+    sale: async ({ amount, nonce }) =>
+      toResult(
+        await gateway.transaction.sale({
+          amount,
+          paymentMethodNonce: nonce,
+          options: {
+            submitForSettlement: true,
+          },
+        })
+      ),
+    //null for an unknown id, as the other providers give
+    find: async (id) => {
+      try {
+        return summary(await gateway.transaction.find(id));
+      } catch (error) {
+        if (error.type === braintree.errorTypes.notFoundError) return null;
+        throw error;
+      }
+    },
+    void: async (id) => toResult(await gateway.transaction.void(id)),
+    refund: async (id, amount) =>
+      toResult(await gateway.transaction.refund(id, amount)),
+  };
+};
+
+module.exports = { createBraintreeProvider };
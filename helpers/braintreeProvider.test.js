@@ -0,0 +1,126 @@
+import braintree from "braintree";
+import { createBraintreeProvider } from "./braintreeProvider";
+
+jest.mock("braintree", () => {
+  const gateway = {
+    clientToken: { generate: jest.fn() },
+    transaction: {
+      sale: jest.fn(),
+      find: jest.fn(),
+      void: jest.fn(),
+      refund: jest.fn(),
+    },
+  };
+  return {
+    Environment: { Sandbox: "sandbox" },
+    errorTypes: { notFoundError: "notFoundError" },
+    BraintreeGateway: jest.fn(() => gateway),
+  };
+});
+
+describe("braintreeProvider", () => {
+  const transaction = {
+    id: "txn-1",
+    type: "sale",
+    status: "submitted_for_settlement",
+    amount: "40.00",
+    creditCard: { last4: "1111" },
+  };
+  const summary = {
+    id: "txn-1",
+    type: "sale",
+    status: "submitted_for_settlement",
+    amount: "40.00",
+  };
+  let gateway, provider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = createBraintreeProvider({
+      merchantId: "merchant",
+      publicKey: "public",
+      privateKey: "private",
+    });
+    gateway = braintree.BraintreeGateway.mock.results[0].value;
+  });
+
+  it("should connect to the sandbox with the given keys", () => {
+    expect(provider.name).toBe("braintree");
+    expect(braintree.BraintreeGateway).toHaveBeenCalledWith({
+      environment: "sandbox",
+      merchantId: "merchant",
+      publicKey: "public",
+      privateKey: "private",
+    });
+  });
+
+  it("should hand out the client token", async () => {
+    gateway.clientToken.generate.mockResolvedValue({
+      success: true,
+      clientToken: "token",
+    });
+
+    expect(await provider.clientToken()).toBe("token");
+    expect(gateway.clientToken.generate).toHaveBeenCalledWith({});
+  });
+
+  it("should submit sales for settlement and keep a summary", async () => {
+    gateway.transaction.sale.mockResolvedValue({ success: true, transaction });
+
+    const result = await provider.sale({ amount: 40, nonce: "nonce" });
+
+    expect(gateway.transaction.sale).toHaveBeenCalledWith({
+      amount: 40,
+      paymentMethodNonce: "nonce",
+      options: { submitForSettlement: true },
+    });
+    expect(result).toEqual({ success: true, transaction: summary });
+  });
+
+  it("should pass on declines with their message", async () => {
+    gateway.transaction.sale.mockResolvedValue({
+      success: false,
+      message: "Do Not Honor",
+    });
+
+    expect(await provider.sale({ amount: 40, nonce: "nonce" })).toEqual({
+      success: false,
+      message: "Do Not Honor",
+    });
+  });
+
+  it("should find, void and refund transactions", async () => {
+    gateway.transaction.find.mockResolvedValue(transaction);
+    gateway.transaction.void.mockResolvedValue({ success: true, transaction });
+    gateway.transaction.refund.mockResolvedValue({
+      success: true,
+      transaction: { ...transaction, id: "txn-2", type: "credit" },
+    });
+
+    expect(await provider.find("txn-1")).toEqual(summary);
+    expect(await provider.void("txn-1")).toEqual({
+      success: true,
+      transaction: summary,
+    });
+    expect(await provider.refund("txn-1", "10.00")).toEqual({
+      success: true,
+      transaction: { ...summary, id: "txn-2", type: "credit" },
+    });
+    expect(gateway.transaction.refund).toHaveBeenCalledWith("txn-1", "10.00");
+  });
+
+  it("should find nothing for an unknown transaction", async () => {
+    const notFound = Object.assign(new Error("Not Found"), {
+      type: "notFoundError",
+    });
+    gateway.transaction.find.mockRejectedValueOnce(notFound);
+
+    expect(await provider.find("nope")).toBeNull();
+  });
+
+  it("should pass on other errors while finding a transaction", async () => {
+    gateway.transaction.find.mockRejectedValueOnce(new Error("Timeout"));
+
+    await expect(provider.find("txn-1")).rejects.toThrow("Timeout");
+  });
+});
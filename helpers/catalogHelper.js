@@ -0,0 +1,123 @@
+const mongoose = require("mongoose");
+const { searchText } = require("./searchHelper.js");
+
+// orders a product list can be asked for with ?sort=; each ends on _id so
+// products that tie keep the same place from one page to the next
+const PRODUCT_SORTS = {
+  newest: { createdAt: -1, _id: -1 },
+  "price-asc": { price: 1, _id: 1 },
+  "price-desc": { price: -1, _id: -1 },
+  name: { name: 1, _id: 1 },
+  rating: { "rating.average": -1, "rating.count": -1, _id: -1 },
+};
+
+// the mongo sort for a ?sort= value, newest first when it is not one of the
+// product sorts
+const productSort = (sort) =>
+  typeof sort === "string" &&
+  Object.prototype.hasOwnProperty.call(PRODUCT_SORTS, sort)
+    ? PRODUCT_SORTS[sort]
+    : PRODUCT_SORTS.newest;
+
+const priceParam = (value) => {
+  if (typeof value !== "string" || !value.trim()) return undefined;
+  const price = Number(value);
+  return Number.isFinite(price) && price >= 0 ? price : undefined;
+};
+
+// the product filter for a catalog query string: ?category= once per
+// category, ?minPrice=, ?maxPrice=, ?inStock=true, ?shipping=true|false and
+// ?keyword=. Values that cannot be read are ignored, but category ids that
+// are not ids match nothing
+const catalogFilter = (query = {}) => {
+  const filter = {};
+  if (query.category !== undefined) {
+    filter.category = {
+      $in: [].concat(query.category).filter(mongoose.isValidObjectId),
+    };
+  }
+  const min = priceParam(query.minPrice);
+  const max = priceParam(query.maxPrice);
+  if (min !== undefined || max !== undefined) {
+    filter.price = {
+      ...(min !== undefined && { $gte: min }),
+      ...(max !== undefined && { $lte: max }),
+    };
+  }
+  if (query.inStock === "true") filter.quantity = { $gt: 0 };
+  if (query.shipping === "true" || query.shipping === "false") {
+    filter.shipping = query.shipping === "true";
+  }
+  const text = searchText(query.keyword);
+  if (text) filter.$text = { $search: text };
+  return filter;
+};
+
+// the mongo sort for a catalog query: best matches first when searching by
+// keyword and no other sort is asked for
+const catalogSort = (filter, sort) =>
+  filter.$text && (sort === undefined || sort === "relevance")
+    ? { score: { $meta: "textScore" }, createdAt: -1 }
+    : productSort(sort);
+
+// the filters each facet counts under: every filter of the query but the
+// facet's own, so the other categories and prices can still be picked.
+// Mongoose does not cast aggregations, so the category ids are cast here
+const facetFilters = (query = {}) => {
+  const { category, ...price } = catalogFilter({
+    ...query,
+    minPrice: undefined,
+    maxPrice: undefined,
+  });
+  if (category) {
+    price.category = {
+      $in: category.$in.map((id) => new mongoose.Types.ObjectId(id)),
+    };
+  }
+  return {
+    category: catalogFilter({ ...query, category: undefined }),
+    price,
+  };
+};
+
+// about how many bars the price histogram is split into
+const PRICE_BUCKETS = 10;
+
+// a round width for the price bars, 1, 2 or 5 times a power of ten and never
+// under a dollar
+const priceStep = (min, max) => {
+  const rough = (max - min) / PRICE_BUCKETS;
+  if (rough <= 1) return 1;
+  const power = 10 ** Math.floor(Math.log10(rough));
+  return [1, 2, 5, 10].map((n) => n * power).find((step) => step >= rough);
+};
+
+// the edges of the price bars, from a round price at or under min to the
+// first one past max; each bar holds its lower edge but not its upper one
+const priceBoundaries = (min, max) => {
+  const step = priceStep(min, max);
+  const boundaries = [Math.floor(min / step) * step];
+  while (boundaries[boundaries.length - 1] <= max) {
+    boundaries.push(boundaries[boundaries.length - 1] + step);
+  }
+  return boundaries;
+};
+
+// the bars between the boundaries with the counts $bucket found for them;
+// $bucket leaves out the empty ones
+const priceHistogram = (boundaries, found) =>
+  boundaries.slice(0, -1).map((min, i) => ({
+    min,
+    max: boundaries[i + 1],
+    count: found.find((bucket) => bucket._id === min)?.count || 0,
+  }));
+
+module.exports = {
+  PRODUCT_SORTS,
+  productSort,
+  catalogFilter,
+  catalogSort,
+  facetFilters,
+  priceBoundaries,
+  priceHistogram,
+};
@@ -0,0 +1,174 @@
+import mongoose from "mongoose";
+import {
+  PRODUCT_SORTS,
+  catalogFilter,
+  catalogSort,
+  facetFilters,
+  priceBoundaries,
+  priceHistogram,
+  productSort,
+} from "./catalogHelper";
+
+describe("catalogHelper", () => {
+  describe("productSort", () => {
+    it("should give the mongo sort of each product sort", () => {
+      expect(productSort("price-asc")).toEqual({ price: 1, _id: 1 });
+      expect(productSort("rating")).toEqual({
+        "rating.average": -1,
+        "rating.count": -1,
+        _id: -1,
+      });
+      Object.keys(PRODUCT_SORTS).forEach((sort) =>
+        expect(productSort(sort)).toBe(PRODUCT_SORTS[sort])
+      );
+    });
+
+    it.each([undefined, "", "relevance", "toString", ["name"]])(
+      "should sort newest first for %p",
+      (sort) => {
+        expect(productSort(sort)).toEqual({ createdAt: -1, _id: -1 });
+      }
+    );
+  });
+
+  describe("catalogFilter", () => {
+    const books = "66db427fdb0119d9234b27ef";
+    const toys = "66db427fdb0119d9234b27f0";
+
+    it("should filter by everything the query asks for", () => {
+      expect(
+        catalogFilter({
+          category: [books, toys],
+          minPrice: "20",
+          maxPrice: "39.5",
+          inStock: "true",
+          shipping: "false",
+          keyword: 'blue "pen"',
+        })
+      ).toEqual({
+        category: { $in: [books, toys] },
+        price: { $gte: 20, $lte: 39.5 },
+        quantity: { $gt: 0 },
+        shipping: false,
+        $text: { $search: "blue pen" },
+      });
+    });
+
+    it("should take a single category and one end of the price range", () => {
+      expect(catalogFilter({ category: books, maxPrice: "10" })).toEqual({
+        category: { $in: [books] },
+        price: { $lte: 10 },
+      });
+      expect(catalogFilter({ minPrice: "0" })).toEqual({
+        price: { $gte: 0 },
+      });
+    });
+
+    it("should ignore values it cannot read", () => {
+      expect(
+        catalogFilter({
+          minPrice: "cheap",
+          maxPrice: "-5",
+          inStock: "yes",
+          shipping: "",
+          keyword: ' " - ',
+        })
+      ).toEqual({});
+      expect(catalogFilter()).toEqual({});
+    });
+
+    it("should match no category for ids that are not ids", () => {
+      expect(catalogFilter({ category: ["books", { $ne: null }] })).toEqual({
+        category: { $in: [] },
+      });
+    });
+  });
+
+  describe("catalogSort", () => {
+    it("should put the best matches first for a keyword", () => {
+      const filter = { $text: { $search: "pen" } };
+      const relevance = { score: { $meta: "textScore" }, createdAt: -1 };
+
+      expect(catalogSort(filter)).toEqual(relevance);
+      expect(catalogSort(filter, "relevance")).toEqual(relevance);
+      expect(catalogSort(filter, "name")).toBe(PRODUCT_SORTS.name);
+    });
+
+    it("should sort newest first without a keyword", () => {
+      expect(catalogSort({}, "relevance")).toBe(PRODUCT_SORTS.newest);
+      expect(catalogSort({})).toBe(PRODUCT_SORTS.newest);
+    });
+  });
+
+  describe("facetFilters", () => {
+    const books = "66db427fdb0119d9234b27ef";
+
+    it("should leave each facet's own filter out", () => {
+      const { category, price } = facetFilters({
+        category: books,
+        minPrice: "20",
+        maxPrice: "40",
+        inStock: "true",
+      });
+
+      expect(category).toEqual({
+        price: { $gte: 20, $lte: 40 },
+        quantity: { $gt: 0 },
+      });
+      expect(price).toEqual({
+        category: { $in: [new mongoose.Types.ObjectId(books)] },
+        quantity: { $gt: 0 },
+      });
+    });
+
+    it("should cast the category ids for the aggregation", () => {
+      const { price } = facetFilters({ category: [books] });
+
+      expect(price.category.$in[0]).toBeInstanceOf(mongoose.Types.ObjectId);
+    });
+
+    it("should filter nothing for an empty query", () => {
+      expect(facetFilters()).toEqual({ category: {}, price: {} });
+    });
+  });
+
+  describe("priceBoundaries", () => {
+    it("should split the range into round bars", () => {
+      expect(priceBoundaries(3.5, 98)).toEqual([
+        0, 10, 20, 30, 40, 50, 60, 70, 80, 90, 100,
+      ]);
+      expect(priceBoundaries(120, 1999)).toEqual([
+        0, 200, 400, 600, 800, 1000, 1200, 1400, 1600, 1800, 2000,
+      ]);
+    });
+
+    it("should end past the highest price", () => {
+      expect(priceBoundaries(0, 50)).toEqual([
+        0, 5, 10, 15, 20, 25, 30, 35, 40, 45, 50, 55,
+      ]);
+    });
+
+    it("should use bars of a dollar for a narrow range", () => {
+      expect(priceBoundaries(4.99, 4.99)).toEqual([4, 5]);
+      expect(priceBoundaries(1.99, 3.99)).toEqual([1, 2, 3, 4]);
+    });
+  });
+
+  describe("priceHistogram", () => {
+    it("should give every bar its count, empty ones included", () => {
+      expect(
+        priceHistogram(
+          [0, 10, 20, 30],
+          [
+            { _id: 0, count: 2 },
+            { _id: 20, count: 1 },
+          ]
+        )
+      ).toEqual([
+        { min: 0, max: 10, count: 2 },
+        { min: 10, max: 20, count: 0 },
+        { min: 20, max: 30, count: 1 },
+      ]);
+    });
+  });
+});
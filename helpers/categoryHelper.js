@@ -0,0 +1,133 @@
+const mongoose = require("mongoose");
+const categoryModel = require("../models/categoryModel.js");
+
+// categories with the same parent are listed by their place, then by name
+const SIBLING_ORDER = { order: 1, name: 1, _id: 1 };
+
+// the ancestors of a category placed under `parent`: the parent's own, then
+// the parent itself; none at the top level
+const childAncestors = (parent) =>
+  parent
+    ? [
+        ...parent.ancestors.map(({ _id, name, slug }) => ({ _id, name, slug })),
+        { _id: parent._id, name: parent.name, slug: parent.slug },
+      ]
+    : [];
+
+// whether the category is the one with this id or sits somewhere under it
+const isWithin = (category, id) =>
+  String(category._id) === String(id) ||
+  category.ancestors.some((ancestor) => String(ancestor._id) === String(id));
+
+// the category a ?parent= names: null for none or the top level, undefined
+// when it does not exist
+const findParent = async (parentId) => {
+  if (!parentId) return null;
+  if (!mongoose.isValidObjectId(parentId)) return undefined;
+  return (await categoryModel.findById(parentId)) || undefined;
+};
+
+// the ids in their new order with `id` put at `index`, kept within the list
+const placeAt = (ids, id, index) => {
+  const place = Number.isInteger(index)
+    ? Math.min(Math.max(index, 0), ids.length)
+    : ids.length;
+  return [...ids.slice(0, place), id, ...ids.slice(place)];
+};
+
+// number categories with the same parent 0, 1, 2, ... in the order given
+const renumber = async (ids) => {
+  if (!ids.length) return;
+  await categoryModel.bulkWrite(
+    ids.map((_id, order) => ({
+      updateOne: { filter: { _id }, update: { order } },
+    }))
+  );
+};
+
+// ids of the category and of every category under it
+const subtreeIds = async (category) => {
+  const descendants = await categoryModel
+    .find({ "ancestors._id": category._id })
+    .select("_id");
+  return [category._id, ...descendants.map((descendant) => descendant._id)];
+};
+
+// a catalog query with its ?category= ids widened to every category under
+// them, so picking a category also finds the products of its subcategories.
+// Ids that are not ids are left for the catalog filter to refuse
+const withSubcategories = async (query = {}) => {
+  if (query.category === undefined) return query;
+  const picked = [].concat(query.category);
+  const ids = picked.filter(mongoose.isValidObjectId);
+  const descendants = ids.length
+    ? await categoryModel.find({ "ancestors._id": { $in: ids } }).select("_id")
+    : [];
+  return {
+    ...query,
+    category: [
+      ...picked,
+      ...descendants.map((descendant) => String(descendant._id)),
+    ],
+  };
+};
+
+// product counts per category from a $group on the category, with each
+// count added to the categories above it too
+const subtreeCounts = (counts, categories) => {
+  const byId = new Map(categories.map((c) => [String(c._id), c]));
+  const totals = new Map();
+  const add = (id, count) =>
+    totals.set(String(id), (totals.get(String(id)) || 0) + count);
+  counts.forEach(({ _id, count }) => {
+    if (!_id) return;
+    add(_id, count);
+    (byId.get(String(_id))?.ancestors || []).forEach((ancestor) =>
+      add(ancestor._id, count)
+    );
+  });
+  return [...totals].map(([_id, count]) => ({ _id, count }));
+};
+
+// after a category is renamed or moved, give everything under it the new
+// path: what was above the category is swapped for its ancestors now
+const updateDescendants = async (category) => {
+  const descendants = await categoryModel.find({
+    "ancestors._id": category._id,
+  });
+  if (!descendants.length) return;
+  const path = childAncestors(category);
+  await categoryModel.bulkWrite(
+    descendants.map((descendant) => {
+      const below = descendant.ancestors.slice(
+        descendant.ancestors.findIndex(
+          (ancestor) => String(ancestor._id) === String(category._id)
+        ) + 1
+      );
+      return {
+        updateOne: {
+          filter: { _id: descendant._id },
+          update: {
+            ancestors: [
+              ...path,
+              ...below.map(({ _id, name, slug }) => ({ _id, name, slug })),
+            ],
+          },
+        },
+      };
+    })
+  );
+};
+
+module.exports = {
+  SIBLING_ORDER,
+  childAncestors,
+  isWithin,
+  findParent,
+  placeAt,
+  renumber,
+  subtreeCounts,
+  subtreeIds,
+  updateDescendants,
+  withSubcategories,
+};
@@ -0,0 +1,256 @@
+import mongoose from "mongoose";
+import categoryModel from "../models/categoryModel";
+import {
+  childAncestors,
+  findParent,
+  isWithin,
+  placeAt,
+  renumber,
+  subtreeCounts,
+  subtreeIds,
+  updateDescendants,
+  withSubcategories,
+} from "./categoryHelper";
+
+jest.mock("../models/categoryModel");
+
+const id = () => new mongoose.Types.ObjectId();
+
+const books = { _id: id(), name: "Books", slug: "books", ancestors: [] };
+const fiction = {
+  _id: id(),
+  name: "Fiction",
+  slug: "fiction",
+  ancestors: [{ _id: books._id, name: "Books", slug: "books" }],
+};
+
+describe("categoryHelper", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe("childAncestors", () => {
+    it("should put the parent after its own ancestors", () => {
+      expect(childAncestors(fiction)).toEqual([
+        { _id: books._id, name: "Books", slug: "books" },
+        { _id: fiction._id, name: "Fiction", slug: "fiction" },
+      ]);
+    });
+
+    it("should give no ancestors at the top level", () => {
+      expect(childAncestors(null)).toEqual([]);
+    });
+  });
+
+  describe("isWithin", () => {
+    it("should find the category itself and those under it", () => {
+      expect(isWithin(fiction, String(fiction._id))).toBe(true);
+      expect(isWithin(fiction, books._id)).toBe(true);
+      expect(isWithin(books, fiction._id)).toBe(false);
+    });
+  });
+
+  describe("findParent", () => {
+    it("should look the parent up by id", async () => {
+      categoryModel.findById = jest.fn().mockResolvedValue(books);
+
+      expect(await findParent(String(books._id))).toBe(books);
+      expect(categoryModel.findById).toHaveBeenCalledWith(String(books._id));
+    });
+
+    it.each([undefined, null, ""])(
+      "should give null for %p",
+      async (parent) => {
+        categoryModel.findById = jest.fn();
+
+        expect(await findParent(parent)).toBeNull();
+        expect(categoryModel.findById).not.toHaveBeenCalled();
+      }
+    );
+
+    it("should give undefined for a parent that does not exist", async () => {
+      categoryModel.findById = jest.fn().mockResolvedValue(null);
+
+      expect(await findParent(String(id()))).toBeUndefined();
+      expect(await findParent("books")).toBeUndefined();
+      expect(categoryModel.findById).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe("placeAt", () => {
+    it("should put the id at the place asked for", () => {
+      expect(placeAt(["a", "b", "c"], "x", 1)).toEqual(["a", "x", "b", "c"]);
+      expect(placeAt(["a", "b"], "x", 0)).toEqual(["x", "a", "b"]);
+    });
+
+    it.each([undefined, NaN, 1.5, 10])(
+      "should put the id last for %p",
+      (index) => {
+        expect(placeAt(["a", "b"], "x", index)).toEqual(["a", "b", "x"]);
+      }
+    );
+
+    it("should put the id first for a place before the start", () => {
+      expect(placeAt(["a", "b"], "x", -3)).toEqual(["x", "a", "b"]);
+    });
+  });
+
+  describe("renumber", () => {
+    it("should give the categories their places in the order given", async () => {
+      categoryModel.bulkWrite = jest.fn().mockResolvedValue({});
+
+      await renumber(["b", "a"]);
+
+      expect(categoryModel.bulkWrite).toHaveBeenCalledWith([
+        { updateOne: { filter: { _id: "b" }, update: { order: 0 } } },
+        { updateOne: { filter: { _id: "a" }, update: { order: 1 } } },
+      ]);
+    });
+
+    it("should write nothing for no categories", async () => {
+      categoryModel.bulkWrite = jest.fn();
+
+      await renumber([]);
+
+      expect(categoryModel.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("subtreeIds", () => {
+    it("should give the category and every one under it", async () => {
+      const novels = id();
+      const select = jest
+        .fn()
+        .mockResolvedValue([{ _id: fiction._id }, { _id: novels }]);
+      categoryModel.find = jest.fn().mockReturnValue({ select });
+
+      expect(await subtreeIds(books)).toEqual([books._id, fiction._id, novels]);
+      expect(categoryModel.find).toHaveBeenCalledWith({
+        "ancestors._id": books._id,
+      });
+      expect(select).toHaveBeenCalledWith("_id");
+    });
+  });
+
+  describe("withSubcategories", () => {
+    it("should add the categories under the picked ones", async () => {
+      const novels = id();
+      const select = jest
+        .fn()
+        .mockResolvedValue([{ _id: fiction._id }, { _id: novels }]);
+      categoryModel.find = jest.fn().mockReturnValue({ select });
+
+      expect(
+        await withSubcategories({ category: String(books._id), page: "2" })
+      ).toEqual({
+        category: [String(books._id), String(fiction._id), String(novels)],
+        page: "2",
+      });
+      expect(categoryModel.find).toHaveBeenCalledWith({
+        "ancestors._id": { $in: [String(books._id)] },
+      });
+    });
+
+    it("should leave a query without categories alone", async () => {
+      categoryModel.find = jest.fn();
+      const query = { sort: "name" };
+
+      expect(await withSubcategories(query)).toBe(query);
+      expect(categoryModel.find).not.toHaveBeenCalled();
+    });
+
+    it("should keep malformed ids without looking them up", async () => {
+      categoryModel.find = jest.fn();
+
+      expect(await withSubcategories({ category: "abc" })).toEqual({
+        category: ["abc"],
+      });
+      expect(categoryModel.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("subtreeCounts", () => {
+    it("should add each count to the categories above it", () => {
+      const novels = {
+        _id: id(),
+        ancestors: [{ _id: books._id }, { _id: fiction._id }],
+      };
+
+      expect(
+        subtreeCounts(
+          [
+            { _id: novels._id, count: 4 },
+            { _id: books._id, count: 1 },
+            { _id: null, count: 5 },
+          ],
+          [books, fiction, novels]
+        )
+      ).toEqual([
+        { _id: String(novels._id), count: 4 },
+        { _id: String(books._id), count: 5 },
+        { _id: String(fiction._id), count: 4 },
+      ]);
+    });
+  });
+
+  describe("updateDescendants", () => {
+    it("should swap what was above the category for its new path", async () => {
+      const novels = {
+        _id: id(),
+        ancestors: [
+          { _id: books._id, name: "Books", slug: "books" },
+          { _id: fiction._id, name: "Old name", slug: "old-name" },
+        ],
+      };
+      const crime = {
+        _id: id(),
+        ancestors: [
+          ...novels.ancestors,
+          { _id: novels._id, name: "Novels", slug: "novels" },
+        ],
+      };
+      categoryModel.find = jest.fn().mockResolvedValue([novels, crime]);
+      categoryModel.bulkWrite = jest.fn().mockResolvedValue({});
+      const moved = { ...fiction, ancestors: [] };
+
+      await updateDescendants(moved);
+
+      expect(categoryModel.find).toHaveBeenCalledWith({
+        "ancestors._id": fiction._id,
+      });
+      const fictionPath = {
+        _id: fiction._id,
+        name: "Fiction",
+        slug: "fiction",
+      };
+      expect(categoryModel.bulkWrite).toHaveBeenCalledWith([
+        {
+          updateOne: {
+            filter: { _id: novels._id },
+            update: { ancestors: [fictionPath] },
+          },
+        },
+        {
+          updateOne: {
+            filter: { _id: crime._id },
+            update: {
+              ancestors: [
+                fictionPath,
+                { _id: novels._id, name: "Novels", slug: "novels" },
+              ],
+            },
+          },
+        },
+      ]);
+    });
+
+    it("should write nothing for a category without subcategories", async () => {
+      categoryModel.find = jest.fn().mockResolvedValue([]);
+      categoryModel.bulkWrite = jest.fn();
+
+      await updateDescendants(books);
+
+      expect(categoryModel.bulkWrite).not.toHaveBeenCalled();
+    });
+  });
+});
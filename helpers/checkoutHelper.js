@@ -0,0 +1,45 @@
+const checkoutModel = require("../models/checkoutModel.js");
+
+// keys are generated by the cart page, anything else is refused
+const isCheckoutKey = (key) =>
+  typeof key === "string" && key.length > 0 && key.length <= 100;
+
+// claim a key for this buyer; when it was claimed before, resolves to
+// { duplicate } holding the earlier checkout (with its order once placed)
+const claimCheckout = async (buyer, key) => {
+  try {
+    const checkout = await checkoutModel.create({ buyer, key });
+    return { checkout };
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    const duplicate = await checkoutModel
+      .findOne({ buyer, key })
+      .populate("order");
+    return { duplicate };
+  }
+};
+
+// the card has been charged for this order; from here on the key stays
+// claimed even if placing the order fails
+const recordCharge = (checkout, charge) =>
+  checkoutModel.updateOne({ _id: checkout._id }, { charge });
+
+const completeCheckout = (checkout, order) =>
+  checkoutModel.updateOne({ _id: checkout._id }, { order: order._id });
+
+// an attempt that charged nothing and placed no order frees its key so the
+// buyer can retry
+const releaseCheckout = (checkout) =>
+  checkoutModel.deleteOne({
+    _id: checkout._id,
+    order: { $exists: false },
+    charge: { $exists: false },
+  });
+
+module.exports = {
+  isCheckoutKey,
+  claimCheckout,
+  recordCharge,
+  completeCheckout,
+  releaseCheckout,
+};
@@ -0,0 +1,81 @@
+import checkoutModel from "../models/checkoutModel";
+import {
+  claimCheckout,
+  completeCheckout,
+  isCheckoutKey,
+  recordCharge,
+  releaseCheckout,
+} from "./checkoutHelper";
+
+jest.mock("../models/checkoutModel");
+
+describe("checkoutHelper", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should accept only short non-empty string keys", () => {
+    expect(isCheckoutKey("3b241101-e2bb-4255-8caf-4136c566a962")).toBe(true);
+    expect(isCheckoutKey("")).toBe(false);
+    expect(isCheckoutKey(42)).toBe(false);
+    expect(isCheckoutKey("k".repeat(101))).toBe(false);
+  });
+
+  it("should claim a new key", async () => {
+    const checkout = { _id: "c1", buyer: "u1", key: "k1" };
+    checkoutModel.create.mockResolvedValue(checkout);
+
+    expect(await claimCheckout("u1", "k1")).toEqual({ checkout });
+    expect(checkoutModel.create).toHaveBeenCalledWith({
+      buyer: "u1",
+      key: "k1",
+    });
+  });
+
+  it("should hand back the earlier checkout for a claimed key", async () => {
+    const earlier = { _id: "c1", order: { _id: "o1" } };
+    const populate = jest.fn().mockResolvedValue(earlier);
+    checkoutModel.create.mockRejectedValue(
+      Object.assign(new Error("E11000 duplicate key"), { code: 11000 })
+    );
+    checkoutModel.findOne.mockReturnValue({ populate });
+
+    expect(await claimCheckout("u1", "k1")).toEqual({ duplicate: earlier });
+    expect(checkoutModel.findOne).toHaveBeenCalledWith({
+      buyer: "u1",
+      key: "k1",
+    });
+    expect(populate).toHaveBeenCalledWith("order");
+  });
+
+  it("should pass on other database errors", async () => {
+    checkoutModel.create.mockRejectedValue(new Error("Database down"));
+
+    await expect(claimCheckout("u1", "k1")).rejects.toThrow("Database down");
+  });
+
+  it("should keep the charge and link the order", async () => {
+    const charge = { _id: "o1", total: 40 };
+    await recordCharge({ _id: "c1" }, charge);
+    await completeCheckout({ _id: "c1" }, { _id: "o1" });
+
+    expect(checkoutModel.updateOne).toHaveBeenCalledWith(
+      { _id: "c1" },
+      { charge }
+    );
+    expect(checkoutModel.updateOne).toHaveBeenCalledWith(
+      { _id: "c1" },
+      { order: "o1" }
+    );
+  });
+
+  it("should free only keys that charged nothing and placed no order", async () => {
+    await releaseCheckout({ _id: "c1" });
+
+    expect(checkoutModel.deleteOne).toHaveBeenCalledWith({
+      _id: "c1",
+      order: { $exists: false },
+      charge: { $exists: false },
+    });
+  });
+});
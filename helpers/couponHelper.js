@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+const couponModel = require("../models/couponModel.js");
+const { roundPrice } = require("./pricingHelper.js");
+
+const normalizeCode = (code) =>
+  typeof code === "string" ? code.trim().toUpperCase() : "";
+
+const findCoupon = (code) => couponModel.findOne({ code: normalizeCode(code) });
+
+// times a user has redeemed a coupon
+const userUses = (coupon, userId) =>
+  (coupon.redemptions || []).filter(
+    (r) => String(r.user) === String(userId)
+  ).length;
+
+// ids of a product's category and of the categories above it, when the
+// category was populated with its ancestors
+const categoryPath = (product) => {
+  const category = product?.category;
+  if (!category) return [];
+  return [
+    category._id || category,
+    ...(category.ancestors || []).map((ancestor) => ancestor._id),
+  ].map(String);
+};
+
+// subtotal of the priced lines a coupon applies to; a coupon without
+// products or categories applies to every line, and one for a category also
+// applies to its subcategories
+const eligibleSubtotal = (coupon, items, products) => {
+  const productIds = (coupon.products || []).map(String);
+  const categoryIds = (coupon.categories || []).map(String);
+  const scoped = productIds.length || categoryIds.length;
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+  return roundPrice(
+    items
+      .filter((item) => {
+        if (!scoped) return true;
+        return (
+          productIds.includes(String(item.product)) ||
+          categoryPath(byId.get(String(item.product))).some((id) =>
+            categoryIds.includes(id)
+          )
+        );
+      })
+      .reduce((sum, item) => sum + item.total, 0)
+  );
+};
+
+// discount a coupon gives on lines priced by priceOrder, as { discount },
+// or { message } saying why the user cannot use it
+const couponDiscount = (
+  coupon,
+  { items, products, subtotal, userId, now = new Date() }
+) => {
+  if (!coupon || !coupon.active) return { message: "Invalid coupon code" };
+  if (coupon.expiresAt && coupon.expiresAt <= now) {
+    return { message: "Coupon has expired" };
+  }
+  if (coupon.maxUses && coupon.used >= coupon.maxUses) {
+    return { message: "Coupon usage limit reached" };
+  }
+  if (
+    coupon.maxUsesPerUser &&
+    userUses(coupon, userId) >= coupon.maxUsesPerUser
+  ) {
+    return { message: "You have already used this coupon" };
+  }
+  if (subtotal < (coupon.minOrder || 0)) {
+    return {
+      message: `Order must be at least $${coupon.minOrder.toFixed(
+        2
+      )} to use this coupon`,
+    };
+  }
+  const eligible = eligibleSubtotal(coupon, items, products);
+  if (!eligible) {
+    return { message: "Coupon does not apply to the items in your cart" };
+  }
+  const discount =
+    coupon.type === "percentage"
+      ? (eligible * Math.min(coupon.value, 100)) / 100
+      : Math.min(coupon.value, eligible);
+  return { discount: roundPrice(discount) };
+};
+
+// take one use of a coupon for a user. The update only matches while the
+// global and per-user limits have room, so concurrent checkouts cannot
+// overuse it. Resolves to the redemption id, or null when a limit was hit
+const redeemCoupon = async (coupon, userId) => {
+  const user = new mongoose.Types.ObjectId(String(userId));
+  const limits = [];
+  if (coupon.maxUses) limits.push({ $lt: ["$used", coupon.maxUses] });
+  if (coupon.maxUsesPerUser) {
+    limits.push({
+      $lt: [
+        {
+          $size: {
+            $filter: {
+              input: "$redemptions",
+              cond: { $eq: ["$$this.user", user] },
+            },
+          },
+        },
+        coupon.maxUsesPerUser,
+      ],
+    });
+  }
+  const redemption = new mongoose.Types.ObjectId();
+  const filter = { _id: coupon._id };
+  if (limits.length) filter.$expr = { $and: limits };
+  const updated = await couponModel.findOneAndUpdate(filter, {
+    $inc: { used: 1 },
+    $push: { redemptions: { _id: redemption, user } },
+  });
+  return updated ? redemption : null;
+};
+
+// give a use back, e.g. after a failed payment
+const releaseCoupon = (coupon, redemption) =>
+  couponModel.updateOne(
+    { _id: coupon._id, "redemptions._id": redemption },
+    { $inc: { used: -1 }, $pull: { redemptions: { _id: redemption } } }
+  );
+
+module.exports = {
+  normalizeCode,
+  findCoupon,
+  userUses,
+  eligibleSubtotal,
+  couponDiscount,
+  redeemCoupon,
+  releaseCoupon,
+};
@@ -0,0 +1,237 @@
+import mongoose from "mongoose";
+import couponModel from "../models/couponModel";
+import {
+  couponDiscount,
+  eligibleSubtotal,
+  findCoupon,
+  normalizeCode,
+  redeemCoupon,
+  releaseCoupon,
+  userUses,
+} from "./couponHelper";
+
+jest.mock("../models/couponModel");
+
+const USER_ID = "67e0150aa528fde85145d2f1";
+const OTHER_USER_ID = "67e0150aa528fde85145d2f2";
+const P1 = "66db427fdb0119d9234b27f9";
+const P2 = "66db427fdb0119d9234b27fa";
+const BOOKS = "66db427fdb0119d9234b27ef";
+const SHIRTS = "66db427fdb0119d9234b27e0";
+
+const products = [
+  { _id: P1, name: "Novel", price: 20, category: BOOKS },
+  { _id: P2, name: "T-shirt", price: 30, category: { _id: SHIRTS } },
+];
+const items = [
+  { product: P1, name: "Novel", price: 20, quantity: 2, total: 40 },
+  { product: P2, name: "T-shirt", price: 30, quantity: 2, total: 60 },
+];
+
+const coupon = (overrides = {}) => ({
+  _id: "coupon-1",
+  code: "SAVE10",
+  type: "percentage",
+  value: 10,
+  minOrder: 0,
+  active: true,
+  used: 0,
+  redemptions: [],
+  products: [],
+  categories: [],
+  ...overrides,
+});
+
+const discountOf = (c, overrides = {}) =>
+  couponDiscount(c, {
+    items,
+    products,
+    subtotal: 100,
+    userId: USER_ID,
+    ...overrides,
+  });
+
+describe("couponHelper", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should match codes whatever their case or spacing", async () => {
+    expect(normalizeCode(" save10 ")).toBe("SAVE10");
+    expect(normalizeCode(undefined)).toBe("");
+    expect(normalizeCode({ $gt: "" })).toBe("");
+
+    couponModel.findOne = jest.fn().mockResolvedValue(coupon());
+    await findCoupon("save10");
+    expect(couponModel.findOne).toHaveBeenCalledWith({ code: "SAVE10" });
+  });
+
+  it("should count the uses of one user", () => {
+    const c = coupon({
+      redemptions: [
+        { user: USER_ID },
+        { user: OTHER_USER_ID },
+        { user: USER_ID },
+      ],
+    });
+    expect(userUses(c, USER_ID)).toBe(2);
+    expect(userUses(coupon({ redemptions: undefined }), USER_ID)).toBe(0);
+  });
+
+  describe("eligibleSubtotal", () => {
+    it("should cover every line of an unscoped coupon", () => {
+      expect(eligibleSubtotal(coupon(), items, products)).toBe(100);
+    });
+
+    it("should cover lines of the listed products", () => {
+      expect(eligibleSubtotal(coupon({ products: [P1] }), items, products)).toBe(
+        40
+      );
+    });
+
+    it("should cover lines in the listed categories", () => {
+      expect(
+        eligibleSubtotal(coupon({ categories: [SHIRTS] }), items, products)
+      ).toBe(60);
+    });
+
+    it("should cover lines in subcategories of the listed categories", () => {
+      const TEES = "66db427fdb0119d9234b27e1";
+      const nested = [
+        products[0],
+        {
+          ...products[1],
+          category: { _id: TEES, ancestors: [{ _id: SHIRTS, name: "Shirts" }] },
+        },
+      ];
+
+      expect(
+        eligibleSubtotal(coupon({ categories: [SHIRTS] }), items, nested)
+      ).toBe(60);
+      expect(
+        eligibleSubtotal(coupon({ categories: [TEES] }), items, nested)
+      ).toBe(60);
+      expect(
+        eligibleSubtotal(coupon({ categories: [BOOKS] }), items, nested)
+      ).toBe(40);
+    });
+  });
+
+  describe("couponDiscount", () => {
+    it("should take a percentage off the order", () => {
+      expect(discountOf(coupon())).toEqual({ discount: 10 });
+    });
+
+    it("should take a fixed amount off, at most the eligible lines", () => {
+      expect(discountOf(coupon({ type: "fixed", value: 15 }))).toEqual({
+        discount: 15,
+      });
+      expect(
+        discountOf(coupon({ type: "fixed", value: 500, products: [P1] }))
+      ).toEqual({ discount: 40 });
+    });
+
+    it("should round to cents", () => {
+      expect(discountOf(coupon({ value: 33 }), { subtotal: 100 })).toEqual({
+        discount: 33,
+      });
+      expect(
+        discountOf(coupon({ value: 12.5, categories: [BOOKS] }))
+      ).toEqual({ discount: 5 });
+    });
+
+    it("should refuse missing and inactive coupons", () => {
+      expect(discountOf(null)).toEqual({ message: "Invalid coupon code" });
+      expect(discountOf(coupon({ active: false }))).toEqual({
+        message: "Invalid coupon code",
+      });
+    });
+
+    it("should refuse expired coupons", () => {
+      const now = new Date("2026-06-01");
+      expect(
+        discountOf(coupon({ expiresAt: new Date("2026-05-31") }), { now })
+      ).toEqual({ message: "Coupon has expired" });
+      expect(
+        discountOf(coupon({ expiresAt: new Date("2026-06-02") }), { now })
+      ).toEqual({ discount: 10 });
+    });
+
+    it("should refuse coupons past their usage limits", () => {
+      expect(discountOf(coupon({ maxUses: 5, used: 5 }))).toEqual({
+        message: "Coupon usage limit reached",
+      });
+      expect(
+        discountOf(
+          coupon({ maxUsesPerUser: 1, redemptions: [{ user: USER_ID }] })
+        )
+      ).toEqual({ message: "You have already used this coupon" });
+      expect(
+        discountOf(
+          coupon({ maxUsesPerUser: 1, redemptions: [{ user: OTHER_USER_ID }] })
+        )
+      ).toEqual({ discount: 10 });
+    });
+
+    it("should refuse orders below the minimum", () => {
+      expect(discountOf(coupon({ minOrder: 150 }))).toEqual({
+        message: "Order must be at least $150.00 to use this coupon",
+      });
+    });
+
+    it("should refuse carts without eligible lines", () => {
+      expect(discountOf(coupon({ products: ["66db427fdb0119d9234b2700"] }))).toEqual(
+        { message: "Coupon does not apply to the items in your cart" }
+      );
+    });
+  });
+
+  describe("redeemCoupon", () => {
+    it("should take a use while both limits have room", async () => {
+      couponModel.findOneAndUpdate = jest.fn().mockResolvedValue(coupon());
+
+      const redemption = await redeemCoupon(
+        coupon({ maxUses: 10, maxUsesPerUser: 2 }),
+        USER_ID
+      );
+
+      expect(mongoose.isValidObjectId(redemption)).toBe(true);
+      const [filter, update] = couponModel.findOneAndUpdate.mock.calls[0];
+      expect(filter._id).toBe("coupon-1");
+      expect(filter.$expr.$and).toHaveLength(2);
+      expect(filter.$expr.$and[0]).toEqual({ $lt: ["$used", 10] });
+      expect(update.$inc).toEqual({ used: 1 });
+      expect(update.$push.redemptions._id).toBe(redemption);
+      expect(String(update.$push.redemptions.user)).toBe(USER_ID);
+    });
+
+    it("should not check limits a coupon does not have", async () => {
+      couponModel.findOneAndUpdate = jest.fn().mockResolvedValue(coupon());
+
+      await redeemCoupon(coupon(), USER_ID);
+
+      const [filter] = couponModel.findOneAndUpdate.mock.calls[0];
+      expect(filter).toEqual({ _id: "coupon-1" });
+    });
+
+    it("should resolve to null once a limit is hit", async () => {
+      couponModel.findOneAndUpdate = jest.fn().mockResolvedValue(null);
+
+      expect(await redeemCoupon(coupon({ maxUses: 1 }), USER_ID)).toBeNull();
+    });
+  });
+
+  it("should give one use back", async () => {
+    couponModel.updateOne = jest.fn().mockResolvedValue({});
+
+    await releaseCoupon(coupon(), "redemption-1");
+
+    expect(couponModel.updateOne).toHaveBeenCalledWith(
+      { _id: "coupon-1", "redemptions._id": "redemption-1" },
+      {
+        $inc: { used: -1 },
+        $pull: { redemptions: { _id: "redemption-1" } },
+      }
+    );
+  });
+});
@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+
+// A cursor holds the sort values of the last item of a page, _id last, as
+// base64url JSON. Clients pass it back as it is to get the items after it;
+// unlike skip, the next page starts right after that item however many were
+// added or removed before it
+
+// lists without a choice of order, such as the admin ones, go newest first
+const NEWEST_FIRST = { createdAt: -1, _id: -1 };
+
+// the value at a dotted path such as "rating.average"
+const valueAt = (doc, path) =>
+  path.split(".").reduce((value, key) => value?.[key], doc);
+
+// the cursor of the items after `doc` in a list sorted by `sort`
+const encodeCursor = (doc, sort) =>
+  Buffer.from(
+    JSON.stringify(
+      Object.keys(sort).map((key) => {
+        const value = valueAt(doc, key);
+        return value instanceof Date ? { date: value.toISOString() } : value;
+      })
+    )
+  ).toString("base64url");
+
+// sort values a cursor may hold: only dates, ids and null come back as
+// objects, so filters cannot be slipped in, and dates must be real
+const isCursorValue = (value) =>
+  value === null ||
+  value instanceof mongoose.Types.ObjectId ||
+  (value instanceof Date && !Number.isNaN(value.getTime()));
+
+// the sort values a cursor holds, or null when it is not a cursor of a list
+// sorted by `sort`
+const decodeCursor = (cursor, sort) => {
+  const keys = Object.keys(sort);
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(values) || values.length !== keys.length) return null;
+  if (!mongoose.isValidObjectId(values[values.length - 1])) return null;
+  values = values.map((value, i) => {
+    if (keys[i] === "_id") return new mongoose.Types.ObjectId(value);
+    if (typeof value?.date === "string") return new Date(value.date);
+    return value;
+  });
+  if (
+    values.some((value) => typeof value === "object" && !isCursorValue(value))
+  ) {
+    return null;
+  }
+  return values;
+};
+
+// the filter for the items after the cursor values: a later value of the
+// first sort key, or the same one and a later value of the next, and so on
+const cursorFilter = (values, sort) => {
+  const keys = Object.keys(sort);
+  return {
+    $or: keys.map((key, i) => ({
+      ...Object.fromEntries(keys.slice(0, i).map((k, j) => [k, values[j]])),
+      [key]: { [sort[key] === 1 ? "$gt" : "$lt"]: values[i] },
+    })),
+  };
+};
+
+// the filter for the items after a ?cursor=: {} when there is none, null
+// when it is not a cursor of a list sorted by `sort`
+const afterCursor = (cursor, sort) => {
+  if (cursor === undefined) return {};
+  const values = decodeCursor(cursor, sort);
+  return values && cursorFilter(values, sort);
+};
+
+// a page from a list fetched with one item more than `limit`, and the
+// cursor of what follows it; null when nothing does
+const cursorPage = (docs, limit, sort) => {
+  const items = docs.slice(0, limit);
+  return {
+    items,
+    nextCursor:
+      docs.length > limit ? encodeCursor(items[items.length - 1], sort) : null,
+  };
+};
+
+// the reply to a ?cursor= that is not one the list handed out
+const invalidCursor = (res) =>
+  res.status(400).send({
+    success: false,
+    message: "Invalid cursor",
+  });
+
+module.exports = {
+  NEWEST_FIRST,
+  encodeCursor,
+  decodeCursor,
+  cursorFilter,
+  afterCursor,
+  cursorPage,
+  invalidCursor,
+};
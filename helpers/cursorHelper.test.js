@@ -0,0 +1,98 @@
+import mongoose from "mongoose";
+import {
+  afterCursor,
+  cursorFilter,
+  cursorPage,
+  decodeCursor,
+  encodeCursor,
+  invalidCursor,
+} from "./cursorHelper";
+
+describe("cursorHelper", () => {
+  const newest = { createdAt: -1, _id: -1 };
+  const rating = { "rating.average": -1, "rating.count": -1, _id: -1 };
+  const id = new mongoose.Types.ObjectId("66db427fdb0119d9234b27f9");
+  const createdAt = new Date("2024-09-06T17:57:19.992Z");
+
+  const rawCursor = (values) =>
+    Buffer.from(JSON.stringify(values)).toString("base64url");
+
+  it("should give back the sort values of the item it was made from", () => {
+    expect(
+      decodeCursor(encodeCursor({ _id: id, createdAt }, newest), newest)
+    ).toEqual([createdAt, id]);
+    expect(
+      decodeCursor(
+        encodeCursor({ _id: id, rating: { average: 4.5, count: 2 } }, rating),
+        rating
+      )
+    ).toEqual([4.5, 2, id]);
+  });
+
+  it("should be safe to put in a query string", () => {
+    expect(encodeCursor({ _id: id, createdAt }, newest)).toMatch(/^[\w-]+$/);
+  });
+
+  it.each([
+    ["not base64 json", "not a cursor"],
+    ["for another sort", rawCursor([4.5, 2, String(id)])],
+    ["without an id last", rawCursor([{ date: createdAt }, "abc"])],
+    ["with a broken date", rawCursor([{ date: "someday" }, String(id)])],
+    ["with a filter in it", rawCursor([{ $gt: "" }, String(id)])],
+    ["with a list in it", rawCursor([["a"], String(id)])],
+    ["that is not a list", rawCursor({ createdAt, _id: id })],
+  ])("should refuse a cursor %s", (_, cursor) => {
+    expect(decodeCursor(cursor, newest)).toBeNull();
+  });
+
+  it("should filter for what comes after the cursor in the sort", () => {
+    expect(cursorFilter([createdAt, id], newest)).toEqual({
+      $or: [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: id } }],
+    });
+    expect(cursorFilter([9.99, id], { price: 1, _id: 1 })).toEqual({
+      $or: [{ price: { $gt: 9.99 } }, { price: 9.99, _id: { $gt: id } }],
+    });
+  });
+
+  it("should filter after a cursor only when there is one", () => {
+    const cursor = encodeCursor({ _id: id, createdAt }, newest);
+
+    expect(afterCursor(undefined, newest)).toEqual({});
+    expect(afterCursor(cursor, newest)).toEqual(
+      cursorFilter([createdAt, id], newest)
+    );
+    expect(afterCursor("", newest)).toBeNull();
+    expect(afterCursor(cursor, rating)).toBeNull();
+  });
+
+  it("should cut the page and point at the item after it", () => {
+    const docs = [1, 2, 3].map((n) => ({
+      _id: new mongoose.Types.ObjectId(),
+      createdAt: new Date(2024, 0, n),
+    }));
+
+    const page = cursorPage(docs, 2, newest);
+
+    expect(page.items).toEqual(docs.slice(0, 2));
+    expect(decodeCursor(page.nextCursor, newest)).toEqual([
+      docs[1].createdAt,
+      docs[1]._id,
+    ]);
+    expect(cursorPage(docs, 3, newest)).toEqual({
+      items: docs,
+      nextCursor: null,
+    });
+  });
+
+  it("should refuse a cursor the list did not hand out", () => {
+    const res = { status: jest.fn().mockReturnThis(), send: jest.fn() };
+
+    invalidCursor(res);
+
+    expect(res.status).toHaveBeenCalledWith(400);
+    expect(res.send).toHaveBeenCalledWith({
+      success: false,
+      message: "Invalid cursor",
+    });
+  });
+});
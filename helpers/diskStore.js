@@ -0,0 +1,39 @@
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const path = require("path");
+
+// keys are random uuids, so a key can never point outside the folder
+const KEY_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// file store (FILE_STORE=local) keeping each file in a folder on this server
+const createDiskStore = ({ root }) => {
+  const fileOf = (key) =>
+    KEY_PATTERN.test(key) ? path.join(root, key) : null;
+
+  return {
+    name: "local",
+    save: async (data) => {
+      const key = crypto.randomUUID();
+      await fs.mkdir(root, { recursive: true });
+      await fs.writeFile(fileOf(key), data);
+      return key;
+    },
+    read: async (key) => {
+      const file = fileOf(key);
+      if (!file) return null;
+      try {
+        return await fs.readFile(file);
+      } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+      }
+    },
+    remove: async (key) => {
+      const file = fileOf(key);
+      if (file) await fs.rm(file, { force: true });
+    },
+  };
+};
+
+module.exports = { createDiskStore };
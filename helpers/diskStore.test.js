@@ -0,0 +1,58 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createDiskStore } from "./diskStore";
+
+describe("diskStore", () => {
+  let root, store;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), "photos-"));
+    store = createDiskStore({ root: path.join(root, "uploads") });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  it("should save a file under a new key and read it back", async () => {
+    const key = await store.save(Buffer.from("photo"), "image/png");
+
+    expect(store.name).toBe("local");
+    expect(key).toMatch(/^[0-9a-f-]{36}$/);
+    expect(await store.read(key)).toEqual(Buffer.from("photo"));
+    expect(fs.readdirSync(path.join(root, "uploads"))).toEqual([key]);
+  });
+
+  it("should give each file its own key", async () => {
+    const first = await store.save(Buffer.from("front"), "image/png");
+    const second = await store.save(Buffer.from("back"), "image/png");
+
+    expect(first).not.toBe(second);
+    expect(await store.read(first)).toEqual(Buffer.from("front"));
+  });
+
+  it("should read nothing for an unknown key", async () => {
+    expect(
+      await store.read("00000000-0000-4000-8000-000000000000")
+    ).toBeNull();
+  });
+
+  it("should not reach outside its folder", async () => {
+    fs.writeFileSync(path.join(root, "secret"), "secret");
+
+    expect(await store.read("../secret")).toBeNull();
+    await store.remove("../secret");
+
+    expect(fs.existsSync(path.join(root, "secret"))).toBe(true);
+  });
+
+  it("should remove a file, and ignore one already gone", async () => {
+    const key = await store.save(Buffer.from("photo"), "image/png");
+
+    await store.remove(key);
+    await store.remove(key);
+
+    expect(await store.read(key)).toBeNull();
+  });
+});
@@ -0,0 +1,119 @@
+const { VOIDABLE_STATUSES } = require("./refundHelper.js");
+
+// in-process payment provider (PAYMENT_PROVIDER=fake) so checkout and refunds
+// work without the braintree sandbox. Ids and tokens are predictable and
+// nothing leaves this process, so transactions are gone after a restart.
+
+// nonces the fake drop-in on the cart page hands out; the braintree sandbox
+// understands the same ones
+const FAKE_VALID_NONCE = "fake-valid-nonce";
+const FAKE_DECLINED_NONCE = "fake-processor-declined-visa-nonce";
+
+const REFUNDABLE_STATUSES = ["settling", "settled"];
+
+// how long a transaction stays submitted for settlement, so there is time to
+// void it before it can be refunded
+const DEFAULT_SETTLE_SECONDS = 60;
+
+const NOT_FOUND = { success: false, message: "Transaction not found." };
+
+const toAmount = (value) => (Math.round(Number(value) * 100) / 100).toFixed(2);
+
+const createFakeProvider = ({ settleSeconds } = {}) => {
+  const transactions = new Map();
+  const submittedAt = new Map();
+  const settleAfter =
+    (Number.isFinite(settleSeconds) && settleSeconds >= 0
+      ? settleSeconds
+      : DEFAULT_SETTLE_SECONDS) * 1000;
+  let lastId = 0;
+
+  const record = (fields) => {
+    lastId += 1;
+    const transaction = { id: `fake-txn-${lastId}`, ...fields };
+    transactions.set(transaction.id, transaction);
+    submittedAt.set(transaction.id, Date.now());
+    return { ...transaction };
+  };
+
+  // null when there is no such transaction, like after a restart; a
+  // transaction submitted long enough ago has settled by the time it is read
+  const find = async (id) => {
+    const transaction = transactions.get(id);
+    if (!transaction) return null;
+    if (
+      transaction.status === "submitted_for_settlement" &&
+      Date.now() - submittedAt.get(id) >= settleAfter
+    ) {
+      transaction.status = "settled";
+    }
+    return { ...transaction };
+  };
+
+  const refunded = (id) =>
+    [...transactions.values()]
+      .filter((t) => t.refundedTransactionId === id)
+      .reduce((sum, t) => sum + Number(t.amount), 0);
+
+  return {
+    name: "fake",
+    clientToken: async () => "fake-client-token",
+    sale: async ({ amount, nonce }) => {
+      if (!nonce) {
+        return { success: false, message: "Payment method nonce is required" };
+      }
+      if (nonce === FAKE_DECLINED_NONCE) {
+        return { success: false, message: "Do Not Honor" };
+      }
+      const transaction = record({
+        type: "sale",
+        amount: toAmount(amount),
+        status: "submitted_for_settlement",
+      });
+      return { success: true, transaction };
+    },
+    find,
+    void: async (id) => {
+      const transaction = await find(id);
+      if (!transaction) return NOT_FOUND;
+      if (!VOIDABLE_STATUSES.includes(transaction.status)) {
+        return {
+          success: false,
+          message: "Transaction can only be voided before it settles.",
+        };
+      }
+      transactions.get(id).status = "voided";
+      return { success: true, transaction: await find(id) };
+    },
+    refund: async (id, amount) => {
+      const transaction = await find(id);
+      if (!transaction) return NOT_FOUND;
+      if (!REFUNDABLE_STATUSES.includes(transaction.status)) {
+        return {
+          success: false,
+          message: "Cannot refund transaction unless it is settled.",
+        };
+      }
+      const left = Number(transaction.amount) - refunded(id);
+      const value = amount === undefined ? left : Number(amount);
+      if (!(value > 0) || value - left > 0.001) {
+        return { success: false, message: "Refund amount is too large." };
+      }
+      const refund = record({
+        type: "credit",
+        amount: toAmount(value),
+        status: "submitted_for_settlement",
+        refundedTransactionId: id,
+      });
+      return { success: true, transaction: refund };
+    },
+    //settle without waiting for the delay
+    settle: async (id) => {
+      if (!(await find(id))) return NOT_FOUND;
+      transactions.get(id).status = "settled";
+      return { success: true, transaction: await find(id) };
+    },
+  };
+};
+
+module.exports = { FAKE_VALID_NONCE, FAKE_DECLINED_NONCE, createFakeProvider };
@@ -0,0 +1,117 @@
+import {
+  FAKE_DECLINED_NONCE,
+  FAKE_VALID_NONCE,
+  createFakeProvider,
+} from "./fakeProvider";
+
+describe("fakeProvider", () => {
+  let provider;
+
+  beforeEach(() => {
+    provider = createFakeProvider();
+  });
+
+  const sale = (amount = 40) =>
+    provider.sale({ amount, nonce: FAKE_VALID_NONCE });
+
+  it("should hand out a fixed client token", async () => {
+    expect(provider.name).toBe("fake");
+    expect(await provider.clientToken()).toBe("fake-client-token");
+  });
+
+  it("should record sales with predictable ids", async () => {
+    const first = await sale(12.5);
+    const second = await sale();
+
+    expect(first).toEqual({
+      success: true,
+      transaction: {
+        id: "fake-txn-1",
+        type: "sale",
+        amount: "12.50",
+        status: "submitted_for_settlement",
+      },
+    });
+    expect(second.transaction.id).toBe("fake-txn-2");
+    expect(await provider.find("fake-txn-1")).toEqual(first.transaction);
+  });
+
+  it("should decline the declined nonce and a missing nonce", async () => {
+    const declined = await provider.sale({
+      amount: 10,
+      nonce: FAKE_DECLINED_NONCE,
+    });
+    const missing = await provider.sale({ amount: 10 });
+
+    expect(declined).toEqual({ success: false, message: "Do Not Honor" });
+    expect(missing.success).toBe(false);
+  });
+
+  it("should void a sale only before it settles", async () => {
+    const { transaction } = await sale();
+    const voided = await provider.void(transaction.id);
+    const again = await provider.void(transaction.id);
+
+    expect(voided.transaction.status).toBe("voided");
+    expect(again.success).toBe(false);
+  });
+
+  it("should refund a settled sale up to its amount", async () => {
+    const { transaction } = await sale();
+    const early = await provider.refund(transaction.id, "10.00");
+    await provider.settle(transaction.id);
+    const part = await provider.refund(transaction.id, "10.00");
+    const tooMuch = await provider.refund(transaction.id, "35.00");
+    const rest = await provider.refund(transaction.id);
+
+    expect(early).toEqual({
+      success: false,
+      message: "Cannot refund transaction unless it is settled.",
+    });
+    expect(part.transaction).toEqual(
+      expect.objectContaining({
+        type: "credit",
+        amount: "10.00",
+        refundedTransactionId: transaction.id,
+      })
+    );
+    expect(tooMuch.success).toBe(false);
+    expect(rest.transaction.amount).toBe("30.00");
+  });
+
+  it("should settle a sale once the delay has passed", async () => {
+    jest.useFakeTimers();
+    try {
+      provider = createFakeProvider({ settleSeconds: 30 });
+      const { transaction } = await sale();
+
+      jest.advanceTimersByTime(29000);
+      expect((await provider.find(transaction.id)).status).toBe(
+        "submitted_for_settlement"
+      );
+      jest.advanceTimersByTime(1000);
+      expect((await provider.find(transaction.id)).status).toBe("settled");
+      expect((await provider.refund(transaction.id, "10.00")).success).toBe(
+        true
+      );
+    } finally {
+      jest.useRealTimers();
+    }
+  });
+
+  it("should settle straight away without a delay", async () => {
+    provider = createFakeProvider({ settleSeconds: 0 });
+    const { transaction } = await sale();
+
+    expect((await provider.find(transaction.id)).status).toBe("settled");
+  });
+
+  it("should not find an unknown transaction", async () => {
+    const notFound = { success: false, message: "Transaction not found." };
+
+    expect(await provider.find("nope")).toBeNull();
+    expect(await provider.void("nope")).toEqual(notFound);
+    expect(await provider.refund("nope", "10.00")).toEqual(notFound);
+    expect(await provider.settle("nope")).toEqual(notFound);
+  });
+});
@@ -0,0 +1,49 @@
+const mongoose = require("mongoose");
+
+// file store (FILE_STORE=gridfs) keeping files in a GridFS bucket of the
+// app database. The bucket is opened on first use, once mongoose is connected
+const createGridFSStore = ({ bucketName }) => {
+  let bucket;
+  const open = () => {
+    if (!bucket) {
+      bucket = new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+        bucketName,
+      });
+    }
+    return bucket;
+  };
+  const idOf = (key) =>
+    mongoose.isValidObjectId(key) ? new mongoose.Types.ObjectId(key) : null;
+
+  return {
+    name: "gridfs",
+    save: (data, contentType) =>
+      new Promise((resolve, reject) => {
+        const upload = open().openUploadStream("photo", {
+          metadata: { contentType },
+        });
+        upload.once("error", reject);
+        upload.once("finish", () => resolve(String(upload.id)));
+        upload.end(data);
+      }),
+    read: async (key) => {
+      const id = idOf(key);
+      if (!id) return null;
+      const [file] = await open().find({ _id: id }).toArray();
+      if (!file) return null;
+      const chunks = [];
+      for await (const chunk of open().openDownloadStream(id)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks);
+    },
+    remove: async (key) => {
+      const id = idOf(key);
+      if (!id) return;
+      const [file] = await open().find({ _id: id }).toArray();
+      if (file) await open().delete(id);
+    },
+  };
+};
+
+module.exports = { createGridFSStore };
@@ -0,0 +1,83 @@
+import mongoose from "mongoose";
+import { Readable, Writable } from "stream";
+import { createGridFSStore } from "./gridfsStore";
+
+const FILE_ID = "67a2171ea6d9e00ef2ac0501";
+
+describe("gridfsStore", () => {
+  let bucket, written, store;
+
+  beforeEach(() => {
+    written = [];
+    bucket = {
+      openUploadStream: jest.fn(() => {
+        const upload = new Writable({
+          write(chunk, encoding, done) {
+            written.push(chunk);
+            done();
+          },
+        });
+        upload.id = new mongoose.Types.ObjectId(FILE_ID);
+        return upload;
+      }),
+      openDownloadStream: jest.fn(() =>
+        Readable.from([Buffer.from("pho"), Buffer.from("to")])
+      ),
+      find: jest.fn(() => ({ toArray: async () => [{ _id: FILE_ID }] })),
+      delete: jest.fn(async () => {}),
+    };
+    jest.spyOn(mongoose.mongo, "GridFSBucket").mockImplementation(() => bucket);
+    store = createGridFSStore({ bucketName: "photos" });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should open the bucket on first use only", async () => {
+    expect(store.name).toBe("gridfs");
+    expect(mongoose.mongo.GridFSBucket).not.toHaveBeenCalled();
+
+    await store.read(FILE_ID);
+    await store.read(FILE_ID);
+
+    expect(mongoose.mongo.GridFSBucket).toHaveBeenCalledTimes(1);
+    expect(mongoose.mongo.GridFSBucket).toHaveBeenCalledWith(
+      mongoose.connection.db,
+      { bucketName: "photos" }
+    );
+  });
+
+  it("should upload a file with its type and return its id", async () => {
+    const key = await store.save(Buffer.from("photo"), "image/png");
+
+    expect(key).toBe(FILE_ID);
+    expect(bucket.openUploadStream).toHaveBeenCalledWith("photo", {
+      metadata: { contentType: "image/png" },
+    });
+    expect(Buffer.concat(written)).toEqual(Buffer.from("photo"));
+  });
+
+  it("should read a file back whole", async () => {
+    expect(await store.read(FILE_ID)).toEqual(Buffer.from("photo"));
+    expect(String(bucket.openDownloadStream.mock.calls[0][0])).toBe(FILE_ID);
+  });
+
+  it("should read nothing for an unknown or invalid key", async () => {
+    bucket.find.mockReturnValueOnce({ toArray: async () => [] });
+
+    expect(await store.read(FILE_ID)).toBeNull();
+    expect(await store.read("not-an-id")).toBeNull();
+    expect(bucket.openDownloadStream).not.toHaveBeenCalled();
+  });
+
+  it("should delete a file only when it exists", async () => {
+    await store.remove(FILE_ID);
+    bucket.find.mockReturnValueOnce({ toArray: async () => [] });
+    await store.remove(FILE_ID);
+    await store.remove("not-an-id");
+
+    expect(bucket.delete).toHaveBeenCalledTimes(1);
+    expect(String(bucket.delete.mock.calls[0][0])).toBe(FILE_ID);
+  });
+});
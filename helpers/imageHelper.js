@@ -0,0 +1,49 @@
+const MAX_IMAGE_SIZE = 1000000;
+
+// position of the primary image, the first one when none is marked
+const primaryIndex = (images) =>
+  Math.max(
+    (images || []).findIndex((image) => image.primary),
+    0
+  );
+
+// the gallery order sent by the product form, as { entries } or { message };
+// {} when none was sent. Each entry is { _id } for a stored image that is
+// kept or { upload } naming the file field of a new one (image<n>); images
+// left out of the list are deleted. Exactly one entry ends up primary.
+const parseImages = (json, files, previous = []) => {
+  if (json === undefined) return {};
+  let list;
+  try {
+    list = JSON.parse(json);
+  } catch (error) {
+    list = null;
+  }
+  if (!Array.isArray(list)) return { message: "Images must be a list" };
+
+  const entries = [];
+  for (const item of list) {
+    const stored = previous.find((image) => String(image._id) === item?._id);
+    const file = /^image\d+$/.test(item?.upload)
+      ? files[item.upload]
+      : undefined;
+    switch (true) {
+      case !stored && !file:
+        return { message: "Unknown image" };
+      case file && file.size > MAX_IMAGE_SIZE:
+        return { message: "Photos should be less then 1mb" };
+      case entries.some((e) => stored && e.stored === stored):
+        return { message: "An image is listed more than once" };
+    }
+    entries.push({ stored, file, primary: item.primary === true });
+  }
+  const primary = primaryIndex(entries);
+  return {
+    entries: entries.map((entry, index) => ({
+      ...entry,
+      primary: index === primary,
+    })),
+  };
+};
+
+module.exports = { MAX_IMAGE_SIZE, primaryIndex, parseImages };
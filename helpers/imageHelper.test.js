@@ -0,0 +1,63 @@
+import { parseImages, primaryIndex } from "./imageHelper";
+
+const FRONT = "67a2171ea6d9e00ef2ac0401";
+const BACK = "67a2171ea6d9e00ef2ac0402";
+
+describe("imageHelper", () => {
+  const stored = [
+    { _id: FRONT, contentType: "image/png", primary: true },
+    { _id: BACK, contentType: "image/png", primary: false },
+  ];
+  const files = {
+    image0: { path: "side.png", type: "image/png", size: 1000 },
+    image1: { path: "huge.png", type: "image/png", size: 2000000 },
+  };
+
+  it("should find the primary image, falling back to the first", () => {
+    expect(primaryIndex(stored)).toBe(0);
+    expect(primaryIndex([{}, { primary: true }])).toBe(1);
+    expect(primaryIndex([{}, {}])).toBe(0);
+    expect(primaryIndex(undefined)).toBe(0);
+  });
+
+  it("should keep, reorder and add images in the order sent", () => {
+    const json = JSON.stringify([
+      { _id: BACK, primary: true },
+      { upload: "image0" },
+    ]);
+
+    expect(parseImages(json, files, stored)).toEqual({
+      entries: [
+        { stored: stored[1], file: undefined, primary: true },
+        { stored: undefined, file: files.image0, primary: false },
+      ],
+    });
+  });
+
+  it("should make the first image primary when none is marked", () => {
+    const json = JSON.stringify([{ upload: "image0" }, { _id: FRONT }]);
+
+    const { entries } = parseImages(json, files, stored);
+
+    expect(entries.map((e) => e.primary)).toEqual([true, false]);
+  });
+
+  it("should leave the gallery alone when none was sent", () => {
+    expect(parseImages(undefined, files, stored)).toEqual({});
+    expect(parseImages("[]", files, stored)).toEqual({ entries: [] });
+  });
+
+  it.each([
+    ["not json", "Images must be a list"],
+    [JSON.stringify([{ _id: "67a2171ea6d9e00ef2ac04ff" }]), "Unknown image"],
+    [JSON.stringify([{ upload: "image7" }]), "Unknown image"],
+    [JSON.stringify([{ upload: "photo" }]), "Unknown image"],
+    [JSON.stringify([{ upload: "image1" }]), "Photos should be less then 1mb"],
+    [
+      JSON.stringify([{ _id: FRONT }, { _id: FRONT }]),
+      "An image is listed more than once",
+    ],
+  ])("should reject %s", (json, message) => {
+    expect(parseImages(json, files, stored)).toEqual({ message });
+  });
+});
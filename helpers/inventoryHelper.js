@@ -0,0 +1,97 @@
+const productModel = require("../models/productModel.js");
+const { findVariant, variantLabel } = require("./variantHelper.js");
+
+// a variant line takes from the variant's stock and the product total at once
+const takeStock = (item) =>
+  item.variant
+    ? productModel.findOneAndUpdate(
+        {
+          _id: item.product,
+          variants: {
+            $elemMatch: {
+              _id: item.variant,
+              quantity: { $gte: item.quantity },
+            },
+          },
+        },
+        {
+          $inc: {
+            "variants.$.quantity": -item.quantity,
+            quantity: -item.quantity,
+          },
+        },
+        { new: true }
+      )
+    : productModel.findOneAndUpdate(
+        { _id: item.product, quantity: { $gte: item.quantity } },
+        { $inc: { quantity: -item.quantity } },
+        { new: true }
+      );
+
+// take stock for every order line; each decrement only matches while enough
+// stock is left, so concurrent checkouts cannot oversell. If any line is
+// short the lines already taken are put back and the short lines returned.
+const reserveStock = async (items) => {
+  const reserved = [];
+  const short = [];
+  for (const item of items) {
+    const product = await takeStock(item);
+    if (product) {
+      reserved.push(item);
+    } else {
+      short.push(item);
+    }
+  }
+  if (short.length) await releaseStock(reserved);
+  return short;
+};
+
+// put the stock of order lines back, e.g. after a failed payment or a cancel
+const releaseStock = async (items) => {
+  for (const item of items) {
+    if (item.variant) {
+      await productModel.updateOne(
+        { _id: item.product, "variants._id": item.variant },
+        {
+          $inc: {
+            "variants.$.quantity": item.quantity,
+            quantity: item.quantity,
+          },
+        }
+      );
+    } else {
+      await productModel.findByIdAndUpdate(item.product, {
+        $inc: { quantity: item.quantity },
+      });
+    }
+  }
+};
+
+// one message per short line, worded from the stock seen when pricing
+const stockErrors = (short, products) =>
+  short.map((item) => {
+    const product = products.find(
+      (p) => String(p._id) === String(item.product)
+    );
+    const variant = item.variant && findVariant(product, item.variant);
+    const name = variant
+      ? `${product.name} (${variantLabel(variant)})`
+      : product.name;
+    const available = Math.max((variant || product).quantity, 0);
+    let message = `${name} no longer has enough stock`;
+    if (available < 1) {
+      message = `${name} is out of stock`;
+    } else if (available < item.quantity) {
+      message = `Only ${available} of ${name} left in stock`;
+    }
+    return {
+      productId: item.product,
+      ...(variant && { variantId: variant._id }),
+      name,
+      requested: item.quantity,
+      available,
+      message,
+    };
+  });
+
+module.exports = { reserveStock, releaseStock, stockErrors };
@@ -0,0 +1,123 @@
+import productModel from "../models/productModel";
+import { releaseStock, reserveStock, stockErrors } from "./inventoryHelper";
+
+jest.mock("../models/productModel");
+
+describe("inventoryHelper", () => {
+  const items = [
+    { product: "p1", quantity: 2 },
+    { product: "p2", quantity: 5 },
+  ];
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    productModel.findByIdAndUpdate.mockResolvedValue({});
+  });
+
+  it("should reserve every line when stock allows", async () => {
+    productModel.findOneAndUpdate.mockResolvedValue({});
+
+    const short = await reserveStock(items);
+
+    expect(short).toEqual([]);
+    expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: "p2", quantity: { $gte: 5 } },
+      { $inc: { quantity: -5 } },
+      { new: true }
+    );
+    expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should put back reserved lines when one line is short", async () => {
+    productModel.findOneAndUpdate
+      .mockResolvedValueOnce({})
+      .mockResolvedValueOnce(null);
+
+    const short = await reserveStock(items);
+
+    expect(short).toEqual([items[1]]);
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledTimes(1);
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith("p1", {
+      $inc: { quantity: 2 },
+    });
+  });
+
+  it("should restore the stock of each line", async () => {
+    await releaseStock(items);
+
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith("p1", {
+      $inc: { quantity: 2 },
+    });
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith("p2", {
+      $inc: { quantity: 5 },
+    });
+  });
+
+  it("should describe why each line is short", () => {
+    const products = [
+      { _id: "p1", name: "Novel", quantity: 0 },
+      { _id: "p2", name: "Lamp", quantity: 3 },
+      { _id: "p3", name: "Pen", quantity: 9 },
+    ];
+    const short = [
+      { product: "p1", quantity: 1 },
+      { product: "p2", quantity: 5 },
+      { product: "p3", quantity: 2 },
+    ];
+
+    expect(stockErrors(short, products).map((e) => e.message)).toEqual([
+      "Novel is out of stock",
+      "Only 3 of Lamp left in stock",
+      "Pen no longer has enough stock",
+    ]);
+  });
+
+  it("should take a variant line from the variant's stock", async () => {
+    productModel.findOneAndUpdate.mockResolvedValue({});
+
+    await reserveStock([{ product: "p1", variant: "v1", quantity: 2 }]);
+
+    expect(productModel.findOneAndUpdate).toHaveBeenCalledWith(
+      {
+        _id: "p1",
+        variants: { $elemMatch: { _id: "v1", quantity: { $gte: 2 } } },
+      },
+      { $inc: { "variants.$.quantity": -2, quantity: -2 } },
+      { new: true }
+    );
+  });
+
+  it("should put a variant line back on its variant", async () => {
+    await releaseStock([{ product: "p1", variant: "v1", quantity: 3 }]);
+
+    expect(productModel.updateOne).toHaveBeenCalledWith(
+      { _id: "p1", "variants._id": "v1" },
+      { $inc: { "variants.$.quantity": 3, quantity: 3 } }
+    );
+    expect(productModel.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it("should word a short variant line from the variant's stock", () => {
+    const products = [
+      {
+        _id: "p1",
+        name: "Shirt",
+        quantity: 10,
+        variants: [{ _id: "v1", sku: "SH-M", size: "M", quantity: 1 }],
+      },
+    ];
+
+    expect(
+      stockErrors([{ product: "p1", variant: "v1", quantity: 2 }], products)
+    ).toEqual([
+      {
+        productId: "p1",
+        variantId: "v1",
+        name: "Shirt (M)",
+        requested: 2,
+        available: 1,
+        message: "Only 1 of Shirt (M) left in stock",
+      },
+    ]);
+  });
+});
@@ -0,0 +1,31 @@
+// order lifecycle: pending → processing → shipped → delivered, with
+// cancelled, returned and refunded as the ways out. A declined payment leaves
+// a payment_failed order that goes nowhere. The client keeps a copy of these
+// in client/src/helpers/orderHelper.js.
+const ORDER_STATUSES = [
+  "pending",
+  "processing",
+  "shipped",
+  "delivered",
+  "returned",
+  "cancelled",
+  "refunded",
+  "payment_failed",
+];
+
+// statuses each status may move to
+const ORDER_TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: ["returned", "refunded"],
+  returned: ["refunded"],
+  cancelled: ["refunded"],
+  refunded: [],
+  payment_failed: [],
+};
+
+const canTransition = (from, to) =>
+  (ORDER_TRANSITIONS[from] || []).includes(to);
+
+module.exports = { ORDER_STATUSES, ORDER_TRANSITIONS, canTransition };
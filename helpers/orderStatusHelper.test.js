@@ -0,0 +1,47 @@
+import {
+  ORDER_STATUSES,
+  ORDER_TRANSITIONS,
+  canTransition,
+} from "./orderStatusHelper";
+
+describe("orderStatusHelper", () => {
+  it("should allow the forward path of an order", () => {
+    expect(canTransition("pending", "processing")).toBe(true);
+    expect(canTransition("processing", "shipped")).toBe(true);
+    expect(canTransition("shipped", "delivered")).toBe(true);
+    expect(canTransition("delivered", "refunded")).toBe(true);
+  });
+
+  it("should only allow cancelling before shipping", () => {
+    expect(canTransition("pending", "cancelled")).toBe(true);
+    expect(canTransition("processing", "cancelled")).toBe(true);
+    expect(canTransition("shipped", "cancelled")).toBe(false);
+    expect(canTransition("delivered", "cancelled")).toBe(false);
+  });
+
+  it("should not allow skipping, going back or leaving a refund", () => {
+    expect(canTransition("pending", "shipped")).toBe(false);
+    expect(canTransition("shipped", "processing")).toBe(false);
+    expect(canTransition("refunded", "pending")).toBe(false);
+    expect(canTransition("pending", "pending")).toBe(false);
+  });
+
+  it("should keep failed payments where they are", () => {
+    ORDER_STATUSES.forEach((status) =>
+      expect(canTransition("payment_failed", status)).toBe(false)
+    );
+    expect(canTransition("pending", "payment_failed")).toBe(false);
+  });
+
+  it("should reject unknown statuses", () => {
+    expect(canTransition("Not Process", "processing")).toBe(false);
+    expect(canTransition("pending", "deliverd")).toBe(false);
+  });
+
+  it("should only point at known statuses", () => {
+    expect(Object.keys(ORDER_TRANSITIONS)).toEqual(ORDER_STATUSES);
+    Object.values(ORDER_TRANSITIONS)
+      .flat()
+      .forEach((status) => expect(ORDER_STATUSES).toContain(status));
+  });
+});
@@ -0,0 +1,13 @@
+// page and limit of a list request from its query string; anything missing
+// or not a whole number falls back to the defaults and the limit is capped
+const pageParams = (query = {}, { limit = 12, maxLimit = 48 } = {}) => {
+  const page = Number(query.page);
+  const size = Number(query.limit);
+  return {
+    page: Number.isInteger(page) && page > 0 ? page : 1,
+    limit:
+      Number.isInteger(size) && size > 0 ? Math.min(size, maxLimit) : limit,
+  };
+};
+
+module.exports = { pageParams };
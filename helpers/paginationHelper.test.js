@@ -0,0 +1,30 @@
+import { pageParams } from "./paginationHelper";
+
+describe("paginationHelper", () => {
+  it("should read the page and limit asked for", () => {
+    expect(pageParams({ page: "3", limit: "20" })).toEqual({
+      page: 3,
+      limit: 20,
+    });
+  });
+
+  it("should fall back to the first page and default limit", () => {
+    expect(pageParams()).toEqual({ page: 1, limit: 12 });
+    expect(pageParams({ page: "0", limit: "-5" })).toEqual({
+      page: 1,
+      limit: 12,
+    });
+    expect(pageParams({ page: "two", limit: "2.5" })).toEqual({
+      page: 1,
+      limit: 12,
+    });
+  });
+
+  it("should cap the limit", () => {
+    expect(pageParams({ limit: "1000" })).toEqual({ page: 1, limit: 48 });
+    expect(pageParams({ limit: "1000" }, { limit: 6, maxLimit: 24 })).toEqual(
+      { page: 1, limit: 24 }
+    );
+    expect(pageParams({}, { limit: 6 })).toEqual({ page: 1, limit: 6 });
+  });
+});
@@ -0,0 +1,114 @@
+const sharp = require("sharp");
+
+// widths a photo can be asked for with ?w=, so the resized copies stay few
+const PHOTO_WIDTHS = [100, 300, 600, 1200];
+
+// formats sharp writes back as they came; anything else is sent as stored
+const RESIZABLE_TYPES = [
+  "image/jpeg",
+  "image/png",
+  "image/webp",
+  "image/gif",
+  "image/avif",
+];
+
+// most bytes of resized copies a cache keeps in memory
+const RESIZE_CACHE_BYTES = 64 * 1024 * 1024;
+
+// a year, for urls that carry the photos version and so never change
+const LONG_CACHE = "public, max-age=31536000, immutable";
+// other urls may be kept but must be checked with the server before use
+const REVALIDATE = "public, no-cache";
+
+// the ?w= of a photo request: undefined for the full size, null when it is
+// not one of the photo widths
+const parseWidth = (value) => {
+  if (value === undefined) return undefined;
+  const width = Number(value);
+  return PHOTO_WIDTHS.includes(width) ? width : null;
+};
+
+// when the photos of a product last changed; products saved before this was
+// kept only have their updatedAt
+const photosModified = (product) =>
+  product.photosUpdatedAt || product.updatedAt;
+
+// caching headers of a photo; the ETag changes with the stored file and the
+// width, Last-Modified with the photos of the product
+const photoHeaders = (product, photo, width, versioned) => ({
+  ETag: `"${photo.key}-${width || "full"}"`,
+  ...(photosModified(product) && {
+    "Last-Modified": new Date(photosModified(product)).toUTCString(),
+  }),
+  "Cache-Control": versioned ? LONG_CACHE : REVALIDATE,
+});
+
+// whether the copy the browser already has is still current, from its
+// If-None-Match, or If-Modified-Since when that is missing
+const isFresh = (requestHeaders = {}, headers) => {
+  const noneMatch = requestHeaders["if-none-match"];
+  if (noneMatch) {
+    return noneMatch
+      .split(",")
+      .map((tag) => tag.trim().replace(/^W\//, ""))
+      .some((tag) => tag === "*" || tag === headers.ETag);
+  }
+  const since = Date.parse(requestHeaders["if-modified-since"]);
+  const modified = Date.parse(headers["Last-Modified"]);
+  return !Number.isNaN(since) && !Number.isNaN(modified) && modified <= since;
+};
+
+// a copy of the photo at most `width` wide, in its own format; photos that
+// are already narrower are not enlarged
+const resizePhoto = (data, contentType, width) =>
+  RESIZABLE_TYPES.includes(contentType)
+    ? sharp(data).resize({ width, withoutEnlargement: true }).toBuffer()
+    : data;
+
+// resizePhoto with the copies kept by photo key and width, so a photo is only
+// read and resized the first time. A key names one stored file for good, so
+// copies never go stale; the least recently sent go first once they pass
+// maxBytes. The copy comes back null when the store has no file for the key
+const createResizeCache = (maxBytes = RESIZE_CACHE_BYTES) => {
+  const copies = new Map();
+  let size = 0;
+
+  return async (photo, width, read) => {
+    const id = `${photo.key}-${width}`;
+    if (copies.has(id)) {
+      const copy = copies.get(id);
+      copies.delete(id);
+      copies.set(id, copy);
+      return copy;
+    }
+    const data = await read(photo.key);
+    if (!data) return null;
+    const copy = await resizePhoto(data, photo.contentType, width);
+    copies.set(id, copy);
+    size += copy.length;
+    for (const [oldest, old] of copies) {
+      if (size <= maxBytes) break;
+      copies.delete(oldest);
+      size -= old.length;
+    }
+    return copy;
+  };
+};
+
+// url of the main photo of a product at `width`, versioned by when its photos
+// changed so it can be cached for good
+const photoUrl = (product, width) =>
+  `/api/v1/product/product-photo/${product._id}?w=${width}` +
+  (product.photosUpdatedAt
+    ? `&v=${new Date(product.photosUpdatedAt).getTime()}`
+    : "");
+
+module.exports = {
+  PHOTO_WIDTHS,
+  createResizeCache,
+  photoUrl,
+  parseWidth,
+  photoHeaders,
+  isFresh,
+  resizePhoto,
+};
@@ -0,0 +1,164 @@
+import sharp from "sharp";
+import {
+  createResizeCache,
+  isFresh,
+  parseWidth,
+  photoHeaders,
+  photoUrl,
+  resizePhoto,
+} from "./photoHelper";
+
+const photo = { key: "photo-key", contentType: "image/png" };
+const product = { photosUpdatedAt: new Date("2024-03-01T10:00:00.000Z") };
+
+describe("photoHelper", () => {
+  describe("parseWidth", () => {
+    it("should keep the full size when no width is asked for", () => {
+      expect(parseWidth(undefined)).toBeUndefined();
+    });
+
+    it("should accept only the photo widths", () => {
+      expect(parseWidth("300")).toBe(300);
+      expect(parseWidth("1200")).toBe(1200);
+      expect(parseWidth("250")).toBeNull();
+      expect(parseWidth("")).toBeNull();
+      expect(parseWidth("wide")).toBeNull();
+    });
+  });
+
+  describe("photoHeaders", () => {
+    it("should date the photo by when the photos changed", () => {
+      expect(
+        photoHeaders(
+          { ...product, updatedAt: new Date("2024-05-01T10:00:00.000Z") },
+          photo,
+          100,
+          true
+        )
+      ).toEqual({
+        ETag: '"photo-key-100"',
+        "Last-Modified": "Fri, 01 Mar 2024 10:00:00 GMT",
+        "Cache-Control": "public, max-age=31536000, immutable",
+      });
+    });
+
+    it("should leave out Last-Modified for a product without timestamps", () => {
+      expect(photoHeaders({}, photo, 100, false)).toEqual({
+        ETag: '"photo-key-100"',
+        "Cache-Control": "public, no-cache",
+      });
+    });
+  });
+
+  describe("isFresh", () => {
+    const headers = photoHeaders(product, photo, undefined, false);
+
+    it("should match the ETag among several, weak ones included", () => {
+      expect(
+        isFresh({ "if-none-match": 'W/"other", W/"photo-key-full"' }, headers)
+      ).toBe(true);
+      expect(isFresh({ "if-none-match": "*" }, headers)).toBe(true);
+      expect(isFresh({ "if-none-match": '"photo-key-300"' }, headers)).toBe(
+        false
+      );
+    });
+
+    it("should compare dates only when there is no ETag to match", () => {
+      expect(
+        isFresh(
+          { "if-modified-since": "Sat, 02 Mar 2024 00:00:00 GMT" },
+          headers
+        )
+      ).toBe(true);
+      expect(
+        isFresh(
+          { "if-modified-since": "Thu, 29 Feb 2024 00:00:00 GMT" },
+          headers
+        )
+      ).toBe(false);
+      expect(isFresh({ "if-modified-since": "yesterday" }, headers)).toBe(
+        false
+      );
+      expect(isFresh(undefined, headers)).toBe(false);
+    });
+  });
+
+  describe("resizePhoto", () => {
+    const image = (width) =>
+      sharp({ create: { width, height: 50, channels: 3, background: "blue" } })
+        .jpeg()
+        .toBuffer();
+
+    it("should not enlarge a narrower photo", async () => {
+      const resized = await resizePhoto(await image(80), "image/jpeg", 300);
+
+      expect(await sharp(resized).metadata()).toMatchObject({
+        width: 80,
+        format: "jpeg",
+      });
+    });
+
+    it("should send formats it cannot write back as they are", async () => {
+      const svg = Buffer.from("<svg></svg>");
+
+      expect(await resizePhoto(svg, "image/svg+xml", 100)).toBe(svg);
+    });
+  });
+
+  describe("createResizeCache", () => {
+    const image = sharp({
+      create: { width: 400, height: 50, channels: 3, background: "blue" },
+    })
+      .png()
+      .toBuffer();
+
+    it("should read and resize a photo only once per width", async () => {
+      const resized = createResizeCache();
+      const read = jest.fn(async () => image);
+
+      const copy = await resized(photo, 100, read);
+
+      expect(await resized(photo, 100, read)).toBe(copy);
+      expect(read).toHaveBeenCalledTimes(1);
+      expect(read).toHaveBeenCalledWith("photo-key");
+      expect(await sharp(copy).metadata()).toMatchObject({ width: 100 });
+      await resized(photo, 300, read);
+      expect(read).toHaveBeenCalledTimes(2);
+    });
+
+    it("should drop the least recently sent copies past its size", async () => {
+      const read = jest.fn(async () => image);
+      const size = (await resizePhoto(await image, "image/png", 100)).length;
+      const resized = createResizeCache(size * 2);
+      const other = { ...photo, key: "other-key" };
+      const third = { ...photo, key: "third-key" };
+
+      await resized(photo, 100, read);
+      await resized(other, 100, read);
+      await resized(photo, 100, read);
+      await resized(third, 100, read);
+      read.mockClear();
+      await resized(photo, 100, read);
+      await resized(other, 100, read);
+
+      expect(read.mock.calls).toEqual([["other-key"]]);
+    });
+
+    it("should give null for a file missing from the store", async () => {
+      const resized = createResizeCache();
+
+      expect(await resized(photo, 100, async () => null)).toBeNull();
+    });
+  });
+
+  describe("photoUrl", () => {
+    it("should version the url by when the photos changed", () => {
+      expect(photoUrl({ _id: "p1", ...product }, 100)).toBe(
+        "/api/v1/product/product-photo/p1?w=100&v=1709287200000"
+      );
+      expect(photoUrl({ _id: "p2", updatedAt: new Date() }, 300)).toBe(
+        "/api/v1/product/product-photo/p2?w=300"
+      );
+    });
+  });
+});
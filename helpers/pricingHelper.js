@@ -0,0 +1,64 @@
+// flat fee added once per order when any line needs shipping
+const SHIPPING_FEE = Number(process.env.SHIPPING_FEE) || 0;
+// sales tax, charged on the discounted subtotal (0.09 is 9%)
+const TAX_RATE = Number(process.env.TAX_RATE) || 0;
+
+const {
+  findVariant,
+  variantLabel,
+  variantPrice,
+} = require("./variantHelper.js");
+
+// round to cents so the stored totals match the charged amount
+const roundPrice = (amount) => Math.round(amount * 100) / 100;
+
+// price cart lines ({ productId, variantId, quantity }) from the products
+// loaded on the server; lines whose product or variant is gone, or that need
+// a variant and have none, are returned in `missing`
+const priceOrder = (cart, products, { discount = 0 } = {}) => {
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+  const missing = [];
+  const items = [];
+  for (const line of cart) {
+    const product = byId.get(String(line.productId));
+    const variant = product && findVariant(product, line.variantId);
+    if (!product || (product.variants?.length && !variant)) {
+      missing.push(line.productId);
+      continue;
+    }
+    const price = variantPrice(product, variant);
+    items.push({
+      product: product._id,
+      ...(variant && { variant: variant._id, sku: variant.sku }),
+      name: variant
+        ? `${product.name} (${variantLabel(variant)})`
+        : product.name,
+      price,
+      quantity: line.quantity,
+      total: roundPrice(price * line.quantity),
+    });
+  }
+
+  const subtotal = roundPrice(
+    items.reduce((sum, item) => sum + item.total, 0)
+  );
+  const needsShipping = items.some(
+    (item) => byId.get(String(item.product)).shipping
+  );
+  const shipping = needsShipping ? SHIPPING_FEE : 0;
+  const discounted = roundPrice(Math.min(Math.max(discount, 0), subtotal));
+  const tax = roundPrice((subtotal - discounted) * TAX_RATE);
+  const total = roundPrice(subtotal - discounted + shipping + tax);
+
+  return {
+    items,
+    missing,
+    subtotal,
+    shipping,
+    tax,
+    discount: discounted,
+    total,
+  };
+};
+
+module.exports = { SHIPPING_FEE, TAX_RATE, roundPrice, priceOrder };
@@ -0,0 +1,149 @@
+import { priceOrder, roundPrice } from "./pricingHelper";
+
+describe("pricingHelper", () => {
+  const products = [
+    { _id: "p1", name: "Book", price: 12.5, shipping: false },
+    { _id: "p2", name: "Lamp", price: 40, shipping: true },
+  ];
+
+  it("should price each line from the loaded products", () => {
+    const result = priceOrder(
+      [
+        { productId: "p1", quantity: 2 },
+        { productId: "p2", quantity: 1 },
+      ],
+      products
+    );
+
+    expect(result.items).toEqual([
+      { product: "p1", name: "Book", price: 12.5, quantity: 2, total: 25 },
+      { product: "p2", name: "Lamp", price: 40, quantity: 1, total: 40 },
+    ]);
+    expect(result.missing).toEqual([]);
+    expect(result.subtotal).toBe(65);
+    expect(result.total).toBe(65 + result.shipping + result.tax);
+  });
+
+  it("should not charge shipping when no line needs it", () => {
+    const result = priceOrder([{ productId: "p1", quantity: 1 }], products);
+
+    expect(result.shipping).toBe(0);
+    expect(result.total).toBe(12.5);
+  });
+
+  it("should report lines whose product is missing", () => {
+    const result = priceOrder(
+      [
+        { productId: "p1", quantity: 1 },
+        { productId: "gone", quantity: 3 },
+      ],
+      products
+    );
+
+    expect(result.missing).toEqual(["gone"]);
+    expect(result.items).toHaveLength(1);
+    expect(result.subtotal).toBe(12.5);
+  });
+
+  it("should price a variant line at the variant's own price", () => {
+    const shirt = {
+      _id: "p3",
+      name: "Shirt",
+      price: 20,
+      variants: [
+        { _id: "v1", sku: "SH-S", size: "S", quantity: 4 },
+        { _id: "v2", sku: "SH-XL", size: "XL", colour: "Red", price: 25 },
+      ],
+    };
+
+    const result = priceOrder(
+      [
+        { productId: "p3", variantId: "v1", quantity: 1 },
+        { productId: "p3", variantId: "v2", quantity: 2 },
+      ],
+      [shirt]
+    );
+
+    expect(result.items).toEqual([
+      {
+        product: "p3",
+        variant: "v1",
+        sku: "SH-S",
+        name: "Shirt (S)",
+        price: 20,
+        quantity: 1,
+        total: 20,
+      },
+      {
+        product: "p3",
+        variant: "v2",
+        sku: "SH-XL",
+        name: "Shirt (XL / Red)",
+        price: 25,
+        quantity: 2,
+        total: 50,
+      },
+    ]);
+    expect(result.subtotal).toBe(70);
+  });
+
+  it("should report lines without a valid variant as missing", () => {
+    const shirt = {
+      _id: "p3",
+      name: "Shirt",
+      price: 20,
+      variants: [{ _id: "v1", sku: "SH-S", quantity: 4 }],
+    };
+
+    const result = priceOrder(
+      [
+        { productId: "p3", quantity: 1 },
+        { productId: "p3", variantId: "gone", quantity: 1 },
+      ],
+      [shirt]
+    );
+
+    expect(result.items).toEqual([]);
+    expect(result.missing).toEqual(["p3", "p3"]);
+  });
+
+  it("should cap the discount at the subtotal", () => {
+    const cart = [{ productId: "p1", quantity: 2 }];
+
+    expect(priceOrder(cart, products, { discount: 5 })).toMatchObject({
+      discount: 5,
+      total: 20,
+    });
+    expect(priceOrder(cart, products, { discount: 100 })).toMatchObject({
+      discount: 25,
+      total: 0,
+    });
+  });
+
+  it("should add the configured shipping fee and tax", () => {
+    process.env.SHIPPING_FEE = "5";
+    process.env.TAX_RATE = "0.1";
+    jest.isolateModules(() => {
+      const { priceOrder: priceWithRates } = require("./pricingHelper");
+      const cart = [
+        { productId: "p1", quantity: 2 },
+        { productId: "p2", quantity: 1 },
+      ];
+
+      expect(priceWithRates(cart, products, { discount: 15 })).toMatchObject({
+        subtotal: 65,
+        discount: 15,
+        shipping: 5,
+        tax: 5,
+        total: 60,
+      });
+    });
+    delete process.env.SHIPPING_FEE;
+    delete process.env.TAX_RATE;
+  });
+
+  it("should round amounts to cents", () => {
+    expect(roundPrice(0.1 + 0.2)).toBe(0.3);
+    expect(roundPrice(19.999)).toBe(20);
+  });
+});
@@ -0,0 +1,50 @@
+const { roundPrice } = require("./pricingHelper.js");
+
+// braintree statuses where the sale has not settled yet; these cannot be
+// refunded, only voided as a whole
+const VOIDABLE_STATUSES = [
+  "authorized",
+  "submitted_for_settlement",
+  "settlement_pending",
+];
+
+// what is left to give back on an order
+const refundableAmount = (order) =>
+  roundPrice((order.total || 0) - (order.refundedTotal || 0));
+
+// give `amount` of an order's payment back through the payment provider: an
+// unsettled sale is voided, a settled one is refunded. Resolves to
+// { success, type, amount, transactionId } or { success: false, message }
+const refundPayment = async (provider, order, amount) => {
+  const saleId = order.payment?.transaction?.id;
+  const sale = await provider.find(saleId);
+  if (!sale) {
+    return { success: false, message: "Payment transaction not found" };
+  }
+  if (VOIDABLE_STATUSES.includes(sale.status)) {
+    if (amount < refundableAmount(order)) {
+      return {
+        success: false,
+        message: "Payments that have not settled can only be refunded in full",
+      };
+    }
+    const result = await provider.void(saleId);
+    if (!result.success) return { success: false, message: result.message };
+    return {
+      success: true,
+      type: "void",
+      amount,
+      transactionId: result.transaction.id,
+    };
+  }
+  const result = await provider.refund(saleId, amount.toFixed(2));
+  if (!result.success) return { success: false, message: result.message };
+  return {
+    success: true,
+    type: "refund",
+    amount,
+    transactionId: result.transaction.id,
+  };
+};
+
+module.exports = { VOIDABLE_STATUSES, refundableAmount, refundPayment };
@@ -0,0 +1,76 @@
+import { FAKE_VALID_NONCE, createFakeProvider } from "./fakeProvider";
+import { refundableAmount, refundPayment } from "./refundHelper";
+
+describe("refundHelper", () => {
+  let provider, order;
+
+  beforeEach(async () => {
+    provider = createFakeProvider();
+    const payment = await provider.sale({
+      amount: 40,
+      nonce: FAKE_VALID_NONCE,
+    });
+    order = { total: 40, refundedTotal: 0, payment };
+  });
+
+  it("should work out what is left to refund", () => {
+    expect(refundableAmount(order)).toBe(40);
+    expect(refundableAmount({ total: 40, refundedTotal: 12.3 })).toBe(27.7);
+    expect(refundableAmount({})).toBe(0);
+  });
+
+  it("should void an unsettled payment", async () => {
+    const result = await refundPayment(provider, order, 40);
+
+    expect(result).toEqual({
+      success: true,
+      type: "void",
+      amount: 40,
+      transactionId: "fake-txn-1",
+    });
+  });
+
+  it("should not void part of an unsettled payment", async () => {
+    const result = await refundPayment(provider, order, 10);
+
+    expect(result).toEqual({
+      success: false,
+      message: "Payments that have not settled can only be refunded in full",
+    });
+  });
+
+  it("should refund part of a settled payment", async () => {
+    await provider.settle("fake-txn-1");
+
+    const result = await refundPayment(provider, order, 10);
+
+    expect(result).toEqual({
+      success: true,
+      type: "refund",
+      amount: 10,
+      transactionId: "fake-txn-2",
+    });
+  });
+
+  it("should fail for a payment the provider does not know", async () => {
+    order.payment.transaction.id = "gone";
+
+    const result = await refundPayment(provider, order, 40);
+
+    expect(result).toEqual({
+      success: false,
+      message: "Payment transaction not found",
+    });
+  });
+
+  it("should pass on a gateway decline", async () => {
+    await provider.settle("fake-txn-1");
+
+    const result = await refundPayment(provider, order, 50);
+
+    expect(result).toEqual({
+      success: false,
+      message: "Refund amount is too large.",
+    });
+  });
+});
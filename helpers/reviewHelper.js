@@ -0,0 +1,40 @@
+const mongoose = require("mongoose");
+const orderModel = require("../models/orderModel.js");
+const productModel = require("../models/productModel.js");
+const reviewModel = require("../models/reviewModel.js");
+
+// only buyers who have received the product may review it
+const canReview = (userId, productId) =>
+  orderModel.exists({
+    buyer: userId,
+    status: "delivered",
+    "products.product": productId,
+  });
+
+// work out the average (to one decimal) and count of the visible reviews
+// and store them on the product
+const updateProductRating = async (productId) => {
+  const [stats] = await reviewModel.aggregate([
+    {
+      $match: {
+        product: new mongoose.Types.ObjectId(String(productId)),
+        hidden: false,
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        average: { $avg: "$rating" },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  const rating = {
+    average: stats ? Math.round(stats.average * 10) / 10 : 0,
+    count: stats ? stats.count : 0,
+  };
+  await productModel.findByIdAndUpdate(productId, { rating });
+  return rating;
+};
+
+module.exports = { canReview, updateProductRating };
@@ -0,0 +1,54 @@
+import orderModel from "../models/orderModel";
+import productModel from "../models/productModel";
+import reviewModel from "../models/reviewModel";
+import { canReview, updateProductRating } from "./reviewHelper";
+
+jest.mock("../models/orderModel");
+jest.mock("../models/productModel");
+jest.mock("../models/reviewModel");
+
+const PRODUCT_ID = "66db427fdb0119d9234b27f9";
+
+describe("reviewHelper", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  it("should look for a delivered order of the product", async () => {
+    orderModel.exists = jest.fn().mockResolvedValue({ _id: "o1" });
+
+    expect(await canReview("u1", PRODUCT_ID)).toEqual({ _id: "o1" });
+    expect(orderModel.exists).toHaveBeenCalledWith({
+      buyer: "u1",
+      status: "delivered",
+      "products.product": PRODUCT_ID,
+    });
+  });
+
+  it("should store the rounded average and count of visible reviews", async () => {
+    reviewModel.aggregate = jest
+      .fn()
+      .mockResolvedValue([{ _id: null, average: 4.333333, count: 3 }]);
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+
+    const rating = await updateProductRating(PRODUCT_ID);
+
+    expect(rating).toEqual({ average: 4.3, count: 3 });
+    const [match] = reviewModel.aggregate.mock.calls[0][0];
+    expect(String(match.$match.product)).toBe(PRODUCT_ID);
+    expect(match.$match.hidden).toBe(false);
+    expect(productModel.findByIdAndUpdate).toHaveBeenCalledWith(PRODUCT_ID, {
+      rating: { average: 4.3, count: 3 },
+    });
+  });
+
+  it("should reset the rating when no reviews are visible", async () => {
+    reviewModel.aggregate = jest.fn().mockResolvedValue([]);
+    productModel.findByIdAndUpdate = jest.fn().mockResolvedValue({});
+
+    expect(await updateProductRating(PRODUCT_ID)).toEqual({
+      average: 0,
+      count: 0,
+    });
+  });
+});
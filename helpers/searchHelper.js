@@ -0,0 +1,28 @@
+// longest search kept, in words, so a pasted essay stays a cheap query
+const MAX_SEARCH_WORDS = 20;
+
+// the words of a search as plain terms for $text. Quotes and a leading minus
+// would turn them into phrase or exclusion searches, so they are dropped
+const searchText = (keyword) =>
+  (typeof keyword === "string" ? keyword : "")
+    .replace(/["\\]/g, " ")
+    .split(/\s+/)
+    .map((word) => word.replace(/^-+/, ""))
+    .filter(Boolean)
+    .slice(0, MAX_SEARCH_WORDS)
+    .join(" ");
+
+// longest text suggestions are looked up for; the rest is ignored
+const MAX_SUGGEST_LENGTH = 50;
+
+// regex source matching `text` at the start of any word of a name, every
+// character of it taken literally
+const wordStartPattern = (text) =>
+  `(^|\\s)${text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&")}`;
+
+module.exports = {
+  MAX_SEARCH_WORDS,
+  MAX_SUGGEST_LENGTH,
+  searchText,
+  wordStartPattern,
+};
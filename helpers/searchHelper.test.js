@@ -0,0 +1,43 @@
+import {
+  MAX_SEARCH_WORDS,
+  searchText,
+  wordStartPattern,
+} from "./searchHelper";
+
+describe("searchHelper", () => {
+  it("should keep the words of a search", () => {
+    expect(searchText("  blue   cotton\tshirt ")).toBe("blue cotton shirt");
+  });
+
+  it("should drop what would make it a phrase or exclusion search", () => {
+    expect(searchText('"hard cover" -used --new a\\b')).toBe(
+      "hard cover used new a b"
+    );
+  });
+
+  it("should leave other symbols as they are", () => {
+    expect(searchText("c++ (2nd) [ed.] $5 *")).toBe("c++ (2nd) [ed.] $5 *");
+  });
+
+  it("should cap the number of words", () => {
+    const words = Array.from({ length: 30 }, (_, i) => `w${i}`);
+
+    expect(searchText(words.join(" ")).split(" ")).toHaveLength(
+      MAX_SEARCH_WORDS
+    );
+  });
+
+  it("should treat anything but a string as an empty search", () => {
+    expect(searchText(undefined)).toBe("");
+    expect(searchText(["book"])).toBe("");
+    expect(searchText("-")).toBe("");
+  });
+
+  it("should match suggestions at the start of any word, literally", () => {
+    const pattern = new RegExp(wordStartPattern("c++ (2"), "i");
+
+    expect(pattern.test("Learn C++ (2nd edition)")).toBe(true);
+    expect(pattern.test("Learn C (2nd edition)")).toBe(false);
+    expect(new RegExp(wordStartPattern("ov"), "i").test("Novel")).toBe(false);
+  });
+});
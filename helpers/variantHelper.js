@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+// the entry of product.variants with this id, if any
+const findVariant = (product, variantId) =>
+  (product.variants || []).find((v) => String(v._id) === String(variantId));
+
+// "M / Red" style name of a variant, falling back to its sku
+const variantLabel = (variant) =>
+  [variant.size, variant.colour].filter(Boolean).join(" / ") || variant.sku;
+
+// a variant without its own price sells at the product price
+const variantPrice = (product, variant) =>
+  variant && typeof variant.price === "number" ? variant.price : product.price;
+
+const text = (value) => (typeof value === "string" ? value.trim() : "");
+
+// variants from the JSON list the product form sends, as { variants } or
+// { message }; {} when none were sent. Ids of existing variants are kept so
+// carts keep pointing at them
+const parseVariants = (json) => {
+  if (json === undefined) return {};
+  let list;
+  try {
+    list = JSON.parse(json);
+  } catch (error) {
+    list = null;
+  }
+  if (!Array.isArray(list)) return { message: "Variants must be a list" };
+
+  const variants = [];
+  for (const entry of list) {
+    const sku = text(entry?.sku);
+    const quantity = Number(entry?.quantity);
+    const hasPrice = ![undefined, null, ""].includes(entry?.price);
+    const price = Number(entry?.price);
+    switch (true) {
+      case !sku:
+        return { message: "Every variant needs a SKU" };
+      case variants.some((v) => v.sku === sku):
+        return { message: `SKU ${sku} is used more than once` };
+      case !Number.isInteger(quantity) || quantity < 0:
+        return {
+          message: `Stock of ${sku} must be a whole number of 0 or more`,
+        };
+      case hasPrice && !(price >= 0):
+        return { message: `Price of ${sku} must be 0 or more` };
+    }
+    variants.push({
+      ...(mongoose.isValidObjectId(entry._id) && { _id: entry._id }),
+      sku,
+      size: text(entry.size),
+      colour: text(entry.colour),
+      ...(hasPrice && { price }),
+      quantity,
+    });
+  }
+  return { variants };
+};
+
+module.exports = { findVariant, variantLabel, variantPrice, parseVariants };
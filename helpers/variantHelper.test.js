@@ -0,0 +1,80 @@
+import {
+  findVariant,
+  parseVariants,
+  variantLabel,
+  variantPrice,
+} from "./variantHelper";
+
+const VARIANT_ID = "67a2171ea6d9e00ef2ac0301";
+
+describe("variantHelper", () => {
+  const product = {
+    price: 20,
+    variants: [
+      { _id: VARIANT_ID, sku: "SH-M", size: "M", colour: "Red", quantity: 3 },
+      { _id: "v2", sku: "SH-L", size: "L", price: 24, quantity: 0 },
+    ],
+  };
+
+  it("should find a variant by id", () => {
+    expect(findVariant(product, VARIANT_ID)).toBe(product.variants[0]);
+    expect(findVariant(product, "missing")).toBeUndefined();
+    expect(findVariant({ price: 5 }, VARIANT_ID)).toBeUndefined();
+  });
+
+  it("should name a variant by its options or its sku", () => {
+    expect(variantLabel(product.variants[0])).toBe("M / Red");
+    expect(variantLabel(product.variants[1])).toBe("L");
+    expect(variantLabel({ sku: "PLAIN" })).toBe("PLAIN");
+  });
+
+  it("should fall back to the product price", () => {
+    expect(variantPrice(product, product.variants[0])).toBe(20);
+    expect(variantPrice(product, product.variants[1])).toBe(24);
+    expect(variantPrice(product, undefined)).toBe(20);
+  });
+
+  it("should parse the variants sent by the product form", () => {
+    const json = JSON.stringify([
+      { _id: VARIANT_ID, sku: " SH-M ", size: "M", colour: "", quantity: "3" },
+      { _id: "new", sku: "SH-L", size: "L", price: "24.5", quantity: 0 },
+    ]);
+
+    expect(parseVariants(json)).toEqual({
+      variants: [
+        { _id: VARIANT_ID, sku: "SH-M", size: "M", colour: "", quantity: 3 },
+        { sku: "SH-L", size: "L", colour: "", price: 24.5, quantity: 0 },
+      ],
+    });
+  });
+
+  it("should leave variants alone when none were sent", () => {
+    expect(parseVariants(undefined)).toEqual({});
+    expect(parseVariants("[]")).toEqual({ variants: [] });
+  });
+
+  it.each([
+    ["not json", "Variants must be a list"],
+    ['{"sku":"A"}', "Variants must be a list"],
+    ['[{"sku":" ","quantity":1}]', "Every variant needs a SKU"],
+    [
+      '[{"sku":"A","quantity":1},{"sku":"A","quantity":2}]',
+      "SKU A is used more than once",
+    ],
+    [
+      '[{"sku":"A","quantity":1.5}]',
+      "Stock of A must be a whole number of 0 or more",
+    ],
+    [
+      '[{"sku":"A","quantity":-1}]',
+      "Stock of A must be a whole number of 0 or more",
+    ],
+    ['[{"sku":"A","quantity":1,"price":-2}]', "Price of A must be 0 or more"],
+    [
+      '[{"sku":"A","quantity":1,"price":"abc"}]',
+      "Price of A must be 0 or more",
+    ],
+  ])("should reject %s", (json, message) => {
+    expect(parseVariants(json)).toEqual({ message });
+  });
+});
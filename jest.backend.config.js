@@ -13,6 +13,7 @@ module.exports = {
     "<rootDir>/middlewares/*.test.js",
     "<rootDir>/models/*.test.js",
     "<rootDir>/config/*.test.js",
+    "<rootDir>/scripts/*.test.js",
   ],
 
   // jest code coverage
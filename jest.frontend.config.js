@@ -32,6 +32,7 @@ module.exports = {
     "<rootDir>/client/src/context/*.test.js",
     "<rootDir>/client/src/pages/*.test.js",
     "<rootDir>/client/src/hooks/*.test.js",
+    "<rootDir>/client/src/helpers/*.test.js",
     "<rootDir>/client/src/pages/admin/*.test.js",
     "<rootDir>/client/src/components/*.test.js",
     "<rootDir>/client/src/components/Form/*.test.js",
@@ -46,13 +47,21 @@ module.exports = {
     "client/src/context/**",
     "client/src/pages/**",
     "client/src/hooks/**",
+    "client/src/helpers/**",
     "client/src/components/Form/**",
     "client/src/components/AdminMenu.js",
+    "client/src/components/FakeDropIn.js",
     "client/src/components/Footer.js",
     "client/src/components/Header.js",
     "client/src/components/Layout.js",
+    "client/src/components/OrderTimeline.js",
+    "client/src/components/ProductGallery.js",
+    "client/src/components/ProductReviews.js",
     "client/src/components/Spinner.js",
+    "client/src/components/StarRating.js",
     "client/src/components/UserMenu.js",
+    "client/src/components/VariantPicker.js",
+    "client/src/components/WishlistButton.js",
     "client/src/components/Routes/Private.js",
   ],
   coverageThreshold: {
@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+const cartSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+      unique: true,
+    },
+    items: [
+      {
+        product: {
+          type: mongoose.ObjectId,
+          ref: "Products",
+          required: true,
+        },
+        //id of the chosen entry in product.variants, if it has any
+        variant: {
+          type: mongoose.ObjectId,
+        },
+        quantity: {
+          type: Number,
+          required: true,
+          min: 1,
+          default: 1,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Cart", cartSchema);
@@ -1,5 +1,16 @@
 const mongoose = require("mongoose");
 
+//a category above another one, copied onto it so breadcrumbs and subtree
+//lookups need no extra queries; kept in step by the category controller
+const ancestorSchema = new mongoose.Schema({
+  _id: {
+    type: mongoose.ObjectId,
+    ref: "Category",
+  },
+  name: String,
+  slug: String,
+});
+
 const categorySchema = new mongoose.Schema({
   name: {
     type: String,
@@ -10,6 +21,23 @@ const categorySchema = new mongoose.Schema({
     type: String,
     lowercase: true,
   },
+  //null for a top level category. Not called parent, which would hide the
+  //parent() of mongoose documents
+  parentCategory: {
+    type: mongoose.ObjectId,
+    ref: "Category",
+    default: null,
+  },
+  //from the top level category down to the parent
+  ancestors: [ancestorSchema],
+  //place among the categories with the same parent
+  order: {
+    type: Number,
+    default: 0,
+  },
 });
 
+categorySchema.index({ "ancestors._id": 1 });
+categorySchema.index({ parentCategory: 1, order: 1 });
+
 module.exports = mongoose.model("Category", categorySchema);
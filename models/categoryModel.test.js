@@ -77,4 +77,32 @@ describe("categoryModel test", () => {
 
     expect(savedCategory.slug).toBe("test-category");
   });
+
+  it("should default to a top level category", async () => {
+    const category = await new Category({
+      name: "Test Category",
+      slug: "test-category",
+    }).save();
+
+    expect(category.parentCategory).toBeNull();
+    expect(category.ancestors).toHaveLength(0);
+    expect(category.order).toBe(0);
+  });
+
+  it("should keep the path down to its parent", async () => {
+    const top = await new Category({ name: "Books", slug: "books" }).save();
+    const child = await new Category({
+      name: "Novels",
+      slug: "novels",
+      parentCategory: top._id,
+      ancestors: [{ _id: top._id, name: top.name, slug: top.slug }],
+      order: 2,
+    }).save();
+
+    const found = await Category.find({ "ancestors._id": top._id });
+
+    expect(found.map((c) => c.slug)).toEqual(["novels"]);
+    expect(child.ancestors[0].slug).toBe("books");
+    expect(String(child.parentCategory)).toBe(String(top._id));
+  });
 });
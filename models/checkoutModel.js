@@ -0,0 +1,34 @@
+const mongoose = require("mongoose");
+
+//one checkout attempt, keyed by the idempotency key the cart page sends;
+//a retry with the same key gets the order of the first attempt
+const checkoutSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: true,
+    },
+    buyer: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    //set once the attempt has placed its order
+    order: {
+      type: mongoose.ObjectId,
+      ref: "Order",
+    },
+    //the order the card was charged for, kept as soon as the sale goes
+    //through so a retry places it instead of charging again
+    charge: {
+      type: Object,
+    },
+  },
+  { timestamps: true }
+);
+
+checkoutSchema.index({ buyer: 1, key: 1 }, { unique: true });
+//retries only happen within minutes, so old keys can go after a day
+checkoutSchema.index({ createdAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model("Checkout", checkoutSchema);
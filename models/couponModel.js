@@ -0,0 +1,81 @@
+const mongoose = require("mongoose");
+
+const couponSchema = new mongoose.Schema(
+  {
+    //what the customer types, stored upper case so codes match either way
+    code: {
+      type: String,
+      required: true,
+      unique: true,
+      trim: true,
+      uppercase: true,
+    },
+    type: {
+      type: String,
+      required: true,
+      enum: ["percentage", "fixed"],
+    },
+    //percent off for percentage coupons, dollars off for fixed ones
+    value: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    //order subtotal needed before the coupon can be used
+    minOrder: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    expiresAt: {
+      type: Date,
+    },
+    //unset means no limit
+    maxUses: {
+      type: Number,
+      min: 1,
+    },
+    maxUsesPerUser: {
+      type: Number,
+      min: 1,
+    },
+    //when either list is set only those lines are discounted
+    categories: [
+      {
+        type: mongoose.ObjectId,
+        ref: "Category",
+      },
+    ],
+    products: [
+      {
+        type: mongoose.ObjectId,
+        ref: "Products",
+      },
+    ],
+    active: {
+      type: Boolean,
+      default: true,
+    },
+    used: {
+      type: Number,
+      default: 0,
+    },
+    //one entry per paid order, so a failed payment can give its use back
+    redemptions: [
+      {
+        user: {
+          type: mongoose.ObjectId,
+          ref: "users",
+          required: true,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model("Coupon", couponSchema);
@@ -1,13 +1,67 @@
 const mongoose = require("mongoose");
+const { ORDER_STATUSES } = require("../helpers/orderStatusHelper.js");
 
 const orderSchema = new mongoose.Schema(
   {
+    //each line keeps what was bought at the price paid, so later product
+    //edits or deletes do not change past orders
     products: [
       {
-        type: mongoose.ObjectId,
-        ref: "Products",
+        product: {
+          type: mongoose.ObjectId,
+          ref: "Products",
+        },
+        variant: {
+          type: mongoose.ObjectId,
+        },
+        sku: {
+          type: String,
+        },
+        name: {
+          type: String,
+          required: true,
+        },
+        price: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        quantity: {
+          type: Number,
+          default: 1,
+          min: 1,
+        },
+        total: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
       },
     ],
+    subtotal: {
+      type: Number,
+      default: 0,
+    },
+    shipping: {
+      type: Number,
+      default: 0,
+    },
+    discount: {
+      type: Number,
+      default: 0,
+    },
+    //code of the coupon that gave the discount
+    coupon: {
+      type: String,
+    },
+    tax: {
+      type: Number,
+      default: 0,
+    },
+    total: {
+      type: Number,
+      default: 0,
+    },
     payment: {},
     buyer: {
       type: mongoose.ObjectId,
@@ -15,9 +69,99 @@ const orderSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      default: "Not Process",
-      enum: ["Not Process", "Processing", "Shipped", "deliverd", "cancel"],
+      default: "pending",
+      enum: ORDER_STATUSES,
+    },
+    //set when the buyer asks to return a delivered order
+    returnRequest: {
+      type: new mongoose.Schema(
+        {
+          status: {
+            type: String,
+            //closed when the order is refunded or cancelled before a decision
+            enum: ["requested", "approved", "denied", "closed"],
+            default: "requested",
+          },
+          reason: {
+            type: String,
+            required: true,
+          },
+          requestedAt: {
+            type: Date,
+            default: Date.now,
+          },
+          decidedBy: {
+            type: mongoose.ObjectId,
+            ref: "users",
+          },
+          decidedAt: {
+            type: Date,
+          },
+          note: {
+            type: String,
+          },
+        },
+        { _id: false }
+      ),
     },
+    //money given back through the payment gateway, oldest first
+    refunds: [
+      {
+        type: {
+          type: String,
+          enum: ["refund", "void"],
+          required: true,
+        },
+        amount: {
+          type: Number,
+          required: true,
+          min: 0,
+        },
+        transactionId: {
+          type: String,
+        },
+        refundedBy: {
+          type: mongoose.ObjectId,
+          ref: "users",
+        },
+        note: {
+          type: String,
+        },
+        createdAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
+    refundedTotal: {
+      type: Number,
+      default: 0,
+    },
+    //every status change, oldest first
+    statusHistory: [
+      {
+        from: {
+          type: String,
+          enum: ORDER_STATUSES,
+        },
+        to: {
+          type: String,
+          enum: ORDER_STATUSES,
+          required: true,
+        },
+        changedBy: {
+          type: mongoose.ObjectId,
+          ref: "users",
+        },
+        note: {
+          type: String,
+        },
+        changedAt: {
+          type: Date,
+          default: Date.now,
+        },
+      },
+    ],
   },
   { timestamps: true }
 );
@@ -1,5 +1,51 @@
 const mongoose = require("mongoose");
 
+//a photo saved in the file store (config/storage.js), by the key it was saved
+//under
+const photoSchema = {
+  key: String,
+  contentType: String,
+};
+
+//one buyable option of a product, e.g. a size and colour; stock is kept per
+//variant and the product quantity is their sum
+const variantSchema = new mongoose.Schema({
+  sku: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  size: {
+    type: String,
+    trim: true,
+  },
+  colour: {
+    type: String,
+    trim: true,
+  },
+  //the product price is used when not set
+  price: {
+    type: Number,
+    min: 0,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  photo: photoSchema,
+});
+
+//one of the product photos; the order of the list is the gallery order and
+//the primary one is shown on product cards
+const imageSchema = new mongoose.Schema({
+  ...photoSchema,
+  primary: {
+    type: Boolean,
+    default: false,
+  },
+});
+
 const productSchema = new mongoose.Schema(
   {
     name: {
@@ -23,19 +69,46 @@ const productSchema = new mongoose.Schema(
       ref: "Category",
       required: true,
     },
+    //copy of the category name so the search index can cover it; kept in
+    //step by the product and category controllers
+    categoryName: {
+      type: String,
+    },
     quantity: {
       type: Number,
       required: true,
     },
-    photo: {
-      data: Buffer,
-      contentType: String,
-    },
+    //single photo of products saved before images, used when there are none
+    photo: photoSchema,
+    images: [imageSchema],
     shipping: {
       type: Boolean,
     },
+    variants: [variantSchema],
+    //when the photos last changed; photo urls carry it as their version, so
+    //stock or rating updates leave cached photos alone
+    photosUpdatedAt: {
+      type: Date,
+    },
+    //kept in step with the visible reviews by helpers/reviewHelper.js
+    rating: {
+      average: {
+        type: Number,
+        default: 0,
+      },
+      count: {
+        type: Number,
+        default: 0,
+      },
+    },
   },
   { timestamps: true }
 );
 
+//full text search, a match in the name counting most
+productSchema.index(
+  { name: "text", categoryName: "text", description: "text" },
+  { name: "product_search", weights: { name: 10, categoryName: 5 } }
+);
+
 module.exports = mongoose.model("Products", productSchema);
@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+//one review per buyer per product; hidden reviews stay for the record but
+//are left out of listings and the product rating
+const reviewSchema = new mongoose.Schema(
+  {
+    product: {
+      type: mongoose.ObjectId,
+      ref: "Products",
+      required: true,
+    },
+    user: {
+      type: mongoose.ObjectId,
+      ref: "users",
+      required: true,
+    },
+    rating: {
+      type: Number,
+      required: true,
+      min: 1,
+      max: 5,
+      validate: {
+        validator: Number.isInteger,
+        message: "Rating must be a whole number",
+      },
+    },
+    title: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 100,
+    },
+    body: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: 2000,
+    },
+    hidden: {
+      type: Boolean,
+      default: false,
+    },
+    moderatedBy: {
+      type: mongoose.ObjectId,
+      ref: "users",
+    },
+  },
+  { timestamps: true }
+);
+
+reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+module.exports = mongoose.model("Review", reviewSchema);
@@ -32,6 +32,13 @@ const userSchema = new mongoose.Schema(
       type: Number,
       default: 0,
     },
+    //products saved for later, newest last
+    wishlist: [
+      {
+        type: mongoose.ObjectId,
+        ref: "Products",
+      },
+    ],
   },
   { timestamps: true }
 );
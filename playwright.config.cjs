@@ -74,5 +74,7 @@ module.exports = defineConfig({
     command: 'npm run dev',
     url: 'http://localhost:3000/',
     reuseExistingServer: !process.env.CI,
+    /* Take payments with the in-process fake provider so no sandbox is needed */
+    env: { PAYMENT_PROVIDER: 'fake' },
   },
 });
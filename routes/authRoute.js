@@ -8,8 +8,18 @@ const {
   getOrdersController,
   getAllOrdersController,
   orderStatusController,
+  cancelOrderController,
+  returnOrderController,
+  getReturnRequestsController,
+  returnDecisionController,
+  refundOrderController,
   getAllUsersController,
 } = require("../controllers/authController.js");
+const {
+  getWishlistController,
+  addWishlistItemController,
+  removeWishlistItemController,
+} = require("../controllers/wishlistController.js");
 
 const { isAdmin, requireSignIn } = require("../middlewares/authMiddleware.js");
 
@@ -41,9 +51,24 @@ router.get("/admin-auth", requireSignIn, isAdmin, (req, res) => {
 //update profile
 router.put("/profile", requireSignIn, updateProfileController);
 
+//wishlist
+router.get("/wishlist", requireSignIn, getWishlistController);
+
+//save a product to the wishlist
+router.post("/wishlist", requireSignIn, addWishlistItemController);
+
+//remove a product from the wishlist
+router.delete("/wishlist/:pid", requireSignIn, removeWishlistItemController);
+
 //orders
 router.get("/orders", requireSignIn, getOrdersController);
 
+//cancel an order that has not shipped
+router.post("/orders/:id/cancel", requireSignIn, cancelOrderController);
+
+//request a return of a delivered order
+router.post("/orders/:id/return", requireSignIn, returnOrderController);
+
 //all orders
 router.get("/all-orders", requireSignIn, isAdmin, getAllOrdersController);
 
@@ -55,6 +80,30 @@ router.put(
   orderStatusController
 );
 
+//return requests waiting for a decision
+router.get(
+  "/return-requests",
+  requireSignIn,
+  isAdmin,
+  getReturnRequestsController
+);
+
+//approve or deny a return request
+router.put(
+  "/return-requests/:id",
+  requireSignIn,
+  isAdmin,
+  returnDecisionController
+);
+
+//void or refund the payment of an order
+router.post(
+  "/orders/:id/refund",
+  requireSignIn,
+  isAdmin,
+  refundOrderController
+);
+
 //get all users
 router.get("/all-users", requireSignIn, isAdmin, getAllUsersController);
 
@@ -0,0 +1,34 @@
+const express = require("express");
+const {
+  addCartItemController,
+  clearCartController,
+  getCartController,
+  mergeCartController,
+  removeCartItemController,
+  updateCartItemController,
+} = require("../controllers/cartController.js");
+
+const { requireSignIn } = require("../middlewares/authMiddleware.js");
+
+const router = express.Router();
+
+//routes
+//get cart
+router.get("/", requireSignIn, getCartController);
+
+//add item
+router.post("/items", requireSignIn, addCartItemController);
+
+//set item quantity
+router.put("/items/:pid", requireSignIn, updateCartItemController);
+
+//remove item
+router.delete("/items/:pid", requireSignIn, removeCartItemController);
+
+//clear cart
+router.delete("/", requireSignIn, clearCartController);
+
+//merge guest cart at login
+router.post("/merge", requireSignIn, mergeCartController);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const {
   categoryController,
   createCategoryController,
   deleteCategoryController,
+  moveCategoryController,
   singleCategoryController,
   updateCategoryController,
 } = require("../controllers/categoryController.js");
@@ -28,6 +29,14 @@ router.put(
   updateCategoryController
 );
 
+//move category to another parent or place
+router.put(
+  "/move-category/:id",
+  requireSignIn,
+  isAdmin,
+  moveCategoryController
+);
+
 //getALl category
 router.get("/get-category", categoryController);
 
@@ -0,0 +1,30 @@
+const express = require("express");
+const {
+  applyCouponController,
+  createCouponController,
+  deleteCouponController,
+  getCouponsController,
+  updateCouponController,
+} = require("../controllers/couponController.js");
+
+const { isAdmin, requireSignIn } = require("../middlewares/authMiddleware.js");
+
+const router = express.Router();
+
+//routes
+//check a code against the cart
+router.post("/apply", requireSignIn, applyCouponController);
+
+//all coupons
+router.get("/", requireSignIn, isAdmin, getCouponsController);
+
+//create coupon
+router.post("/", requireSignIn, isAdmin, createCouponController);
+
+//update coupon
+router.put("/:id", requireSignIn, isAdmin, updateCouponController);
+
+//delete coupon
+router.delete("/:id", requireSignIn, isAdmin, deleteCouponController);
+
+module.exports = router;
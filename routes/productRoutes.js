@@ -6,15 +6,28 @@ const {
   deleteProductController,
   getProductController,
   getSingleProductController,
+  pricingController,
   productCategoryController,
   productCountController,
   productFiltersController,
   productListController,
+  productCatalogController,
+  productFacetsController,
   productPhotoController,
+  productImageController,
+  variantPhotoController,
   relatedProductController,
   searchProductController,
+  suggestProductController,
   updateProductController,
 } = require("../controllers/productController.js");
+const {
+  getAllReviewsController,
+  getMyReviewController,
+  getReviewsController,
+  moderateReviewController,
+  saveReviewController,
+} = require("../controllers/reviewController.js");
 
 const { isAdmin, requireSignIn } = require("../middlewares/authMiddleware.js");
 const formidable = require("express-formidable");
@@ -47,6 +60,12 @@ router.get("/get-product/:slug", getSingleProductController);
 //get photo
 router.get("/product-photo/:pid", productPhotoController);
 
+//gallery image by position
+router.get("/product-photo/:pid/:index", productImageController);
+
+//variant photo
+router.get("/variant-photo/:pid/:vid", variantPhotoController);
+
 //delete rproduct
 router.delete("/delete-product/:pid", deleteProductController);
 
@@ -56,18 +75,45 @@ router.post("/product-filters", productFiltersController);
 //product count
 router.get("/product-count", productCountController);
 
-//product per page
-router.get("/product-list/:page", productListController);
+//product list, a page at a time
+router.get("/product-list", productListController);
+
+//filtered, sorted and paged catalog
+router.get("/products", productCatalogController);
+
+//category counts and price histogram of the catalog
+router.get("/products/facets", productFacetsController);
 
 //search product
 router.get("/search/:keyword", searchProductController);
 
+//suggestions for the search box
+router.get("/suggest", suggestProductController);
+
 //similar product
 router.get("/related-product/:pid/:cid", relatedProductController);
 
 //category wise product
 router.get("/product-category/:slug", productCategoryController);
 
+//reviews of a product
+router.get("/:pid/reviews", getReviewsController);
+
+//whether the user may review, and their own review
+router.get("/:pid/reviews/mine", requireSignIn, getMyReviewController);
+
+//add or replace own review
+router.post("/:pid/reviews", requireSignIn, saveReviewController);
+
+//all reviews for moderation
+router.get("/reviews", requireSignIn, isAdmin, getAllReviewsController);
+
+//hide or restore a review
+router.put("/reviews/:rid", requireSignIn, isAdmin, moderateReviewController);
+
+//shipping fee and tax rate for the cart total
+router.get("/pricing", pricingController);
+
 //payments routes
 //token
 router.get("/braintree/token", braintreeTokenController);
@@ -0,0 +1,84 @@
+// Rebuild orders saved before line snapshots existed:
+//   node scripts/migrateOrderLines.js
+// Older orders hold either one product id per unit or { product, quantity }
+// lines. Each is turned into { product, name, price, quantity, total } priced
+// from the line's own snapshot when it has one, else from the current
+// product. Shipping and tax were never recorded for them and are left at 0.
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.js");
+const orderModel = require("../models/orderModel.js");
+const productModel = require("../models/productModel.js");
+const { roundPrice } = require("../helpers/pricingHelper.js");
+
+dotenv.config();
+
+// merge legacy entries into one line per product
+const groupLines = (entries) => {
+  const lines = new Map();
+  for (const entry of entries || []) {
+    const isId = entry instanceof mongoose.Types.ObjectId;
+    const id = String(isId ? entry : entry.product);
+    const line = lines.get(id) || {
+      product: isId ? entry : entry.product,
+      quantity: 0,
+      price: isId ? undefined : entry.price,
+    };
+    line.quantity += isId ? 1 : entry.quantity || 1;
+    lines.set(id, line);
+  }
+  return [...lines.values()];
+};
+
+const migrateOrderLines = async () => {
+  const orders = await orderModel.collection
+    .find({ total: { $exists: false } })
+    .toArray();
+  const ids = orders.flatMap((o) =>
+    groupLines(o.products).map((line) => line.product)
+  );
+  const products = await productModel
+    .find({ _id: { $in: ids } })
+    .select("name price");
+  const byId = new Map(products.map((p) => [String(p._id), p]));
+
+  for (const order of orders) {
+    const items = groupLines(order.products).map((line) => {
+      const product = byId.get(String(line.product));
+      const price = line.price ?? product?.price ?? 0;
+      return {
+        _id: new mongoose.Types.ObjectId(),
+        product: line.product,
+        name: product?.name || "Deleted product",
+        price,
+        quantity: line.quantity,
+        total: roundPrice(price * line.quantity),
+      };
+    });
+    const subtotal = roundPrice(items.reduce((sum, i) => sum + i.total, 0));
+    await orderModel.collection.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          products: items,
+          subtotal,
+          shipping: 0,
+          discount: 0,
+          tax: 0,
+          total: subtotal,
+        },
+      }
+    );
+  }
+  return orders.length;
+};
+
+if (require.main === module) {
+  connectDB()
+    .then(migrateOrderLines)
+    .then((count) => console.log(`Migrated ${count} orders`))
+    .catch((error) => console.log(error))
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { groupLines, migrateOrderLines };
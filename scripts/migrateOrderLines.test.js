@@ -0,0 +1,104 @@
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const orderModel = require("../models/orderModel");
+const productModel = require("../models/productModel");
+const { groupLines, migrateOrderLines } = require("./migrateOrderLines");
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("groupLines", () => {
+  it("should merge one id per unit and lines of the same product", () => {
+    const lamp = new mongoose.Types.ObjectId();
+    const chair = new mongoose.Types.ObjectId();
+
+    expect(
+      groupLines([
+        lamp,
+        lamp,
+        { product: chair, quantity: 2, price: 30 },
+        chair,
+      ])
+    ).toEqual([
+      { product: lamp, quantity: 2, price: undefined },
+      { product: chair, quantity: 3, price: 30 },
+    ]);
+  });
+
+  it("should have no lines for an order without products", () => {
+    expect(groupLines(undefined)).toEqual([]);
+  });
+});
+
+describe("migrateOrderLines", () => {
+  const id = () => new mongoose.Types.ObjectId();
+  const lineOf = (product, line) => ({
+    _id: expect.any(mongoose.Types.ObjectId),
+    product,
+    ...line,
+  });
+
+  beforeEach(async () => {
+    await orderModel.collection.deleteMany({});
+    await productModel.collection.deleteMany({});
+  });
+
+  it("should price the lines of old orders and total them", async () => {
+    const lamp = id();
+    const gone = id();
+    await productModel.collection.insertOne({
+      _id: lamp,
+      name: "Lamp",
+      price: 12.5,
+    });
+    const { insertedId } = await orderModel.collection.insertOne({
+      products: [lamp, lamp, { product: gone, quantity: 1, price: 4.99 }],
+      status: "pending",
+    });
+
+    expect(await migrateOrderLines()).toBe(1);
+
+    const order = await orderModel.collection.findOne({ _id: insertedId });
+    expect(order.products).toEqual([
+      lineOf(lamp, { name: "Lamp", price: 12.5, quantity: 2, total: 25 }),
+      lineOf(gone, {
+        name: "Deleted product",
+        price: 4.99,
+        quantity: 1,
+        total: 4.99,
+      }),
+    ]);
+    expect(order).toMatchObject({
+      subtotal: 29.99,
+      shipping: 0,
+      discount: 0,
+      tax: 0,
+      total: 29.99,
+    });
+  });
+
+  it("should leave orders that already have a total alone", async () => {
+    const products = [
+      { _id: id(), product: id(), name: "Lamp", price: 10, quantity: 1 },
+    ];
+    const { insertedId } = await orderModel.collection.insertOne({
+      products,
+      subtotal: 10,
+      total: 10,
+    });
+
+    expect(await migrateOrderLines()).toBe(0);
+    expect(
+      (await orderModel.collection.findOne({ _id: insertedId })).products
+    ).toEqual(products);
+  });
+});
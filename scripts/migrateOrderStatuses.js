@@ -0,0 +1,71 @@
+// Move orders off the old status names and give them a starting history:
+//   node scripts/migrateOrderStatuses.js
+// The old statuses map one to one onto the new lifecycle; orders whose
+// payment was declined become payment_failed (their stock is left alone, older
+// orders never reserved any). Orders without a statusHistory get a single
+// entry for their current status dated when the order was placed, payment
+// failures included.
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.js");
+const orderModel = require("../models/orderModel.js");
+
+dotenv.config();
+
+const LEGACY_STATUSES = {
+  "Not Process": "pending",
+  Processing: "processing",
+  Shipped: "shipped",
+  deliverd: "delivered",
+  cancel: "cancelled",
+};
+
+const migrateOrderStatuses = async () => {
+  let count = 0;
+  for (const [legacy, status] of Object.entries(LEGACY_STATUSES)) {
+    const result = await orderModel.collection.updateMany(
+      { status: legacy },
+      { $set: { status } }
+    );
+    count += result.modifiedCount;
+  }
+  const failed = await orderModel.collection.updateMany(
+    { "payment.success": false, status: { $ne: "payment_failed" } },
+    { $set: { status: "payment_failed" } }
+  );
+  count += failed.modifiedCount;
+
+  const orders = await orderModel.collection
+    .find({ statusHistory: { $exists: false } })
+    .toArray();
+  for (const order of orders) {
+    await orderModel.collection.updateOne(
+      { _id: order._id },
+      {
+        $set: {
+          statusHistory: [
+            {
+              _id: new mongoose.Types.ObjectId(),
+              to: order.status || "pending",
+              ...(order.status === "payment_failed" && {
+                note: "Payment was declined",
+              }),
+              changedAt: order.createdAt || new Date(),
+            },
+          ],
+        },
+      }
+    );
+  }
+  return count;
+};
+
+if (require.main === module) {
+  connectDB()
+    .then(migrateOrderStatuses)
+    .then((count) => console.log(`Renamed the status of ${count} orders`))
+    .catch((error) => console.log(error))
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { LEGACY_STATUSES, migrateOrderStatuses };
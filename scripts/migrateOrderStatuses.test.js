@@ -0,0 +1,97 @@
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const orderModel = require("../models/orderModel");
+const { migrateOrderStatuses } = require("./migrateOrderStatuses");
+
+let mongoServer;
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("migrateOrderStatuses", () => {
+  const placed = new Date("2024-05-01T10:00:00.000Z");
+
+  const insertOrder = async (order) =>
+    (
+      await orderModel.collection.insertOne({
+        payment: { success: true },
+        createdAt: placed,
+        ...order,
+      })
+    ).insertedId;
+  const findOrder = (_id) => orderModel.collection.findOne({ _id });
+
+  beforeEach(async () => {
+    await orderModel.collection.deleteMany({});
+  });
+
+  it("should rename the old statuses and start their history", async () => {
+    const shipped = await insertOrder({ status: "Shipped" });
+    const delivered = await insertOrder({ status: "deliverd" });
+
+    expect(await migrateOrderStatuses()).toBe(2);
+
+    const order = await findOrder(shipped);
+    expect(order.status).toBe("shipped");
+    expect(order.statusHistory).toEqual([
+      {
+        _id: expect.any(mongoose.Types.ObjectId),
+        to: "shipped",
+        changedAt: placed,
+      },
+    ]);
+    expect((await findOrder(delivered)).status).toBe("delivered");
+  });
+
+  it("should start the history of a declined order like any other", async () => {
+    const declined = await insertOrder({
+      status: "Not Process",
+      payment: { success: false, message: "Do Not Honor" },
+    });
+
+    expect(await migrateOrderStatuses()).toBe(2);
+
+    const order = await findOrder(declined);
+    expect(order.status).toBe("payment_failed");
+    expect(order.statusHistory).toEqual([
+      {
+        _id: expect.any(mongoose.Types.ObjectId),
+        to: "payment_failed",
+        note: "Payment was declined",
+        changedAt: placed,
+      },
+    ]);
+  });
+
+  it("should leave orders with a history alone", async () => {
+    const history = [
+      { _id: new mongoose.Types.ObjectId(), to: "pending", changedAt: placed },
+    ];
+    const current = await insertOrder({
+      status: "pending",
+      statusHistory: history,
+    });
+
+    expect(await migrateOrderStatuses()).toBe(0);
+    expect((await findOrder(current)).statusHistory).toEqual(history);
+  });
+
+  it("should change nothing when run again", async () => {
+    const declined = await insertOrder({
+      status: "cancel",
+      payment: { success: false },
+    });
+    await migrateOrderStatuses();
+    const migrated = await findOrder(declined);
+
+    expect(await migrateOrderStatuses()).toBe(0);
+    expect(await findOrder(declined)).toEqual(migrated);
+  });
+});
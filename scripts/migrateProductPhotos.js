@@ -0,0 +1,81 @@
+// Move photos saved inside product documents to the file store:
+//   node scripts/migrateProductPhotos.js
+// Older products hold their photo, gallery images and variant photos as
+// Buffers. Each one is saved to the store picked by FILE_STORE and replaced
+// by { key, contentType }. Products are updated one at a time, so the script
+// can simply be run again if it stops part way.
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.js");
+const storage = require("../config/storage.js");
+const productModel = require("../models/productModel.js");
+
+dotenv.config();
+
+// raw documents hold bson Binary values rather than Buffers
+const toBuffer = (data) =>
+  data instanceof mongoose.mongo.Binary
+    ? Buffer.from(data.buffer.subarray(0, data.length()))
+    : data;
+
+// save one embedded photo to the store, returning its reference
+const movePhoto = async (store, { data, ...photo }) => ({
+  ...photo,
+  key: await store.save(toBuffer(data), photo.contentType),
+});
+
+// the $set that swaps the embedded photos of a product for references; only
+// the fields that held photo data are in it
+const extractPhotos = async (product, store) => {
+  const update = {};
+  if (product.photo?.data) {
+    update.photo = await movePhoto(store, product.photo);
+  }
+  if ((product.images || []).some((image) => image.data)) {
+    update.images = [];
+    for (const image of product.images) {
+      update.images.push(image.data ? await movePhoto(store, image) : image);
+    }
+  }
+  if ((product.variants || []).some((variant) => variant.photo?.data)) {
+    update.variants = [];
+    for (const variant of product.variants) {
+      update.variants.push(
+        variant.photo?.data
+          ? { ...variant, photo: await movePhoto(store, variant.photo) }
+          : variant
+      );
+    }
+  }
+  return update;
+};
+
+const migrateProductPhotos = async (store = storage) => {
+  const products = productModel.collection.find({
+    $or: [
+      { "photo.data": { $exists: true } },
+      { "images.data": { $exists: true } },
+      { "variants.photo.data": { $exists: true } },
+    ],
+  });
+  let count = 0;
+  for await (const product of products) {
+    const update = await extractPhotos(product, store);
+    await productModel.collection.updateOne(
+      { _id: product._id },
+      { $set: update }
+    );
+    count += 1;
+  }
+  return count;
+};
+
+if (require.main === module) {
+  connectDB()
+    .then(() => migrateProductPhotos())
+    .then((count) => console.log(`Migrated photos of ${count} products`))
+    .catch((error) => console.log(error))
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { extractPhotos, migrateProductPhotos };
@@ -0,0 +1,100 @@
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const productModel = require("../models/productModel");
+const { migrateProductPhotos } = require("./migrateProductPhotos");
+
+let mongoServer;
+
+// a file store that keeps what is saved in a Map
+const memoryStore = () => {
+  const files = new Map();
+  return {
+    files,
+    save: jest.fn(async (data, contentType) => {
+      const key = `key-${files.size + 1}`;
+      files.set(key, { data, contentType });
+      return key;
+    }),
+  };
+};
+
+beforeAll(async () => {
+  mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+});
+
+afterAll(async () => {
+  await mongoose.disconnect();
+  await mongoServer.stop();
+});
+
+describe("migrateProductPhotos", () => {
+  beforeEach(async () => {
+    await productModel.collection.deleteMany({});
+  });
+
+  it("should move embedded photos to the store and keep their keys", async () => {
+    const variantId = new mongoose.Types.ObjectId();
+    const { insertedId } = await productModel.collection.insertOne({
+      name: "Lamp",
+      photo: { data: Buffer.from("main"), contentType: "image/png" },
+      images: [
+        { data: Buffer.from("side"), contentType: "image/jpeg", primary: true },
+        { key: "stored", contentType: "image/png" },
+      ],
+      variants: [
+        {
+          _id: variantId,
+          name: "Red",
+          photo: { data: Buffer.from("red"), contentType: "image/png" },
+        },
+      ],
+    });
+    const store = memoryStore();
+
+    expect(await migrateProductPhotos(store)).toBe(1);
+
+    const product = await productModel.collection.findOne({ _id: insertedId });
+    expect(product.photo).toEqual({ key: "key-1", contentType: "image/png" });
+    expect(product.images).toEqual([
+      { key: "key-2", contentType: "image/jpeg", primary: true },
+      { key: "stored", contentType: "image/png" },
+    ]);
+    expect(product.variants).toEqual([
+      {
+        _id: variantId,
+        name: "Red",
+        photo: { key: "key-3", contentType: "image/png" },
+      },
+    ]);
+    expect(store.files.get("key-1")).toEqual({
+      data: Buffer.from("main"),
+      contentType: "image/png",
+    });
+    expect(store.files.get("key-2").data).toEqual(Buffer.from("side"));
+    expect(store.files.get("key-3").data).toEqual(Buffer.from("red"));
+  });
+
+  it("should leave products already in the store alone", async () => {
+    await productModel.collection.insertOne({
+      name: "Chair",
+      photo: { key: "stored", contentType: "image/png" },
+    });
+    const store = memoryStore();
+
+    expect(await migrateProductPhotos(store)).toBe(0);
+    expect(store.save).not.toHaveBeenCalled();
+  });
+
+  it("should find nothing left to move when run again", async () => {
+    await productModel.collection.insertOne({
+      name: "Desk",
+      photo: { data: Buffer.from("desk"), contentType: "image/png" },
+    });
+    const store = memoryStore();
+
+    expect(await migrateProductPhotos(store)).toBe(1);
+    expect(await migrateProductPhotos(store)).toBe(0);
+    expect(store.files.size).toBe(1);
+  });
+});
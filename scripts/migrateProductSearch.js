@@ -0,0 +1,35 @@
+// Prepare products saved before full text search:
+//   node scripts/migrateProductSearch.js
+// Each product gets a copy of its category name, which the search index
+// covers, and the index itself is built if the server has not done so yet.
+const dotenv = require("dotenv");
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.js");
+const categoryModel = require("../models/categoryModel.js");
+const productModel = require("../models/productModel.js");
+
+dotenv.config();
+
+const migrateProductSearch = async () => {
+  const categories = await categoryModel.find({}).select("name");
+  let count = 0;
+  for (const category of categories) {
+    const result = await productModel.updateMany(
+      { category: category._id },
+      { categoryName: category.name }
+    );
+    count += result.modifiedCount;
+  }
+  await productModel.createIndexes();
+  return count;
+};
+
+if (require.main === module) {
+  connectDB()
+    .then(migrateProductSearch)
+    .then((count) => console.log(`Migrated ${count} products`))
+    .catch((error) => console.log(error))
+    .finally(() => mongoose.disconnect());
+}
+
+module.exports = { migrateProductSearch };
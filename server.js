@@ -6,6 +6,8 @@ const connectDB = require("./config/db.js");
 const authRoutes = require("./routes/authRoute.js");
 const categoryRoutes = require("./routes/categoryRoutes.js");
 const productRoutes = require("./routes/productRoutes.js");
+const cartRoutes = require("./routes/cartRoutes.js");
+const couponRoutes = require("./routes/couponRoutes.js");
 const cors = require("cors");
 
 // configure env
@@ -25,6 +27,8 @@ app.use(morgan("dev"));
 app.use("/api/v1/auth", authRoutes);
 app.use("/api/v1/category", categoryRoutes);
 app.use("/api/v1/product", productRoutes);
+app.use("/api/v1/cart", cartRoutes);
+app.use("/api/v1/coupon", couponRoutes);
 
 // rest api
 
@@ -99,16 +99,10 @@ test.describe("Cart Page - Logged In", () => {
 
   test("user is checkout items from cart and it appears in orders", async () => {
     // act
-    await page.getByRole("button", { name: "Make Payment" }).click(); // necessary to load braintree
-    await page.getByRole("button", { name: "Card" }).click();
-    let frame = await page.frameLocator("iframe#braintree-hosted-field-number");
-    await frame.locator("#credit-card-number").fill("4242424242424242");
-    frame = await page.frameLocator(
-      "iframe#braintree-hosted-field-expirationDate"
-    );
-    await frame.locator("#expiration").fill("02/28");
-    frame = await page.frameLocator("iframe#braintree-hosted-field-cvv");
-    await frame.locator("#cvv").fill("321");
+    // the fake payment provider approves its default test card
+    await page
+      .getByLabel("Offline payment, no money is taken")
+      .selectOption("fake-valid-nonce");
     await page.getByRole("button", { name: "Make Payment" }).click();
 
     // delay to be safe
@@ -26,91 +26,107 @@ const mockGetAllCategory = {
   }),
 };
 
-const mockGetAllProducts = {
-  status: 200,
-  contentType: "application/json",
-  body: JSON.stringify({
-    success: true,
-    products: [
-      {
-        _id: "1",
-        name: "Nintendo Switch",
-        slug: "Nintendo-switch",
-        description: "Mock description for nintendo switch.",
-        price: 350,
-        category: "1",
-        quantity: 1,
-        createdAt: "2025-03-08T13:06:38.016Z",
-        updatedAt: "2025-03-08T13:06:38.016Z",
-        __v: 0,
-      },
-      {
-        _id: "2",
-        name: "Handheld Mini Fan",
-        slug: "Handheld-Mini-Fan",
-        description: "Mock description for handheld mini fan.",
-        price: 20,
-        category: "2",
-        quantity: 1,
-        createdAt: "2025-02-05T07:20:08.615Z",
-        updatedAt: "2025-02-05T07:20:28.767Z",
-        __v: 0,
-      },
-    ],
-  }),
-};
-
-const mockFilterProduct = {
-  status: 200,
-  contentType: "application/json",
-  body: JSON.stringify({
-    success: true,
-    products: [
-      {
-        _id: "1",
-        name: "Nintendo Switch",
-        slug: "Nintendo-switch",
-        description: "Mock description for nintendo switch.",
-        price: 350,
-        category: "1",
-        quantity: 1,
-        createdAt: "2025-03-08T13:06:38.016Z",
-        updatedAt: "2025-03-08T13:06:38.016Z",
-        __v: 0,
-      },
-    ],
-  }),
-};
-
-const mockGetTotal = {
-  status: 200,
-  contentType: "application/json",
-  body: JSON.stringify({ success: true, total: 4 }),
-};
+// Products of the mock catalog
+const mockProducts = [
+  {
+    _id: "1",
+    name: "Nintendo Switch",
+    slug: "Nintendo-switch",
+    description: "Mock description for nintendo switch.",
+    price: 350,
+    category: "1",
+    quantity: 1,
+    createdAt: "2025-03-08T13:06:38.016Z",
+    updatedAt: "2025-03-08T13:06:38.016Z",
+    __v: 0,
+  },
+  {
+    _id: "2",
+    name: "Handheld Mini Fan",
+    slug: "Handheld-Mini-Fan",
+    description: "Mock description for handheld mini fan.",
+    price: 20,
+    category: "2",
+    quantity: 1,
+    createdAt: "2025-02-05T07:20:08.615Z",
+    updatedAt: "2025-02-05T07:20:28.767Z",
+    __v: 0,
+  },
+];
+
+// Answer the catalog and facets endpoints from mockProducts, filtered by the
+// category and price in the query like the server does. Returns the catalog
+// queries the page made
+const mockCatalog = async (page) => {
+  const queries = [];
+  const matching = (query) =>
+    mockProducts.filter(
+      (p) =>
+        (!query.getAll("category").length ||
+          query.getAll("category").includes(p.category)) &&
+        (!query.has("minPrice") || p.price >= Number(query.get("minPrice"))) &&
+        (!query.has("maxPrice") || p.price <= Number(query.get("maxPrice")))
+    );
 
-// Mock API response mimicking an empty response
-const mockEmptyResponse = {
-  status: 404,
-  contentType: "application/json",
-  body: JSON.stringify({
-    success: false,
-    message: "This is a mock empty response",
-  }),
+  await page.route("**/api/v1/category/get-category", (route) =>
+    route.fulfill(mockGetAllCategory)
+  );
+  await page.route(
+    (url) => url.pathname === "/api/v1/product/products",
+    (route) => {
+      const query = new URL(route.request().url()).searchParams;
+      queries.push(query.toString());
+      route.fulfill({
+        status: 200,
+        contentType: "application/json",
+        body: JSON.stringify({
+          success: true,
+          products: matching(query),
+          nextCursor: null,
+        }),
+      });
+    }
+  );
+  await page.route(
+    (url) => url.pathname === "/api/v1/product/products/facets",
+    (route) => {
+      // Each facet is counted without its own filter, as on the server
+      const query = new URL(route.request().url()).searchParams;
+      const withoutCategory = new URLSearchParams(query);
+      withoutCategory.delete("category");
+      const withoutPrice = new URLSearchParams(query);
+      withoutPrice.delete("minPrice");
+      withoutPrice.delete("maxPrice");
+      const products = matching(withoutPrice);
+      const prices = products.map((p) => p.price);
+      route.fulfill({
+        status: 200,
+        contentType: "application/json",
+        body: JSON.stringify({
+          success: true,
+          categories: matching(withoutCategory).map((p) => ({
+            _id: p.category,
+            count: 1,
+          })),
+          price: {
+            min: prices.length ? Math.min(...prices) : null,
+            max: prices.length ? Math.max(...prices) : null,
+            buckets: products.map((p) => ({
+              min: Math.floor(p.price / 50) * 50,
+              max: Math.floor(p.price / 50) * 50 + 50,
+              count: 1,
+            })),
+          },
+        }),
+      });
+    }
+  );
+  return queries;
 };
 
 test("should display 2 products to user", async ({ page }) => {
   // Intercept API requests and provide mock data
-  await page.route("**/api/v1/category/get-category", (route) => {
-    route.fulfill(mockGetAllCategory);
-  });
-
-  await page.route("**/api/v1/product/product-list/1", (route) => {
-    route.fulfill(mockGetAllProducts);
-  });
-
-  await page.route("**/api/v1/product/product-count", (route) => {
-    route.fulfill(mockGetTotal);
-  });
+  await mockCatalog(page);
 
   // Go to page
   await page.goto("http://localhost:3000");
@@ -143,21 +159,7 @@ test("should display 2 products to user", async ({ page }) => {
 
 test("should allow user to filter products by category", async ({ page }) => {
   // Intercept API requests and provide mock data
-  await page.route("**/api/v1/category/get-category", (route) => {
-    route.fulfill(mockGetAllCategory);
-  });
-
-  await page.route("**/api/v1/product/product-list/1", (route) => {
-    route.fulfill(mockGetAllProducts);
-  });
-
-  await page.route("**/api/v1/product/product-count", (route) => {
-    route.fulfill(mockGetTotal);
-  });
-
-  await page.route("**/api/v1/product/product-filters", (route) => {
-    route.fulfill(mockFilterProduct);
-  });
+  const queries = await mockCatalog(page);
 
   // Go to page
   await page.goto("http://localhost:3000");
@@ -165,7 +167,7 @@ test("should allow user to filter products by category", async ({ page }) => {
   // Check for page headers
   await expect(page.locator("h1.text-center")).toHaveText("All Products");
 
-  // Locate checkboxes and check if they are present
+  // Locate checkboxes and check if they are present, with their counts
   const electronicsCheckbox = page.locator(
     'label:has-text("Electronics") input[type="checkbox"]'
   );
@@ -174,14 +176,18 @@ test("should allow user to filter products by category", async ({ page }) => {
   );
   await expect(electronicsCheckbox).toBeVisible();
   await expect(lifestyleCheckbox).toBeVisible();
+  await expect(page.locator("label", { hasText: "Electronics" })).toContainText(
+    "(1)"
+  );
 
   // Verify checkbox can be clicked
   await electronicsCheckbox.click();
   await expect(electronicsCheckbox).toBeChecked();
 
-  // Wait for filtered products to load and verify there's only 1
-  await page.waitForTimeout(2000); // delay here just to be safe
+  // Verify the filter is kept in the url and only the match is shown
+  await expect(page).toHaveURL(/\?category=1$/);
   await expect(page.locator(".card")).toHaveCount(1);
+  expect(queries).toContain("category=1");
   await expect(
     page.locator(".card-title", { hasText: "Nintendo Switch" })
   ).toBeVisible();
@@ -195,112 +201,57 @@ test("should allow user to filter products by category", async ({ page }) => {
 
 test("should allow user to filter products by price", async ({ page }) => {
   // Intercept API requests and provide mock data
-  await page.route("**/api/v1/category/get-category", (route) => {
-    route.fulfill(mockGetAllCategory);
-  });
-
-  await page.route("**/api/v1/product/product-list/1", (route) => {
-    route.fulfill(mockGetAllProducts);
-  });
-
-  await page.route("**/api/v1/product/product-count", (route) => {
-    route.fulfill(mockGetTotal);
-  });
-
-  await page.route("**/api/v1/product/product-filters", (route) => {
-    route.fulfill(mockFilterProduct);
-  });
+  const queries = await mockCatalog(page);
 
   // Go to page
   await page.goto("http://localhost:3000");
 
   // Check for page headers
   await expect(page.locator("h1.text-center")).toHaveText("All Products");
+  await expect(page.locator(".card")).toHaveCount(2);
 
-  // Locate radio button and check if present
-  const priceRadio = page.locator(
-    'label:has-text("$100 or more") input[type="radio"]'
-  );
-  await expect(priceRadio).toBeVisible();
+  // The slider spans the prices of the catalog
+  const lowest = page.getByRole("slider", { name: "Lowest price" });
+  await expect(lowest).toHaveAttribute("aria-valuemin", "20");
+  await expect(lowest).toHaveAttribute("aria-valuemax", "350");
 
-  // Verify radio can be clicked
-  await priceRadio.click();
-  await expect(priceRadio).toBeChecked();
+  // Move the lowest price handle up by a dollar
+  await lowest.focus();
+  await lowest.press("ArrowRight");
 
-  // Wait for filtered products to load and verify there's only 1
-  await page.waitForTimeout(2000); // delay here just to be safe
+  // Verify only products from $21 up are shown
+  await expect(page).toHaveURL(/\?minPrice=21$/);
   await expect(page.locator(".card")).toHaveCount(1);
+  expect(queries).toContain("minPrice=21");
   await expect(
     page.locator(".card-title", { hasText: "Nintendo Switch" })
   ).toBeVisible();
-  await expect(
-    page.locator(".card-text", {
-      hasText: "Mock description for nintendo switch.",
-    })
-  ).toBeVisible();
   await expect(page.locator(".card-price", { hasText: "$350" })).toBeVisible();
 });
 
 test("should allow user to reset filters", async ({ page }) => {
   // Intercept API requests and provide mock data
-  await page.route("**/api/v1/category/get-category", (route) => {
-    route.fulfill(mockGetAllCategory);
-  });
-
-  await page.route("**/api/v1/product/product-list/1", (route) => {
-    route.fulfill(mockGetAllProducts);
-  });
-
-  await page.route("**/api/v1/product/product-count", (route) => {
-    route.fulfill(mockGetTotal);
-  });
-
-  await page.route("**/api/v1/product/product-filters", (route) => {
-    route.fulfill(mockFilterProduct);
-  });
+  await mockCatalog(page);
 
-  // Go to page
-  await page.goto("http://localhost:3000");
-
-  // Check for page headers
-  await expect(page.locator("h1.text-center")).toHaveText("All Products");
+  // Go to a page with a category and price filter set
+  await page.goto("http://localhost:3000/?category=1&minPrice=21");
 
-  // Locate checkboxes and check if they are present
+  // Verify the filters from the url are applied
   const electronicsCheckbox = page.locator(
     'label:has-text("Electronics") input[type="checkbox"]'
   );
-  const lifestyleCheckbox = page.locator(
-    'label:has-text("Lifestyle") input[type="checkbox"]'
-  );
-  await expect(electronicsCheckbox).toBeVisible();
-  await expect(lifestyleCheckbox).toBeVisible();
-
-  // Verify checkbox can be clicked
-  await electronicsCheckbox.click();
   await expect(electronicsCheckbox).toBeChecked();
-
-  // Wait for filtered products to load and verify there's only 1
-  await page.waitForTimeout(2000); // delay here just to be safe
   await expect(page.locator(".card")).toHaveCount(1);
   await expect(
     page.locator(".card-title", { hasText: "Nintendo Switch" })
   ).toBeVisible();
-  await expect(
-    page.locator(".card-text", {
-      hasText: "Mock description for nintendo switch.",
-    })
-  ).toBeVisible();
-  await expect(page.locator(".card-price", { hasText: "$350" })).toBeVisible();
 
   // Click the "RESET FILTERS" button to reset the filters
   await page.locator('button:has-text("RESET FILTERS")').click();
 
-  // Wait for page to load products without filters
-  await page.waitForTimeout(2000);
-
-  // Verify checkboxes and radio buttons are unchecked
+  // Verify checkboxes are unchecked and the url has no filters
   await expect(page.locator('input[type="checkbox"]:checked')).toHaveCount(0);
-  await expect(page.locator('input[type="radio"]:checked')).toHaveCount(0);
+  await expect(page).toHaveURL("http://localhost:3000/");
 
   // Verify correct products displayed
   await expect(page.locator(".card")).toHaveCount(2);
@@ -310,21 +261,7 @@ test("should navigate to product details page on clicking 'More Details'", async
   page,
 }) => {
   // Intercept API requests and provide mock data
-  await page.route("**/api/v1/category/get-category", (route) => {
-    route.fulfill(mockGetAllCategory);
-  });
-
-  await page.route("**/api/v1/product/product-list/1", (route) => {
-    route.fulfill(mockGetAllProducts);
-  });
-
-  await page.route("**/api/v1/product/product-count", (route) => {
-    route.fulfill(mockGetTotal);
-  });
-
-  await page.route("**/api/v1/product/product-filters", (route) => {
-    route.fulfill(mockFilterProduct);
-  });
+  await mockCatalog(page);
 
   // Go to page
   await page.goto("http://localhost:3000");
@@ -336,15 +273,12 @@ test("should navigate to product details page on clicking 'More Details'", async
   const electronicsCheckbox = page.locator(
     'label:has-text("Electronics") input[type="checkbox"]'
   );
-  const lifestyleCheckbox = page.locator(
-    'label:has-text("Lifestyle") input[type="checkbox"]'
-  );
   await expect(electronicsCheckbox).toBeVisible();
-  await expect(lifestyleCheckbox).toBeVisible();
 
   // Verify checkbox can be clicked
   await electronicsCheckbox.click();
   await expect(electronicsCheckbox).toBeChecked();
+  await expect(page.locator(".card")).toHaveCount(1);
 
   // Click the "More Details" button inside the product card
   const productCard = page.locator(".card", { hasText: "Nintendo Switch" });
@@ -358,17 +292,7 @@ test("should navigate to product details page on clicking 'More Details'", async
 });
 
 test("should add product to cart and show success toast", async ({ page }) => {
-  await page.route("**/api/v1/category/get-category", (route) =>
-    route.fulfill(mockGetAllCategory)
-  );
-
-  await page.route("**/api/v1/product/product-list/1", (route) =>
-    route.fulfill(mockGetAllProducts)
-  );
-
-  await page.route("**/api/v1/product/product-count", (route) =>
-    route.fulfill(mockGetTotal)
-  );
+  await mockCatalog(page);
 
   await page.goto("http://localhost:3000");
 
@@ -379,21 +303,17 @@ test("should add product to cart and show success toast", async ({ page }) => {
   await page.locator('button:has-text("Add to Cart")').first().click();
 
   // Verify that success toast message is visible
-  await expect(
-    page
-      .locator("div")
-      .filter({ hasText: /^Item Added to cart$/ })
-      .nth(2)
-  ).toBeVisible();
+  await expect(page.getByText("Item Added to cart")).toBeVisible();
 
   // Verify cart has been updated
   const cart = await page.evaluate(() => localStorage.getItem("cart"));
   const cartItems = JSON.parse(cart);
 
-  // Verify cart contains the added product
+  // Verify cart holds a line of the added product
   expect(cartItems).toHaveLength(1);
   expect(cartItems[0]).toMatchObject({
-    name: "Nintendo Switch",
-    price: 350,
+    productId: "1",
+    quantity: 1,
+    product: { name: "Nintendo Switch", price: 350 },
   });
 });
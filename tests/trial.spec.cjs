@@ -8,9 +8,8 @@ test('test', async ({ page }) => {
   await page.getByRole('link', { name: 'Home' }).click();
   await page.getByLabel('watch collection').check();
   await page.getByLabel('watch collection').uncheck();
-  await page.getByLabel('$60 to').check();
-  await page.getByLabel('$60 to').check();
-  await page.getByLabel('$100 or more').check();
+  await page.getByRole('slider', { name: 'Lowest price' }).press('ArrowRight');
+  await page.getByRole('slider', { name: 'Highest price' }).press('ArrowLeft');
   await page.getByRole('button', { name: 'ADD TO CART' }).nth(1).click();
   await page.getByRole('link', { name: 'Cart' }).click();
   await page.getByRole('link', { name: 'Login' }).click();